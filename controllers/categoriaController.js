@@ -1,5 +1,6 @@
 // Importación del modelo de Categoría para interactuar con la base de datos
 const Categoria = require('../models/categoriaModel');
+const { ALICUOTAS_IVA, esAlicuotaValida } = require('../utils/iva'); // Alícuotas de IVA admitidas
 
 // Objeto controlador que contendrá todas las funciones de manejo de categorías
 const categoriaController = {};
@@ -13,7 +14,7 @@ const categoriaController = {};
 categoriaController.crearCategoria = async (req, res) => {
     try {
         // Desestructurar los datos de la categoría desde el cuerpo de la solicitud
-        const { nombre, descripcion, imagen } = req.body;
+        const { nombre, descripcion, imagen, alicuotaIva } = req.body;
 
         console.log(`📂 Creando categoría: ${nombre}`); // Log de inicio del proceso
 
@@ -24,12 +25,19 @@ categoriaController.crearCategoria = async (req, res) => {
                 error: 'El nombre de la categoría es requerido.'
             });
         }
+        // La alícuota de IVA es opcional: sin ella, los productos usan la general
+        if (alicuotaIva !== undefined && alicuotaIva !== null && !esAlicuotaValida(alicuotaIva)) {
+            return res.status(400).json({
+                error: `Alícuota de IVA inválida. Use: ${ALICUOTAS_IVA.join(', ')} (0 = exento).`
+            });
+        }
 
         // 2. Crear una nueva instancia del modelo Categoria
         const categoria = new Categoria({
             nombre,
             descripcion,
-            imagen
+            imagen,
+            alicuotaIva
         });
 
         // 3. Guardar la nueva categoría en la base de datos
@@ -137,10 +145,17 @@ categoriaController.actualizarCategoria = async (req, res) => {
     try {
         // 1. Obtener el ID de los parámetros y los datos del cuerpo
         const { id } = req.params;
-        const { nombre, descripcion, imagen } = req.body;
+        const { nombre, descripcion, imagen, alicuotaIva } = req.body;
 
         console.log(`🔄 Actualizando categoría: ${id}`); // Log de inicio
 
+        // null quita la alícuota de la categoría (sus productos pasan a usar la general)
+        if (alicuotaIva !== undefined && alicuotaIva !== null && !esAlicuotaValida(alicuotaIva)) {
+            return res.status(400).json({
+                error: `Alícuota de IVA inválida. Use: ${ALICUOTAS_IVA.join(', ')} (0 = exento).`
+            });
+        }
+
         // 2. Verificar si la categoría existe antes de intentar actualizar
         const categoriaExistente = await Categoria.findById(id);
         if (!categoriaExistente) {
@@ -155,7 +170,8 @@ categoriaController.actualizarCategoria = async (req, res) => {
         await Categoria.update(id, {
             nombre,
             descripcion,
-            imagen
+            imagen,
+            alicuotaIva
         });
 
         console.log(`✅ Categoría actualizada: ${id}`); // Log de éxito
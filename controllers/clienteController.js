@@ -0,0 +1,509 @@
+// Importación de los modelos necesarios
+const Cliente = require('../models/clienteModel'); // Modelo de clientes
+const Pedido = require('../models/pedidoModel'); // Modelo de pedidos (historial de compras)
+const Pago = require('../models/pagoModel'); // Modelo de pagos (cuenta corriente)
+const Devolucion = require('../models/devolucionModel'); // Notas de crédito por devoluciones (cuenta corriente)
+const { aFecha } = require('../utils/fechas'); // Lectura de fechas guardadas
+const { esViolacionDeRestriccion } = require('../database'); // Duplicados rechazados por la base
+
+// Objeto controlador que contendrá todas las funciones de manejo de clientes
+const clienteController = {};
+
+// Campos de un cliente que se pueden enviar al crearlo o modificarlo.
+const CAMPOS = ['nombre', 'email', 'dni', 'cuit', 'telefono', 'direcciones', 'observaciones'];
+
+// Nombres de los identificadores para los mensajes de error.
+const NOMBRES_IDENTIFICADORES = { email: 'email', dni: 'DNI', cuit: 'CUIT' };
+
+// Tramos de antigüedad de la deuda (días desde la fecha del pedido).
+const TRAMOS_ANTIGUEDAD = [
+    { tramo: '0-30', hasta: 30 },
+    { tramo: '31-60', hasta: 60 },
+    { tramo: '61-90', hasta: 90 },
+    { tramo: '90+', hasta: Infinity }
+];
+
+// Redondea a dos decimales.
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+/**
+ * Toma del body los campos del cliente, normalizando el email, el DNI y el CUIT.
+ * @param {object} body - Body de la solicitud.
+ * @returns {object} Los campos enviados.
+ */
+const leerDatos = (body) => {
+    const datos = {};
+    CAMPOS.filter(campo => body[campo] !== undefined).forEach(campo => { datos[campo] = body[campo]; });
+
+    if (datos.email !== undefined) datos.email = Cliente.normalizarEmail(datos.email);
+    if (datos.dni !== undefined) datos.dni = Cliente.normalizarNumero(datos.dni);
+    if (datos.cuit !== undefined) datos.cuit = Cliente.normalizarNumero(datos.cuit);
+    return datos;
+};
+
+/**
+ * Valida un cliente completo (el nuevo o el existente con los cambios aplicados).
+ * @param {object} cliente - Datos del cliente (identificadores ya normalizados).
+ * @returns {string|null} El mensaje de error, o null si el cliente es válido.
+ */
+const validarCliente = (cliente) => {
+    if (!cliente.nombre || !String(cliente.nombre).trim()) {
+        return 'El nombre del cliente es requerido.';
+    }
+    if (cliente.email && !/^[^\s@]+@[^\s@]+$/.test(cliente.email)) {
+        return 'El email no es válido.';
+    }
+    if (cliente.dni && !/^\d{7,8}$/.test(cliente.dni)) {
+        return 'El DNI debe tener 7 u 8 dígitos.';
+    }
+    if (cliente.cuit && !/^\d{11}$/.test(cliente.cuit)) {
+        return 'El CUIT debe tener 11 dígitos.';
+    }
+    if (!Array.isArray(cliente.direcciones)
+        || cliente.direcciones.some(d => !d || typeof d.direccion !== 'string' || !d.direccion.trim())) {
+        return 'direcciones debe ser una lista de direcciones, cada una con el campo direccion.';
+    }
+    return null;
+};
+
+/**
+ * Verifica que ningún otro cliente activo tenga el mismo email, DNI o CUIT.
+ * @param {object} cliente - Datos del cliente (identificadores ya normalizados).
+ * @param {string|null} exceptoId - ID del cliente que se está modificando.
+ * @returns {Promise<object|null>} El cuerpo de la respuesta 409, o null si no hay duplicados.
+ */
+const verificarDuplicado = async (cliente, exceptoId = null) => {
+    const duplicado = await Cliente.findDuplicado(cliente, exceptoId);
+    if (!duplicado) return null;
+    return {
+        error: `Ya existe un cliente con ese ${NOMBRES_IDENTIFICADORES[duplicado.campo]}.`,
+        clienteId: duplicado.cliente.id
+    };
+};
+
+/**
+ * Función controladora para crear un nuevo cliente.
+ * El email, el DNI y el CUIT son opcionales pero no pueden repetirse entre los clientes activos;
+ * si ya existe, se responde 409 con el ID del cliente existente.
+ * Método HTTP: POST /api/clientes
+ * @param {object} req - Objeto de solicitud de Express (contiene el body).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+clienteController.crearCliente = async (req, res) => {
+    try {
+        console.log(`🤝 Creando cliente: ${req.body.nombre}`); // Log de inicio del proceso
+
+        // 1. Validar los datos
+        const datos = leerDatos(req.body);
+        const errorValidacion = validarCliente({ direcciones: [], ...datos });
+        if (errorValidacion) {
+            return res.status(400).json({
+                error: errorValidacion
+            });
+        }
+
+        // 2. Verificar que el cliente no esté registrado
+        const duplicado = await verificarDuplicado(datos);
+        if (duplicado) {
+            return res.status(409).json(duplicado);
+        }
+
+        // 3. Crear y guardar el cliente
+        const cliente = new Cliente({ ...datos, nombre: String(datos.nombre).trim() });
+        const clienteCreado = await cliente.save();
+
+        console.log(`✅ Cliente creado exitosamente: ${clienteCreado.id}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito 201 (Created)
+        res.status(201).json({
+            message: 'Cliente creado exitosamente',
+            cliente: clienteCreado
+        });
+
+    } catch (error) {
+        // Otra operación simultánea pasó la misma verificación y la base rechazó el duplicado
+        if (esViolacionDeRestriccion(error)) {
+            return res.status(409).json({
+                error: 'Ya existe un cliente con ese email, DNI o CUIT.'
+            });
+        }
+        // Manejo de errores generales
+        console.error('❌ Error creando cliente:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al crear cliente.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener los clientes activos.
+ * Con '?buscar=' sólo los que contienen el texto en el nombre, el email, el DNI o el CUIT.
+ * Método HTTP: GET /api/clientes
+ * @param {object} req - Objeto de solicitud de Express (contiene 'query').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+clienteController.obtenerClientes = async (req, res) => {
+    try {
+        let clientes = await Cliente.findAll();
+
+        const buscar = String(req.query.buscar || '').trim().toLowerCase();
+        if (buscar) {
+            clientes = clientes.filter(cliente => [cliente.nombre, cliente.email, cliente.dni, cliente.cuit]
+                .some(valor => valor && String(valor).toLowerCase().includes(buscar)));
+        }
+
+        console.log(`✅ Obtenidos ${clientes.length} clientes`); // Log de éxito
+
+        res.json({
+            clientes,
+            total: clientes.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo clientes:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener clientes.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener un cliente por su ID.
+ * Método HTTP: GET /api/clientes/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+clienteController.obtenerCliente = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const cliente = await Cliente.findById(id);
+        if (!cliente) {
+            return res.status(404).json({
+                error: 'Cliente no encontrado.'
+            });
+        }
+
+        console.log(`✅ Cliente obtenido: ${cliente.nombre}`); // Log de éxito
+
+        res.json({
+            cliente
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo cliente:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener cliente.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener el historial de compras de un cliente.
+ * Devuelve sus pedidos (del más reciente al más antiguo) y un resumen: cantidad de pedidos y
+ * total gastado por moneda, sin contar los cancelados. Como en GET /api/pedidos, los empleados
+ * sólo ven los pedidos que ellos crearon.
+ * Método HTTP: GET /api/clientes/:id/pedidos
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params' y req.user).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+clienteController.obtenerPedidosCliente = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const cliente = await Cliente.findById(id);
+        if (!cliente) {
+            return res.status(404).json({
+                error: 'Cliente no encontrado.'
+            });
+        }
+
+        let pedidos = await Pedido.findByCliente(id);
+        if (req.user.rol === 'empleado') {
+            pedidos = pedidos.filter(pedido => pedido.vendedorId === req.user.id);
+        }
+
+        // Resumen de lo comprado (los pedidos cancelados no cuentan)
+        const vigentes = pedidos.filter(pedido => pedido.estado !== 'cancelado');
+        const porMoneda = new Map();
+        for (const pedido of vigentes) {
+            const moneda = pedido.moneda || 'ARS';
+            porMoneda.set(moneda, Math.round(((porMoneda.get(moneda) || 0) + pedido.total) * 100) / 100);
+        }
+        const fechas = vigentes.map(pedido => aFecha(pedido.fechaCreacion));
+
+        console.log(`✅ Obtenidos ${pedidos.length} pedidos del cliente ${cliente.nombre}`); // Log de éxito
+
+        res.json({
+            cliente: { id: cliente.id, nombre: cliente.nombre, email: cliente.email },
+            pedidos,
+            resumen: {
+                cantidadPedidos: vigentes.length,
+                totalGastado: [...porMoneda].map(([moneda, total]) => ({ moneda, total })),
+                primeraCompra: fechas.length > 0 ? new Date(Math.min(...fechas)) : null,
+                ultimaCompra: fechas.length > 0 ? new Date(Math.max(...fechas)) : null
+            }
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo pedidos del cliente:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener pedidos del cliente.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener la cuenta corriente de un cliente.
+ * Los movimientos son los pedidos (debe; sin los cancelados) y los pagos (haber), en orden
+ * cronológico y con el saldo acumulado de su moneda. Por cada moneda se informa el saldo y la
+ * deuda de los pedidos impagos por antigüedad (0-30, 31-60, 61-90 y más de 90 días).
+ * Un saldo negativo es a favor del cliente: coincide con 'saldoAFavor' (ej: lo cobrado de un pedido
+ * cancelado, que se acredita al cancelarlo) salvo que se haya reintegrado. Si al cancelar se
+ * reintegró lo cobrado, el reintegro (debe) compensa esos pagos.
+ * Las devoluciones resueltas suman su nota de crédito (haber) y, si se reintegró dinero, el
+ * reintegro (debe). Los pagos con la nota de crédito o con el saldo a favor no se repiten como
+ * movimientos: ya están en la nota de crédito. 'saldoAFavor' es el crédito disponible por moneda.
+ * Método HTTP: GET /api/clientes/:id/cuenta-corriente
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+clienteController.obtenerCuentaCorriente = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const cliente = await Cliente.findById(id);
+        if (!cliente) {
+            return res.status(404).json({
+                error: 'Cliente no encontrado.'
+            });
+        }
+
+        const todosLosPedidos = await Pedido.findByCliente(id);
+        const pedidos = todosLosPedidos.filter(pedido => pedido.estado !== 'cancelado');
+        // Pedidos cancelados cuyo cobro se devolvió al cliente (el resto quedó como saldo a favor)
+        const reintegrados = todosLosPedidos.filter(pedido => pedido.cancelacionPagos && pedido.cancelacionPagos.reintegro > 0);
+        const pagos = (await Pago.findByCliente(id))
+            .filter(pago => pago.medio !== 'credito' && pago.medio !== Pago.MEDIO_NOTA_CREDITO);
+        const devoluciones = await Devolucion.findResueltasByCliente(id);
+
+        // 1. Movimientos en orden cronológico con el saldo acumulado por moneda
+        const movimientos = [
+            ...pedidos.map(pedido => ({
+                fecha: aFecha(pedido.fechaCreacion),
+                tipo: 'pedido',
+                id: pedido.id,
+                pedidoId: pedido.id,
+                descripcion: `Pedido ${pedido.numero}`,
+                moneda: pedido.moneda || 'ARS',
+                debe: pedido.total,
+                haber: 0
+            })),
+            ...pagos.map(pago => ({
+                fecha: aFecha(pago.fecha),
+                tipo: 'pago',
+                id: pago.id,
+                pedidoId: pago.pedidoId,
+                descripcion: `Pago (${pago.medio}${pago.referencia ? ` ${pago.referencia}` : ''})`,
+                moneda: pago.moneda,
+                debe: 0,
+                haber: pago.monto
+            })),
+            ...devoluciones.map(devolucion => ({
+                fecha: aFecha(devolucion.notaCredito.fecha),
+                tipo: 'nota_credito',
+                id: devolucion.id,
+                pedidoId: devolucion.pedidoId,
+                descripcion: `Nota de crédito (devolución ${devolucion.id})`,
+                moneda: devolucion.moneda,
+                debe: 0,
+                haber: devolucion.notaCredito.importe
+            })),
+            ...devoluciones.filter(devolucion => devolucion.notaCredito.reintegro > 0).map(devolucion => ({
+                fecha: aFecha(devolucion.notaCredito.fecha),
+                tipo: 'reintegro',
+                id: devolucion.id,
+                pedidoId: devolucion.pedidoId,
+                descripcion: `Reintegro (${devolucion.notaCredito.medioReintegro}${devolucion.notaCredito.referenciaReintegro ? ` ${devolucion.notaCredito.referenciaReintegro}` : ''})`,
+                moneda: devolucion.moneda,
+                debe: devolucion.notaCredito.reintegro,
+                haber: 0
+            })),
+            ...reintegrados.map(pedido => ({
+                fecha: aFecha(pedido.cancelacionPagos.fecha),
+                tipo: 'reintegro',
+                id: pedido.id,
+                pedidoId: pedido.id,
+                descripcion: `Reintegro por cancelación del pedido ${pedido.numero} (${pedido.cancelacionPagos.medioReintegro}${pedido.cancelacionPagos.referenciaReintegro ? ` ${pedido.cancelacionPagos.referenciaReintegro}` : ''})`,
+                moneda: pedido.moneda || 'ARS',
+                debe: pedido.cancelacionPagos.reintegro,
+                haber: 0
+            }))
+        ].sort((a, b) => a.fecha - b.fecha);
+
+        const saldos = new Map();
+        const cuenta = (moneda) => {
+            if (!saldos.has(moneda)) {
+                saldos.set(moneda, {
+                    moneda,
+                    saldo: 0,
+                    antiguedad: Object.fromEntries(TRAMOS_ANTIGUEDAD.map(({ tramo }) => [tramo, 0]))
+                });
+            }
+            return saldos.get(moneda);
+        };
+        for (const movimiento of movimientos) {
+            const saldo = cuenta(movimiento.moneda);
+            saldo.saldo = redondear(saldo.saldo + movimiento.debe - movimiento.haber);
+            movimiento.saldo = saldo.saldo;
+        }
+
+        // 2. Antigüedad de lo adeudado en cada pedido
+        const hoy = new Date();
+        for (const pedido of pedidos) {
+            const pendiente = redondear(pedido.total - (pedido.totalPagado || 0));
+            if (pendiente <= 0) continue;
+
+            const dias = Math.floor((hoy - aFecha(pedido.fechaCreacion)) / (24 * 60 * 60 * 1000));
+            const { tramo } = TRAMOS_ANTIGUEDAD.find(({ hasta }) => dias <= hasta);
+            const { antiguedad } = cuenta(pedido.moneda || 'ARS');
+            antiguedad[tramo] = redondear(antiguedad[tramo] + pendiente);
+        }
+
+        console.log(`✅ Cuenta corriente obtenida: ${cliente.nombre}`); // Log de éxito
+
+        res.json({
+            cliente: { id: cliente.id, nombre: cliente.nombre, cuit: cliente.cuit },
+            saldos: [...saldos.values()],
+            saldoAFavor: cliente.saldoAFavor || {},
+            movimientos
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo cuenta corriente:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener cuenta corriente.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para actualizar un cliente por su ID.
+ * 'direcciones' reemplaza la lista completa: las direcciones que se envían con su 'id' lo
+ * conservan y las nuevas reciben uno. Los pedidos ya creados no cambian.
+ * Método HTTP: PUT /api/clientes/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params' y 'body').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+clienteController.actualizarCliente = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🔄 Actualizando cliente: ${id}`); // Log de inicio
+
+        // 1. Verificar si el cliente existe
+        const clienteExistente = await Cliente.findById(id);
+        if (!clienteExistente || !clienteExistente.activo) {
+            return res.status(404).json({
+                error: 'Cliente no encontrado.'
+            });
+        }
+
+        // 2. Validar el cliente con los cambios aplicados
+        const datos = leerDatos(req.body);
+        const resultante = { ...clienteExistente, ...datos };
+        const errorValidacion = validarCliente(resultante);
+        if (errorValidacion) {
+            return res.status(400).json({
+                error: errorValidacion
+            });
+        }
+
+        // 3. Verificar que los identificadores no sean de otro cliente
+        const duplicado = await verificarDuplicado(resultante, id);
+        if (duplicado) {
+            return res.status(409).json(duplicado);
+        }
+
+        // 4. Guardar los cambios
+        if (datos.nombre !== undefined) datos.nombre = String(datos.nombre).trim();
+        if (datos.direcciones !== undefined) datos.direcciones = Cliente.numerarDirecciones(datos.direcciones);
+        await Cliente.update(id, datos);
+
+        console.log(`✅ Cliente actualizado: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Cliente actualizado exitosamente',
+            cliente: { ...clienteExistente, ...datos }
+        });
+
+    } catch (error) {
+        // Otra operación simultánea pasó la misma verificación y la base rechazó el duplicado
+        if (esViolacionDeRestriccion(error)) {
+            return res.status(409).json({
+                error: 'Ya existe un cliente con ese email, DNI o CUIT.'
+            });
+        }
+        // Manejo de errores generales
+        console.error('❌ Error actualizando cliente:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar cliente.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para eliminar (desactivar) un cliente por su ID.
+ * Sus pedidos se conservan; el email, el DNI y el CUIT quedan libres para otro cliente.
+ * Método HTTP: DELETE /api/clientes/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+clienteController.eliminarCliente = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🗑️ Eliminando cliente: ${id}`); // Log de inicio
+
+        const clienteExistente = await Cliente.findById(id);
+        if (!clienteExistente || !clienteExistente.activo) {
+            return res.status(404).json({
+                error: 'Cliente no encontrado.'
+            });
+        }
+
+        await Cliente.delete(id);
+
+        console.log(`✅ Cliente eliminado: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Cliente eliminado exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error eliminando cliente:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al eliminar cliente.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = clienteController;
@@ -0,0 +1,151 @@
+// Importación de modelos necesarios
+const Costo = require('../models/costoModel'); // Modelo para manejar los registros de costo y su historial
+const Precio = require('../models/precioModel'); // Modelo de precios (para informar el margen resultante)
+const Producto = require('../models/productoModel'); // Modelo para verificar la existencia del producto
+const Proveedor = require('../models/proveedorModel'); // Modelo para validar el proveedor (opcional)
+const Cotizacion = require('../models/cotizacionModel'); // Monedas admitidas
+const { resumirMargen } = require('../utils/margen'); // Cálculo de margen y markup
+
+// Objeto controlador que agrupa las funciones de manejo de costos
+const costoController = {};
+
+/**
+ * Función controladora para registrar el costo vigente de un producto.
+ * Igual que con los precios, registrar un costo nuevo deja el anterior en el historial.
+ * Método HTTP: POST /api/costos
+ * @param {object} req - Objeto de solicitud de Express (contiene el body).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+costoController.crearCosto = async (req, res) => {
+    try {
+        const { productoId, costo, moneda, proveedorId } = req.body;
+
+        console.log(`🧮 Registrando costo para producto: ${productoId}`); // Log de inicio
+
+        // 1. Validación de campos requeridos
+        if (!productoId || typeof costo !== 'number' || costo < 0) {
+            return res.status(400).json({
+                error: 'productoId y un costo mayor o igual a 0 son requeridos.'
+            });
+        }
+        if (moneda !== undefined && !Cotizacion.MONEDAS.includes(moneda)) {
+            return res.status(400).json({
+                error: `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.`
+            });
+        }
+
+        // 2. Verificar que el producto existe
+        const producto = await Producto.findById(productoId);
+        if (!producto) {
+            return res.status(404).json({
+                error: 'Producto no encontrado.'
+            });
+        }
+
+        // 3. Verificar el proveedor si se indicó
+        if (proveedorId) {
+            const proveedor = await Proveedor.findById(proveedorId);
+            if (!proveedor || !proveedor.activo) {
+                return res.status(404).json({
+                    error: 'Proveedor no encontrado o inactivo.'
+                });
+            }
+        }
+
+        // 4. Guardar el nuevo costo (desactiva el anterior)
+        const costoObj = new Costo({
+            productoId,
+            costo,
+            moneda,
+            proveedorId,
+            usuarioId: req.user.id
+        });
+        const costoCreado = await costoObj.save();
+
+        // 5. Informar cómo queda el margen con el precio vigente
+        const precio = await Precio.findByProductoId(productoId);
+
+        console.log(`✅ Costo registrado para producto: ${productoId}`); // Log de éxito
+
+        res.status(201).json({
+            message: 'Costo registrado exitosamente',
+            costo: costoCreado,
+            margen: resumirMargen(precio, costoCreado)
+        });
+
+    } catch (error) {
+        // Manejo de errores internos del servidor
+        console.error('❌ Error registrando costo:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al registrar costo.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener el costo *vigente* de un producto.
+ * Método HTTP: GET /api/costos/producto/:productoId
+ * @param {object} req - Objeto de solicitud de Express (contiene params).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+costoController.obtenerCostoProducto = async (req, res) => {
+    try {
+        const { productoId } = req.params;
+
+        const costo = await Costo.findByProductoId(productoId);
+        if (!costo) {
+            return res.status(404).json({
+                error: 'Costo no encontrado para este producto.'
+            });
+        }
+
+        console.log(`✅ Costo obtenido para producto: ${productoId}`); // Log de éxito
+
+        res.json({
+            costo
+        });
+
+    } catch (error) {
+        // Manejo de errores internos del servidor
+        console.error('❌ Error obteniendo costo:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener costo.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener el historial completo de costos de un producto.
+ * Método HTTP: GET /api/costos/historial/:productoId
+ * @param {object} req - Objeto de solicitud de Express (contiene params).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+costoController.obtenerHistorialCostos = async (req, res) => {
+    try {
+        const { productoId } = req.params;
+
+        const historial = await Costo.findHistorialByProductoId(productoId);
+
+        console.log(`✅ Historial de costos obtenido: ${historial.length} registros`); // Log de éxito
+
+        res.json({
+            productoId,
+            historial,
+            total: historial.length
+        });
+
+    } catch (error) {
+        // Manejo de errores internos del servidor
+        console.error('❌ Error obteniendo historial de costos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener historial de costos.'
+        });
+    }
+};
+
+// Exportar el objeto controlador
+module.exports = costoController;
@@ -0,0 +1,143 @@
+// Importación de los modelos y utilidades necesarios
+const Cotizacion = require('../models/cotizacionModel'); // Modelo de cotizaciones (tipos de cambio)
+const { parsearFechaFiltro } = require('../utils/fechas'); // Lectura de fechas 'AAAA-MM-DD' o ISO
+
+// Objeto controlador que contendrá todas las funciones de manejo de cotizaciones
+const cotizacionController = {};
+
+/**
+ * Función controladora para cargar la cotización de una moneda.
+ * El valor se expresa en la moneda base (ej: USD 1 = ARS 1.250); sin 'fecha', rige desde ahora.
+ * Método HTTP: POST /api/cotizaciones
+ * @param {object} req - Objeto de solicitud de Express (contiene el body).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+cotizacionController.crearCotizacion = async (req, res) => {
+    try {
+        const { moneda, valor, fecha } = req.body;
+
+        console.log(`💱 Cargando cotización: ${moneda} ${valor}`); // Log de inicio del proceso
+
+        // 1. Validaciones
+        const monedasCotizables = Cotizacion.MONEDAS.filter(m => m !== Cotizacion.MONEDA_BASE);
+        if (!monedasCotizables.includes(moneda)) {
+            return res.status(400).json({
+                error: `Moneda inválida. Use: ${monedasCotizables.join(', ')}.`
+            });
+        }
+        if (typeof valor !== 'number' || valor <= 0) {
+            return res.status(400).json({
+                error: 'El valor de la cotización debe ser un número mayor a 0.'
+            });
+        }
+        const vigenteDesde = parsearFechaFiltro(fecha);
+        if (vigenteDesde === undefined) {
+            return res.status(400).json({
+                error: 'La fecha no es válida.'
+            });
+        }
+
+        // 2. Crear y guardar la cotización
+        const cotizacion = new Cotizacion({
+            moneda,
+            valor,
+            fecha: vigenteDesde || undefined,
+            usuarioId: req.user.id
+        });
+        const cotizacionCreada = await cotizacion.save();
+
+        console.log(`✅ Cotización cargada: ${cotizacionCreada.id}`); // Log de éxito
+
+        // 3. Enviar respuesta de éxito 201 (Created)
+        res.status(201).json({
+            message: 'Cotización cargada exitosamente',
+            cotizacion: cotizacionCreada
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error cargando cotización:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al cargar cotización.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener el historial de cotizaciones.
+ * Filtros opcionales por query: ?moneda=USD&desde=AAAA-MM-DD&hasta=AAAA-MM-DD
+ * Método HTTP: GET /api/cotizaciones
+ * @param {object} req - Objeto de solicitud de Express (contiene 'query').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+cotizacionController.obtenerCotizaciones = async (req, res) => {
+    try {
+        const { moneda } = req.query;
+        const desde = parsearFechaFiltro(req.query.desde);
+        const hasta = parsearFechaFiltro(req.query.hasta, { finDelDia: true });
+        if (desde === undefined || hasta === undefined) {
+            return res.status(400).json({
+                error: 'Las fechas del filtro no son válidas.'
+            });
+        }
+
+        const cotizaciones = await Cotizacion.findHistorial({ moneda, desde, hasta });
+
+        console.log(`✅ Obtenidas ${cotizaciones.length} cotizaciones`); // Log de éxito
+
+        res.json({
+            cotizaciones,
+            total: cotizaciones.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo cotizaciones:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener cotizaciones.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener la cotización vigente de cada moneda.
+ * Con '?fecha=' devuelve las que regían en ese momento.
+ * Método HTTP: GET /api/cotizaciones/vigentes
+ * @param {object} req - Objeto de solicitud de Express (contiene 'query').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+cotizacionController.obtenerVigentes = async (req, res) => {
+    try {
+        const fecha = parsearFechaFiltro(req.query.fecha);
+        if (fecha === undefined) {
+            return res.status(400).json({
+                error: 'La fecha no es válida.'
+            });
+        }
+
+        const monedas = Cotizacion.MONEDAS.filter(m => m !== Cotizacion.MONEDA_BASE);
+        const vigentes = await Promise.all(monedas.map(moneda => Cotizacion.findVigente(moneda, fecha || new Date())));
+
+        console.log('✅ Cotizaciones vigentes obtenidas'); // Log de éxito
+
+        res.json({
+            monedaBase: Cotizacion.MONEDA_BASE,
+            fecha: fecha || new Date(),
+            cotizaciones: vigentes.filter(Boolean)
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo cotizaciones vigentes:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener cotizaciones vigentes.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = cotizacionController;
@@ -0,0 +1,347 @@
+// Importación de los modelos y utilidades necesarios
+const Cupon = require('../models/cuponModel'); // Modelo de cupones de descuento
+const Cotizacion = require('../models/cotizacionModel'); // Monedas admitidas
+const { parsearFechaFiltro } = require('../utils/fechas'); // Lectura de 'AAAA-MM-DD' o ISO
+const { esViolacionDeRestriccion } = require('../database'); // Duplicados rechazados por la base
+
+// Objeto controlador que contendrá todas las funciones de manejo de cupones
+const cuponController = {};
+
+// Campos de un cupón que se pueden enviar al crearlo o modificarlo.
+const CAMPOS = [
+    'codigo', 'descripcion', 'tipo', 'porcentaje', 'monto', 'moneda', 'montoMinimo', 'vence',
+    'usosMaximos', 'usosPorCliente'
+];
+
+/**
+ * Valida un cupón completo (el nuevo o el existente con los cambios aplicados).
+ * @param {object} cupon - Datos del cupón.
+ * @returns {string|null} El mensaje de error, o null si el cupón es válido.
+ */
+const validarCupon = (cupon) => {
+    const { tipo, porcentaje, monto, montoMinimo, usosMaximos, usosPorCliente } = cupon;
+    const definido = (valor) => valor !== undefined && valor !== null;
+    const limiteValido = (valor) => !definido(valor) || (Number.isInteger(valor) && valor > 0);
+
+    if (!cupon.codigo) {
+        return 'El código del cupón es requerido.';
+    }
+    if (!Cupon.TIPOS.includes(tipo)) {
+        return `Tipo de cupón inválido. Use: ${Cupon.TIPOS.join(', ')}.`;
+    }
+    if (tipo === 'porcentaje' && (typeof porcentaje !== 'number' || porcentaje <= 0 || porcentaje > 100)) {
+        return 'Los cupones por porcentaje requieren un porcentaje mayor a 0 y hasta 100.';
+    }
+    if (tipo === 'monto' && (typeof monto !== 'number' || monto <= 0)) {
+        return 'Los cupones por monto requieren un monto mayor a 0.';
+    }
+    if (!Cotizacion.MONEDAS.includes(cupon.moneda)) {
+        return `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.`;
+    }
+    if (definido(montoMinimo) && (typeof montoMinimo !== 'number' || montoMinimo <= 0)) {
+        return 'El montoMinimo debe ser un número mayor a 0.';
+    }
+    if (!limiteValido(usosMaximos) || !limiteValido(usosPorCliente)) {
+        return 'usosMaximos y usosPorCliente deben ser enteros mayores a 0 (o null para no limitar).';
+    }
+    if (definido(usosMaximos) && cupon.usos > usosMaximos) {
+        return `El cupón ya tiene ${cupon.usos} usos; usosMaximos no puede ser menor.`;
+    }
+    return null;
+};
+
+/**
+ * Toma del body los campos del cupón, normalizando el código y convirtiendo el vencimiento.
+ * @param {object} body - Body de la solicitud.
+ * @returns {object} { datos } con los campos enviados, o { error } si el vencimiento no es válido.
+ */
+const leerDatos = (body) => {
+    const datos = {};
+    CAMPOS.filter(campo => body[campo] !== undefined).forEach(campo => { datos[campo] = body[campo]; });
+
+    if (body.codigo !== undefined) {
+        datos.codigo = Cupon.normalizarCodigo(body.codigo);
+    }
+    if (body.vence !== undefined) {
+        // El cupón vale hasta el final del día indicado.
+        datos.vence = parsearFechaFiltro(body.vence, { finDelDia: true });
+        if (datos.vence === undefined) return { error: 'vence no es una fecha válida.' };
+    }
+    return { datos };
+};
+
+/**
+ * Función controladora para crear un cupón.
+ * Tipos: 'porcentaje' y 'monto'; límites opcionales de usos (totales y por cliente), compra
+ * mínima y vencimiento. El código no distingue mayúsculas y no puede repetirse entre los activos.
+ * Método HTTP: POST /api/cupones
+ * @param {object} req - Objeto de solicitud de Express (contiene el body).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+cuponController.crearCupon = async (req, res) => {
+    try {
+        console.log(`🎟️ Creando cupón: ${req.body.codigo}`); // Log de inicio del proceso
+
+        // 1. Leer y validar los datos (con los valores por defecto del modelo)
+        const { datos, error: errorFecha } = leerDatos(req.body);
+        if (errorFecha) {
+            return res.status(400).json({
+                error: errorFecha
+            });
+        }
+        const cupon = new Cupon(datos);
+        const errorValidacion = validarCupon(cupon);
+        if (errorValidacion) {
+            return res.status(400).json({
+                error: errorValidacion
+            });
+        }
+
+        // 2. Verificar que el código no esté en uso
+        if (await Cupon.findByCodigo(cupon.codigo)) {
+            return res.status(409).json({
+                error: `Ya existe un cupón activo con el código ${cupon.codigo}.`
+            });
+        }
+
+        // 3. Guardar el cupón
+        const cuponCreado = await cupon.save();
+
+        console.log(`✅ Cupón creado exitosamente: ${cuponCreado.id}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito 201 (Created)
+        res.status(201).json({
+            message: 'Cupón creado exitosamente',
+            cupon: cuponCreado
+        });
+
+    } catch (error) {
+        // Otra operación simultánea pasó la misma verificación y la base rechazó el duplicado
+        if (esViolacionDeRestriccion(error)) {
+            return res.status(409).json({
+                error: 'Ya existe un cupón activo con ese código.'
+            });
+        }
+        // Manejo de errores generales
+        console.error('❌ Error creando cupón:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al crear cupón.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener los cupones activos (con sus usos).
+ * Método HTTP: GET /api/cupones
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+cuponController.obtenerCupones = async (req, res) => {
+    try {
+        const cupones = await Cupon.findAll();
+
+        console.log(`✅ Obtenidos ${cupones.length} cupones`); // Log de éxito
+
+        res.json({
+            cupones,
+            total: cupones.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo cupones:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener cupones.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener un cupón por su ID.
+ * Indica además si se puede usar en este momento (sin considerar límites por cliente).
+ * Método HTTP: GET /api/cupones/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+cuponController.obtenerCupon = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const cupon = await Cupon.findById(id);
+        if (!cupon) {
+            return res.status(404).json({
+                error: 'Cupón no encontrado.'
+            });
+        }
+
+        console.log(`✅ Cupón obtenido: ${cupon.codigo}`); // Log de éxito
+
+        const motivo = Cupon.verificarDisponible({ ...cupon, usosPorCliente: null });
+        res.json({
+            cupon,
+            disponible: motivo === null,
+            motivo
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo cupón:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener cupón.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener los canjes de un cupón (pedido, cliente y descuento).
+ * Con '?email=' sólo los de ese cliente. Incluye los anulados (pedidos cancelados).
+ * Método HTTP: GET /api/cupones/:id/canjes
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params' y 'query').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+cuponController.obtenerCanjes = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const cupon = await Cupon.findById(id);
+        if (!cupon) {
+            return res.status(404).json({
+                error: 'Cupón no encontrado.'
+            });
+        }
+
+        const canjes = await Cupon.findCanjes(id, { email: req.query.email });
+
+        console.log(`✅ Obtenidos ${canjes.length} canjes del cupón ${cupon.codigo}`); // Log de éxito
+
+        res.json({
+            cupon: { id: cupon.id, codigo: cupon.codigo, usos: cupon.usos, usosMaximos: cupon.usosMaximos },
+            canjes,
+            total: canjes.length,
+            aplicados: canjes.filter(canje => canje.estado === 'aplicado').length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo canjes de cupón:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener canjes de cupón.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para modificar un cupón.
+ * Los cambios se validan sobre el cupón completo; los pedidos ya creados no cambian.
+ * Método HTTP: PUT /api/cupones/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params' y 'body').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+cuponController.actualizarCupon = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🔄 Actualizando cupón: ${id}`); // Log de inicio
+
+        // 1. Verificar si el cupón existe
+        const cuponExistente = await Cupon.findById(id);
+        if (!cuponExistente || !cuponExistente.activo) {
+            return res.status(404).json({
+                error: 'Cupón no encontrado.'
+            });
+        }
+
+        // 2. Validar el cupón con los cambios aplicados
+        const { datos, error: errorFecha } = leerDatos(req.body);
+        if (errorFecha) {
+            return res.status(400).json({
+                error: errorFecha
+            });
+        }
+        const errorValidacion = validarCupon({ ...cuponExistente, ...datos });
+        if (errorValidacion) {
+            return res.status(400).json({
+                error: errorValidacion
+            });
+        }
+
+        // 3. Si cambia el código, verificar que no esté en uso
+        if (datos.codigo && datos.codigo !== cuponExistente.codigo && await Cupon.findByCodigo(datos.codigo)) {
+            return res.status(409).json({
+                error: `Ya existe un cupón activo con el código ${datos.codigo}.`
+            });
+        }
+
+        // 4. Guardar los cambios
+        await Cupon.update(id, datos);
+
+        console.log(`✅ Cupón actualizado: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Cupón actualizado exitosamente'
+        });
+
+    } catch (error) {
+        // Otra operación simultánea pasó la misma verificación y la base rechazó el duplicado
+        if (esViolacionDeRestriccion(error)) {
+            return res.status(409).json({
+                error: 'Ya existe un cupón activo con ese código.'
+            });
+        }
+        // Manejo de errores generales
+        console.error('❌ Error actualizando cupón:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar cupón.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para eliminar (desactivar) un cupón.
+ * El código deja de aceptarse; el historial de canjes se conserva.
+ * Método HTTP: DELETE /api/cupones/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+cuponController.eliminarCupon = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🗑️ Eliminando cupón: ${id}`); // Log de inicio
+
+        const cuponExistente = await Cupon.findById(id);
+        if (!cuponExistente || !cuponExistente.activo) {
+            return res.status(404).json({
+                error: 'Cupón no encontrado.'
+            });
+        }
+
+        await Cupon.delete(id);
+
+        console.log(`✅ Cupón eliminado: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Cupón eliminado exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error eliminando cupón:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al eliminar cupón.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = cuponController;
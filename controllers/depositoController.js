@@ -0,0 +1,290 @@
+// Importación de los modelos necesarios
+const Deposito = require('../models/depositoModel'); // Modelo de depósitos
+const Stock = require('../models/stockModel'); // Modelo de stock (para consultar el inventario de cada depósito)
+
+// Objeto controlador que contendrá todas las funciones de manejo de depósitos
+const depositoController = {};
+
+/**
+ * Función controladora para crear un nuevo depósito.
+ * Método HTTP: POST /api/depositos
+ * @param {object} req - Objeto de solicitud de Express (contiene el body).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+depositoController.crearDeposito = async (req, res) => {
+    try {
+        // Desestructurar los datos del depósito desde el cuerpo de la solicitud
+        const { nombre, descripcion, direccion, cuarentena } = req.body;
+
+        console.log(`🏬 Creando depósito: ${nombre}`); // Log de inicio del proceso
+
+        // 1. Validación de campos requeridos
+        if (!nombre) {
+            return res.status(400).json({
+                error: 'El nombre del depósito es requerido.'
+            });
+        }
+        if (cuarentena !== undefined && typeof cuarentena !== 'boolean') {
+            return res.status(400).json({
+                error: 'cuarentena debe ser true o false.'
+            });
+        }
+
+        // 2. Asegurar que exista el depósito principal antes de crear otros
+        await Deposito.obtenerPrincipal();
+
+        // 3. Crear y guardar el depósito
+        const deposito = new Deposito({
+            nombre,
+            descripcion,
+            direccion,
+            cuarentena
+        });
+        const depositoCreado = await deposito.save();
+
+        console.log(`✅ Depósito creado exitosamente: ${nombre}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito 201 (Created) con el depósito creado
+        res.status(201).json({
+            message: 'Depósito creado exitosamente',
+            deposito: depositoCreado
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error creando depósito:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al crear depósito.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener todos los depósitos activos.
+ * Método HTTP: GET /api/depositos
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+depositoController.obtenerDepositos = async (req, res) => {
+    try {
+        // 1. Asegurar el depósito principal y buscar todos los activos
+        await Deposito.obtenerPrincipal();
+        const depositos = await Deposito.findAll();
+
+        console.log(`✅ Obtenidos ${depositos.length} depósitos`); // Log de éxito
+
+        // 2. Enviar respuesta exitosa con los depósitos y el total
+        res.json({
+            depositos,
+            total: depositos.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo depósitos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener depósitos.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener un depósito por su ID.
+ * Método HTTP: GET /api/depositos/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+depositoController.obtenerDeposito = async (req, res) => {
+    try {
+        // 1. Obtener el ID del depósito desde los parámetros de la URL
+        const { id } = req.params;
+
+        // 2. Buscar el depósito
+        const deposito = await Deposito.findById(id);
+        if (!deposito) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado.'
+            });
+        }
+
+        console.log(`✅ Depósito obtenido: ${deposito.nombre}`); // Log de éxito
+
+        // 3. Enviar respuesta exitosa con el depósito
+        res.json({
+            deposito
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo depósito:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener depósito.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener el stock guardado en un depósito.
+ * Método HTTP: GET /api/depositos/:id/stock
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+depositoController.obtenerStockDeposito = async (req, res) => {
+    try {
+        // 1. Obtener el ID del depósito y verificar que existe
+        const { id } = req.params;
+        const deposito = await Deposito.findById(id);
+        if (!deposito) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado.'
+            });
+        }
+
+        // 2. Buscar los registros de stock del depósito
+        const stocks = await Stock.findByDeposito(id);
+
+        console.log(`✅ Obtenidos ${stocks.length} registros de stock en: ${deposito.nombre}`); // Log de éxito
+
+        // 3. Enviar respuesta exitosa
+        res.json({
+            deposito,
+            stocks,
+            total: stocks.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo stock del depósito:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener stock del depósito.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para actualizar un depósito por su ID.
+ * Método HTTP: PUT /api/depositos/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params' y 'body').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+depositoController.actualizarDeposito = async (req, res) => {
+    try {
+        // 1. Obtener el ID de los parámetros y los datos del cuerpo
+        const { id } = req.params;
+        const { nombre, descripcion, direccion, cuarentena } = req.body;
+
+        console.log(`🔄 Actualizando depósito: ${id}`); // Log de inicio
+
+        // 2. Verificar si el depósito existe
+        const depositoExistente = await Deposito.findById(id);
+        if (!depositoExistente) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado.'
+            });
+        }
+        if (cuarentena !== undefined && typeof cuarentena !== 'boolean') {
+            return res.status(400).json({
+                error: 'cuarentena debe ser true o false.'
+            });
+        }
+        // El depósito principal es donde se vende por defecto: no puede ser de cuarentena
+        if (cuarentena === true && depositoExistente.principal) {
+            return res.status(400).json({
+                error: 'El depósito principal no puede ser de cuarentena.'
+            });
+        }
+
+        // 3. Actualizar solo los campos enviados ('principal' y 'activo' no se editan aquí)
+        const updateData = {};
+        if (nombre !== undefined) updateData.nombre = nombre;
+        if (descripcion !== undefined) updateData.descripcion = descripcion;
+        if (direccion !== undefined) updateData.direccion = direccion;
+        if (cuarentena !== undefined) updateData.cuarentena = cuarentena;
+
+        await Deposito.update(id, updateData);
+
+        console.log(`✅ Depósito actualizado: ${id}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito
+        res.json({
+            message: 'Depósito actualizado exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error actualizando depósito:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar depósito.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para eliminar (desactivar) un depósito por su ID.
+ * No se puede eliminar el depósito principal ni un depósito que todavía tenga unidades.
+ * Método HTTP: DELETE /api/depositos/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+depositoController.eliminarDeposito = async (req, res) => {
+    try {
+        // 1. Obtener el ID del depósito a eliminar
+        const { id } = req.params;
+
+        console.log(`🗑️ Eliminando depósito: ${id}`); // Log de inicio
+
+        // 2. Verificar si el depósito existe
+        const depositoExistente = await Deposito.findById(id);
+        if (!depositoExistente) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado.'
+            });
+        }
+
+        // 3. Proteger el depósito principal
+        if (depositoExistente.principal) {
+            return res.status(409).json({
+                error: 'No se puede eliminar el depósito principal.'
+            });
+        }
+
+        // 4. El depósito debe estar vacío (las unidades deben transferirse antes)
+        const stocks = await Stock.findByDeposito(id);
+        const unidades = stocks.reduce((total, stock) => total + (stock.cantidad || 0), 0);
+        if (unidades > 0) {
+            return res.status(409).json({
+                error: `El depósito todavía tiene ${unidades} unidades. Transfiéralas antes de eliminarlo.`
+            });
+        }
+
+        // 5. Eliminación lógica
+        await Deposito.delete(id);
+
+        console.log(`✅ Depósito eliminado: ${id}`); // Log de éxito
+
+        // 6. Enviar respuesta de éxito
+        res.json({
+            message: 'Depósito eliminado exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error eliminando depósito:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al eliminar depósito.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = depositoController;
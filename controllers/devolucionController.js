@@ -0,0 +1,440 @@
+// Importación de los modelos necesarios
+const Devolucion = require('../models/devolucionModel'); // Modelo de devoluciones
+const Pedido = require('../models/pedidoModel'); // Modelo de pedidos (lo que se devuelve)
+const Deposito = require('../models/depositoModel'); // Modelo de depósitos (a dónde vuelve la mercadería)
+const Pago = require('../models/pagoModel'); // Medios con los que se reintegra el dinero
+
+// Objeto controlador que contendrá todas las funciones de manejo de devoluciones
+const devolucionController = {};
+
+/**
+ * Valida una lista de productos { productoId, cantidad } del body.
+ * @param {Array} productos - Productos enviados.
+ * @returns {string|null} El mensaje de error, o null si la lista es válida.
+ */
+const validarProductos = (productos) => {
+    if (!Array.isArray(productos) || productos.length === 0) {
+        return 'Debe indicar al menos un producto.';
+    }
+    if (productos.some(item => !item || !item.productoId || !Number.isInteger(item.cantidad) || item.cantidad <= 0)) {
+        return 'Cada producto debe tener productoId y una cantidad entera mayor a 0.';
+    }
+    return null;
+};
+
+/**
+ * Función controladora para solicitar una devolución de productos de un pedido.
+ * Las cantidades no pueden superar lo vendido menos lo ya devuelto; cada producto se valora
+ * a lo que efectivamente se cobró en el pedido (con descuentos e IVA).
+ * Método HTTP: POST /api/devoluciones
+ * @param {object} req - Objeto de solicitud de Express (body: pedidoId, productos [{ productoId, cantidad }], motivo).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+devolucionController.crearDevolucion = async (req, res) => {
+    try {
+        const { pedidoId, productos, motivo } = req.body;
+
+        console.log(`↩️ Solicitando devolución del pedido: ${pedidoId}`); // Log de inicio del proceso
+
+        // 1. Validar los datos
+        if (!pedidoId) {
+            return res.status(400).json({
+                error: 'El pedidoId es requerido.'
+            });
+        }
+        const errorProductos = validarProductos(productos);
+        if (errorProductos) {
+            return res.status(400).json({
+                error: errorProductos
+            });
+        }
+
+        // 2. Verificar el pedido (los empleados solo gestionan devoluciones de sus ventas)
+        const pedido = await Pedido.findById(pedidoId);
+        if (!pedido) {
+            return res.status(404).json({
+                error: 'Pedido no encontrado.'
+            });
+        }
+        if (req.user.rol === 'empleado' && pedido.vendedorId !== req.user.id) {
+            return res.status(403).json({
+                error: 'No tienes permiso para gestionar este pedido.'
+            });
+        }
+
+        // 3. Guardar la devolución (valida contra lo vendido en la misma transacción)
+        const devolucion = new Devolucion({
+            pedidoId,
+            productos: productos.map(({ productoId, cantidad }) => ({ productoId, cantidad })),
+            motivo,
+            usuarioId: req.user.id
+        });
+        let devolucionCreada;
+        try {
+            devolucionCreada = await devolucion.save();
+        } catch (error) {
+            if (error.code === 'estado-invalido') {
+                return res.status(409).json({
+                    error: `El pedido está '${error.estadoActual}' y no admite devoluciones.`,
+                    estadoActual: error.estadoActual
+                });
+            }
+            if (error.code === 'devolucion-invalida') {
+                return res.status(400).json({
+                    error: 'Las cantidades no pueden superar lo vendido sin devolver.',
+                    productos: error.productos
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Devolución creada exitosamente: ${devolucionCreada.id}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito 201 (Created)
+        res.status(201).json({
+            message: 'Devolución solicitada exitosamente',
+            devolucion: devolucionCreada
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error creando devolución:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al crear devolución.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener las devoluciones.
+ * Admite filtros opcionales por query string: pedidoId y estado.
+ * Método HTTP: GET /api/devoluciones
+ * @param {object} req - Objeto de solicitud de Express (contiene query).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+devolucionController.obtenerDevoluciones = async (req, res) => {
+    try {
+        const { pedidoId, estado } = req.query;
+
+        if (estado && !Devolucion.ESTADOS.includes(estado)) {
+            return res.status(400).json({
+                error: 'Estado inválido.',
+                estadosValidos: Devolucion.ESTADOS
+            });
+        }
+
+        const devoluciones = await Devolucion.findAll({ pedidoId, estado });
+
+        console.log(`✅ Obtenidas ${devoluciones.length} devoluciones`); // Log de éxito
+
+        res.json({
+            devoluciones,
+            total: devoluciones.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo devoluciones:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener devoluciones.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener una devolución por su ID, con los estados a los
+ * que puede pasar manualmente.
+ * Método HTTP: GET /api/devoluciones/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+devolucionController.obtenerDevolucion = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const devolucion = await Devolucion.findById(id);
+        if (!devolucion) {
+            return res.status(404).json({
+                error: 'Devolución no encontrada.'
+            });
+        }
+
+        console.log(`✅ Devolución obtenida: ${id}`); // Log de éxito
+
+        res.json({
+            devolucion,
+            estadosSiguientes: Devolucion.estadosSiguientes(devolucion.estado)
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo devolución:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener devolución.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para aprobar, rechazar o cancelar una devolución.
+ * Las rechazadas y canceladas liberan las unidades para otra solicitud.
+ * Método HTTP: PATCH /api/devoluciones/:id/estado
+ * @param {object} req - Objeto de solicitud de Express (body: estado, comentario).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+devolucionController.actualizarEstado = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { estado, comentario } = req.body;
+
+        // 1. Validar que el estado exista
+        if (!Devolucion.ESTADOS.includes(estado)) {
+            return res.status(400).json({
+                error: 'Estado inválido.',
+                estadosValidos: Devolucion.ESTADOS
+            });
+        }
+
+        // 2. Aplicar el cambio (el modelo valida la transición)
+        let devolucion;
+        try {
+            devolucion = await Devolucion.updateEstado(id, estado, {
+                usuarioId: req.user.id,
+                comentario: comentario || null
+            });
+        } catch (error) {
+            if (error.code === 'not-found') {
+                return res.status(404).json({
+                    error: 'Devolución no encontrada.'
+                });
+            }
+            if (error.code === 'transicion-invalida') {
+                return res.status(409).json({
+                    error: error.message,
+                    estadoActual: error.estadoActual,
+                    estadosPermitidos: error.estadosPermitidos
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Estado de devolución actualizado: ${id} -> ${estado}`); // Log de éxito
+
+        res.json({
+            message: 'Estado de la devolución actualizado exitosamente',
+            devolucion
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error actualizando estado de devolución:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar estado de devolución.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para recibir la mercadería de una devolución aprobada.
+ * Las unidades vuelven al stock del depósito indicado (por defecto, el del pedido); las
+ * marcadas con 'cuarentena' (dañadas o a revisar) van al depósito de cuarentena indicado.
+ * Si no se envían productos, se recibe todo lo aprobado en el depósito.
+ * Los empleados solo pueden recibir las devoluciones de sus propios pedidos.
+ * Método HTTP: POST /api/devoluciones/:id/recepcion
+ * @param {object} req - Objeto de solicitud de Express (body: depositoId, depositoCuarentenaId, productos [{ productoId, cantidad, cuarentena }], comentario).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+devolucionController.registrarRecepcion = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { depositoId, depositoCuarentenaId, productos, comentario } = req.body;
+
+        console.log(`📥 Recibiendo devolución: ${id}`); // Log de inicio
+
+        // 1. Validar los productos recibidos (opcionales)
+        if (productos !== undefined) {
+            const errorProductos = validarProductos(productos);
+            if (errorProductos) {
+                return res.status(400).json({
+                    error: errorProductos
+                });
+            }
+        }
+
+        const devolucion = await Devolucion.findById(id);
+        if (!devolucion) {
+            return res.status(404).json({
+                error: 'Devolución no encontrada.'
+            });
+        }
+        // Los empleados solo reciben devoluciones de sus propios pedidos (igual que al solicitarlas)
+        if (req.user.rol === 'empleado') {
+            const pedido = await Pedido.findById(devolucion.pedidoId);
+            if (!pedido || pedido.vendedorId !== req.user.id) {
+                return res.status(403).json({
+                    error: 'No tienes permiso para gestionar este pedido.'
+                });
+            }
+        }
+
+        // 2. Resolver los depósitos: el de reingreso no puede ser de cuarentena y viceversa
+        const deposito = await Deposito.resolver(depositoId || devolucion.depositoId);
+        if (!deposito) {
+            return res.status(400).json({
+                error: 'Depósito no encontrado o inactivo.'
+            });
+        }
+        if (deposito.cuarentena) {
+            return res.status(400).json({
+                error: 'Las unidades en cuarentena se indican con cuarentena: true en cada producto y depositoCuarentenaId.'
+            });
+        }
+        let depositoCuarentena = null;
+        if (productos && productos.some(item => item.cuarentena === true)) {
+            depositoCuarentena = depositoCuarentenaId ? await Deposito.resolver(depositoCuarentenaId) : null;
+            if (!depositoCuarentena || !depositoCuarentena.cuarentena) {
+                return res.status(400).json({
+                    error: 'Indique en depositoCuarentenaId un depósito de cuarentena activo.'
+                });
+            }
+        }
+
+        // 3. Registrar la recepción (todo o nada)
+        let devolucionActualizada;
+        try {
+            devolucionActualizada = await Devolucion.recibir(id, {
+                depositoId: deposito.id,
+                depositoCuarentenaId: depositoCuarentena ? depositoCuarentena.id : null,
+                items: productos
+                    ? productos.map(({ productoId, cantidad, cuarentena }) => ({ productoId, cantidad, cuarentena: cuarentena === true }))
+                    : null,
+                usuarioId: req.user.id,
+                comentario: comentario || null
+            });
+        } catch (error) {
+            if (error.code === 'estado-invalido') {
+                return res.status(409).json({
+                    error: `La devolución está '${error.estadoActual}' y no admite recepciones (debe estar aprobada).`,
+                    estadoActual: error.estadoActual
+                });
+            }
+            if (error.code === 'recepcion-invalida') {
+                return res.status(400).json({
+                    error: 'La recepción no coincide con lo aprobado. No se ingresó stock.',
+                    productos: error.productos
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Devolución recibida: ${id}`); // Log de éxito
+
+        res.status(201).json({
+            message: 'Recepción de la devolución registrada exitosamente',
+            recepcion: devolucionActualizada.recepcion,
+            devolucion: devolucionActualizada
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error recibiendo devolución:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al recibir devolución.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para resolver una devolución recibida con su nota de crédito.
+ * El importe cancela primero el saldo pendiente del pedido; el resto se reintegra ('reintegro',
+ * con medio), queda como saldo a favor del cliente ('credito') o paga el pedido con los
+ * productos entregados a cambio ('cambio', con pedidoCambioId creado previamente).
+ * Método HTTP: POST /api/devoluciones/:id/resolucion
+ * @param {object} req - Objeto de solicitud de Express (body: resolucion, medio, referencia, pedidoCambioId, comentario).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+devolucionController.resolverDevolucion = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { resolucion, medio, referencia, pedidoCambioId, comentario } = req.body;
+
+        console.log(`🧾 Resolviendo devolución: ${id} (${resolucion})`); // Log de inicio
+
+        // 1. Validar la resolución
+        if (!Devolucion.RESOLUCIONES.includes(resolucion)) {
+            return res.status(400).json({
+                error: `Resolución inválida. Use: ${Devolucion.RESOLUCIONES.join(', ')}.`
+            });
+        }
+        if (medio !== undefined && !Pago.MEDIOS_REINTEGRO.includes(medio)) {
+            return res.status(400).json({
+                error: `Medio de reintegro inválido. Use: ${Pago.MEDIOS_REINTEGRO.join(', ')}.`
+            });
+        }
+
+        // 2. Emitir la nota de crédito (una única transacción)
+        let devolucion;
+        try {
+            devolucion = await Devolucion.resolver(id, {
+                resolucion,
+                medio: medio || null,
+                referencia: referencia || null,
+                pedidoCambioId: pedidoCambioId || null,
+                usuarioId: req.user.id,
+                comentario: comentario || null
+            });
+        } catch (error) {
+            if (error.code === 'not-found') {
+                return res.status(404).json({
+                    error: 'Devolución no encontrada.'
+                });
+            }
+            if (error.code === 'estado-invalido') {
+                return res.status(409).json({
+                    error: `La devolución está '${error.estadoActual}' y no se puede resolver (debe estar recibida).`,
+                    estadoActual: error.estadoActual
+                });
+            }
+            if (error.code === 'medio-requerido') {
+                return res.status(400).json({
+                    error: error.message,
+                    reintegro: error.reintegro
+                });
+            }
+            if (['sin-cliente', 'cambio-invalido'].includes(error.code)) {
+                return res.status(400).json({
+                    error: error.message
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Devolución resuelta: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Devolución resuelta exitosamente',
+            notaCredito: devolucion.notaCredito,
+            devolucion
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error resolviendo devolución:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al resolver devolución.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = devolucionController;
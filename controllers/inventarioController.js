@@ -0,0 +1,395 @@
+// Importación de los modelos necesarios
+const Inventario = require('../models/inventarioModel'); // Modelo de conteos físicos de inventario
+const Deposito = require('../models/depositoModel'); // Modelo de depósitos (lugar que se cuenta)
+const Categoria = require('../models/categoriaModel'); // Modelo de categorías (para acotar el conteo)
+const Producto = require('../models/productoModel'); // Modelo de productos (planilla de conteo)
+const Stock = require('../models/stockModel'); // Modelo de stock (productos presentes en el depósito)
+
+// Objeto controlador que contendrá todas las funciones de manejo de conteos de inventario
+const inventarioController = {};
+
+/**
+ * Función controladora para abrir un conteo de inventario de un depósito.
+ * Si se indica 'categoriaId', el conteo se limita a los productos de esa categoría;
+ * si no, incluye todos los productos con stock en el depósito.
+ * Método HTTP: POST /api/inventarios
+ * @param {object} req - Objeto de solicitud de Express (body: depositoId, categoriaId, observaciones).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+inventarioController.crearInventario = async (req, res) => {
+    try {
+        const { depositoId, categoriaId, observaciones } = req.body;
+
+        console.log(`📋 Abriendo conteo de inventario: ${depositoId || 'depósito principal'}`); // Log de inicio
+
+        // 1. Verificar el depósito (por defecto, el principal)
+        const deposito = await Deposito.resolver(depositoId);
+        if (!deposito) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado o inactivo.'
+            });
+        }
+
+        // 2. Armar la planilla de productos a contar
+        let productos;
+        if (categoriaId) {
+            const categoria = await Categoria.findById(categoriaId);
+            if (!categoria) {
+                return res.status(404).json({
+                    error: 'Categoría no encontrada.'
+                });
+            }
+            productos = await Producto.findByCategoria(categoriaId);
+        } else {
+            const conStock = new Set((await Stock.findByDeposito(deposito.id)).map(stock => stock.productoId));
+            productos = (await Producto.findAll()).filter(producto => conStock.has(producto.id));
+        }
+
+        // 3. Abrir el conteo (el modelo impide tener dos conteos abiertos en el mismo depósito)
+        let inventario;
+        try {
+            inventario = await new Inventario({
+                depositoId: deposito.id,
+                categoriaId,
+                productos: productos.map(producto => ({ productoId: producto.id, nombre: producto.nombre })),
+                observaciones,
+                usuarioId: req.user.id
+            }).save();
+        } catch (error) {
+            if (error.code === 'inventario-abierto') {
+                return res.status(409).json({
+                    error: `Ya hay un conteo abierto en ${deposito.nombre}. Ciérrelo o cancélelo antes de abrir otro.`,
+                    inventarioId: error.inventarioId
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Conteo de inventario abierto: ${inventario.id}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito con el conteo y su planilla
+        res.status(201).json({
+            message: 'Conteo de inventario abierto exitosamente',
+            inventario
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error abriendo conteo de inventario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al abrir conteo de inventario.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener los conteos de inventario.
+ * Admite filtros opcionales por query string: estado y depositoId.
+ * Método HTTP: GET /api/inventarios
+ * @param {object} req - Objeto de solicitud de Express (contiene query).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+inventarioController.obtenerInventarios = async (req, res) => {
+    try {
+        const { estado, depositoId } = req.query;
+
+        // 1. Validar el filtro de estado
+        if (estado && !Inventario.ESTADOS.includes(estado)) {
+            return res.status(400).json({
+                error: 'Estado inválido.',
+                estadosValidos: Inventario.ESTADOS
+            });
+        }
+
+        // 2. Buscar los conteos (los filtros se aplican en memoria para no requerir índices)
+        let inventarios = await Inventario.findAll();
+        if (estado) inventarios = inventarios.filter(inventario => inventario.estado === estado);
+        if (depositoId) inventarios = inventarios.filter(inventario => inventario.depositoId === depositoId);
+
+        console.log(`✅ Obtenidos ${inventarios.length} conteos de inventario`); // Log de éxito
+
+        // 3. Enviar respuesta exitosa
+        res.json({
+            inventarios,
+            total: inventarios.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo conteos de inventario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener conteos de inventario.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener un conteo de inventario por su ID.
+ * Método HTTP: GET /api/inventarios/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+inventarioController.obtenerInventario = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const inventario = await Inventario.findById(id);
+        if (!inventario) {
+            return res.status(404).json({
+                error: 'Conteo de inventario no encontrado.'
+            });
+        }
+
+        res.json({
+            inventario
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo conteo de inventario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener conteo de inventario.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para cargar cantidades contadas en un conteo abierto.
+ * Volver a cargar un producto reemplaza su cantidad anterior (recuento).
+ * Método HTTP: POST /api/inventarios/:id/conteos
+ * @param {object} req - Objeto de solicitud de Express (body: productos [{ productoId, cantidad }]).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+inventarioController.registrarConteo = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { productos } = req.body;
+
+        console.log(`🔢 Registrando conteo en: ${id}`); // Log de inicio
+
+        // 1. Validar las cantidades contadas (enteros mayores o iguales a 0)
+        if (!Array.isArray(productos) || productos.length === 0) {
+            return res.status(400).json({
+                error: 'Debe indicar al menos un producto contado.'
+            });
+        }
+        if (productos.some(item => !item || !item.productoId || !Number.isInteger(item.cantidad) || item.cantidad < 0)) {
+            return res.status(400).json({
+                error: 'Cada producto debe tener productoId y una cantidad entera mayor o igual a 0.'
+            });
+        }
+
+        // 2. Verificar el conteo
+        const inventario = await Inventario.findById(id);
+        if (!inventario) {
+            return res.status(404).json({
+                error: 'Conteo de inventario no encontrado.'
+            });
+        }
+
+        // 3. Verificar que los productos existan y pertenezcan a la categoría del conteo
+        const invalidos = [];
+        const nombres = new Map();
+        for (const { productoId } of productos) {
+            const producto = await Producto.findById(productoId);
+            if (producto) nombres.set(productoId, producto.nombre);
+            if (!producto || !producto.activo) {
+                invalidos.push({ productoId, motivo: 'Producto no encontrado o inactivo' });
+            } else if (inventario.categoriaId && producto.categoriaId !== inventario.categoriaId) {
+                invalidos.push({ productoId, motivo: 'El producto no pertenece a la categoría del conteo' });
+            }
+        }
+        if (invalidos.length > 0) {
+            return res.status(400).json({
+                error: 'Hay productos que no se pueden contar en este inventario.',
+                productos: invalidos
+            });
+        }
+
+        // 4. Registrar las cantidades
+        let actualizado;
+        try {
+            actualizado = await Inventario.registrarConteos(
+                id,
+                productos.map(({ productoId, cantidad }) => ({ productoId, nombre: nombres.get(productoId), cantidad })),
+                req.user.id
+            );
+        } catch (error) {
+            if (error.code === 'inventario-cerrado') {
+                return res.status(409).json({
+                    error: `El conteo ya está ${error.estadoActual}; no admite más cantidades.`
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Conteo registrado en: ${id}`); // Log de éxito
+
+        // 5. Enviar respuesta de éxito
+        res.json({
+            message: 'Conteo registrado exitosamente',
+            inventario: actualizado
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error registrando conteo de inventario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al registrar conteo de inventario.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener el informe de diferencias de un conteo.
+ * En un conteo abierto es una vista previa contra el stock actual (no ajusta nada);
+ * en un conteo cerrado devuelve el informe con el que se hicieron los ajustes.
+ * Método HTTP: GET /api/inventarios/:id/diferencias
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+inventarioController.obtenerDiferencias = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const inventario = await Inventario.findById(id);
+        if (!inventario) {
+            return res.status(404).json({
+                error: 'Conteo de inventario no encontrado.'
+            });
+        }
+
+        const informe = inventario.resultado || await Inventario.calcularDiferencias(inventario);
+
+        res.json({
+            inventarioId: inventario.id,
+            depositoId: inventario.depositoId,
+            estado: inventario.estado,
+            ...informe
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo diferencias de inventario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener diferencias de inventario.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para cerrar un conteo: calcula las diferencias contra el
+ * stock y registra los ajustes en el kardex (todo o nada).
+ * Método HTTP: POST /api/inventarios/:id/cerrar
+ * @param {object} req - Objeto de solicitud de Express (params; body opcional: comentario).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+inventarioController.cerrarInventario = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { comentario } = req.body;
+
+        console.log(`🔒 Cerrando conteo de inventario: ${id}`); // Log de inicio
+
+        let inventario;
+        try {
+            inventario = await Inventario.cerrar(id, {
+                usuarioId: req.user.id,
+                comentario: comentario || null
+            });
+        } catch (error) {
+            if (error.code === 'not-found') {
+                return res.status(404).json({
+                    error: 'Conteo de inventario no encontrado.'
+                });
+            }
+            if (error.code === 'inventario-cerrado') {
+                return res.status(409).json({
+                    error: `El conteo ya está ${error.estadoActual}.`
+                });
+            }
+            // Lo contado no alcanza para los pedidos pendientes: hay que resolverlos (o recontar) antes
+            if (error.code === 'stock-insuficiente') {
+                return res.status(409).json({
+                    error: 'Hay productos contados por debajo de lo reservado por pedidos pendientes. No se ajustó el stock.',
+                    productos: error.productos
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Conteo de inventario cerrado: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Conteo de inventario cerrado y stock ajustado exitosamente',
+            inventario
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error cerrando conteo de inventario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al cerrar conteo de inventario.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para cancelar un conteo abierto sin ajustar el stock.
+ * Método HTTP: POST /api/inventarios/:id/cancelar
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+inventarioController.cancelarInventario = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🗑️ Cancelando conteo de inventario: ${id}`); // Log de inicio
+
+        let inventario;
+        try {
+            inventario = await Inventario.cancelar(id, { usuarioId: req.user.id });
+        } catch (error) {
+            if (error.code === 'not-found') {
+                return res.status(404).json({
+                    error: 'Conteo de inventario no encontrado.'
+                });
+            }
+            if (error.code === 'inventario-cerrado') {
+                return res.status(409).json({
+                    error: `El conteo ya está ${error.estadoActual}.`
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Conteo de inventario cancelado: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Conteo de inventario cancelado exitosamente',
+            inventario
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error cancelando conteo de inventario:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al cancelar conteo de inventario.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = inventarioController;
@@ -0,0 +1,230 @@
+// Importación de los modelos necesarios
+const ListaPrecio = require('../models/listaPrecioModel'); // Modelo de listas de precios
+const { esViolacionDeRestriccion } = require('../database'); // Duplicados rechazados por la base
+
+// Objeto controlador que contendrá todas las funciones de manejo de listas de precios
+const listaPrecioController = {};
+
+/**
+ * Función controladora para crear una nueva lista de precios (ej: Mayorista, Revendedor).
+ * Método HTTP: POST /api/listas-precios
+ * @param {object} req - Objeto de solicitud de Express (contiene el body).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+listaPrecioController.crearLista = async (req, res) => {
+    try {
+        const { nombre, descripcion } = req.body;
+
+        console.log(`🏷️ Creando lista de precios: ${nombre}`); // Log de inicio del proceso
+
+        // 1. Validación de campos requeridos
+        if (!nombre || !String(nombre).trim()) {
+            return res.status(400).json({
+                error: 'El nombre de la lista es requerido.'
+            });
+        }
+
+        // 2. El nombre no puede repetirse (ni coincidir con la lista minorista, que es la predeterminada)
+        if (String(nombre).trim().toLowerCase() === ListaPrecio.NOMBRE_MINORISTA.toLowerCase()
+            || await ListaPrecio.findByNombre(nombre)) {
+            return res.status(409).json({
+                error: 'Ya existe una lista de precios con ese nombre.'
+            });
+        }
+
+        // 3. Crear y guardar la lista
+        const lista = new ListaPrecio({ nombre: String(nombre).trim(), descripcion });
+        const listaCreada = await lista.save();
+
+        console.log(`✅ Lista de precios creada exitosamente: ${nombre}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito 201 (Created)
+        res.status(201).json({
+            message: 'Lista de precios creada exitosamente',
+            lista: listaCreada
+        });
+
+    } catch (error) {
+        // Otra operación simultánea pasó la misma verificación y la base rechazó el duplicado
+        if (esViolacionDeRestriccion(error)) {
+            return res.status(409).json({
+                error: 'Ya existe una lista de precios con ese nombre.'
+            });
+        }
+        // Manejo de errores generales
+        console.error('❌ Error creando lista de precios:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al crear lista de precios.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener todas las listas de precios activas.
+ * La lista minorista no figura: son los precios sin lista y se usa por defecto.
+ * Método HTTP: GET /api/listas-precios
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+listaPrecioController.obtenerListas = async (req, res) => {
+    try {
+        const listas = await ListaPrecio.findAll();
+
+        console.log(`✅ Obtenidas ${listas.length} listas de precios`); // Log de éxito
+
+        res.json({
+            listas,
+            total: listas.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo listas de precios:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener listas de precios.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener una lista de precios por su ID.
+ * Método HTTP: GET /api/listas-precios/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+listaPrecioController.obtenerLista = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const lista = await ListaPrecio.findById(id);
+        if (!lista) {
+            return res.status(404).json({
+                error: 'Lista de precios no encontrada.'
+            });
+        }
+
+        console.log(`✅ Lista de precios obtenida: ${lista.nombre}`); // Log de éxito
+
+        res.json({
+            lista
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo lista de precios:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener lista de precios.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para actualizar el nombre o la descripción de una lista de precios.
+ * Método HTTP: PUT /api/listas-precios/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params' y 'body').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+listaPrecioController.actualizarLista = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { nombre, descripcion } = req.body;
+
+        console.log(`🔄 Actualizando lista de precios: ${id}`); // Log de inicio
+
+        // 1. Verificar si la lista existe
+        const listaExistente = await ListaPrecio.findById(id);
+        if (!listaExistente || !listaExistente.activo) {
+            return res.status(404).json({
+                error: 'Lista de precios no encontrada.'
+            });
+        }
+
+        // 2. Validar el nuevo nombre (no vacío ni repetido)
+        const updateData = {};
+        if (nombre !== undefined) {
+            if (!String(nombre).trim()) {
+                return res.status(400).json({
+                    error: 'El nombre de la lista no puede quedar vacío.'
+                });
+            }
+            const repetida = await ListaPrecio.findByNombre(nombre);
+            if ((repetida && repetida.id !== id)
+                || String(nombre).trim().toLowerCase() === ListaPrecio.NOMBRE_MINORISTA.toLowerCase()) {
+                return res.status(409).json({
+                    error: 'Ya existe una lista de precios con ese nombre.'
+                });
+            }
+            updateData.nombre = String(nombre).trim();
+        }
+        if (descripcion !== undefined) updateData.descripcion = descripcion;
+
+        await ListaPrecio.update(id, updateData);
+
+        console.log(`✅ Lista de precios actualizada: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Lista de precios actualizada exitosamente'
+        });
+
+    } catch (error) {
+        // Otra operación simultánea pasó la misma verificación y la base rechazó el duplicado
+        if (esViolacionDeRestriccion(error)) {
+            return res.status(409).json({
+                error: 'Ya existe una lista de precios con ese nombre.'
+            });
+        }
+        // Manejo de errores generales
+        console.error('❌ Error actualizando lista de precios:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar lista de precios.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para eliminar (desactivar) una lista de precios.
+ * Sus precios quedan en el historial; los pedidos ya creados conservan los precios cotizados.
+ * Método HTTP: DELETE /api/listas-precios/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+listaPrecioController.eliminarLista = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🗑️ Eliminando lista de precios: ${id}`); // Log de inicio
+
+        const listaExistente = await ListaPrecio.findById(id);
+        if (!listaExistente || !listaExistente.activo) {
+            return res.status(404).json({
+                error: 'Lista de precios no encontrada.'
+            });
+        }
+
+        await ListaPrecio.delete(id);
+
+        console.log(`✅ Lista de precios eliminada: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Lista de precios eliminada exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error eliminando lista de precios:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al eliminar lista de precios.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = listaPrecioController;
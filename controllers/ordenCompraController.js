@@ -0,0 +1,404 @@
+// Importación de los modelos necesarios
+const OrdenCompra = require('../models/ordenCompraModel'); // Modelo de órdenes de compra
+const Proveedor = require('../models/proveedorModel'); // Modelo de proveedores
+const Deposito = require('../models/depositoModel'); // Modelo de depósitos (dónde se recibe la mercadería)
+
+// Objeto controlador que contendrá todas las funciones de manejo de órdenes de compra
+const ordenCompraController = {};
+
+/**
+ * Valida las líneas enviadas para una orden de compra.
+ * @param {Array} productos - Líneas { productoId, cantidad, costoUnitario }.
+ * @returns {string|null} Mensaje de error, o null si son válidas.
+ */
+const validarLineas = (productos) => {
+    if (!Array.isArray(productos) || productos.length === 0) {
+        return 'La orden de compra debe incluir al menos un producto.';
+    }
+    const invalida = productos.some(item =>
+        !item || !item.productoId ||
+        !Number.isInteger(item.cantidad) || item.cantidad <= 0 ||
+        typeof item.costoUnitario !== 'number' || !(item.costoUnitario >= 0)
+    );
+    return invalida
+        ? 'Cada producto debe tener productoId, una cantidad entera mayor a 0 y un costoUnitario mayor o igual a 0.'
+        : null;
+};
+
+/**
+ * Función controladora para crear una orden de compra (en borrador).
+ * Método HTTP: POST /api/ordenes-compra
+ * @param {object} req - Objeto de solicitud de Express (body: proveedorId, depositoId, productos, moneda, observaciones).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+ordenCompraController.crearOrdenCompra = async (req, res) => {
+    try {
+        const { proveedorId, depositoId, productos, moneda, observaciones } = req.body;
+
+        console.log(`🧾 Creando orden de compra para proveedor: ${proveedorId}`); // Log de inicio
+
+        // 1. Validar las líneas
+        const errorLineas = validarLineas(productos);
+        if (errorLineas) {
+            return res.status(400).json({
+                error: errorLineas
+            });
+        }
+
+        // 2. Verificar el proveedor y el depósito de recepción (por defecto, el principal)
+        const proveedor = proveedorId ? await Proveedor.findById(proveedorId) : null;
+        if (!proveedor || !proveedor.activo) {
+            return res.status(404).json({
+                error: 'Proveedor no encontrado o inactivo.'
+            });
+        }
+        const deposito = await Deposito.resolver(depositoId);
+        if (!deposito) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado o inactivo.'
+            });
+        }
+
+        // 3. Armar las líneas con los datos de cada producto
+        const { lineas, total, errores } = await OrdenCompra.armarLineas(
+            productos.map(({ productoId, cantidad, costoUnitario }) => ({ productoId, cantidad, costoUnitario }))
+        );
+        if (errores.length > 0) {
+            return res.status(400).json({
+                error: 'Hay productos que no se pueden comprar.',
+                productos: errores
+            });
+        }
+
+        // 4. Crear la orden
+        const orden = await new OrdenCompra({
+            proveedorId,
+            depositoId: deposito.id,
+            productos: lineas,
+            total,
+            moneda,
+            observaciones,
+            usuarioId: req.user.id
+        }).save();
+
+        console.log(`✅ Orden de compra creada: ${orden.id}`); // Log de éxito
+
+        res.status(201).json({
+            message: 'Orden de compra creada exitosamente',
+            ordenCompra: orden
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error creando orden de compra:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al crear orden de compra.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener las órdenes de compra.
+ * Admite filtros opcionales por query string: estado y proveedorId.
+ * Método HTTP: GET /api/ordenes-compra
+ * @param {object} req - Objeto de solicitud de Express (contiene query).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+ordenCompraController.obtenerOrdenesCompra = async (req, res) => {
+    try {
+        const { estado, proveedorId } = req.query;
+
+        if (estado && !OrdenCompra.ESTADOS.includes(estado)) {
+            return res.status(400).json({
+                error: 'Estado inválido.',
+                estadosValidos: OrdenCompra.ESTADOS
+            });
+        }
+
+        // Los filtros se aplican en memoria para no requerir índices compuestos
+        let ordenes = await OrdenCompra.findAll();
+        if (estado) ordenes = ordenes.filter(orden => orden.estado === estado);
+        if (proveedorId) ordenes = ordenes.filter(orden => orden.proveedorId === proveedorId);
+
+        console.log(`✅ Obtenidas ${ordenes.length} órdenes de compra`); // Log de éxito
+
+        res.json({
+            ordenesCompra: ordenes,
+            total: ordenes.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo órdenes de compra:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener órdenes de compra.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener una orden de compra por su ID, con los
+ * estados a los que puede pasar manualmente.
+ * Método HTTP: GET /api/ordenes-compra/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+ordenCompraController.obtenerOrdenCompra = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const orden = await OrdenCompra.findById(id);
+        if (!orden) {
+            return res.status(404).json({
+                error: 'Orden de compra no encontrada.'
+            });
+        }
+
+        res.json({
+            ordenCompra: {
+                ...orden,
+                estadosSiguientes: OrdenCompra.estadosSiguientes(orden.estado)
+            }
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo orden de compra:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener orden de compra.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para editar una orden de compra en borrador.
+ * Método HTTP: PUT /api/ordenes-compra/:id
+ * @param {object} req - Objeto de solicitud de Express (body: proveedorId, depositoId, productos, observaciones).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+ordenCompraController.actualizarOrdenCompra = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { proveedorId, depositoId, productos, observaciones } = req.body;
+
+        console.log(`🔄 Actualizando orden de compra: ${id}`); // Log de inicio
+
+        // 1. Verificar la orden
+        const orden = await OrdenCompra.findById(id);
+        if (!orden) {
+            return res.status(404).json({
+                error: 'Orden de compra no encontrada.'
+            });
+        }
+
+        // 2. Validar y armar solo los campos enviados
+        const updateData = {};
+        if (proveedorId !== undefined) {
+            const proveedor = await Proveedor.findById(proveedorId);
+            if (!proveedor || !proveedor.activo) {
+                return res.status(404).json({
+                    error: 'Proveedor no encontrado o inactivo.'
+                });
+            }
+            updateData.proveedorId = proveedorId;
+        }
+        if (depositoId !== undefined) {
+            const deposito = await Deposito.resolver(depositoId);
+            if (!deposito) {
+                return res.status(404).json({
+                    error: 'Depósito no encontrado o inactivo.'
+                });
+            }
+            updateData.depositoId = deposito.id;
+        }
+        if (productos !== undefined) {
+            const errorLineas = validarLineas(productos);
+            if (errorLineas) {
+                return res.status(400).json({
+                    error: errorLineas
+                });
+            }
+            const { lineas, total, errores } = await OrdenCompra.armarLineas(
+                productos.map(({ productoId, cantidad, costoUnitario }) => ({ productoId, cantidad, costoUnitario }))
+            );
+            if (errores.length > 0) {
+                return res.status(400).json({
+                    error: 'Hay productos que no se pueden comprar.',
+                    productos: errores
+                });
+            }
+            updateData.productos = lineas;
+            updateData.total = total;
+        }
+        if (observaciones !== undefined) updateData.observaciones = observaciones;
+
+        // 3. Actualizar (el modelo verifica que siga en borrador)
+        try {
+            await OrdenCompra.update(id, updateData);
+        } catch (error) {
+            if (error.code === 'estado-invalido') {
+                return res.status(409).json({
+                    error: 'Solo se pueden editar órdenes de compra en borrador.',
+                    estadoActual: error.estadoActual
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Orden de compra actualizada: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Orden de compra actualizada exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error actualizando orden de compra:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar orden de compra.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para enviar o cancelar una orden de compra.
+ * Método HTTP: PATCH /api/ordenes-compra/:id/estado
+ * @param {object} req - Objeto de solicitud de Express (body: estado, comentario).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+ordenCompraController.actualizarEstado = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { estado, comentario } = req.body;
+
+        // 1. Validar que el estado exista
+        if (!OrdenCompra.ESTADOS.includes(estado)) {
+            return res.status(400).json({
+                error: 'Estado inválido.',
+                estadosValidos: OrdenCompra.ESTADOS
+            });
+        }
+
+        // 2. Aplicar el cambio (el modelo valida la transición)
+        let orden;
+        try {
+            orden = await OrdenCompra.updateEstado(id, estado, {
+                usuarioId: req.user.id,
+                comentario: comentario || null
+            });
+        } catch (error) {
+            if (error.code === 'not-found') {
+                return res.status(404).json({
+                    error: 'Orden de compra no encontrada.'
+                });
+            }
+            if (error.code === 'transicion-invalida') {
+                return res.status(409).json({
+                    error: error.message,
+                    estadoActual: error.estadoActual,
+                    estadosPermitidos: error.estadosPermitidos
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Estado de orden de compra actualizado: ${id} -> ${estado}`); // Log de éxito
+
+        res.json({
+            message: 'Estado de la orden de compra actualizado exitosamente',
+            ordenCompra: orden
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error actualizando estado de orden de compra:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar estado de orden de compra.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para registrar una recepción (total o parcial) de mercadería.
+ * Las unidades ingresan al stock del depósito de la orden con un movimiento 'compra'.
+ * Método HTTP: POST /api/ordenes-compra/:id/recepciones
+ * @param {object} req - Objeto de solicitud de Express (body: productos [{ productoId, cantidad }], comentario).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+ordenCompraController.registrarRecepcion = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { productos, comentario } = req.body;
+
+        console.log(`📥 Registrando recepción de orden de compra: ${id}`); // Log de inicio
+
+        // 1. Validar las cantidades recibidas
+        if (!Array.isArray(productos) || productos.length === 0) {
+            return res.status(400).json({
+                error: 'Debe indicar al menos un producto recibido.'
+            });
+        }
+        if (productos.some(item => !item || !item.productoId || !Number.isInteger(item.cantidad) || item.cantidad <= 0)) {
+            return res.status(400).json({
+                error: 'Cada producto debe tener productoId y una cantidad entera mayor a 0.'
+            });
+        }
+
+        // 2. Registrar la recepción (todo o nada)
+        let orden;
+        try {
+            orden = await OrdenCompra.recibir(
+                id,
+                productos.map(({ productoId, cantidad }) => ({ productoId, cantidad })),
+                { usuarioId: req.user.id, comentario: comentario || null }
+            );
+        } catch (error) {
+            if (error.code === 'not-found') {
+                return res.status(404).json({
+                    error: 'Orden de compra no encontrada.'
+                });
+            }
+            if (error.code === 'estado-invalido') {
+                return res.status(409).json({
+                    error: `La orden de compra está '${error.estadoActual}' y no admite recepciones.`,
+                    estadoActual: error.estadoActual
+                });
+            }
+            if (error.code === 'recepcion-invalida') {
+                return res.status(400).json({
+                    error: 'La recepción no coincide con lo pendiente de la orden. No se ingresó stock.',
+                    productos: error.productos
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Recepción registrada: ${id} (${orden.estado})`); // Log de éxito
+
+        res.status(201).json({
+            message: 'Recepción registrada exitosamente',
+            recepcion: orden.recepciones[orden.recepciones.length - 1],
+            ordenCompra: orden
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error registrando recepción:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al registrar recepción.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = ordenCompraController;
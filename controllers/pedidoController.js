@@ -1,12 +1,21 @@
 // Importación de modelos necesarios para interactuar con la base de datos
 const Pedido = require('../models/pedidoModel'); // Modelo para manejar los datos de los pedidos
 const Stock = require('../models/stockModel'); // Modelo para manejar los datos de inventario/stock
+const Deposito = require('../models/depositoModel'); // Modelo de depósitos (de dónde sale la mercadería)
+const ListaPrecio = require('../models/listaPrecioModel'); // Modelo de listas de precios (con qué lista se cotiza)
+const Cotizacion = require('../models/cotizacionModel'); // Monedas admitidas (para cotizar en otra moneda)
+const Cupon = require('../models/cuponModel'); // Modelo de cupones de descuento
+const Cliente = require('../models/clienteModel'); // Modelo de clientes (datos de contacto y direcciones de envío)
+const Pago = require('../models/pagoModel'); // Modelo de pagos (cobros de los pedidos)
+const { parsearFechaFiltro } = require('../utils/fechas'); // Lectura de 'AAAA-MM-DD' o ISO
 
 // Objeto controlador que contendrá todas las funciones relacionadas con los pedidos
 const pedidoController = {};
 
 /**
  * Función controladora para crear un nuevo pedido.
+ * También crea los pedidos que salen de un presupuesto (ver presupuestoController.convertirPresupuesto,
+ * que deja el presupuesto en 'req.presupuesto').
  * Método HTTP: POST /api/pedidos
  * Requiere autenticación y el usuario debe estar inyectado en req.user (por un middleware de auth).
  * @param {object} req - Objeto de solicitud de Express (contiene body y req.user).
@@ -15,56 +24,175 @@ const pedidoController = {};
 pedidoController.crearPedido = async (req, res) => {
     try {
         // Desestructurar los datos del pedido del cuerpo de la solicitud
-        const { cliente, email, telefono, direccion, productos, observaciones } = req.body;
-
-        console.log(`🛒 Creando pedido para: ${cliente}`); // Log de inicio del proceso
-
-        // 1. **Validar Stock** (Verificación crítica antes de crear el pedido)
-        for (const item of productos) {
-            // Buscar la información de stock para el producto actual
-            const stock = await Stock.findByProductoId(item.productoId);
-            
-            // Verificar si el producto existe en stock o si la cantidad solicitada excede la disponible
-            if (!stock || stock.cantidad < item.cantidad) {
-                // Si el stock es insuficiente o el producto no tiene registro de stock, devuelve un error 400
+        const { clienteId, direccionId, cliente, email, telefono, direccion, productos, observaciones, depositoId, listaPrecioId, moneda, cupon } = req.body;
+
+        console.log(`🛒 Creando pedido para: ${clienteId || cliente}`); // Log de inicio del proceso
+
+        // Validar las líneas del pedido: al menos un producto, con cantidades enteras positivas
+        if (!Array.isArray(productos) || productos.length === 0) {
+            return res.status(400).json({
+                error: 'El pedido debe incluir al menos un producto'
+            });
+        }
+        if (productos.some(item => !item || !item.productoId || !Number.isInteger(item.cantidad) || item.cantidad <= 0)) {
+            return res.status(400).json({
+                error: 'Cada producto debe tener productoId y una cantidad entera mayor a 0'
+            });
+        }
+
+        // Depósito del que sale la mercadería (por defecto, el principal)
+        const deposito = await Deposito.resolver(depositoId);
+        if (!deposito) {
+            return res.status(400).json({
+                error: 'Depósito no encontrado o inactivo.'
+            });
+        }
+        if (deposito.cuarentena) {
+            return res.status(400).json({
+                error: 'No se puede vender desde un depósito de cuarentena.'
+            });
+        }
+
+        // Lista de precios del pedido (por defecto, la minorista)
+        const { lista, error: errorLista } = await ListaPrecio.resolver(listaPrecioId);
+        if (errorLista) {
+            return res.status(400).json({
+                error: errorLista
+            });
+        }
+
+        // Moneda del pedido (opcional): los precios en otra moneda se convierten con la cotización vigente
+        if (moneda !== undefined && !Cotizacion.MONEDAS.includes(moneda)) {
+            return res.status(400).json({
+                error: `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.`
+            });
+        }
+
+        // Cliente registrado (opcional): su nombre y email se copian al pedido; el teléfono y la
+        // dirección, salvo que se envíen otros. 'direccionId' elige una de sus direcciones de envío
+        // (por defecto, la principal). Sin cliente, se usan los datos enviados tal como vienen.
+        const contacto = { clienteId: null, cliente, email, telefono, direccion, direccionId: null };
+        if (clienteId) {
+            const clienteDoc = await Cliente.findById(clienteId);
+            if (!clienteDoc || !clienteDoc.activo) {
+                return res.status(400).json({
+                    error: 'Cliente no encontrado o inactivo.'
+                });
+            }
+            const envio = direccionId
+                ? clienteDoc.direcciones.find(d => d.id === direccionId)
+                : (direccion ? null : clienteDoc.direcciones.find(d => d.principal));
+            if (direccionId && !envio) {
                 return res.status(400).json({
-                    error: `Stock insuficiente para el producto ${item.productoId}`
+                    error: 'La dirección de envío no pertenece al cliente.'
                 });
             }
+            Object.assign(contacto, {
+                clienteId: clienteDoc.id,
+                cliente: clienteDoc.nombre,
+                email: clienteDoc.email,
+                telefono: telefono || clienteDoc.telefono,
+                direccion: envio ? Cliente.formatearDireccion(envio) : direccion,
+                direccionId: envio ? envio.id : null
+            });
+        }
+
+        // Cupón de descuento (opcional): se verifica ahora y se vuelve a verificar al canjearlo
+        let cuponDoc = null;
+        if (cupon) {
+            cuponDoc = await Cupon.findByCodigo(cupon);
+            const usosCliente = cuponDoc && contacto.email
+                ? (await Cupon.findCanjes(cuponDoc.id, { email: contacto.email })).filter(canje => canje.estado === 'aplicado').length
+                : 0;
+            const motivo = Cupon.verificarDisponible(cuponDoc, { email: contacto.email, usosCliente });
+            if (motivo) {
+                return res.status(400).json({
+                    error: motivo
+                });
+            }
+        }
+
+        // 1. **Cotizar las Líneas en el Servidor**
+        // Los precios salen de la lista de precios vigente; se ignora cualquier precio enviado por el cliente.
+        const cotizacion = await Pedido.cotizar(
+            productos.map(({ productoId, cantidad }) => ({ productoId, cantidad })),
+            { listaPrecioId: lista ? lista.id : null, moneda, cupon: cuponDoc }
+        );
+        if (cotizacion.errores.length > 0) {
+            return res.status(400).json({
+                error: 'Hay productos que no se pueden vender',
+                productos: cotizacion.errores
+            });
         }
         
-        // 2. **Calcular el Total**
-        // Utiliza el método reduce para sumar el precio * cantidad de cada producto
-        const total = productos.reduce((sum, item) => sum + (item.precio * item.cantidad), 0);
+        // 2. **Validar Stock** (Verificación previa; la definitiva se repite dentro de la transacción)
+        // Se suman las líneas de un mismo producto y se informan todos los faltantes juntos.
+        const conflictos = [];
+        for (const [productoId, solicitado] of Pedido.cantidadesPorProducto(productos)) {
+            // Buscar la información de stock del producto en el depósito del pedido
+            // (las unidades reservadas por otros pedidos pendientes no se pueden vender)
+            const stock = await Stock.findByProductoYDeposito(productoId, deposito.id);
+            const disponible = stock ? stock.disponible : 0;
+            if (disponible < solicitado) {
+                conflictos.push({ productoId, solicitado, disponible });
+            }
+        }
+        if (conflictos.length > 0) {
+            // Mismo formato que cuando el faltante se detecta dentro de la transacción
+            return res.status(409).json({
+                error: `Stock insuficiente en ${deposito.nombre}. No se creó el pedido.`,
+                productos: conflictos
+            });
+        }
         
         // 3. **Crear la instancia del Pedido**
         const pedido = new Pedido({
-            cliente,
-            email,
-            telefono,
-            direccion,
-            productos,
-            total,
+            ...contacto,
+            productos: cotizacion.lineas,
+            total: cotizacion.total,
+            impuestos: cotizacion.impuestos,
+            descuentos: cotizacion.descuentos,
+            cupon: cuponDoc ? { id: cuponDoc.id, codigo: cuponDoc.codigo } : null,
+            moneda: cotizacion.moneda,
+            listaPrecioId: lista ? lista.id : null,
+            tiposCambio: cotizacion.tiposCambio,
             vendedorId: req.user.id, // Asigna el ID del usuario autenticado (vendedor) al pedido
-            observaciones
+            depositoId: deposito.id,
+            observaciones,
+            presupuestoId: req.presupuesto ? req.presupuesto.id : null
         });
         
-        // 4. **Guardar el Pedido en la Base de Datos**
-        const pedidoCreado = await pedido.save();
-        
-        // 5. **Actualizar Stock** (Decrementar las cantidades vendidas)
-        for (const item of productos) {
-            // Se debe volver a buscar el stock para asegurar la concurrencia (aunque aquí es básico)
-            const stock = await Stock.findByProductoId(item.productoId); 
-            // Calcular la nueva cantidad
-            const nuevaCantidad = stock.cantidad - item.cantidad;
-            // Llamar al método del modelo para actualizar la cantidad de stock
-            await Stock.updateCantidad(item.productoId, nuevaCantidad);
+        // 4. **Guardar el Pedido y Reservar el Stock** (una única transacción: todo o nada)
+        // Las unidades quedan reservadas; la venta se registra en el kardex al confirmar el pedido.
+        let pedidoCreado;
+        try {
+            pedidoCreado = await pedido.save();
+        } catch (error) {
+            // El stock no alcanzó dentro de la transacción (ej: se agotó por una venta simultánea)
+            if (error.code === 'stock-insuficiente') {
+                return res.status(409).json({
+                    error: 'Stock insuficiente para completar el pedido. No se creó el pedido.',
+                    productos: error.productos
+                });
+            }
+            // El cupón dejó de estar disponible (ej: otro pedido usó el último canje)
+            if (error.code === 'cupon-no-disponible') {
+                return res.status(409).json({
+                    error: `${error.message} No se creó el pedido.`
+                });
+            }
+            // El presupuesto se convirtió en otro pedido o venció mientras tanto
+            if (error.code === 'presupuesto-no-convertible') {
+                return res.status(409).json({
+                    error: `${error.message} No se creó el pedido.`
+                });
+            }
+            throw error;
         }
         
         console.log(`✅ Pedido creado exitosamente: ${pedidoCreado.numero}`); // Log de éxito
         
-        // 6. **Enviar Respuesta de Éxito 201 (Created)**
+        // 5. **Enviar Respuesta de Éxito 201 (Created)**
         res.status(201).json({
             message: 'Pedido creado exitosamente',
             pedido: pedidoCreado
@@ -153,9 +281,14 @@ pedidoController.obtenerPedido = async (req, res) => {
         
         console.log(`✅ Pedido obtenido: ${pedido.numero}`); // Log de éxito
         
-        // 5. Enviar respuesta exitosa con el pedido
+        // 5. Enviar respuesta exitosa con el pedido, su línea de tiempo de estados
+        // (los pedidos anteriores al historial no la tienen) y los estados a los que puede pasar
         res.json({
-            pedido
+            pedido: {
+                ...pedido,
+                historialEstados: pedido.historialEstados || []
+            },
+            estadosSiguientes: Pedido.estadosSiguientes(pedido.estado)
         });
         
     } catch (error) {
@@ -171,36 +304,94 @@ pedidoController.obtenerPedido = async (req, res) => {
 
 /**
  * Función controladora para actualizar el estado de un pedido.
- * Método HTTP: PUT /api/pedidos/:id/estado
- * @param {object} req - Objeto de solicitud de Express (contiene params y body).
+ * Solo se permiten las transiciones definidas en Pedido.TRANSICIONES; cada cambio
+ * queda registrado en el 'historialEstados' del pedido con el usuario y el comentario.
+ * Confirmar convierte la reserva de stock en venta. Cancelar libera la reserva o, si la venta
+ * ya se registró, devuelve las unidades al stock (una sola vez, aunque se repita la llamada).
+ * Lo ya cobrado de un pedido cancelado pasa al saldo a favor del cliente o, con 'medioReintegro'
+ * (obligatorio si el pedido no tiene cliente), se registra como reintegrado.
+ * Método HTTP: PATCH /api/pedidos/:id/estado
+ * @param {object} req - Objeto de solicitud de Express (contiene params, body { estado, comentario, medioReintegro, referenciaReintegro } y req.user).
  * @param {object} res - Objeto de respuesta de Express.
  */
 pedidoController.actualizarEstado = async (req, res) => {
     try {
-        // 1. Obtener ID del pedido y el nuevo estado del cuerpo
+        // 1. Obtener ID del pedido, el nuevo estado y el comentario opcional del cuerpo
         const { id } = req.params;
-        const { estado } = req.body;
-        
-        // 2. Definir una lista de estados válidos permitidos
-        const estadosValidos = ['pendiente', 'confirmado', 'en_proceso', 'enviado', 'entregado', 'cancelado'];
+        const { estado, comentario, medioReintegro, referenciaReintegro } = req.body;
         
-        // 3. Validar que el estado proporcionado sea uno de los permitidos
-        if (!estadosValidos.includes(estado)) {
+        // 2. Validar que el estado proporcionado sea uno de los existentes
+        if (!Pedido.ESTADOS.includes(estado)) {
             // Si es inválido, devuelve un error 400 y la lista de estados válidos
             return res.status(400).json({
                 error: 'Estado inválido.',
-                estadosValidos
+                estadosValidos: Pedido.ESTADOS
+            });
+        }
+        if (medioReintegro !== undefined && !Pago.MEDIOS_REINTEGRO.includes(medioReintegro)) {
+            return res.status(400).json({
+                error: `Medio de reintegro inválido. Use: ${Pago.MEDIOS_REINTEGRO.join(', ')}.`
             });
         }
         
-        // 4. Llamar al método del modelo para actualizar el estado del pedido por ID
-        await Pedido.updateEstado(id, estado);
+        // 3. Llamar al método del modelo, que valida la transición y registra el historial
+        let pedido;
+        try {
+            pedido = await Pedido.updateEstado(id, estado, {
+                usuarioId: req.user.id,
+                comentario: comentario || null,
+                medioReintegro: medioReintegro || null,
+                referenciaReintegro: referenciaReintegro || null
+            });
+        } catch (error) {
+            if (error.code === 'not-found') {
+                return res.status(404).json({
+                    error: 'Pedido no encontrado.'
+                });
+            }
+            // Cancelación de un pedido cobrado sin cliente al que acreditarle lo pagado
+            if (error.code === 'medio-requerido') {
+                return res.status(400).json({
+                    error: error.message,
+                    reintegro: error.reintegro
+                });
+            }
+            // El estado pedido no es alcanzable desde el estado actual (ej: entregado -> pendiente)
+            if (error.code === 'transicion-invalida') {
+                return res.status(409).json({
+                    error: error.message,
+                    estadoActual: error.estadoActual,
+                    estadosPermitidos: error.estadosPermitidos
+                });
+            }
+            // Confirmación de un pedido cuya reserva venció y ya no hay unidades disponibles
+            if (error.code === 'stock-insuficiente') {
+                return res.status(409).json({
+                    error: 'La reserva del pedido venció y no hay stock disponible para confirmarlo.',
+                    productos: error.productos
+                });
+            }
+            // Cancelación de un pedido con devoluciones vigentes (o usado como pedido de cambio)
+            if (error.code === 'devoluciones-vigentes') {
+                return res.status(409).json({
+                    error: error.message,
+                    devoluciones: error.devoluciones
+                });
+            }
+            throw error;
+        }
         
         console.log(`✅ Estado de pedido actualizado: ${id} -> ${estado}`); // Log de éxito
         
-        // 5. Enviar respuesta de éxito
+        // 4. Enviar respuesta de éxito con el pedido actualizado
+        // (al cancelar, se informan además las cantidades devueltas al stock o liberadas de la reserva)
         res.json({
-            message: 'Estado del pedido actualizado exitosamente'
+            message: 'Estado del pedido actualizado exitosamente',
+            pedido,
+            ...(estado === 'cancelado' && {
+                stockRestaurado: pedido.stockRestaurado || [],
+                stockLiberado: pedido.stockLiberado || []
+            })
         });
         
     } catch (error) {
@@ -212,5 +403,293 @@ pedidoController.actualizarEstado = async (req, res) => {
     }
 };
 
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para modificar las líneas de un pedido pendiente (agregar, quitar
+ * productos o cambiar cantidades). 'productos' reemplaza todas las líneas del pedido.
+ * Las líneas se vuelven a cotizar con la lista de precios, la moneda y el cupón del pedido;
+ * la reserva de stock se ajusta por la diferencia de unidades y el cambio queda en el historial.
+ * Una vez confirmado, el pedido ya no se puede editar.
+ * Método HTTP: PUT /api/pedidos/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene params, body { productos, comentario } y req.user).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+pedidoController.actualizarPedido = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { productos, comentario } = req.body;
+
+        console.log(`✏️ Modificando pedido: ${id}`); // Log de inicio del proceso
+
+        // 1. Validar las líneas nuevas (mismas reglas que al crear el pedido)
+        if (!Array.isArray(productos) || productos.length === 0) {
+            return res.status(400).json({
+                error: 'El pedido debe incluir al menos un producto'
+            });
+        }
+        if (productos.some(item => !item || !item.productoId || !Number.isInteger(item.cantidad) || item.cantidad <= 0)) {
+            return res.status(400).json({
+                error: 'Cada producto debe tener productoId y una cantidad entera mayor a 0'
+            });
+        }
+
+        // 2. Buscar el pedido y verificar permisos y estado
+        const pedido = await Pedido.findById(id);
+        if (!pedido) {
+            return res.status(404).json({
+                error: 'Pedido no encontrado.'
+            });
+        }
+        if (req.user.rol === 'empleado' && pedido.vendedorId !== req.user.id) {
+            return res.status(403).json({
+                error: 'No tienes permiso para modificar este pedido.'
+            });
+        }
+        if (pedido.estado !== 'pendiente') {
+            return res.status(409).json({
+                error: `Solo se pueden editar pedidos pendientes (el pedido está '${pedido.estado}')`,
+                estadoActual: pedido.estado
+            });
+        }
+
+        // 3. Volver a cotizar con la lista, la moneda y el cupón del pedido
+        // (el cupón ya se canjeó al crear el pedido: solo se recalcula su descuento)
+        const cuponDoc = pedido.cupon ? await Cupon.findById(pedido.cupon.id) : null;
+        const cotizacion = await Pedido.cotizar(
+            productos.map(({ productoId, cantidad }) => ({ productoId, cantidad })),
+            { listaPrecioId: pedido.listaPrecioId || null, moneda: pedido.moneda, cupon: cuponDoc }
+        );
+        if (cotizacion.errores.length > 0) {
+            return res.status(400).json({
+                error: 'Hay productos que no se pueden vender',
+                productos: cotizacion.errores
+            });
+        }
+
+        // 4. Aplicar el cambio (una única transacción con el ajuste de stock)
+        let pedidoActualizado;
+        try {
+            pedidoActualizado = await Pedido.updateProductos(id, cotizacion, {
+                usuarioId: req.user.id,
+                comentario: comentario || null
+            });
+        } catch (error) {
+            if (error.code === 'not-found') {
+                return res.status(404).json({
+                    error: 'Pedido no encontrado.'
+                });
+            }
+            // El pedido se confirmó o canceló mientras tanto
+            if (error.code === 'estado-invalido') {
+                return res.status(409).json({
+                    error: error.message,
+                    estadoActual: error.estadoActual
+                });
+            }
+            // No hay unidades disponibles para lo que se agrega
+            if (error.code === 'stock-insuficiente') {
+                return res.status(409).json({
+                    error: 'Stock insuficiente para las unidades agregadas. No se modificó el pedido.',
+                    productos: error.productos
+                });
+            }
+            // El pedido ya tiene cobrado más que el total nuevo
+            if (error.code === 'total-menor-que-pagado') {
+                return res.status(409).json({
+                    error: error.message,
+                    totalPagado: error.totalPagado,
+                    total: cotizacion.total
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Pedido modificado: ${pedidoActualizado.numero}`); // Log de éxito
+
+        // 5. Enviar respuesta de éxito con el pedido actualizado
+        res.json({
+            message: 'Pedido actualizado exitosamente',
+            pedido: pedidoActualizado
+        });
+
+    } catch (error) {
+        // Manejo de errores internos del servidor
+        console.error('❌ Error modificando pedido:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al modificar pedido.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para registrar un pago (total o parcial) de un pedido.
+ * El pago queda en la moneda del pedido y actualiza su 'totalPagado', 'saldo' y 'estadoPago'
+ * (impago, parcial o pagado), que no dependen del estado de preparación del pedido.
+ * Con medio 'credito' se usa el saldo a favor del cliente del pedido (ej: por una devolución).
+ * Método HTTP: POST /api/pedidos/:id/pagos
+ * @param {object} req - Objeto de solicitud de Express (contiene params, body { monto, medio, referencia, observaciones, fecha } y req.user).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+pedidoController.registrarPago = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { monto, medio, referencia, observaciones } = req.body;
+
+        console.log(`💵 Registrando pago del pedido: ${id}`); // Log de inicio del proceso
+
+        // 1. Verificar que el pedido exista y que el empleado pueda operarlo (solo los suyos)
+        const pedido = await Pedido.findById(id);
+        if (!pedido) {
+            return res.status(404).json({
+                error: 'Pedido no encontrado.'
+            });
+        }
+        if (req.user.rol === 'empleado' && pedido.vendedorId !== req.user.id) {
+            return res.status(403).json({
+                error: 'No tienes permiso para registrar pagos en este pedido.'
+            });
+        }
+
+        // 2. Validar los datos del pago
+        if (typeof monto !== 'number' || monto <= 0) {
+            return res.status(400).json({
+                error: 'El monto debe ser un número mayor a 0.'
+            });
+        }
+        if (!Pago.MEDIOS.includes(medio)) {
+            return res.status(400).json({
+                error: `Medio de pago inválido. Use: ${Pago.MEDIOS.join(', ')}.`
+            });
+        }
+        if (medio === 'mercadopago' && !referencia) {
+            return res.status(400).json({
+                error: 'Los pagos con MercadoPago requieren la referencia de la operación.'
+            });
+        }
+        // Fecha de cobro (opcional, ej: una transferencia recibida ayer); por defecto, ahora
+        const fecha = parsearFechaFiltro(req.body.fecha);
+        if (fecha === undefined) {
+            return res.status(400).json({
+                error: 'fecha no es una fecha válida.'
+            });
+        }
+
+        // 3. Registrar el pago y actualizar el pedido (una única transacción)
+        let resultado;
+        try {
+            resultado = await Pago.registrar(id, {
+                monto: Math.round(monto * 100) / 100,
+                medio,
+                referencia: referencia || null,
+                observaciones: observaciones || '',
+                usuarioId: req.user.id,
+                fecha
+            });
+        } catch (error) {
+            if (error.code === 'not-found') {
+                return res.status(404).json({
+                    error: 'Pedido no encontrado.'
+                });
+            }
+            if (error.code === 'pedido-cancelado') {
+                return res.status(409).json({
+                    error: error.message
+                });
+            }
+            if (error.code === 'monto-excedido') {
+                return res.status(409).json({
+                    error: error.message,
+                    saldo: error.saldo
+                });
+            }
+            if (error.code === 'sin-cliente') {
+                return res.status(400).json({
+                    error: error.message
+                });
+            }
+            if (error.code === 'credito-insuficiente') {
+                return res.status(409).json({
+                    error: error.message,
+                    disponible: error.disponible
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Pago registrado: ${resultado.pago.id}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito 201 (Created) con el estado de cobro del pedido
+        res.status(201).json({
+            message: 'Pago registrado exitosamente',
+            pago: resultado.pago,
+            pedido: {
+                id: resultado.pedido.id,
+                total: resultado.pedido.total,
+                totalPagado: resultado.pedido.totalPagado,
+                saldo: resultado.pedido.saldo,
+                estadoPago: resultado.pedido.estadoPago
+            }
+        });
+
+    } catch (error) {
+        // Manejo de errores internos del servidor
+        console.error('❌ Error registrando pago:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al registrar pago.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener los pagos de un pedido.
+ * Aplica la misma restricción de acceso que el detalle del pedido para empleados.
+ * Método HTTP: GET /api/pedidos/:id/pagos
+ * @param {object} req - Objeto de solicitud de Express (contiene params y req.user).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+pedidoController.obtenerPagos = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const pedido = await Pedido.findById(id);
+        if (!pedido) {
+            return res.status(404).json({
+                error: 'Pedido no encontrado.'
+            });
+        }
+        if (req.user.rol === 'empleado' && pedido.vendedorId !== req.user.id) {
+            return res.status(403).json({
+                error: 'No tienes permiso para ver este pedido.'
+            });
+        }
+
+        const pagos = await Pago.findByPedido(id);
+
+        console.log(`✅ Obtenidos ${pagos.length} pagos del pedido ${pedido.numero}`); // Log de éxito
+
+        // Los pedidos anteriores a los pagos no tienen estado de cobro: se calcula con lo registrado
+        const totalPagado = pedido.totalPagado || 0;
+        res.json({
+            pagos,
+            total: pedido.total,
+            totalPagado,
+            saldo: Math.round((pedido.total - totalPagado) * 100) / 100,
+            estadoPago: pedido.estadoPago || Pago.estadoPago(pedido.total, totalPagado)
+        });
+
+    } catch (error) {
+        // Manejo de errores internos del servidor
+        console.error('❌ Error obteniendo pagos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener pagos.'
+        });
+    }
+};
+
 // Exportar el objeto controlador para que pueda ser utilizado por el router
 module.exports = pedidoController;
\ No newline at end of file
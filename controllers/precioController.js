@@ -1,13 +1,51 @@
 // Importación de modelos necesarios
 const Precio = require('../models/precioModel'); // Modelo para manejar los registros de precios y su historial
 const Producto = require('../models/productoModel'); // Modelo para verificar la existencia del producto
+const Costo = require('../models/costoModel'); // Modelo de costos (para calcular el precio a partir de un margen)
+const Categoria = require('../models/categoriaModel'); // Modelo para validar la categoría de la actualización masiva
+const ListaPrecio = require('../models/listaPrecioModel'); // Modelo de listas de precios (mayorista, revendedor...)
+const Cotizacion = require('../models/cotizacionModel'); // Monedas admitidas
+const { resumirMargen, precioParaMargen } = require('../utils/margen'); // Cálculo de margen y markup
+const { parsearFechaFiltro } = require('../utils/fechas'); // Lectura de fechas 'AAAA-MM-DD' o ISO
+const { validarRedondeo, ajustarPrecio } = require('../utils/ajustePrecios'); // Aumentos y redondeo masivos
 
 // Objeto controlador que agrupa las funciones de manejo de precios
 const precioController = {};
 
+/**
+ * Lee y valida la ventana de vigencia enviada en el body.
+ * Sin 'vigenciaDesde' (o con una fecha ya pasada) el precio rige desde ahora; una fecha
+ * simple en 'vigenciaHasta' incluye ese día completo.
+ * @param {object} body - Body de la solicitud (vigenciaDesde, vigenciaHasta).
+ * @returns {object} { vigenciaDesde, vigenciaHasta } o { error } si las fechas no son válidas.
+ */
+const leerVigencia = ({ vigenciaDesde, vigenciaHasta }) => {
+    const desde = parsearFechaFiltro(vigenciaDesde);
+    const hasta = parsearFechaFiltro(vigenciaHasta, { finDelDia: true });
+    if (desde === undefined || hasta === undefined) {
+        return { error: 'Las fechas de vigencia no son válidas.' };
+    }
+
+    const ahora = new Date();
+    const inicio = desde && desde > ahora ? desde : ahora;
+    if (hasta && hasta <= inicio) {
+        return { error: 'vigenciaHasta debe ser posterior al inicio de la vigencia.' };
+    }
+
+    return { vigenciaDesde: inicio, vigenciaHasta: hasta };
+};
+
+// -----------------------------------------------------------------------------
+
 /**
  * Función controladora para crear un nuevo registro de precio para un producto.
  * Nota: En esta implementación, 'crear' y 'actualizar' un precio actual son la misma acción: registrar uno nuevo.
+ * En lugar de 'precio' se puede enviar 'margen' (% sobre el precio de venta) y el precio se calcula
+ * a partir del costo vigente del producto: precio = costo / (1 - margen / 100).
+ * Con 'vigenciaDesde' y/o 'vigenciaHasta' se programan precios: un precio sin 'vigenciaHasta' pasa a ser
+ * el precio base desde su inicio; uno con 'vigenciaHasta' rige sólo durante su ventana (ej: una oferta).
+ * Con 'listaPrecioId' el precio pertenece a esa lista; sin ella, a la lista minorista.
+ * 'incluyeIva' indica si el importe es final (por defecto) o neto de IVA.
  * Método HTTP: POST /api/precios
  * @param {object} req - Objeto de solicitud de Express (contiene el body).
  * @param {object} res - Objeto de respuesta de Express.
@@ -15,19 +53,45 @@ const precioController = {};
 precioController.crearPrecio = async (req, res) => {
     try {
         // Desestructurar los datos del precio del cuerpo de la solicitud
-        const { productoId, precio, precioOferta, moneda } = req.body;
+        const { productoId, precio, precioOferta, moneda, incluyeIva, margen, listaPrecioId } = req.body;
         
         console.log(`💰 Creando precio para producto: ${productoId}`); // Log de inicio
         
         // 1. Validación de campos requeridos
-        if (!productoId || !precio) {
-            // Si falta el ID del producto o el precio base, devuelve un error 400
+        if (!productoId || (!precio && margen === undefined)) {
+            // Si falta el ID del producto o el precio base (o el margen), devuelve un error 400
+            return res.status(400).json({
+                error: 'productoId y precio (o margen) son requeridos.'
+            });
+        }
+        if (precio && margen !== undefined) {
+            return res.status(400).json({
+                error: 'Indique el precio o el margen, no ambos.'
+            });
+        }
+        if (margen !== undefined && (typeof margen !== 'number' || margen < 0 || margen >= 100)) {
+            return res.status(400).json({
+                error: 'El margen debe ser un número mayor o igual a 0 y menor a 100.'
+            });
+        }
+        if (moneda !== undefined && !Cotizacion.MONEDAS.includes(moneda)) {
+            return res.status(400).json({
+                error: `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.`
+            });
+        }
+        if (incluyeIva !== undefined && typeof incluyeIva !== 'boolean') {
+            return res.status(400).json({
+                error: 'incluyeIva debe ser true (precio final) o false (precio neto).'
+            });
+        }
+        const vigencia = leerVigencia(req.body);
+        if (vigencia.error) {
             return res.status(400).json({
-                error: 'productoId y precio son requeridos.'
+                error: vigencia.error
             });
         }
         
-        // 2. Verificar que el producto al que se le asigna el precio realmente existe
+        // 2. Verificar que el producto al que se le asigna el precio realmente existe (y la lista, si se indicó)
         const producto = await Producto.findById(productoId);
         if (!producto) {
             // Si el producto no existe, devuelve un error 404
@@ -35,27 +99,57 @@ precioController.crearPrecio = async (req, res) => {
                 error: 'Producto no encontrado.'
             });
         }
+        const { lista, error: errorLista } = await ListaPrecio.resolver(listaPrecioId);
+        if (errorLista) {
+            return res.status(404).json({
+                error: errorLista
+            });
+        }
         
-        // 3. Crear una nueva instancia del modelo Precio
+        // 3. Si se pidió un margen, calcular el precio a partir del costo vigente
+        const costo = await Costo.findByProductoId(productoId);
+        let precioBase = precio;
+        if (margen !== undefined) {
+            if (!costo) {
+                return res.status(409).json({
+                    error: 'El producto no tiene un costo registrado. Registre el costo antes de fijar el precio por margen.'
+                });
+            }
+            if (moneda && moneda !== costo.moneda) {
+                return res.status(400).json({
+                    error: `El costo del producto está en ${costo.moneda}; el precio calculado por margen debe estar en la misma moneda.`
+                });
+            }
+            precioBase = precioParaMargen(costo.costo, margen);
+        }
+        
+        // 4. Crear una nueva instancia del modelo Precio
         const precioObj = new Precio({
             productoId,
-            precio, // Precio base
+            precio: precioBase, // Precio base (indicado o calculado por margen)
             precioOferta, // Precio opcional de oferta
-            moneda // Moneda del precio
+            moneda: margen !== undefined ? costo.moneda : moneda, // Moneda del precio
+            incluyeIva, // Si el precio es final (con IVA) o neto; por defecto, final
+            listaPrecioId: lista ? lista.id : null, // Lista de precios (null: minorista)
+            costoId: margen !== undefined ? costo.id : null, // Costo usado para el cálculo
+            margenObjetivo: margen !== undefined ? margen : null,
+            vigenciaDesde: vigencia.vigenciaDesde,
+            vigenciaHasta: vigencia.vigenciaHasta
         });
         
-        // 4. Guardar el nuevo registro de precio en la base de datos
+        // 5. Guardar el nuevo registro de precio en la base de datos
         // Se asume que el método 'save()' del modelo se encarga de:
         // a) Guardar el nuevo registro.
-        // b) Si existe un precio anterior para este producto, marcarlo como inactivo/histórico.
+        // b) Si es un precio base, cerrar la vigencia del precio base anterior (queda como histórico).
         const precioCreado = await precioObj.save();
         
         console.log(`✅ Precio creado exitosamente para producto: ${productoId}`); // Log de éxito
         
-        // 5. Enviar respuesta de éxito 201 (Created)
+        // 6. Enviar respuesta de éxito 201 (Created), con el margen resultante si hay costo
         res.status(201).json({
             message: 'Precio creado exitosamente',
-            precio: precioCreado
+            precio: precioCreado,
+            margen: resumirMargen(precioCreado, costo)
         });
         
     } catch (error) {
@@ -70,8 +164,10 @@ precioController.crearPrecio = async (req, res) => {
 // -----------------------------------------------------------------------------
 
 /**
- * Función controladora para obtener el precio *actual* de un producto.
- * Método HTTP: GET /api/precios/:productoId
+ * Función controladora para obtener el precio *vigente* de un producto.
+ * Con '?fecha=' (AAAA-MM-DD o ISO) devuelve el precio que rigió o regirá en ese momento.
+ * Con '?listaPrecioId=' devuelve el precio de esa lista (o el minorista si la lista no tiene precio para el producto).
+ * Método HTTP: GET /api/precios/producto/:productoId
  * @param {object} req - Objeto de solicitud de Express (contiene params).
  * @param {object} res - Objeto de respuesta de Express.
  */
@@ -79,16 +175,29 @@ precioController.obtenerPrecioProducto = async (req, res) => {
     try {
         // 1. Obtener el productoId de los parámetros de la URL
         const { productoId } = req.params;
+        const fecha = parsearFechaFiltro(req.query.fecha);
+        if (fecha === undefined) {
+            return res.status(400).json({
+                error: 'La fecha no es válida.'
+            });
+        }
+        const { lista, error: errorLista } = await ListaPrecio.resolver(req.query.listaPrecioId);
+        if (errorLista) {
+            return res.status(404).json({
+                error: errorLista
+            });
+        }
         
-        // 2. Buscar el precio actual y activo para el producto
-        // Se asume que 'Precio.findByProductoId()' solo retorna el último/precio actual/activo
-        const precio = await Precio.findByProductoId(productoId);
+        // 2. Buscar el precio que rige en la fecha pedida (o ahora) para la lista pedida
+        const precio = await Precio.findParaLista(productoId, lista ? lista.id : null, fecha || new Date());
         
         // 3. Verificar si se encontró un precio
         if (!precio) {
             // Si no hay precio registrado para ese producto, devuelve un error 404
             return res.status(404).json({
-                error: 'Precio no encontrado para este producto.'
+                error: fecha
+                    ? 'No hay un precio vigente para este producto en esa fecha.'
+                    : 'Precio no encontrado para este producto.'
             });
         }
         
@@ -147,8 +256,9 @@ precioController.obtenerHistorialPrecios = async (req, res) => {
 
 /**
  * Función controladora para actualizar el precio de un producto.
- * En esta implementación, la 'actualización' se logra creando un nuevo registro (ver crearPrecio).
- * Método HTTP: PUT /api/precios/:productoId
+ * En esta implementación, la 'actualización' se logra creando un nuevo registro (ver crearPrecio),
+ * que también acepta 'vigenciaDesde', 'vigenciaHasta', 'listaPrecioId' e 'incluyeIva'.
+ * Método HTTP: PUT /api/precios/producto/:productoId
  * @param {object} req - Objeto de solicitud de Express (contiene params y body).
  * @param {object} res - Objeto de respuesta de Express.
  */
@@ -156,10 +266,33 @@ precioController.actualizarPrecio = async (req, res) => {
     try {
         // 1. Obtener el productoId de los parámetros y los nuevos datos del cuerpo
         const { productoId } = req.params;
-        const { precio, precioOferta, moneda } = req.body;
+        const { precio, precioOferta, moneda, incluyeIva, listaPrecioId } = req.body;
         
         console.log(`🔄 Actualizando precio para producto: ${productoId}`); // Log de inicio
         
+        if (moneda !== undefined && !Cotizacion.MONEDAS.includes(moneda)) {
+            return res.status(400).json({
+                error: `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.`
+            });
+        }
+        if (incluyeIva !== undefined && typeof incluyeIva !== 'boolean') {
+            return res.status(400).json({
+                error: 'incluyeIva debe ser true (precio final) o false (precio neto).'
+            });
+        }
+        const vigencia = leerVigencia(req.body);
+        if (vigencia.error) {
+            return res.status(400).json({
+                error: vigencia.error
+            });
+        }
+        const { lista, error: errorLista } = await ListaPrecio.resolver(listaPrecioId);
+        if (errorLista) {
+            return res.status(404).json({
+                error: errorLista
+            });
+        }
+        
         // 2. Verificar que el producto existe antes de registrar un nuevo precio
         const producto = await Producto.findById(productoId);
         if (!producto) {
@@ -170,15 +303,19 @@ precioController.actualizarPrecio = async (req, res) => {
         }
         
         // 3. Crear una nueva instancia del modelo Precio con los nuevos valores
-        // Esta acción, internamente en el modelo (se asume), desactiva el precio anterior.
+        // Si es un precio base, el modelo cierra la vigencia del precio base anterior.
         const precioObj = new Precio({
             productoId,
             precio,
             precioOferta,
-            moneda
+            moneda,
+            incluyeIva,
+            listaPrecioId: lista ? lista.id : null,
+            vigenciaDesde: vigencia.vigenciaDesde,
+            vigenciaHasta: vigencia.vigenciaHasta
         });
         
-        // 4. Guardar el nuevo registro, marcándolo como el precio actual
+        // 4. Guardar el nuevo registro
         const precioActualizado = await precioObj.save();
         
         console.log(`✅ Precio actualizado para producto: ${productoId}`); // Log de éxito
@@ -198,5 +335,177 @@ precioController.actualizarPrecio = async (req, res) => {
     }
 };
 
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para actualizar muchos precios a la vez (ej: la remarcación mensual).
+ * Aplica un 'porcentaje' o un 'monto' fijo (negativos para rebajar) al precio base vigente de los
+ * productos activos que cumplan el filtro: 'categoriaId', 'material', 'productoIds' (se combinan),
+ * o 'todos: true' para el catálogo completo. El precio de oferta, si hay, se ajusta igual.
+ * - redondeo: { multiplo, terminacion, modo } (ej: { multiplo: 1000, terminacion: 900 } -> 25.900).
+ * - vigenciaDesde / vigenciaHasta: como en crearPrecio (programar la remarcación o una oferta temporal).
+ * - listaPrecioId: ajusta los precios de esa lista en lugar de los minoristas.
+ * - simular: true devuelve la vista previa sin guardar nada.
+ * Los precios nuevos se guardan en lotes; los anteriores quedan en el historial.
+ * Método HTTP: POST /api/precios/masivo
+ * @param {object} req - Objeto de solicitud de Express (contiene el body).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+precioController.actualizarPreciosMasivo = async (req, res) => {
+    try {
+        const { categoriaId, material, productoIds, todos, porcentaje, monto, redondeo, simular, listaPrecioId } = req.body;
+
+        console.log(`💰 Actualización masiva de precios${simular ? ' (simulación)' : ''}`); // Log de inicio
+
+        // 1. Validar el ajuste, el filtro, el redondeo y la vigencia
+        if ((porcentaje === undefined) === (monto === undefined)) {
+            return res.status(400).json({
+                error: 'Indique un porcentaje o un monto (uno de los dos).'
+            });
+        }
+        if (porcentaje !== undefined && (typeof porcentaje !== 'number' || porcentaje <= -100)) {
+            return res.status(400).json({
+                error: 'El porcentaje debe ser un número mayor a -100.'
+            });
+        }
+        if (monto !== undefined && typeof monto !== 'number') {
+            return res.status(400).json({
+                error: 'El monto debe ser un número.'
+            });
+        }
+        if (productoIds !== undefined && (!Array.isArray(productoIds) || productoIds.length === 0)) {
+            return res.status(400).json({
+                error: 'productoIds debe ser un array con al menos un producto.'
+            });
+        }
+        if (!categoriaId && !material && !productoIds && todos !== true) {
+            return res.status(400).json({
+                error: 'Indique categoriaId, material o productoIds (o todos: true para el catálogo completo).'
+            });
+        }
+        const errorRedondeo = validarRedondeo(redondeo);
+        if (errorRedondeo) {
+            return res.status(400).json({
+                error: errorRedondeo
+            });
+        }
+        const vigencia = leerVigencia(req.body);
+        if (vigencia.error) {
+            return res.status(400).json({
+                error: vigencia.error
+            });
+        }
+        if (categoriaId && !(await Categoria.findById(categoriaId))) {
+            return res.status(404).json({
+                error: 'Categoría no encontrada.'
+            });
+        }
+        const { lista, error: errorLista } = await ListaPrecio.resolver(listaPrecioId);
+        if (errorLista) {
+            return res.status(404).json({
+                error: errorLista
+            });
+        }
+
+        // 2. Seleccionar los productos activos que cumplen el filtro
+        const omitidos = [];
+        let productos = await Producto.findAll();
+        if (categoriaId) {
+            productos = productos.filter(producto => producto.categoriaId === categoriaId);
+        }
+        if (material) {
+            const buscado = String(material).trim().toLowerCase();
+            productos = productos.filter(producto => (producto.material || '').trim().toLowerCase() === buscado);
+        }
+        if (productoIds) {
+            const encontrados = new Set(productos.map(producto => producto.id));
+            productoIds
+                .filter(id => !encontrados.has(id))
+                .forEach(id => omitidos.push({ productoId: id, motivo: 'Producto no encontrado, inactivo o fuera del filtro' }));
+            productos = productos.filter(producto => productoIds.includes(producto.id));
+        }
+
+        // 3. Calcular el precio nuevo a partir del precio base que rige al inicio de la vigencia
+        const lineas = [];
+        const nuevos = [];
+        for (const producto of productos) {
+            const base = await Precio.findByProductoId(producto.id, vigencia.vigenciaDesde, {
+                soloBase: true,
+                listaPrecioId: lista ? lista.id : null
+            });
+            if (!base) {
+                omitidos.push({ productoId: producto.id, nombre: producto.nombre, motivo: lista ? 'Sin precio base en la lista' : 'Sin precio base' });
+                continue;
+            }
+
+            const precioNuevo = ajustarPrecio(base.precio, { porcentaje, monto, redondeo });
+            const precioOfertaNuevo = base.precioOferta
+                ? ajustarPrecio(base.precioOferta, { porcentaje, monto, redondeo })
+                : null;
+            if (precioNuevo <= 0 || (precioOfertaNuevo !== null && precioOfertaNuevo <= 0)) {
+                omitidos.push({ productoId: producto.id, nombre: producto.nombre, motivo: 'El precio resultante no es válido' });
+                continue;
+            }
+            if (precioNuevo === base.precio && precioOfertaNuevo === (base.precioOferta || null)) {
+                omitidos.push({ productoId: producto.id, nombre: producto.nombre, motivo: 'Sin cambios' });
+                continue;
+            }
+
+            lineas.push({
+                productoId: producto.id,
+                nombre: producto.nombre,
+                moneda: base.moneda,
+                precioIdAnterior: base.id,
+                precioAnterior: base.precio,
+                precioNuevo,
+                precioOfertaAnterior: base.precioOferta || null,
+                precioOfertaNuevo
+            });
+            nuevos.push(new Precio({
+                productoId: producto.id,
+                precio: precioNuevo,
+                precioOferta: precioOfertaNuevo,
+                moneda: base.moneda,
+                incluyeIva: base.incluyeIva,
+                listaPrecioId: base.listaPrecioId || null,
+                vigenciaDesde: vigencia.vigenciaDesde,
+                vigenciaHasta: vigencia.vigenciaHasta
+            }));
+        }
+
+        // 4. Simulación: devolver la vista previa sin guardar
+        if (simular) {
+            console.log(`✅ Simulación de actualización masiva: ${lineas.length} precios`); // Log de éxito
+            return res.json({
+                simulacion: true,
+                productos: lineas,
+                omitidos,
+                total: lineas.length
+            });
+        }
+
+        // 5. Guardar los precios nuevos en lotes
+        const guardados = await Precio.guardarLote(nuevos);
+        lineas.forEach((linea, i) => { linea.precioId = guardados[i].id; });
+
+        console.log(`✅ Actualización masiva de precios: ${guardados.length} precios`); // Log de éxito
+
+        res.status(201).json({
+            message: 'Precios actualizados exitosamente',
+            productos: lineas,
+            omitidos,
+            total: guardados.length
+        });
+
+    } catch (error) {
+        // Manejo de errores internos del servidor (si falló un lote, se informa cuántos precios se guardaron)
+        console.error('❌ Error en la actualización masiva de precios:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar precios.',
+            guardados: error.guardados || 0
+        });
+    }
+};
+
 // Exportar el objeto controlador
 module.exports = precioController;
\ No newline at end of file
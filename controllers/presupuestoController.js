@@ -0,0 +1,521 @@
+// Importación de los modelos, controladores y utilidades necesarios
+const Presupuesto = require('../models/presupuestoModel'); // Modelo de presupuestos
+const Pedido = require('../models/pedidoModel'); // Cotización de líneas (mismos precios que un pedido)
+const ListaPrecio = require('../models/listaPrecioModel'); // Modelo de listas de precios
+const Cotizacion = require('../models/cotizacionModel'); // Monedas admitidas
+const Cliente = require('../models/clienteModel'); // Modelo de clientes
+const pedidoController = require('./pedidoController'); // Circuito normal de creación de pedidos
+const { parsearFechaFiltro } = require('../utils/fechas'); // Lectura de 'AAAA-MM-DD' o ISO
+
+// Objeto controlador que contendrá todas las funciones de manejo de presupuestos
+const presupuestoController = {};
+
+/**
+ * Cotiza las líneas de un presupuesto con la lista de precios y la moneda indicadas.
+ * @param {Array} productos - Productos enviados ({ productoId, cantidad }).
+ * @param {object} opciones - { listaPrecioId, moneda }.
+ * @returns {Promise<object>} { datos } con las líneas y totales, o { error, productos } si no se puede cotizar.
+ */
+const cotizar = async (productos, { listaPrecioId, moneda }) => {
+    if (!Array.isArray(productos) || productos.length === 0) {
+        return { error: 'El presupuesto debe incluir al menos un producto.' };
+    }
+    if (productos.some(item => !item || !item.productoId || !Number.isInteger(item.cantidad) || item.cantidad <= 0)) {
+        return { error: 'Cada producto debe tener productoId y una cantidad entera mayor a 0.' };
+    }
+    if (moneda && !Cotizacion.MONEDAS.includes(moneda)) {
+        return { error: `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.` };
+    }
+    const { lista, error: errorLista } = await ListaPrecio.resolver(listaPrecioId);
+    if (errorLista) {
+        return { error: errorLista };
+    }
+
+    const cotizacion = await Pedido.cotizar(
+        productos.map(({ productoId, cantidad }) => ({ productoId, cantidad })),
+        { listaPrecioId: lista ? lista.id : null, moneda }
+    );
+    if (cotizacion.errores.length > 0) {
+        return { error: 'Hay productos que no se pueden cotizar', productos: cotizacion.errores };
+    }
+    return {
+        datos: {
+            productos: cotizacion.lineas,
+            total: cotizacion.total,
+            impuestos: cotizacion.impuestos,
+            descuentos: cotizacion.descuentos,
+            moneda: cotizacion.moneda,
+            listaPrecioId: lista ? lista.id : null,
+            tiposCambio: cotizacion.tiposCambio
+        }
+    };
+};
+
+/**
+ * Toma del body los datos de contacto: con 'clienteId' se copian el nombre y el email del cliente.
+ * @param {object} body - Body de la solicitud.
+ * @returns {Promise<object>} { datos } con los campos enviados, o { error }.
+ */
+const leerContacto = async (body) => {
+    const datos = {};
+    if (body.clienteId) {
+        const cliente = await Cliente.findById(body.clienteId);
+        if (!cliente || !cliente.activo) {
+            return { error: 'Cliente no encontrado o inactivo.' };
+        }
+        Object.assign(datos, { clienteId: cliente.id, cliente: cliente.nombre, email: cliente.email });
+    } else {
+        if (body.cliente !== undefined) datos.cliente = body.cliente;
+        if (body.email !== undefined) datos.email = body.email || null;
+    }
+    return { datos };
+};
+
+/**
+ * Interpreta el vencimiento enviado: el presupuesto vale hasta el final del día indicado.
+ * @param {string} vence - Fecha enviada.
+ * @returns {object} { vence } (null si no se envió), o { error } si es inválida o ya pasó.
+ */
+const leerVencimiento = (vence) => {
+    const fecha = parsearFechaFiltro(vence, { finDelDia: true });
+    if (fecha === undefined) {
+        return { error: 'vence no es una fecha válida.' };
+    }
+    if (fecha && fecha < new Date()) {
+        return { error: 'vence no puede ser una fecha pasada.' };
+    }
+    return { vence: fecha };
+};
+
+/**
+ * Indica si el usuario puede gestionar el presupuesto (los empleados, solo los propios).
+ * @param {object} user - Usuario autenticado (req.user).
+ * @param {object} presupuesto - Presupuesto.
+ * @returns {boolean}
+ */
+const puedeGestionar = (user, presupuesto) => user.rol !== 'empleado' || presupuesto.usuarioId === user.id;
+
+/**
+ * Función controladora para crear un presupuesto.
+ * Las líneas se cotizan como en un pedido (lista de precios, moneda, promociones e IVA),
+ * pero no se reserva ni se descuenta stock. Nace como borrador.
+ * Método HTTP: POST /api/presupuestos
+ * @param {object} req - Objeto de solicitud de Express (body: clienteId o cliente y email, productos, listaPrecioId, moneda, vence, observaciones).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+presupuestoController.crearPresupuesto = async (req, res) => {
+    try {
+        const { productos, listaPrecioId, moneda, observaciones } = req.body;
+
+        console.log(`📝 Creando presupuesto para: ${req.body.clienteId || req.body.cliente}`); // Log de inicio del proceso
+
+        // 1. Datos de contacto y vencimiento
+        const { datos: contacto, error: errorContacto } = await leerContacto(req.body);
+        if (errorContacto) {
+            return res.status(400).json({
+                error: errorContacto
+            });
+        }
+        if (!contacto.cliente) {
+            return res.status(400).json({
+                error: 'Indique el clienteId o el nombre del cliente.'
+            });
+        }
+        const { vence, error: errorVence } = leerVencimiento(req.body.vence);
+        if (errorVence) {
+            return res.status(400).json({
+                error: errorVence
+            });
+        }
+
+        // 2. Cotizar las líneas con los precios vigentes
+        const { datos: cotizacion, error, productos: errores } = await cotizar(productos, { listaPrecioId, moneda });
+        if (error) {
+            return res.status(400).json({
+                error,
+                ...(errores && { productos: errores })
+            });
+        }
+
+        // 3. Guardar el presupuesto
+        const presupuesto = new Presupuesto({
+            ...contacto,
+            ...cotizacion,
+            vence,
+            observaciones,
+            usuarioId: req.user.id
+        });
+        const presupuestoCreado = await presupuesto.save();
+
+        console.log(`✅ Presupuesto creado exitosamente: ${presupuestoCreado.id}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito 201 (Created)
+        res.status(201).json({
+            message: 'Presupuesto creado exitosamente',
+            presupuesto: presupuestoCreado
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error creando presupuesto:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al crear presupuesto.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener los presupuestos.
+ * Los empleados ven solo los suyos. Filtros opcionales por query string: estado y clienteId.
+ * Método HTTP: GET /api/presupuestos
+ * @param {object} req - Objeto de solicitud de Express (contiene query y req.user).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+presupuestoController.obtenerPresupuestos = async (req, res) => {
+    try {
+        const { estado, clienteId } = req.query;
+
+        if (estado && !Presupuesto.ESTADOS.includes(estado)) {
+            return res.status(400).json({
+                error: 'Estado inválido.',
+                estadosValidos: Presupuesto.ESTADOS
+            });
+        }
+
+        // El estado se filtra en memoria: incluye el vencimiento aún no marcado
+        let presupuestos = await Presupuesto.findAll({
+            usuarioId: req.user.rol === 'empleado' ? req.user.id : null,
+            clienteId
+        });
+        if (estado) presupuestos = presupuestos.filter(presupuesto => presupuesto.estado === estado);
+
+        console.log(`✅ Obtenidos ${presupuestos.length} presupuestos`); // Log de éxito
+
+        res.json({
+            presupuestos,
+            total: presupuestos.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo presupuestos:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener presupuestos.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener un presupuesto por su ID, con los estados a los que
+ * puede pasar y si se puede convertir en pedido.
+ * Método HTTP: GET /api/presupuestos/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params' y req.user).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+presupuestoController.obtenerPresupuesto = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const presupuesto = await Presupuesto.findById(id);
+        if (!presupuesto) {
+            return res.status(404).json({
+                error: 'Presupuesto no encontrado.'
+            });
+        }
+        if (!puedeGestionar(req.user, presupuesto)) {
+            return res.status(403).json({
+                error: 'No tienes permiso para ver este presupuesto.'
+            });
+        }
+
+        console.log(`✅ Presupuesto obtenido: ${id}`); // Log de éxito
+
+        const motivo = Presupuesto.verificarConvertible(presupuesto);
+        res.json({
+            presupuesto,
+            estadosSiguientes: Presupuesto.estadosSiguientes(presupuesto.estado),
+            convertible: motivo === null,
+            motivo
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo presupuesto:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener presupuesto.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para modificar un presupuesto en borrador.
+ * Si cambian los productos, la lista de precios o la moneda, se vuelve a cotizar con los precios vigentes.
+ * Método HTTP: PUT /api/presupuestos/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params', 'body' y req.user).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+presupuestoController.actualizarPresupuesto = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { productos, listaPrecioId, moneda, observaciones } = req.body;
+
+        console.log(`🔄 Actualizando presupuesto: ${id}`); // Log de inicio
+
+        // 1. Verificar si el presupuesto existe y es del usuario
+        const presupuestoExistente = await Presupuesto.findById(id);
+        if (!presupuestoExistente) {
+            return res.status(404).json({
+                error: 'Presupuesto no encontrado.'
+            });
+        }
+        if (!puedeGestionar(req.user, presupuestoExistente)) {
+            return res.status(403).json({
+                error: 'No tienes permiso para modificar este presupuesto.'
+            });
+        }
+
+        // 2. Tomar los campos enviados
+        const { datos, error: errorContacto } = await leerContacto(req.body);
+        if (errorContacto) {
+            return res.status(400).json({
+                error: errorContacto
+            });
+        }
+        if (datos.cliente !== undefined && !datos.cliente) {
+            return res.status(400).json({
+                error: 'El nombre del cliente no puede quedar vacío.'
+            });
+        }
+        if (req.body.clienteId === null) datos.clienteId = null;
+        if (req.body.vence !== undefined) {
+            const { vence, error: errorVence } = leerVencimiento(req.body.vence);
+            if (errorVence) {
+                return res.status(400).json({
+                    error: errorVence
+                });
+            }
+            datos.vence = vence || Presupuesto.vencimientoPorDefecto();
+        }
+        if (observaciones !== undefined) datos.observaciones = observaciones;
+
+        // 3. Recotizar si cambian las líneas o sus condiciones
+        if (productos !== undefined || listaPrecioId !== undefined || moneda !== undefined) {
+            const { datos: cotizacion, error, productos: errores } = await cotizar(
+                productos !== undefined
+                    ? productos
+                    : presupuestoExistente.productos.map(({ productoId, cantidad }) => ({ productoId, cantidad })),
+                {
+                    listaPrecioId: listaPrecioId !== undefined ? listaPrecioId : presupuestoExistente.listaPrecioId,
+                    moneda: moneda !== undefined ? moneda : presupuestoExistente.moneda
+                }
+            );
+            if (error) {
+                return res.status(400).json({
+                    error,
+                    ...(errores && { productos: errores })
+                });
+            }
+            Object.assign(datos, cotizacion);
+        }
+
+        // 4. Guardar los cambios (solo si sigue en borrador)
+        try {
+            await Presupuesto.update(id, datos);
+        } catch (error) {
+            if (error.code === 'estado-invalido') {
+                return res.status(409).json({
+                    error: error.message,
+                    estadoActual: error.estadoActual
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Presupuesto actualizado: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Presupuesto actualizado exitosamente',
+            presupuesto: { ...presupuestoExistente, ...datos }
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error actualizando presupuesto:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar presupuesto.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para enviar o aceptar un presupuesto.
+ * Los presupuestos vencidos ya no cambian de estado ('vencido' lo asigna el vencimiento).
+ * Método HTTP: PATCH /api/presupuestos/:id/estado
+ * @param {object} req - Objeto de solicitud de Express (body: estado, comentario).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+presupuestoController.actualizarEstado = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { estado, comentario } = req.body;
+
+        // 1. Validar que el estado exista
+        if (!Presupuesto.ESTADOS.includes(estado)) {
+            return res.status(400).json({
+                error: 'Estado inválido.',
+                estadosValidos: Presupuesto.ESTADOS
+            });
+        }
+
+        const presupuestoExistente = await Presupuesto.findById(id);
+        if (!presupuestoExistente) {
+            return res.status(404).json({
+                error: 'Presupuesto no encontrado.'
+            });
+        }
+        if (!puedeGestionar(req.user, presupuestoExistente)) {
+            return res.status(403).json({
+                error: 'No tienes permiso para modificar este presupuesto.'
+            });
+        }
+
+        // 2. Aplicar el cambio (el modelo valida la transición)
+        let presupuesto;
+        try {
+            presupuesto = await Presupuesto.updateEstado(id, estado, {
+                usuarioId: req.user.id,
+                comentario: comentario || null
+            });
+        } catch (error) {
+            if (error.code === 'transicion-invalida') {
+                return res.status(409).json({
+                    error: error.message,
+                    estadoActual: error.estadoActual,
+                    estadosPermitidos: error.estadosPermitidos
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Estado de presupuesto actualizado: ${id} -> ${estado}`); // Log de éxito
+
+        res.json({
+            message: 'Estado del presupuesto actualizado exitosamente',
+            presupuesto
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error actualizando estado de presupuesto:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar estado de presupuesto.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para convertir un presupuesto enviado o aceptado en un pedido.
+ * Vuelve a cotizar las líneas: si los precios cambiaron desde el presupuesto responde 409 con
+ * las diferencias, salvo que se envíe 'aceptarCambios: true'. El pedido se crea por el circuito
+ * normal (pedidoController.crearPedido: verifica y reserva stock, canjea el cupón) con los precios
+ * vigentes, y el presupuesto queda aceptado y vinculado al pedido en la misma transacción.
+ * Método HTTP: POST /api/presupuestos/:id/convertir
+ * @param {object} req - Objeto de solicitud de Express (body: depositoId, direccionId, direccion, telefono, cupon, aceptarCambios).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+presupuestoController.convertirPresupuesto = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { depositoId, direccionId, direccion, telefono, cupon, aceptarCambios } = req.body;
+
+        console.log(`🔁 Convirtiendo presupuesto en pedido: ${id}`); // Log de inicio
+
+        // 1. Verificar el presupuesto
+        const presupuesto = await Presupuesto.findById(id);
+        if (!presupuesto) {
+            return res.status(404).json({
+                error: 'Presupuesto no encontrado.'
+            });
+        }
+        if (!puedeGestionar(req.user, presupuesto)) {
+            return res.status(403).json({
+                error: 'No tienes permiso para convertir este presupuesto.'
+            });
+        }
+        const motivo = Presupuesto.verificarConvertible(presupuesto);
+        if (motivo) {
+            return res.status(409).json({
+                error: motivo,
+                estadoActual: presupuesto.estado,
+                pedidoId: presupuesto.pedidoId
+            });
+        }
+
+        // 2. Volver a cotizar y comparar con lo presupuestado
+        const items = presupuesto.productos.map(({ productoId, cantidad }) => ({ productoId, cantidad }));
+        const { datos: actual, error, productos: errores } = await cotizar(items, {
+            listaPrecioId: presupuesto.listaPrecioId,
+            moneda: presupuesto.moneda
+        });
+        if (error) {
+            return res.status(400).json({
+                error,
+                ...(errores && { productos: errores })
+            });
+        }
+        const cambios = actual.productos
+            .map((linea, i) => ({
+                productoId: linea.productoId,
+                nombre: linea.nombre,
+                importePresupuesto: presupuesto.productos[i].bruto,
+                importeActual: linea.bruto
+            }))
+            .filter(linea => linea.importePresupuesto !== linea.importeActual);
+        if ((cambios.length > 0 || actual.total !== presupuesto.total) && aceptarCambios !== true) {
+            return res.status(409).json({
+                error: 'Los precios cambiaron desde el presupuesto. Envíe aceptarCambios: true para crear el pedido con los precios vigentes.',
+                totalPresupuesto: presupuesto.total,
+                totalActual: actual.total,
+                productos: cambios
+            });
+        }
+
+        // 3. Crear el pedido por el circuito normal (verifica y reserva el stock)
+        req.presupuesto = presupuesto;
+        req.body = {
+            clienteId: presupuesto.clienteId,
+            cliente: presupuesto.cliente,
+            email: presupuesto.email,
+            telefono,
+            direccion,
+            direccionId,
+            productos: items,
+            listaPrecioId: presupuesto.listaPrecioId,
+            moneda: presupuesto.moneda,
+            depositoId,
+            cupon,
+            observaciones: presupuesto.observaciones || `Presupuesto ${presupuesto.id}`
+        };
+        return pedidoController.crearPedido(req, res);
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error convirtiendo presupuesto:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al convertir presupuesto.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = presupuestoController;
@@ -1,12 +1,41 @@
 // Importación de modelos necesarios
 const Producto = require('../models/productoModel'); // Modelo principal del producto
 const Precio = require('../models/precioModel');     // Modelo para manejar el precio (historial)
+const Costo = require('../models/costoModel');       // Modelo para manejar el costo (historial)
 const Stock = require('../models/stockModel');      // Modelo para manejar el stock (inventario)
 const Categoria = require('../models/categoriaModel'); // Modelo para validar la existencia de la categoría
+const ListaPrecio = require('../models/listaPrecioModel'); // Modelo de listas de precios (para cotizar por lista)
+const Cotizacion = require('../models/cotizacionModel'); // Tipos de cambio (para mostrar precios en otra moneda)
+const { resumirMargen } = require('../utils/margen'); // Cálculo de margen y markup
+const { ALICUOTAS_IVA, esAlicuotaValida, alicuotaDeProducto } = require('../utils/iva'); // Alícuotas de IVA
 
 // Objeto controlador que agrupa las funciones de manejo de productos
 const productoController = {};
 
+/**
+ * Expresa un precio en otra moneda con la cotización vigente.
+ * Las tasas se guardan por moneda de origen para no repetir consultas al convertir un listado.
+ * @param {object|null} precio - Precio vigente del producto.
+ * @param {string} moneda - Moneda destino.
+ * @param {Map} tasas - Tasas ya consultadas (moneda de origen -> promesa de Cotizacion.obtenerTasa).
+ * @returns {Promise<object|null>} { moneda, precio, precioOferta, tasa, cotizaciones } o null si no hay precio o cotización.
+ */
+const convertirPrecio = async (precio, moneda, tasas) => {
+    if (!precio) return null;
+    if (!tasas.has(precio.moneda)) {
+        tasas.set(precio.moneda, Cotizacion.obtenerTasa(precio.moneda, moneda));
+    }
+    const conversion = await tasas.get(precio.moneda);
+    if (!conversion) return null;
+    return {
+        moneda,
+        precio: Cotizacion.convertir(precio.precio, conversion.tasa),
+        precioOferta: precio.precioOferta ? Cotizacion.convertir(precio.precioOferta, conversion.tasa) : null,
+        tasa: conversion.tasa,
+        cotizaciones: conversion.cotizaciones
+    };
+};
+
 /**
  * Función controladora para crear un nuevo producto, su precio inicial y su stock inicial.
  * Método HTTP: POST /api/productos
@@ -24,7 +53,9 @@ productoController.crearProducto = async (req, res) => {
             color, 
             dimensiones, 
             imagen,
+            alicuotaIva,    // Alícuota de IVA propia (opcional; si no, la de la categoría)
             precio,         // Se utiliza para crear el registro inicial de Precio
+            costo,          // Se utiliza para crear el registro inicial de Costo
             cantidadStock   // Se utiliza para crear el registro inicial de Stock
         } = req.body;
         
@@ -36,6 +67,16 @@ productoController.crearProducto = async (req, res) => {
                 error: 'Nombre y categoría son requeridos.'
             });
         }
+        if (costo !== undefined && (typeof costo !== 'number' || costo < 0)) {
+            return res.status(400).json({
+                error: 'El costo debe ser un número mayor o igual a 0.'
+            });
+        }
+        if (alicuotaIva !== undefined && alicuotaIva !== null && !esAlicuotaValida(alicuotaIva)) {
+            return res.status(400).json({
+                error: `Alícuota de IVA inválida. Use: ${ALICUOTAS_IVA.join(', ')} (0 = exento).`
+            });
+        }
         
         // 3. Verificar que la categoría a la que pertenece el producto existe
         const categoria = await Categoria.findById(categoriaId);
@@ -53,7 +94,8 @@ productoController.crearProducto = async (req, res) => {
             material,
             color,
             dimensiones,
-            imagen
+            imagen,
+            alicuotaIva
         });
         
         // 5. Guardar el producto principal en la base de datos
@@ -68,24 +110,35 @@ productoController.crearProducto = async (req, res) => {
             await precioObj.save();
         }
         
-        // 7. Crear stock inicial si se proporcionó (usando !== undefined para aceptar 0)
+        // 7. Crear costo inicial si se proporcionó (usando !== undefined para aceptar 0)
+        if (costo !== undefined) {
+            const costoObj = new Costo({
+                productoId: productoCreado.id,
+                costo: costo,
+                usuarioId: req.user.id
+            });
+            await costoObj.save();
+        }
+        
+        // 8. Crear stock inicial si se proporcionó (usando !== undefined para aceptar 0)
         if (cantidadStock !== undefined) {
             const stockObj = new Stock({
                 productoId: productoCreado.id, // Se enlaza con el ID del producto recién creado
                 cantidad: cantidadStock
             });
-            await stockObj.save();
+            // Registra la carga inicial en el kardex a nombre del usuario autenticado
+            await stockObj.save({ usuarioId: req.user.id, motivo: 'Alta de producto' });
         }
         
         console.log(`✅ Producto creado exitosamente: ${nombre}`); // Log de éxito
         
-        // 8. Obtener la información completa para la respuesta
+        // 9. Obtener la información completa para la respuesta
         // Es necesario hacer otra búsqueda para incluir los datos que no se pasan en el save inicial
         const productoCompleto = await Producto.findById(productoCreado.id);
         const precioActual = await Precio.findByProductoId(productoCreado.id);
         const stockActual = await Stock.findByProductoId(productoCreado.id);
         
-        // 9. Enviar respuesta de éxito 201 con todos los datos combinados
+        // 10. Enviar respuesta de éxito 201 con todos los datos combinados
         res.status(201).json({
             message: 'Producto creado exitosamente',
             producto: {
@@ -108,24 +161,42 @@ productoController.crearProducto = async (req, res) => {
 
 /**
  * Función controladora para obtener todos los productos con su precio y stock actuales.
+ * Con '?listaPrecioId=' el precio es el de esa lista (o el minorista si la lista no tiene precio).
+ * Con '?moneda=' cada producto incluye además 'precioConvertido' con la cotización vigente.
  * Método HTTP: GET /api/productos
  * @param {object} req - Objeto de solicitud de Express.
  * @param {object} res - Objeto de respuesta de Express.
  */
 productoController.obtenerProductos = async (req, res) => {
     try {
-        // 1. Obtener la lista base de productos
+        // 1. Resolver la lista de precios pedida (por defecto, la minorista)
+        const { lista, error: errorLista } = await ListaPrecio.resolver(req.query.listaPrecioId);
+        if (errorLista) {
+            return res.status(404).json({
+                error: errorLista
+            });
+        }
+        const { moneda } = req.query;
+        if (moneda && !Cotizacion.MONEDAS.includes(moneda)) {
+            return res.status(400).json({
+                error: `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.`
+            });
+        }
+        const tasas = new Map();
+        
+        // 2. Obtener la lista base de productos
         const productos = await Producto.findAll();
         
-        // 2. Enriquecer cada producto con su precio actual y stock
+        // 3. Enriquecer cada producto con su precio actual y stock
         // Se usa Promise.all para ejecutar todas las promesas de búsqueda de precio/stock en paralelo
         const productosCompletos = await Promise.all(
             productos.map(async (producto) => {
-                const precio = await Precio.findByProductoId(producto.id);
+                const precio = await Precio.findParaLista(producto.id, lista ? lista.id : null);
                 const stock = await Stock.findByProductoId(producto.id);
                 return {
                     ...producto, // Spreading los datos base
                     precio: precio, // Añadiendo precio
+                    ...(moneda && { precioConvertido: await convertirPrecio(precio, moneda, tasas) }), // Precio en la moneda pedida
                     stock: stock // Añadiendo stock
                 };
             })
@@ -133,7 +204,7 @@ productoController.obtenerProductos = async (req, res) => {
         
         console.log(`✅ Obtenidos ${productosCompletos.length} productos`); // Log de éxito
         
-        // 3. Enviar respuesta exitosa con la lista enriquecida
+        // 4. Enviar respuesta exitosa con la lista enriquecida
         res.json({
             productos: productosCompletos,
             total: productosCompletos.length
@@ -152,6 +223,8 @@ productoController.obtenerProductos = async (req, res) => {
 
 /**
  * Función controladora para obtener un único producto por ID con todos sus detalles relacionados.
+ * Con '?listaPrecioId=' el precio (y el margen) es el de esa lista, o el minorista si la lista no tiene precio.
+ * Con '?moneda=' incluye además 'precioConvertido' con la cotización vigente.
  * Método HTTP: GET /api/productos/:id
  * @param {object} req - Objeto de solicitud de Express (contiene params).
  * @param {object} res - Objeto de respuesta de Express.
@@ -171,9 +244,23 @@ productoController.obtenerProducto = async (req, res) => {
             });
         }
         
-        // 4. Obtener datos relacionados (precio, stock, categoría) en paralelo
-        const [precio, stock, categoria] = await Promise.all([
-            Precio.findByProductoId(id),
+        const { lista, error: errorLista } = await ListaPrecio.resolver(req.query.listaPrecioId);
+        if (errorLista) {
+            return res.status(404).json({
+                error: errorLista
+            });
+        }
+        const { moneda } = req.query;
+        if (moneda && !Cotizacion.MONEDAS.includes(moneda)) {
+            return res.status(400).json({
+                error: `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.`
+            });
+        }
+        
+        // 4. Obtener datos relacionados (precio, costo, stock, categoría) en paralelo
+        const [precio, costo, stock, categoria] = await Promise.all([
+            Precio.findParaLista(id, lista ? lista.id : null),
+            Costo.findByProductoId(id),
             Stock.findByProductoId(id),
             Categoria.findById(producto.categoriaId)
         ]);
@@ -185,6 +272,10 @@ productoController.obtenerProducto = async (req, res) => {
             producto: {
                 ...producto,
                 precio: precio,
+                ...(moneda && { precioConvertido: await convertirPrecio(precio, moneda, new Map()) }), // Precio en la moneda pedida
+                costo: costo,
+                margen: resumirMargen(precio, costo), // Ganancia bruta, margen y markup (null si falta precio o costo)
+                alicuotaIvaAplicada: alicuotaDeProducto(producto, categoria), // La propia, la de la categoría o la general
                 stock: stock,
                 categoria: categoria // Incluye la información de la categoría
             }
@@ -212,10 +303,17 @@ productoController.actualizarProducto = async (req, res) => {
     try {
         // 1. Obtener ID y datos a actualizar
         const { id } = req.params;
-        const { nombre, descripcion, categoriaId, material, color, dimensiones, imagen } = req.body;
+        const { nombre, descripcion, categoriaId, material, color, dimensiones, imagen, alicuotaIva } = req.body;
         
         console.log(`🔄 Actualizando producto: ${id}`); // Log de inicio
         
+        // null quita la alícuota propia (el producto pasa a usar la de su categoría)
+        if (alicuotaIva !== undefined && alicuotaIva !== null && !esAlicuotaValida(alicuotaIva)) {
+            return res.status(400).json({
+                error: `Alícuota de IVA inválida. Use: ${ALICUOTAS_IVA.join(', ')} (0 = exento).`
+            });
+        }
+        
         // 2. Verificar que el producto a actualizar existe
         const productoExistente = await Producto.findById(id);
         if (!productoExistente) {
@@ -242,7 +340,8 @@ productoController.actualizarProducto = async (req, res) => {
             material,
             color,
             dimensiones,
-            imagen
+            imagen,
+            alicuotaIva
         });
         
         console.log(`✅ Producto actualizado: ${id}`); // Log de éxito
@@ -309,6 +408,7 @@ productoController.eliminarProducto = async (req, res) => {
 
 /**
  * Función controladora para obtener todos los productos filtrados por una categoría específica.
+ * Acepta '?listaPrecioId=' y '?moneda=' igual que obtenerProductos.
  * Método HTTP: GET /api/productos/categoria/:categoriaId
  * @param {object} req - Objeto de solicitud de Express (contiene params).
  * @param {object} res - Objeto de respuesta de Express.
@@ -317,6 +417,19 @@ productoController.obtenerProductosPorCategoria = async (req, res) => {
     try {
         // 1. Obtener el ID de la categoría
         const { categoriaId } = req.params;
+        const { lista, error: errorLista } = await ListaPrecio.resolver(req.query.listaPrecioId);
+        if (errorLista) {
+            return res.status(404).json({
+                error: errorLista
+            });
+        }
+        const { moneda } = req.query;
+        if (moneda && !Cotizacion.MONEDAS.includes(moneda)) {
+            return res.status(400).json({
+                error: `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.`
+            });
+        }
+        const tasas = new Map();
         
         // 2. Buscar productos que pertenecen a esa categoría
         const productos = await Producto.findByCategoria(categoriaId);
@@ -324,11 +437,12 @@ productoController.obtenerProductosPorCategoria = async (req, res) => {
         // 3. Enriquecer cada producto con su precio actual y stock (misma lógica que obtenerProductos)
         const productosCompletos = await Promise.all(
             productos.map(async (producto) => {
-                const precio = await Precio.findByProductoId(producto.id);
+                const precio = await Precio.findParaLista(producto.id, lista ? lista.id : null);
                 const stock = await Stock.findByProductoId(producto.id);
                 return {
                     ...producto,
                     precio: precio,
+                    ...(moneda && { precioConvertido: await convertirPrecio(precio, moneda, tasas) }),
                     stock: stock
                 };
             })
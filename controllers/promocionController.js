@@ -0,0 +1,357 @@
+// Importación de los modelos y utilidades necesarios
+const Promocion = require('../models/promocionModel'); // Modelo de promociones (reglas de descuento)
+const Producto = require('../models/productoModel'); // Modelo para validar el producto de la promoción
+const Categoria = require('../models/categoriaModel'); // Modelo para validar la categoría de la promoción
+const Cotizacion = require('../models/cotizacionModel'); // Monedas admitidas
+const { aFecha, parsearFechaFiltro } = require('../utils/fechas'); // Lectura de fechas guardadas y de 'AAAA-MM-DD' o ISO
+
+// Objeto controlador que contendrá todas las funciones de manejo de promociones
+const promocionController = {};
+
+// Campos de una promoción que se pueden enviar al crearla o modificarla.
+const CAMPOS = [
+    'nombre', 'descripcion', 'tipo', 'alcance', 'productoId', 'categoriaId', 'porcentaje', 'monto',
+    'moneda', 'lleva', 'paga', 'montoMinimo', 'vigenciaDesde', 'vigenciaHasta', 'diasSemana',
+    'acumulable', 'prioridad'
+];
+
+/**
+ * Valida una promoción completa (la nueva o la existente con los cambios aplicados).
+ * @param {object} promocion - Datos de la promoción (fechas como Date o ya guardadas).
+ * @returns {string|null} El mensaje de error, o null si la promoción es válida.
+ */
+const validarPromocion = (promocion) => {
+    const { tipo, alcance, porcentaje, monto, lleva, paga, montoMinimo, diasSemana } = promocion;
+    const definido = (valor) => valor !== undefined && valor !== null;
+
+    if (!promocion.nombre || !String(promocion.nombre).trim()) {
+        return 'El nombre de la promoción es requerido.';
+    }
+    if (!Promocion.TIPOS.includes(tipo)) {
+        return `Tipo de promoción inválido. Use: ${Promocion.TIPOS.join(', ')}.`;
+    }
+    if (!Promocion.ALCANCES.includes(alcance)) {
+        return `Alcance inválido. Use: ${Promocion.ALCANCES.join(', ')}.`;
+    }
+    if (alcance === 'producto' && !promocion.productoId) {
+        return 'Las promociones por producto requieren productoId.';
+    }
+    if (alcance === 'categoria' && !promocion.categoriaId) {
+        return 'Las promociones por categoría requieren categoriaId.';
+    }
+    if (definido(porcentaje) && (typeof porcentaje !== 'number' || porcentaje <= 0 || porcentaje > 100)) {
+        return 'El porcentaje debe ser un número mayor a 0 y hasta 100.';
+    }
+    if (definido(monto) && (typeof monto !== 'number' || monto <= 0)) {
+        return 'El monto debe ser un número mayor a 0.';
+    }
+
+    // Parámetros según el tipo de regla
+    if (tipo === 'porcentaje' && !definido(porcentaje)) {
+        return 'Las promociones por porcentaje requieren porcentaje.';
+    }
+    if (tipo === 'monto' && !definido(monto)) {
+        return 'Las promociones por monto requieren monto.';
+    }
+    if (tipo === 'nxm') {
+        if (alcance === 'pedido') {
+            return 'Las promociones "lleva X paga Y" se aplican a un producto o a una categoría.';
+        }
+        if (!Number.isInteger(lleva) || !Number.isInteger(paga) || paga < 1 || lleva <= paga) {
+            return 'Las promociones "lleva X paga Y" requieren enteros lleva > paga >= 1 (ej: 2x1).';
+        }
+    }
+    if (tipo === 'umbral') {
+        if (alcance !== 'pedido') {
+            return 'Las promociones por umbral se aplican al pedido completo.';
+        }
+        if (typeof montoMinimo !== 'number' || montoMinimo <= 0) {
+            return 'Las promociones por umbral requieren un montoMinimo mayor a 0.';
+        }
+        if (definido(porcentaje) === definido(monto)) {
+            return 'Las promociones por umbral requieren porcentaje o monto (uno de los dos).';
+        }
+    }
+
+    // Moneda, vigencia y acumulación
+    if (!Cotizacion.MONEDAS.includes(promocion.moneda)) {
+        return `Moneda inválida. Use: ${Cotizacion.MONEDAS.join(', ')}.`;
+    }
+    if (definido(diasSemana) && (!Array.isArray(diasSemana) || diasSemana.length === 0
+        || diasSemana.some(dia => !Number.isInteger(dia) || dia < 0 || dia > 6))) {
+        return 'diasSemana debe ser una lista de días de 0 (domingo) a 6 (sábado).';
+    }
+    if (promocion.vigenciaHasta && aFecha(promocion.vigenciaHasta) <= aFecha(promocion.vigenciaDesde)) {
+        return 'vigenciaHasta debe ser posterior a vigenciaDesde.';
+    }
+    if (typeof promocion.acumulable !== 'boolean') {
+        return 'acumulable debe ser true o false.';
+    }
+    if (typeof promocion.prioridad !== 'number') {
+        return 'La prioridad debe ser un número.';
+    }
+    return null;
+};
+
+/**
+ * Toma del body los campos de la promoción, convirtiendo las fechas de vigencia.
+ * @param {object} body - Body de la solicitud.
+ * @returns {object} { datos } con los campos enviados, o { error } si alguna fecha no es válida.
+ */
+const leerDatos = (body) => {
+    const datos = {};
+    CAMPOS.filter(campo => body[campo] !== undefined).forEach(campo => { datos[campo] = body[campo]; });
+
+    if (body.vigenciaDesde !== undefined) {
+        datos.vigenciaDesde = parsearFechaFiltro(body.vigenciaDesde);
+        if (datos.vigenciaDesde === undefined) return { error: 'vigenciaDesde no es una fecha válida.' };
+        if (datos.vigenciaDesde === null) delete datos.vigenciaDesde;
+    }
+    if (body.vigenciaHasta !== undefined) {
+        datos.vigenciaHasta = parsearFechaFiltro(body.vigenciaHasta, { finDelDia: true });
+        if (datos.vigenciaHasta === undefined) return { error: 'vigenciaHasta no es una fecha válida.' };
+    }
+    return { datos };
+};
+
+/**
+ * Verifica que existan el producto o la categoría a los que apunta la promoción.
+ * @param {object} promocion - Promoción validada.
+ * @returns {Promise<string|null>} El mensaje de error, o null si existen.
+ */
+const verificarAlcance = async (promocion) => {
+    if (promocion.alcance === 'producto' && !(await Producto.findById(promocion.productoId))) {
+        return 'Producto no encontrado.';
+    }
+    if (promocion.alcance === 'categoria' && !(await Categoria.findById(promocion.categoriaId))) {
+        return 'Categoría no encontrada.';
+    }
+    return null;
+};
+
+/**
+ * Función controladora para crear una promoción.
+ * Tipos: 'porcentaje', 'monto', 'nxm' (lleva/paga) y 'umbral' (montoMinimo); alcances: 'producto',
+ * 'categoria' y 'pedido'. Se aplica automáticamente a los pedidos creados durante su vigencia.
+ * Método HTTP: POST /api/promociones
+ * @param {object} req - Objeto de solicitud de Express (contiene el body).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+promocionController.crearPromocion = async (req, res) => {
+    try {
+        console.log(`🎁 Creando promoción: ${req.body.nombre}`); // Log de inicio del proceso
+
+        // 1. Leer y validar los datos (con los valores por defecto del modelo)
+        const { datos, error: errorFechas } = leerDatos(req.body);
+        if (errorFechas) {
+            return res.status(400).json({
+                error: errorFechas
+            });
+        }
+        const promocion = new Promocion(datos);
+        const errorValidacion = validarPromocion(promocion);
+        if (errorValidacion) {
+            return res.status(400).json({
+                error: errorValidacion
+            });
+        }
+
+        // 2. Verificar el producto o la categoría de la promoción
+        const errorAlcance = await verificarAlcance(promocion);
+        if (errorAlcance) {
+            return res.status(404).json({
+                error: errorAlcance
+            });
+        }
+
+        // 3. Guardar la promoción
+        promocion.nombre = String(promocion.nombre).trim();
+        const promocionCreada = await promocion.save();
+
+        console.log(`✅ Promoción creada exitosamente: ${promocionCreada.id}`); // Log de éxito
+
+        // 4. Enviar respuesta de éxito 201 (Created)
+        res.status(201).json({
+            message: 'Promoción creada exitosamente',
+            promocion: promocionCreada
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error creando promoción:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al crear promoción.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener las promociones activas.
+ * Con '?vigentes=true' sólo devuelve las que rigen en este momento.
+ * Método HTTP: GET /api/promociones
+ * @param {object} req - Objeto de solicitud de Express (contiene 'query').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+promocionController.obtenerPromociones = async (req, res) => {
+    try {
+        const promociones = req.query.vigentes === 'true'
+            ? await Promocion.findVigentes()
+            : await Promocion.findAll();
+
+        console.log(`✅ Obtenidas ${promociones.length} promociones`); // Log de éxito
+
+        res.json({
+            promociones,
+            total: promociones.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo promociones:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener promociones.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener una promoción por su ID.
+ * Método HTTP: GET /api/promociones/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+promocionController.obtenerPromocion = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const promocion = await Promocion.findById(id);
+        if (!promocion) {
+            return res.status(404).json({
+                error: 'Promoción no encontrada.'
+            });
+        }
+
+        console.log(`✅ Promoción obtenida: ${promocion.nombre}`); // Log de éxito
+
+        res.json({
+            promocion,
+            vigente: Promocion.estaVigente(promocion)
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo promoción:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener promoción.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para modificar una promoción.
+ * Los cambios se validan sobre la promoción completa; los pedidos ya creados no cambian.
+ * Método HTTP: PUT /api/promociones/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params' y 'body').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+promocionController.actualizarPromocion = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🔄 Actualizando promoción: ${id}`); // Log de inicio
+
+        // 1. Verificar si la promoción existe
+        const promocionExistente = await Promocion.findById(id);
+        if (!promocionExistente || !promocionExistente.activo) {
+            return res.status(404).json({
+                error: 'Promoción no encontrada.'
+            });
+        }
+
+        // 2. Validar la promoción con los cambios aplicados
+        const { datos, error: errorFechas } = leerDatos(req.body);
+        if (errorFechas) {
+            return res.status(400).json({
+                error: errorFechas
+            });
+        }
+        const resultante = { ...promocionExistente, ...datos };
+        const errorValidacion = validarPromocion(resultante);
+        if (errorValidacion) {
+            return res.status(400).json({
+                error: errorValidacion
+            });
+        }
+        const errorAlcance = await verificarAlcance(resultante);
+        if (errorAlcance) {
+            return res.status(404).json({
+                error: errorAlcance
+            });
+        }
+
+        // 3. Guardar los cambios
+        if (datos.nombre !== undefined) datos.nombre = String(datos.nombre).trim();
+        await Promocion.update(id, datos);
+
+        console.log(`✅ Promoción actualizada: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Promoción actualizada exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error actualizando promoción:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar promoción.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para eliminar (desactivar) una promoción.
+ * Los pedidos ya creados conservan los descuentos aplicados.
+ * Método HTTP: DELETE /api/promociones/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+promocionController.eliminarPromocion = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🗑️ Eliminando promoción: ${id}`); // Log de inicio
+
+        const promocionExistente = await Promocion.findById(id);
+        if (!promocionExistente || !promocionExistente.activo) {
+            return res.status(404).json({
+                error: 'Promoción no encontrada.'
+            });
+        }
+
+        await Promocion.delete(id);
+
+        console.log(`✅ Promoción eliminada: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Promoción eliminada exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error eliminando promoción:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al eliminar promoción.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = promocionController;
@@ -0,0 +1,220 @@
+// Importación de los modelos necesarios
+const Proveedor = require('../models/proveedorModel'); // Modelo de proveedores
+const OrdenCompra = require('../models/ordenCompraModel'); // Modelo de órdenes de compra (para proteger las abiertas)
+
+// Objeto controlador que contendrá todas las funciones de manejo de proveedores
+const proveedorController = {};
+
+/**
+ * Función controladora para crear un nuevo proveedor.
+ * Método HTTP: POST /api/proveedores
+ * @param {object} req - Objeto de solicitud de Express (contiene el body).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+proveedorController.crearProveedor = async (req, res) => {
+    try {
+        const { nombre, cuit, email, telefono, direccion, contacto, observaciones } = req.body;
+
+        console.log(`🏭 Creando proveedor: ${nombre}`); // Log de inicio del proceso
+
+        // 1. Validación de campos requeridos
+        if (!nombre) {
+            return res.status(400).json({
+                error: 'El nombre del proveedor es requerido.'
+            });
+        }
+
+        // 2. Crear y guardar el proveedor
+        const proveedor = new Proveedor({
+            nombre,
+            cuit,
+            email,
+            telefono,
+            direccion,
+            contacto,
+            observaciones
+        });
+        const proveedorCreado = await proveedor.save();
+
+        console.log(`✅ Proveedor creado exitosamente: ${nombre}`); // Log de éxito
+
+        // 3. Enviar respuesta de éxito 201 (Created)
+        res.status(201).json({
+            message: 'Proveedor creado exitosamente',
+            proveedor: proveedorCreado
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error creando proveedor:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al crear proveedor.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener todos los proveedores activos.
+ * Método HTTP: GET /api/proveedores
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+proveedorController.obtenerProveedores = async (req, res) => {
+    try {
+        const proveedores = await Proveedor.findAll();
+
+        console.log(`✅ Obtenidos ${proveedores.length} proveedores`); // Log de éxito
+
+        res.json({
+            proveedores,
+            total: proveedores.length
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo proveedores:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener proveedores.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener un proveedor por su ID.
+ * Método HTTP: GET /api/proveedores/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+proveedorController.obtenerProveedor = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const proveedor = await Proveedor.findById(id);
+        if (!proveedor) {
+            return res.status(404).json({
+                error: 'Proveedor no encontrado.'
+            });
+        }
+
+        console.log(`✅ Proveedor obtenido: ${proveedor.nombre}`); // Log de éxito
+
+        res.json({
+            proveedor
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error obteniendo proveedor:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener proveedor.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para actualizar un proveedor por su ID.
+ * Método HTTP: PUT /api/proveedores/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params' y 'body').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+proveedorController.actualizarProveedor = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🔄 Actualizando proveedor: ${id}`); // Log de inicio
+
+        // 1. Verificar si el proveedor existe
+        const proveedorExistente = await Proveedor.findById(id);
+        if (!proveedorExistente) {
+            return res.status(404).json({
+                error: 'Proveedor no encontrado.'
+            });
+        }
+
+        // 2. Actualizar solo los campos enviados
+        const updateData = {};
+        for (const campo of ['nombre', 'cuit', 'email', 'telefono', 'direccion', 'contacto', 'observaciones']) {
+            if (req.body[campo] !== undefined) updateData[campo] = req.body[campo];
+        }
+        if (updateData.nombre === '') {
+            return res.status(400).json({
+                error: 'El nombre del proveedor no puede quedar vacío.'
+            });
+        }
+
+        await Proveedor.update(id, updateData);
+
+        console.log(`✅ Proveedor actualizado: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Proveedor actualizado exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error actualizando proveedor:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al actualizar proveedor.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para eliminar (desactivar) un proveedor por su ID.
+ * No se puede eliminar un proveedor con órdenes de compra abiertas.
+ * Método HTTP: DELETE /api/proveedores/:id
+ * @param {object} req - Objeto de solicitud de Express (contiene 'params').
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+proveedorController.eliminarProveedor = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        console.log(`🗑️ Eliminando proveedor: ${id}`); // Log de inicio
+
+        // 1. Verificar si el proveedor existe
+        const proveedorExistente = await Proveedor.findById(id);
+        if (!proveedorExistente) {
+            return res.status(404).json({
+                error: 'Proveedor no encontrado.'
+            });
+        }
+
+        // 2. Las órdenes abiertas deben recibirse o cancelarse antes
+        const abiertas = (await OrdenCompra.findByProveedor(id))
+            .filter(orden => !['recibida', 'cancelada'].includes(orden.estado));
+        if (abiertas.length > 0) {
+            return res.status(409).json({
+                error: 'El proveedor tiene órdenes de compra abiertas. Recíbalas o cancélelas antes de eliminarlo.',
+                ordenes: abiertas.map(orden => orden.id)
+            });
+        }
+
+        // 3. Eliminación lógica
+        await Proveedor.delete(id);
+
+        console.log(`✅ Proveedor eliminado: ${id}`); // Log de éxito
+
+        res.json({
+            message: 'Proveedor eliminado exitosamente'
+        });
+
+    } catch (error) {
+        // Manejo de errores generales
+        console.error('❌ Error eliminando proveedor:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al eliminar proveedor.'
+        });
+    }
+};
+
+// Exportar el objeto controlador para que pueda ser utilizado por el router
+module.exports = proveedorController;
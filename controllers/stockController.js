@@ -1,13 +1,18 @@
 // Importación de modelos necesarios
 const Stock = require('../models/stockModel'); // Modelo para manejar el registro de stock/inventario
 const Producto = require('../models/productoModel'); // Modelo para verificar la existencia del producto
+const MovimientoStock = require('../models/movimientoStockModel'); // Modelo del kardex (historial de movimientos)
+const Deposito = require('../models/depositoModel'); // Modelo de depósitos (cada stock pertenece a uno)
+const Pedido = require('../models/pedidoModel'); // Modelo de pedidos (ventas para calcular la reposición)
+const { parsearFechaFiltro } = require('../utils/fechas'); // Utilidad para interpretar filtros de fecha
+const { PARAMETROS_POR_DEFECTO, calcularReposicion } = require('../utils/reposicion'); // Cálculo de sugerencias de compra
 
 // Objeto controlador que agrupa las funciones de manejo de stock
 const stockController = {};
 
 /**
- * Función controladora para crear el registro de stock inicial de un producto.
- * Nota: Solo permite un registro de stock por producto.
+ * Función controladora para crear el registro de stock inicial de un producto en un depósito.
+ * Nota: Solo permite un registro de stock por producto y depósito (sin depositoId, el principal).
  * Método HTTP: POST /api/stock
  * @param {object} req - Objeto de solicitud de Express (contiene el body).
  * @param {object} res - Objeto de respuesta de Express.
@@ -15,7 +20,7 @@ const stockController = {};
 stockController.crearStock = async (req, res) => {
     try {
         // 1. Desestructurar los datos del stock del cuerpo de la solicitud
-        const { productoId, cantidad, minimo, ubicacion } = req.body;
+        const { productoId, depositoId, cantidad, minimo, ubicacion, motivo } = req.body;
         
         console.log(`📦 Creando stock para producto: ${productoId}`); // Log de inicio
         
@@ -34,25 +39,36 @@ stockController.crearStock = async (req, res) => {
             });
         }
         
-        // 4. Verificar si ya existe un registro de stock para este producto
-        // Esto previene que se creen múltiples registros de inventario para el mismo producto.
-        const stockExistente = await Stock.findByProductoId(productoId);
+        // 4. Verificar el depósito y que el producto no tenga ya stock en él
+        // Esto previene que se creen múltiples registros de inventario para el mismo producto y lugar.
+        const deposito = await Deposito.resolver(depositoId);
+        if (!deposito) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado o inactivo.'
+            });
+        }
+        const stockExistente = await Stock.findByProductoYDeposito(productoId, deposito.id);
         if (stockExistente) {
             return res.status(409).json({ // 409 Conflict
-                error: 'Ya existe un registro de stock para este producto.'
+                error: `Ya existe un registro de stock para este producto en ${deposito.nombre}.`
             });
         }
         
         // 5. Crear una nueva instancia del modelo Stock
         const stock = new Stock({
             productoId,
+            depositoId: deposito.id,
             cantidad,
             minimo, // Nivel mínimo de stock (para alertas)
-            ubicacion // Ubicación física en el almacén
+            ubicacion // Posición dentro del depósito (estante, sector...)
         });
         
         // 6. Guardar el nuevo registro de stock en la base de datos
-        const stockCreado = await stock.save();
+        // (registra en el kardex un movimiento 'carga_inicial' con el usuario que lo creó)
+        const stockCreado = await stock.save({
+            usuarioId: req.user.id,
+            motivo: motivo || 'Carga inicial de stock'
+        });
         
         console.log(`✅ Stock creado exitosamente para producto: ${productoId}`); // Log de éxito
         
@@ -74,7 +90,8 @@ stockController.crearStock = async (req, res) => {
 // -----------------------------------------------------------------------------
 
 /**
- * Función controladora para obtener el registro de stock actual de un producto.
+ * Función controladora para obtener el stock actual de un producto: los totales
+ * sumando todos los depósitos y el detalle por depósito ('depositos').
  * Método HTTP: GET /api/stock/:productoId
  * @param {object} req - Objeto de solicitud de Express (contiene params).
  * @param {object} res - Objeto de respuesta de Express.
@@ -113,7 +130,8 @@ stockController.obtenerStockProducto = async (req, res) => {
 // -----------------------------------------------------------------------------
 
 /**
- * Función controladora para actualizar el stock (cantidad, mínimo, ubicación) de un producto.
+ * Función controladora para actualizar el stock (cantidad, mínimo, ubicación) de un producto
+ * en un depósito (body.depositoId; por defecto, el principal).
  * Método HTTP: PUT /api/stock/:productoId
  * @param {object} req - Objeto de solicitud de Express (contiene params y body).
  * @param {object} res - Objeto de respuesta de Express.
@@ -122,12 +140,18 @@ stockController.actualizarStock = async (req, res) => {
     try {
         // 1. Obtener ID del producto y los datos a actualizar
         const { productoId } = req.params;
-        const { cantidad, minimo, ubicacion } = req.body;
+        const { depositoId, cantidad, minimo, ubicacion, motivo } = req.body;
         
         console.log(`🔄 Actualizando stock para producto: ${productoId}`); // Log de inicio
         
-        // 2. Verificar que el registro de stock existe
-        const stockExistente = await Stock.findByProductoId(productoId);
+        // 2. Verificar que el depósito y el registro de stock existen
+        const deposito = await Deposito.resolver(depositoId);
+        if (!deposito) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado o inactivo.'
+            });
+        }
+        const stockExistente = await Stock.findByProductoYDeposito(productoId, deposito.id);
         if (!stockExistente) {
             return res.status(404).json({
                 error: 'Stock no encontrado para este producto.'
@@ -135,9 +159,24 @@ stockController.actualizarStock = async (req, res) => {
         }
         
         // 3. Actualizar la cantidad (si se proporciona)
-        // Se asume que Stock.updateCantidad solo actualiza el campo 'cantidad'
+        // Stock.updateCantidad registra además el movimiento de ajuste en el kardex
         if (cantidad !== undefined) {
-            await Stock.updateCantidad(productoId, cantidad);
+            if (typeof cantidad !== 'number' || !Number.isInteger(cantidad) || cantidad < 0) {
+                return res.status(400).json({
+                    error: 'La cantidad debe ser un número entero mayor o igual a 0.'
+                });
+            }
+            // La cantidad no puede quedar por debajo de lo reservado por pedidos pendientes
+            if (cantidad < stockExistente.reservado) {
+                return res.status(400).json({
+                    error: `La cantidad no puede ser menor a las ${stockExistente.reservado} unidades reservadas por pedidos pendientes.`
+                });
+            }
+            await Stock.updateCantidad(productoId, deposito.id, cantidad, {
+                tipo: 'ajuste',
+                usuarioId: req.user.id,
+                motivo: motivo || 'Actualización manual de cantidad'
+            });
         }
         
         // 4. Actualizar otros campos (mínimo, ubicación) si se proporcionan
@@ -146,10 +185,8 @@ stockController.actualizarStock = async (req, res) => {
             if (minimo !== undefined) updateData.minimo = minimo;
             if (ubicacion) updateData.ubicacion = ubicacion;
             
-            // Nota: Aquí hay un acoplamiento al código de Firebase. Se usa el ID del documento
-            // (stockExistente.id) para actualizar campos adicionales directamente.
-            const { db } = require('../config/firebase');
-            await db.collection('stocks').doc(stockExistente.id).update(updateData);
+            // Se delega en el modelo para no acoplar el controlador a la base de datos.
+            await Stock.update(productoId, deposito.id, updateData);
         }
         
         console.log(`✅ Stock actualizado para producto: ${productoId}`); // Log de éxito
@@ -213,6 +250,89 @@ stockController.obtenerStockBajo = async (req, res) => {
 
 // -----------------------------------------------------------------------------
 
+/**
+ * Función controladora para obtener sugerencias de reposición según la velocidad de venta.
+ * Parámetros opcionales por query string (en días): dias (ventana de ventas), demora
+ * (tiempo de entrega del proveedor) y cobertura (días de venta a cubrir tras recibir).
+ * Además: depositoId (solo ese depósito; por defecto, el total de todos) y
+ * todos=true (incluir también los productos que no necesitan reposición).
+ * Método HTTP: GET /api/stocks/reposicion
+ * @param {object} req - Objeto de solicitud de Express (contiene query).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+stockController.obtenerReposicion = async (req, res) => {
+    try {
+        // 1. Leer y validar los parámetros (enteros positivos; la ventana, de hasta un año)
+        const parametros = {};
+        for (const nombre of Object.keys(PARAMETROS_POR_DEFECTO)) {
+            const valor = req.query[nombre] !== undefined ? Number(req.query[nombre]) : PARAMETROS_POR_DEFECTO[nombre];
+            if (!Number.isInteger(valor) || valor <= 0 || (nombre === 'dias' && valor > 365)) {
+                return res.status(400).json({
+                    error: `El parámetro "${nombre}" debe ser un número entero de días mayor a 0${nombre === 'dias' ? ' y hasta 365' : ''}.`
+                });
+            }
+            parametros[nombre] = valor;
+        }
+        const { depositoId, todos } = req.query;
+
+        // 2. Verificar el depósito (si se filtra por uno)
+        if (depositoId && !(await Deposito.findById(depositoId))) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado.'
+            });
+        }
+        const principal = await Deposito.obtenerPrincipal();
+
+        // 3. Ventas de la ventana y stock actual (por depósito o total)
+        const desde = new Date(Date.now() - parametros.dias * 24 * 60 * 60 * 1000);
+        const ventas = await Pedido.ventasPorProducto(desde, { depositoId, depositoPrincipalId: principal.id });
+        const registros = depositoId ? await Stock.findByDeposito(depositoId) : await Stock.findAll();
+        const totales = Stock.totalesPorProducto(registros);
+        const productos = new Map((await Producto.findAll()).map(producto => [producto.id, producto]));
+
+        // 4. Calcular la sugerencia de cada producto activo con stock
+        let sugerencias = [...totales.values()]
+            .filter(stock => productos.has(stock.productoId))
+            .map(stock => ({
+                productoId: stock.productoId,
+                nombre: productos.get(stock.productoId).nombre,
+                categoriaId: productos.get(stock.productoId).categoriaId,
+                cantidad: stock.cantidad,
+                reservado: stock.reservado,
+                minimo: stock.minimo,
+                ...calcularReposicion(stock, ventas.get(stock.productoId) || 0, parametros)
+            }));
+        if (todos !== 'true') {
+            sugerencias = sugerencias.filter(sugerencia => sugerencia.reponer);
+        }
+
+        // 5. Ordenar por urgencia: primero los que se agotan antes (sin ventas al final)
+        sugerencias.sort((a, b) =>
+            (a.diasCobertura === null) - (b.diasCobertura === null) ||
+            (a.diasCobertura || 0) - (b.diasCobertura || 0) ||
+            b.cantidadSugerida - a.cantidadSugerida
+        );
+
+        console.log(`✅ Sugerencias de reposición: ${sugerencias.length} productos`); // Log de éxito
+
+        // 6. Enviar respuesta exitosa con los parámetros usados
+        res.json({
+            parametros: { ...parametros, depositoId: depositoId || null, desde },
+            sugerencias,
+            total: sugerencias.length
+        });
+
+    } catch (error) {
+        // Manejo de errores
+        console.error('❌ Error calculando reposición:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al calcular reposición.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
 /**
  * Función controladora para realizar ajustes manuales al stock (incremento/decremento).
  * Método HTTP: POST /api/stock/ajustar/:productoId
@@ -224,52 +344,66 @@ stockController.ajustarStock = async (req, res) => {
         // 1. Obtener ID del producto y los parámetros del ajuste
         const { productoId } = req.params;
         // Cantidad a sumar/restar, tipo de operación, y motivo para el log/historial
-        const { cantidad, tipo, motivo } = req.body; 
+        const { depositoId, cantidad, tipo, motivo } = req.body; 
         
         console.log(`📊 Ajustando stock para producto: ${productoId} - ${tipo} ${cantidad}`); // Log de inicio
         
-        // 2. Verificar que el registro de stock existe
-        const stockExistente = await Stock.findByProductoId(productoId);
+        // 2. Verificar que el depósito (por defecto, el principal) y el registro de stock existen
+        const deposito = await Deposito.resolver(depositoId);
+        if (!deposito) {
+            return res.status(404).json({
+                error: 'Depósito no encontrado o inactivo.'
+            });
+        }
+        const stockExistente = await Stock.findByProductoYDeposito(productoId, deposito.id);
         if (!stockExistente) {
             return res.status(404).json({
                 error: 'Stock no encontrado para este producto.'
             });
         }
         
-        let nuevaCantidad;
-        
-        // 3. Lógica para calcular la nueva cantidad basada en el tipo de ajuste
-        if (tipo === 'incrementar') {
-            nuevaCantidad = stockExistente.cantidad + cantidad;
-        } else if (tipo === 'decrementar') {
-            nuevaCantidad = stockExistente.cantidad - cantidad;
-            // Prevenir stock negativo
-            if (nuevaCantidad < 0) {
-                return res.status(400).json({
-                    error: 'No hay suficiente stock para realizar esta operación.'
-                });
-            }
-        } else {
+        // 3. Validar la cantidad y el tipo de ajuste
+        if (typeof cantidad !== 'number' || !Number.isInteger(cantidad) || cantidad <= 0) {
+            return res.status(400).json({
+                error: 'La cantidad debe ser un número entero mayor a 0.'
+            });
+        }
+        if (tipo !== 'incrementar' && tipo !== 'decrementar') {
             // Tipo de ajuste inválido
             return res.status(400).json({
                 error: 'Tipo de ajuste inválido. Use "incrementar" o "decrementar".'
             });
         }
         
-        // 4. Actualizar la cantidad final en la base de datos
-        await Stock.updateCantidad(productoId, nuevaCantidad);
-        
-        // 5. Registrar el movimiento (simulado con un log aquí; idealmente en una tabla de 'MovimientosStock')
-        console.log(`📝 Movimiento de stock - Producto: ${productoId}, Tipo: ${tipo}, Cantidad: ${cantidad}, Motivo: ${motivo || 'N/A'}`);
+        // 4. Aplicar el ajuste de forma atómica y registrar el movimiento en el kardex
+        const diferencia = tipo === 'incrementar' ? cantidad : -cantidad;
+        let resultado;
+        try {
+            resultado = await Stock.ajustarCantidad(productoId, deposito.id, diferencia, {
+                tipo: 'ajuste',
+                usuarioId: req.user.id,
+                motivo: motivo || null
+            });
+        } catch (error) {
+            // Prevenir stock negativo o por debajo de lo reservado por pedidos pendientes
+            if (error.code === 'stock-insuficiente') {
+                return res.status(400).json({
+                    error: 'No hay suficiente stock para realizar esta operación.',
+                    detalle: error.message
+                });
+            }
+            throw error;
+        }
         
         console.log(`✅ Stock ajustado para producto: ${productoId}`); // Log de éxito
         
-        // 6. Enviar respuesta de éxito con la información del cambio
+        // 5. Enviar respuesta de éxito con la información del cambio
         res.json({
             message: 'Stock ajustado exitosamente',
-            stockAnterior: stockExistente.cantidad,
-            stockNuevo: nuevaCantidad,
-            diferencia: tipo === 'incrementar' ? cantidad : -cantidad
+            stockAnterior: resultado.cantidadAnterior,
+            stockNuevo: resultado.cantidadNueva,
+            diferencia,
+            movimiento: resultado.movimiento
         });
         
     } catch (error) {
@@ -281,5 +415,167 @@ stockController.ajustarStock = async (req, res) => {
     }
 };
 
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para obtener el kardex (historial de movimientos) de un producto.
+ * Admite filtros opcionales por query string: desde, hasta (AAAA-MM-DD o ISO), tipo y depositoId.
+ * Método HTTP: GET /api/stocks/movimientos/:productoId
+ * @param {object} req - Objeto de solicitud de Express (contiene params y query).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+stockController.obtenerMovimientos = async (req, res) => {
+    try {
+        // 1. Obtener el productoId y los filtros
+        const { productoId } = req.params;
+        const { tipo, depositoId } = req.query;
+        const desde = parsearFechaFiltro(req.query.desde);
+        const hasta = parsearFechaFiltro(req.query.hasta, { finDelDia: true });
+        
+        // 2. Validar los filtros
+        if (desde === undefined || hasta === undefined) {
+            return res.status(400).json({
+                error: 'Fechas inválidas. Use el formato AAAA-MM-DD.'
+            });
+        }
+        if (desde && hasta && desde > hasta) {
+            return res.status(400).json({
+                error: 'La fecha "desde" no puede ser posterior a "hasta".'
+            });
+        }
+        if (tipo && !MovimientoStock.TIPOS.includes(tipo)) {
+            return res.status(400).json({
+                error: 'Tipo de movimiento inválido.',
+                tiposValidos: MovimientoStock.TIPOS
+            });
+        }
+        
+        // 3. Verificar que el producto existe
+        const producto = await Producto.findById(productoId);
+        if (!producto) {
+            return res.status(404).json({
+                error: 'Producto no encontrado.'
+            });
+        }
+        
+        // 4. Buscar los movimientos (los filtros por tipo y depósito se aplican en memoria para no requerir otro índice)
+        let movimientos = await MovimientoStock.findByProductoId(productoId, { desde, hasta });
+        if (tipo) {
+            movimientos = movimientos.filter(movimiento => movimiento.tipo === tipo);
+        }
+        if (depositoId) {
+            movimientos = movimientos.filter(movimiento => movimiento.depositoId === depositoId);
+        }
+        
+        console.log(`✅ Obtenidos ${movimientos.length} movimientos para producto: ${productoId}`); // Log de éxito
+        
+        // 5. Enviar respuesta exitosa
+        res.json({
+            productoId,
+            movimientos,
+            total: movimientos.length
+        });
+        
+    } catch (error) {
+        // Manejo de errores
+        console.error('❌ Error obteniendo movimientos de stock:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al obtener movimientos de stock.'
+        });
+    }
+};
+
+// -----------------------------------------------------------------------------
+
+/**
+ * Función controladora para transferir stock entre dos depósitos.
+ * La transferencia es atómica: se mueven todas las líneas o ninguna. Cada línea
+ * deja dos movimientos 'transferencia' en el kardex (salida y entrada) con la misma referencia.
+ * Método HTTP: POST /api/stocks/transferencias
+ * @param {object} req - Objeto de solicitud de Express (body: depositoOrigenId, depositoDestinoId, productos, motivo).
+ * @param {object} res - Objeto de respuesta de Express.
+ */
+stockController.crearTransferencia = async (req, res) => {
+    try {
+        // 1. Obtener los datos de la transferencia
+        const { depositoOrigenId, depositoDestinoId, productos, motivo } = req.body;
+
+        console.log(`🚚 Transfiriendo stock: ${depositoOrigenId} → ${depositoDestinoId}`); // Log de inicio
+
+        // 2. Validar los depósitos
+        if (!depositoOrigenId || !depositoDestinoId) {
+            return res.status(400).json({
+                error: 'Los depósitos de origen y destino son requeridos.'
+            });
+        }
+        if (depositoOrigenId === depositoDestinoId) {
+            return res.status(400).json({
+                error: 'El depósito de origen y el de destino deben ser distintos.'
+            });
+        }
+
+        // 3. Validar las líneas a transferir
+        if (!Array.isArray(productos) || productos.length === 0) {
+            return res.status(400).json({
+                error: 'Debe indicar al menos un producto a transferir.'
+            });
+        }
+        const lineaInvalida = productos.find(item =>
+            !item || !item.productoId || !Number.isInteger(item.cantidad) || item.cantidad <= 0
+        );
+        if (lineaInvalida) {
+            return res.status(400).json({
+                error: 'Cada producto debe tener productoId y una cantidad entera mayor a 0.'
+            });
+        }
+
+        // 4. Verificar que ambos depósitos existen y están activos
+        const [origen, destino] = await Promise.all([
+            Deposito.resolver(depositoOrigenId),
+            Deposito.resolver(depositoDestinoId)
+        ]);
+        if (!origen || !destino) {
+            return res.status(404).json({
+                error: 'Depósito de origen o destino no encontrado o inactivo.'
+            });
+        }
+
+        // 5. Transferir (el modelo verifica el disponible del origen dentro de la transacción)
+        let transferencia;
+        try {
+            transferencia = await Stock.transferir({
+                origenId: origen.id,
+                destinoId: destino.id,
+                productos: productos.map(({ productoId, cantidad }) => ({ productoId, cantidad })),
+                usuarioId: req.user.id,
+                motivo
+            });
+        } catch (error) {
+            if (error.code === 'stock-insuficiente') {
+                return res.status(409).json({ // 409 Conflict
+                    error: `Stock insuficiente en ${origen.nombre}. No se transfirió ningún producto.`,
+                    productos: error.productos
+                });
+            }
+            throw error;
+        }
+
+        console.log(`✅ Transferencia registrada: ${transferencia.id}`); // Log de éxito
+
+        // 6. Enviar respuesta de éxito
+        res.status(201).json({
+            message: 'Transferencia realizada exitosamente',
+            transferencia
+        });
+
+    } catch (error) {
+        // Manejo de errores
+        console.error('❌ Error transfiriendo stock:', error);
+        res.status(500).json({
+            error: 'Error interno del servidor al transferir stock.'
+        });
+    }
+};
+
 // Exportar el objeto controlador
 module.exports = stockController;
\ No newline at end of file
@@ -316,13 +316,8 @@ usuarioController.cambiarPassword = async (req, res) => {
         }
         
         // 6. Hashear y Actualizar Password
-        // Se asume que el modelo no tiene un método updatePassword específico, por lo que se accede a la DB
-        const { db } = require('../config/firebase'); 
         const hashedPassword = await bcrypt.hash(newPassword, 10);
-        await db.collection('usuarios').doc(id).update({
-            password: hashedPassword,
-            fechaActualizacion: new Date()
-        });
+        await Usuario.updatePassword(id, hashedPassword);
         
         console.log(`✅ Password actualizado para usuario: ${id}`); // Log de éxito
         
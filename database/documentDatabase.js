@@ -0,0 +1,424 @@
+// Importa 'crypto' para generar IDs de documento aleatorios (igual que Firestore).
+const crypto = require('crypto');
+
+// =============================================================================
+// Base común de los backends alternativos a Firestore (memoria, SQLite).
+// Implementa el subconjunto de la API de Firestore que utilizan los modelos:
+// collection/doc/where/orderBy/limit/get, set/update/delete, batch() y
+// runTransaction(). Cada backend concreto solo aporta el "motor" de
+// almacenamiento mediante los métodos abstractos de 'DocumentDatabase'.
+// =============================================================================
+
+// Caracteres usados por Firestore para sus IDs automáticos de 20 caracteres.
+const CARACTERES_ID = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Operadores de filtro soportados por 'where' (los mismos que acepta Firestore).
+const OPERADORES = ['==', '!=', '<', '<=', '>', '>=', 'in', 'not-in', 'array-contains', 'array-contains-any'];
+
+// --- Utilidades compartidas ---
+
+// Genera un ID de documento aleatorio con el formato de Firestore.
+const generarIdDocumento = () => {
+  const bytes = crypto.randomBytes(20);
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += CARACTERES_ID[bytes[i] % CARACTERES_ID.length];
+  }
+  return id;
+};
+
+// Crea un error con un campo 'code' (como los errores de Firestore) para que
+// el middleware 'errorHandler' pueda traducirlo a un código HTTP.
+const crearError = (code, mensaje) => {
+  const error = new Error(mensaje);
+  error.code = code;
+  return error;
+};
+
+// Indica si un valor es un objeto plano (mapa) y no un Date, array o null.
+const esObjetoPlano = (valor) =>
+  valor !== null && typeof valor === 'object' && !Array.isArray(valor) && !(valor instanceof Date);
+
+// Copia profunda de un valor. Las propiedades 'undefined' se omiten, tal como
+// hace Firestore con la opción 'ignoreUndefinedProperties'.
+const clonar = (valor) => {
+  if (valor instanceof Date) return new Date(valor.getTime());
+  if (Array.isArray(valor)) return valor.filter(v => v !== undefined).map(clonar);
+  if (esObjetoPlano(valor)) {
+    const copia = {};
+    for (const [clave, v] of Object.entries(valor)) {
+      if (v !== undefined) copia[clave] = clonar(v);
+    }
+    return copia;
+  }
+  return valor;
+};
+
+// Obtiene un campo admitiendo rutas con puntos ('direccion.ciudad').
+const obtenerCampo = (datos, ruta) =>
+  ruta.split('.').reduce((actual, parte) => (esObjetoPlano(actual) ? actual[parte] : undefined), datos);
+
+// Asigna un campo admitiendo rutas con puntos, creando los mapas intermedios.
+const asignarCampo = (datos, ruta, valor) => {
+  const partes = ruta.split('.');
+  let actual = datos;
+  for (let i = 0; i < partes.length - 1; i++) {
+    if (!esObjetoPlano(actual[partes[i]])) actual[partes[i]] = {};
+    actual = actual[partes[i]];
+  }
+  actual[partes[partes.length - 1]] = valor;
+};
+
+// Combina 'origen' dentro de 'destino' de forma recursiva (semántica de set con merge).
+const combinar = (destino, origen) => {
+  for (const [clave, valor] of Object.entries(origen)) {
+    if (esObjetoPlano(valor) && esObjetoPlano(destino[clave])) {
+      combinar(destino[clave], valor);
+    } else {
+      destino[clave] = valor;
+    }
+  }
+  return destino;
+};
+
+// =============================================================================
+// Snapshots (resultados de lectura)
+// =============================================================================
+
+// --- Snapshot de un documento individual ---
+class DocumentSnapshot {
+  constructor(ref, datos, version) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = datos !== undefined;
+    this._datos = datos;
+    this._version = version;
+  }
+
+  // Devuelve una copia de los datos (o undefined si el documento no existe).
+  data() {
+    return this.exists ? clonar(this._datos) : undefined;
+  }
+
+  // Devuelve un campo puntual del documento.
+  get(campo) {
+    return this.exists ? clonar(obtenerCampo(this._datos, campo)) : undefined;
+  }
+}
+
+// --- Snapshot del resultado de una consulta ---
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+// =============================================================================
+// Referencias y consultas
+// =============================================================================
+
+// --- Consulta encadenable (inmutable: cada método devuelve una consulta nueva) ---
+class Query {
+  constructor(db, coleccion, filtros = [], ordenes = [], limite = null) {
+    this._db = db;
+    this._coleccion = coleccion;
+    this._filtros = filtros;
+    this._ordenes = ordenes;
+    this._limite = limite;
+  }
+
+  where(campo, operador, valor) {
+    if (!OPERADORES.includes(operador)) {
+      throw crearError('invalid-argument', `Operador no soportado: ${operador}`);
+    }
+    return new Query(this._db, this._coleccion, [...this._filtros, { campo, operador, valor }], this._ordenes, this._limite);
+  }
+
+  orderBy(campo, direccion = 'asc') {
+    return new Query(this._db, this._coleccion, this._filtros, [...this._ordenes, { campo, direccion }], this._limite);
+  }
+
+  limit(limite) {
+    return new Query(this._db, this._coleccion, this._filtros, this._ordenes, limite);
+  }
+
+  // Ejecuta la consulta en el motor y devuelve snapshots de los documentos coincidentes.
+  _ejecutar() {
+    return this._db._consultar(this._coleccion, this._filtros, this._ordenes, this._limite)
+      .map(r => new DocumentSnapshot(new DocumentReference(this._db, this._coleccion, r.id), r.datos, r.version));
+  }
+
+  async get() {
+    return new QuerySnapshot(this._ejecutar());
+  }
+}
+
+// --- Referencia a una colección (es a su vez una consulta sin filtros) ---
+class CollectionReference extends Query {
+  constructor(db, coleccion) {
+    super(db, coleccion);
+    this.id = coleccion;
+  }
+
+  // Devuelve una referencia a un documento; sin argumento genera un ID nuevo.
+  doc(id) {
+    return new DocumentReference(this._db, this._coleccion, id || generarIdDocumento());
+  }
+
+  // Crea un documento con ID automático.
+  async add(datos) {
+    const ref = this.doc();
+    await ref.set(datos);
+    return ref;
+  }
+}
+
+// --- Referencia a un documento concreto ---
+class DocumentReference {
+  constructor(db, coleccion, id) {
+    this._db = db;
+    this._coleccion = coleccion;
+    this.id = id;
+    this.path = `${coleccion}/${id}`;
+  }
+
+  // Lectura directa del registro en el motor ({ datos, version } o undefined).
+  _leer() {
+    return this._db._leerDocumento(this._coleccion, this.id);
+  }
+
+  async get() {
+    const registro = this._leer();
+    return new DocumentSnapshot(this, registro && registro.datos, registro && registro.version);
+  }
+
+  async set(datos, opciones = {}) {
+    this._db._confirmar([{ tipo: 'set', ref: this, datos, opciones }]);
+  }
+
+  async create(datos) {
+    this._db._confirmar([{ tipo: 'create', ref: this, datos }]);
+  }
+
+  async update(datos) {
+    this._db._confirmar([{ tipo: 'update', ref: this, datos }]);
+  }
+
+  async delete() {
+    this._db._confirmar([{ tipo: 'delete', ref: this }]);
+  }
+}
+
+// =============================================================================
+// Escrituras agrupadas y transacciones
+// =============================================================================
+
+// --- Lote de escrituras atómico (equivalente a db.batch()) ---
+class WriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._escrituras = [];
+  }
+
+  set(ref, datos, opciones = {}) {
+    this._escrituras.push({ tipo: 'set', ref, datos, opciones });
+    return this;
+  }
+
+  create(ref, datos) {
+    this._escrituras.push({ tipo: 'create', ref, datos });
+    return this;
+  }
+
+  update(ref, datos) {
+    this._escrituras.push({ tipo: 'update', ref, datos });
+    return this;
+  }
+
+  delete(ref) {
+    this._escrituras.push({ tipo: 'delete', ref });
+    return this;
+  }
+
+  // Aplica todas las escrituras o ninguna.
+  async commit() {
+    this._db._confirmar(this._escrituras);
+  }
+}
+
+// --- Transacción con control de concurrencia optimista ---
+// Registra la versión de todo lo leído; al confirmar, si algún documento o
+// consulta cambió entretanto, la transacción se descarta y se reintenta.
+class Transaction extends WriteBatch {
+  constructor(db) {
+    super(db);
+    this._lecturas = [];
+  }
+
+  // Firestore exige que todas las lecturas se hagan antes que cualquier escritura.
+  _verificarOrden() {
+    if (this._escrituras.length > 0) {
+      throw crearError('failed-precondition', 'Las transacciones requieren que todas las lecturas se ejecuten antes que las escrituras.');
+    }
+  }
+
+  // Lee un documento (DocumentReference) o una consulta (Query) dentro de la transacción.
+  async get(refOConsulta) {
+    this._verificarOrden();
+
+    if (refOConsulta instanceof DocumentReference) {
+      const snapshot = await refOConsulta.get();
+      this._lecturas.push({ ref: refOConsulta, version: snapshot._version });
+      return snapshot;
+    }
+
+    const docs = refOConsulta._ejecutar();
+    this._lecturas.push({ consulta: refOConsulta, firma: Transaction.firmar(docs) });
+    return new QuerySnapshot(docs);
+  }
+
+  // Firma de un resultado de consulta: IDs y versiones en orden.
+  static firmar(docs) {
+    return docs.map(doc => `${doc.id}@${doc._version}`).join('|');
+  }
+
+  // Comprueba que nada de lo leído haya cambiado desde la lectura.
+  _esValida() {
+    return this._lecturas.every(lectura => {
+      if (lectura.ref) {
+        const registro = lectura.ref._leer();
+        return (registro ? registro.version : undefined) === lectura.version;
+      }
+      return Transaction.firmar(lectura.consulta._ejecutar()) === lectura.firma;
+    });
+  }
+
+  // En una transacción, commit lo gestiona runTransaction.
+  async commit() {
+    throw crearError('failed-precondition', 'No se puede confirmar una transacción manualmente.');
+  }
+}
+
+// =============================================================================
+// Base de datos documental (clase base de los motores)
+// =============================================================================
+
+class DocumentDatabase {
+  // --- Métodos que cada motor debe implementar ---
+
+  // Devuelve { datos, version } del documento o undefined si no existe.
+  _leerDocumento(coleccion, id) {
+    throw new Error('No implementado');
+  }
+
+  // Devuelve [{ id, datos, version }] aplicando filtros, órdenes y límite con la semántica de Firestore.
+  _consultar(coleccion, filtros, ordenes, limite) {
+    throw new Error('No implementado');
+  }
+
+  // Persiste el documento (datos === null significa borrarlo).
+  _guardarDocumento(coleccion, id, datos) {
+    throw new Error('No implementado');
+  }
+
+  // Ejecuta 'fn' de forma atómica (todo o nada) y devuelve su resultado.
+  _atomico(fn) {
+    return fn();
+  }
+
+  // Devuelve los nombres de las colecciones con al menos un documento.
+  _nombresColecciones() {
+    throw new Error('No implementado');
+  }
+
+  // --- Lógica común ---
+
+  // Valida y aplica de forma atómica una lista de escrituras.
+  // Si se pasa 'transaccion', antes se verifica que sus lecturas sigan vigentes;
+  // devuelve false (sin escribir nada) si no lo están.
+  _confirmar(escrituras, transaccion = null) {
+    return this._atomico(() => {
+      if (transaccion && !transaccion._esValida()) {
+        return false;
+      }
+
+      // 1. Calcular el estado final de cada documento validando precondiciones.
+      //    Se trabaja sobre un estado intermedio para soportar varias escrituras al mismo documento.
+      const pendientes = new Map();
+      for (const { tipo, ref, datos, opciones } of escrituras) {
+        const clave = ref.path;
+        const actual = pendientes.has(clave)
+          ? pendientes.get(clave).datos
+          : (ref._leer() || {}).datos || null;
+
+        let nuevos;
+        if (tipo === 'delete') {
+          nuevos = null;
+        } else if (tipo === 'update') {
+          if (!actual) {
+            throw crearError('not-found', `No existe el documento a actualizar: ${clave}`);
+          }
+          nuevos = clonar(actual);
+          for (const [campo, valor] of Object.entries(datos)) {
+            if (valor !== undefined) asignarCampo(nuevos, campo, clonar(valor));
+          }
+        } else if (tipo === 'create' && actual) {
+          throw crearError('already-exists', `El documento ya existe: ${clave}`);
+        } else if (tipo === 'set' && opciones && opciones.merge && actual) {
+          nuevos = combinar(clonar(actual), clonar(datos));
+        } else {
+          nuevos = clonar(datos);
+        }
+
+        pendientes.set(clave, { ref, datos: nuevos });
+      }
+
+      // 2. Persistir en el motor.
+      for (const { ref, datos } of pendientes.values()) {
+        this._guardarDocumento(ref._coleccion, ref.id, datos);
+      }
+      return true;
+    });
+  }
+
+  collection(nombre) {
+    return new CollectionReference(this, nombre);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Ejecuta 'actualizacion' dentro de una transacción, reintentando ante conflictos.
+  async runTransaction(actualizacion, { maxAttempts = 5 } = {}) {
+    for (let intento = 1; intento <= maxAttempts; intento++) {
+      const transaccion = new Transaction(this);
+      // Si la función lanza un error, no se aplica ninguna escritura (rollback implícito).
+      const resultado = await actualizacion(transaccion);
+
+      if (this._confirmar(transaccion._escrituras, transaccion)) {
+        return resultado;
+      }
+      console.log(`⚠️  Conflicto de concurrencia en transacción, reintento ${intento}/${maxAttempts}`);
+    }
+    throw crearError('aborted', 'La transacción no pudo completarse por conflictos de concurrencia.');
+  }
+
+  // Lista las colecciones que contienen al menos un documento.
+  async listCollections() {
+    return this._nombresColecciones().map(nombre => this.collection(nombre));
+  }
+}
+
+module.exports = {
+  DocumentDatabase,
+  crearError,
+  clonar,
+  obtenerCampo
+};
@@ -0,0 +1,6 @@
+// Backend Firestore: reutiliza la conexión configurada en 'config/firebase.js'.
+// La instancia de Firestore ya implementa la API que esperan los modelos,
+// por lo que se expone tal cual.
+const { db } = require('../config/firebase');
+
+module.exports = db;
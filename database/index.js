@@ -0,0 +1,43 @@
+// Carga las variables de entorno (por si el módulo se usa desde un script suelto).
+require('dotenv').config();
+const path = require('path');
+
+// =============================================================================
+// Selector de la capa de persistencia.
+// Todos los modelos obtienen 'db' desde aquí en lugar de hacerlo desde
+// 'config/firebase.js'. Cada backend expone el mismo subconjunto de la API de
+// Firestore: collection/doc/where/orderBy/limit/get, set/update/delete,
+// batch() y runTransaction().
+//
+// Backend elegido con la variable de entorno DB_BACKEND:
+//   - 'firestore' (por defecto): Firebase/Firestore real.
+//   - 'memory': base de datos en memoria, sin conexión (desarrollo y pruebas).
+//   - 'sqlite': archivo SQLite local (ruta en SQLITE_PATH, por defecto data/magnum.sqlite).
+// =============================================================================
+
+// Ruta por defecto del archivo SQLite (la carpeta 'data/' está excluida de git).
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', 'data', 'magnum.sqlite');
+
+const BACKENDS = {
+  firestore: () => require('./firestoreDatabase'),
+  memory: () => new (require('./memoryDatabase'))(),
+  sqlite: () => new (require('./sqliteDatabase'))(process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH)
+};
+
+const backend = (process.env.DB_BACKEND || 'firestore').toLowerCase();
+
+if (!BACKENDS[backend]) {
+  throw new Error(`DB_BACKEND inválido: "${backend}". Valores permitidos: ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+const db = BACKENDS[backend]();
+
+console.log(`🗄️  Backend de base de datos: ${backend}`);
+
+// Indica si 'error' es una restricción de integridad violada por el backend SQLite (índice
+// UNIQUE, clave foránea o CHECK; códigos 'SQLITE_CONSTRAINT_*' de better-sqlite3). Ocurre, por
+// ejemplo, cuando dos altas simultáneas pasan la verificación previa de duplicados.
+const esViolacionDeRestriccion = (error) => Boolean(error) && typeof error.code === 'string'
+  && error.code.startsWith('SQLITE_CONSTRAINT');
+
+module.exports = { db, backend, esViolacionDeRestriccion };
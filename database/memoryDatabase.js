@@ -0,0 +1,144 @@
+// Importa la base común que implementa la API tipo Firestore.
+const { DocumentDatabase, obtenerCampo } = require('./documentDatabase');
+
+// =============================================================================
+// Base de datos EN MEMORIA con la misma API que Firestore.
+// Pensada para desarrollo local sin Firebase y para suites de pruebas automáticas.
+// Los datos viven únicamente mientras el proceso está en ejecución.
+// =============================================================================
+
+// Orden de tipos de Firestore: null < booleanos < números < fechas < strings < arrays < mapas.
+const rangoTipo = (valor) => {
+  if (valor === null || valor === undefined) return 0;
+  if (typeof valor === 'boolean') return 1;
+  if (typeof valor === 'number') return 2;
+  if (valor instanceof Date) return 3;
+  if (typeof valor === 'string') return 4;
+  if (Array.isArray(valor)) return 5;
+  return 6;
+};
+
+// Compara dos valores siguiendo el orden de Firestore. Devuelve <0, 0 o >0.
+const compararValores = (a, b) => {
+  const diferenciaTipo = rangoTipo(a) - rangoTipo(b);
+  if (diferenciaTipo !== 0) return diferenciaTipo;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  const textoA = JSON.stringify(a);
+  const textoB = JSON.stringify(b);
+  return textoA < textoB ? -1 : textoA > textoB ? 1 : 0;
+};
+
+// Igualdad estricta de valores (las fechas se comparan por instante).
+const iguales = (a, b) => rangoTipo(a) === rangoTipo(b) && compararValores(a, b) === 0;
+
+// Evalúa un filtro 'where' sobre un documento.
+const cumpleFiltro = (datos, { campo, operador, valor }) => {
+  const actual = obtenerCampo(datos, campo);
+
+  switch (operador) {
+    case '==':
+      return actual !== undefined && iguales(actual, valor);
+    case '!=':
+      // Firestore excluye los documentos donde el campo no existe.
+      return actual !== undefined && !iguales(actual, valor);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      // Los filtros de rango solo coinciden con valores del mismo tipo.
+      if (actual === undefined || rangoTipo(actual) !== rangoTipo(valor)) return false;
+      const comparacion = compararValores(actual, valor);
+      if (operador === '<') return comparacion < 0;
+      if (operador === '<=') return comparacion <= 0;
+      if (operador === '>') return comparacion > 0;
+      return comparacion >= 0;
+    }
+    case 'in':
+      return actual !== undefined && valor.some(v => iguales(actual, v));
+    case 'not-in':
+      return actual !== undefined && !valor.some(v => iguales(actual, v));
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(v => iguales(v, valor));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some(v => valor.some(w => iguales(v, w)));
+    default:
+      return false;
+  }
+};
+
+class MemoryDatabase extends DocumentDatabase {
+  constructor() {
+    super();
+    // Mapa de colecciones: nombre -> Map(idDocumento -> { datos, version }).
+    this._colecciones = new Map();
+    // Contador global de versiones para detectar escrituras concurrentes.
+    this._version = 0;
+  }
+
+  // Devuelve (creando si hace falta) el mapa interno de una colección.
+  _coleccion(nombre) {
+    if (!this._colecciones.has(nombre)) {
+      this._colecciones.set(nombre, new Map());
+    }
+    return this._colecciones.get(nombre);
+  }
+
+  _leerDocumento(coleccion, id) {
+    return this._coleccion(coleccion).get(id);
+  }
+
+  _consultar(coleccion, filtros, ordenes, limite) {
+    let resultados = [];
+
+    for (const [id, registro] of this._coleccion(coleccion).entries()) {
+      if (filtros.every(filtro => cumpleFiltro(registro.datos, filtro))) {
+        resultados.push({ id, ...registro });
+      }
+    }
+
+    // Como en Firestore, ordenar por un campo excluye los documentos que no lo tienen.
+    for (const { campo } of ordenes) {
+      resultados = resultados.filter(r => obtenerCampo(r.datos, campo) !== undefined);
+    }
+
+    resultados.sort((a, b) => {
+      for (const { campo, direccion } of ordenes) {
+        const comparacion = compararValores(obtenerCampo(a.datos, campo), obtenerCampo(b.datos, campo));
+        if (comparacion !== 0) return direccion === 'desc' ? -comparacion : comparacion;
+      }
+      // Desempate por ID de documento, igual que Firestore.
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    });
+
+    return limite !== null ? resultados.slice(0, limite) : resultados;
+  }
+
+  _guardarDocumento(coleccion, id, datos) {
+    if (datos === null) {
+      this._coleccion(coleccion).delete(id);
+    } else {
+      this._coleccion(coleccion).set(id, { datos, version: ++this._version });
+    }
+  }
+
+  // Las escrituras en memoria son síncronas: ninguna otra operación puede intercalarse.
+  _atomico(fn) {
+    return fn();
+  }
+
+  _nombresColecciones() {
+    return [...this._colecciones.entries()]
+      .filter(([, documentos]) => documentos.size > 0)
+      .map(([nombre]) => nombre);
+  }
+
+  // Vacía todos los datos (útil entre pruebas automáticas).
+  reset() {
+    this._colecciones.clear();
+    this._version = 0;
+  }
+}
+
+module.exports = MemoryDatabase;
@@ -0,0 +1,113 @@
+-- =============================================================================
+-- Esquema inicial de Magnum para el backend SQLite.
+--
+-- Convenciones de todas las tablas de documentos:
+--   doc_id   -> ID del documento (equivale al 'firestoreId').
+--   datos    -> documento completo serializado en JSON.
+--   version  -> contador de versión usado por las transacciones optimistas.
+-- El resto de las columnas replican campos del documento para poder declarar
+-- claves foráneas, restricciones y índices reales.
+-- Las claves foráneas son diferidas para que el orden de las escrituras dentro
+-- de un lote o transacción no importe.
+-- =============================================================================
+
+-- Contadores de IDs autoincrementales (un documento por colección).
+CREATE TABLE contadores (
+  doc_id    TEXT PRIMARY KEY,
+  secuencia INTEGER NOT NULL CHECK (secuencia >= 0),
+  datos     TEXT NOT NULL,
+  version   INTEGER NOT NULL
+);
+
+CREATE TABLE usuarios (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  email         TEXT NOT NULL UNIQUE,
+  rol           TEXT NOT NULL CHECK (rol IN ('admin', 'empleado')),
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE TABLE categorias (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  nombre        TEXT NOT NULL,
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE TABLE productos (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  nombre        TEXT NOT NULL,
+  categoriaId   TEXT NOT NULL REFERENCES categorias (id) DEFERRABLE INITIALLY DEFERRED,
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE INDEX idx_productos_categoria ON productos (categoriaId, activo);
+
+CREATE TABLE precios (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  productoId    TEXT NOT NULL REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  precio        REAL NOT NULL CHECK (precio >= 0),
+  precioOferta  REAL CHECK (precioOferta IS NULL OR precioOferta >= 0),
+  moneda        TEXT NOT NULL,
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE INDEX idx_precios_producto ON precios (productoId, fechaCreacion);
+-- Un único precio vigente por producto.
+CREATE UNIQUE INDEX idx_precios_activo ON precios (productoId) WHERE activo = 1;
+
+CREATE TABLE stocks (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  productoId    TEXT NOT NULL REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  cantidad      INTEGER NOT NULL CHECK (cantidad >= 0),
+  minimo        INTEGER NOT NULL CHECK (minimo >= 0),
+  ubicacion     TEXT,
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+-- Un único registro de stock activo por producto.
+CREATE UNIQUE INDEX idx_stocks_activo ON stocks (productoId) WHERE activo = 1;
+
+CREATE TABLE pedidos (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  numero        TEXT NOT NULL UNIQUE,
+  estado        TEXT NOT NULL CHECK (estado IN ('pendiente', 'confirmado', 'en_proceso', 'enviado', 'entregado', 'cancelado')),
+  vendedorId    TEXT REFERENCES usuarios (id) DEFERRABLE INITIALLY DEFERRED,
+  total         REAL NOT NULL CHECK (total >= 0),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE INDEX idx_pedidos_vendedor ON pedidos (vendedorId, fechaCreacion);
+CREATE INDEX idx_pedidos_estado ON pedidos (estado, fechaCreacion);
+
+-- Líneas de pedido: tabla de detalle derivada del array 'productos' del pedido.
+CREATE TABLE pedido_items (
+  pedido_doc_id TEXT NOT NULL REFERENCES pedidos (doc_id) ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED,
+  posicion      INTEGER NOT NULL,
+  productoId    TEXT NOT NULL REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  cantidad      INTEGER NOT NULL CHECK (cantidad > 0),
+  PRIMARY KEY (pedido_doc_id, posicion)
+);
+
+CREATE INDEX idx_pedido_items_producto ON pedido_items (productoId);
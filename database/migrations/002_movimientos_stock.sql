@@ -0,0 +1,21 @@
+-- Kardex: un registro por cada cambio de cantidad en un stock.
+CREATE TABLE movimientos_stock (
+  doc_id           TEXT PRIMARY KEY,
+  id               TEXT NOT NULL UNIQUE,
+  productoId       TEXT NOT NULL REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  stockId          TEXT NOT NULL REFERENCES stocks (id) DEFERRABLE INITIALLY DEFERRED,
+  tipo             TEXT NOT NULL CHECK (tipo IN ('venta', 'ajuste', 'carga_inicial', 'devolucion', 'transferencia')),
+  cantidad         INTEGER NOT NULL CHECK (cantidad <> 0),
+  cantidadAnterior INTEGER NOT NULL CHECK (cantidadAnterior >= 0),
+  cantidadNueva    INTEGER NOT NULL CHECK (cantidadNueva >= 0),
+  usuarioId        TEXT REFERENCES usuarios (id) DEFERRABLE INITIALLY DEFERRED,
+  referenciaTipo   TEXT,
+  referenciaId     TEXT,
+  fechaCreacion    TEXT NOT NULL,
+  datos            TEXT NOT NULL,
+  version          INTEGER NOT NULL,
+  CHECK (cantidadNueva = cantidadAnterior + cantidad)
+);
+
+CREATE INDEX idx_movimientos_producto ON movimientos_stock (productoId, fechaCreacion);
+CREATE INDEX idx_movimientos_referencia ON movimientos_stock (referenciaTipo, referenciaId);
@@ -0,0 +1,6 @@
+-- Precio congelado en cada línea de pedido: el servidor cotiza con el precio
+-- vigente al momento de la venta y guarda qué registro de precio usó.
+ALTER TABLE pedido_items ADD COLUMN precioId TEXT REFERENCES precios (id) DEFERRABLE INITIALLY DEFERRED;
+ALTER TABLE pedido_items ADD COLUMN precioUnitario REAL CHECK (precioUnitario IS NULL OR precioUnitario >= 0);
+ALTER TABLE pedido_items ADD COLUMN moneda TEXT;
+ALTER TABLE pedido_items ADD COLUMN subtotal REAL CHECK (subtotal IS NULL OR subtotal >= 0);
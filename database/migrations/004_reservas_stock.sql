@@ -0,0 +1,4 @@
+-- Reservas de stock: unidades apartadas por pedidos pendientes.
+-- Lo disponible para vender es cantidad - reservado; nunca se reserva más de lo que hay.
+-- (NULL en los registros anteriores a las reservas: equivale a 0).
+ALTER TABLE stocks ADD COLUMN reservado INTEGER CHECK (reservado IS NULL OR (reservado >= 0 AND reservado <= cantidad));
@@ -0,0 +1,26 @@
+-- Depósitos: lugares físicos donde se guarda la mercadería.
+-- Cada registro de stock pertenece a un depósito; siempre hay un único depósito principal.
+CREATE TABLE depositos (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  nombre        TEXT NOT NULL,
+  principal     INTEGER NOT NULL DEFAULT 0 CHECK (principal IN (0, 1)),
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+-- Un único depósito principal.
+CREATE UNIQUE INDEX idx_depositos_principal ON depositos (principal) WHERE principal = 1;
+
+-- Stock por depósito (NULL en los registros anteriores: la aplicación los asigna al principal).
+ALTER TABLE stocks ADD COLUMN depositoId TEXT REFERENCES depositos (id) DEFERRABLE INITIALLY DEFERRED;
+
+-- Un único registro de stock activo por producto y depósito.
+DROP INDEX idx_stocks_activo;
+CREATE UNIQUE INDEX idx_stocks_activo ON stocks (productoId, depositoId) WHERE activo = 1;
+
+-- Depósito afectado por cada movimiento y depósito del que sale cada pedido.
+ALTER TABLE movimientos_stock ADD COLUMN depositoId TEXT REFERENCES depositos (id) DEFERRABLE INITIALLY DEFERRED;
+ALTER TABLE pedidos ADD COLUMN depositoId TEXT REFERENCES depositos (id) DEFERRABLE INITIALLY DEFERRED;
@@ -0,0 +1,17 @@
+-- Conteos físicos de inventario de un depósito (opcionalmente acotados a una categoría).
+-- Las cantidades contadas y el informe de diferencias se guardan en el documento ('datos').
+CREATE TABLE inventarios (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  depositoId    TEXT NOT NULL REFERENCES depositos (id) DEFERRABLE INITIALLY DEFERRED,
+  categoriaId   TEXT REFERENCES categorias (id) DEFERRABLE INITIALLY DEFERRED,
+  estado        TEXT NOT NULL CHECK (estado IN ('abierto', 'cerrado', 'cancelado')),
+  usuarioId     TEXT REFERENCES usuarios (id) DEFERRABLE INITIALLY DEFERRED,
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+-- Un único conteo abierto por depósito.
+CREATE UNIQUE INDEX idx_inventarios_abierto ON inventarios (depositoId) WHERE estado = 'abierto';
+CREATE INDEX idx_inventarios_deposito ON inventarios (depositoId, fechaCreacion);
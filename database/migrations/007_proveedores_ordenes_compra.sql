@@ -0,0 +1,74 @@
+-- Proveedores y órdenes de compra.
+CREATE TABLE proveedores (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  nombre        TEXT NOT NULL,
+  cuit          TEXT,
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE TABLE ordenes_compra (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  proveedorId   TEXT NOT NULL REFERENCES proveedores (id) DEFERRABLE INITIALLY DEFERRED,
+  depositoId    TEXT NOT NULL REFERENCES depositos (id) DEFERRABLE INITIALLY DEFERRED,
+  estado        TEXT NOT NULL CHECK (estado IN ('borrador', 'enviada', 'recibida_parcial', 'recibida', 'cancelada')),
+  total         REAL NOT NULL CHECK (total >= 0),
+  usuarioId     TEXT REFERENCES usuarios (id) DEFERRABLE INITIALLY DEFERRED,
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE INDEX idx_ordenes_compra_proveedor ON ordenes_compra (proveedorId, fechaCreacion);
+CREATE INDEX idx_ordenes_compra_estado ON ordenes_compra (estado, fechaCreacion);
+
+-- Líneas de orden de compra: tabla de detalle derivada del array 'productos' de la orden.
+CREATE TABLE orden_compra_items (
+  orden_doc_id     TEXT NOT NULL REFERENCES ordenes_compra (doc_id) ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED,
+  posicion         INTEGER NOT NULL,
+  productoId       TEXT NOT NULL REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  cantidad         INTEGER NOT NULL CHECK (cantidad > 0),
+  costoUnitario    REAL NOT NULL CHECK (costoUnitario >= 0),
+  subtotal         REAL NOT NULL CHECK (subtotal >= 0),
+  cantidadRecibida INTEGER NOT NULL CHECK (cantidadRecibida >= 0 AND cantidadRecibida <= cantidad),
+  PRIMARY KEY (orden_doc_id, posicion),
+  UNIQUE (orden_doc_id, productoId)
+);
+
+-- Nuevo tipo de movimiento 'compra' (recepción de mercadería). SQLite no permite
+-- modificar una restricción CHECK: se reconstruye la tabla del kardex.
+CREATE TABLE movimientos_stock_nueva (
+  doc_id           TEXT PRIMARY KEY,
+  id               TEXT NOT NULL UNIQUE,
+  productoId       TEXT NOT NULL REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  stockId          TEXT NOT NULL REFERENCES stocks (id) DEFERRABLE INITIALLY DEFERRED,
+  tipo             TEXT NOT NULL CHECK (tipo IN ('venta', 'ajuste', 'carga_inicial', 'devolucion', 'transferencia', 'compra')),
+  cantidad         INTEGER NOT NULL CHECK (cantidad <> 0),
+  cantidadAnterior INTEGER NOT NULL CHECK (cantidadAnterior >= 0),
+  cantidadNueva    INTEGER NOT NULL CHECK (cantidadNueva >= 0),
+  usuarioId        TEXT REFERENCES usuarios (id) DEFERRABLE INITIALLY DEFERRED,
+  referenciaTipo   TEXT,
+  referenciaId     TEXT,
+  fechaCreacion    TEXT NOT NULL,
+  datos            TEXT NOT NULL,
+  version          INTEGER NOT NULL,
+  depositoId       TEXT REFERENCES depositos (id) DEFERRABLE INITIALLY DEFERRED,
+  CHECK (cantidadNueva = cantidadAnterior + cantidad)
+);
+
+INSERT INTO movimientos_stock_nueva
+  (doc_id, id, productoId, stockId, tipo, cantidad, cantidadAnterior, cantidadNueva,
+   usuarioId, referenciaTipo, referenciaId, fechaCreacion, datos, version, depositoId)
+SELECT doc_id, id, productoId, stockId, tipo, cantidad, cantidadAnterior, cantidadNueva,
+   usuarioId, referenciaTipo, referenciaId, fechaCreacion, datos, version, depositoId
+FROM movimientos_stock;
+
+DROP TABLE movimientos_stock;
+ALTER TABLE movimientos_stock_nueva RENAME TO movimientos_stock;
+
+CREATE INDEX idx_movimientos_producto ON movimientos_stock (productoId, fechaCreacion);
+CREATE INDEX idx_movimientos_referencia ON movimientos_stock (referenciaTipo, referenciaId);
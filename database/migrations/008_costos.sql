@@ -0,0 +1,22 @@
+-- Costo unitario de cada producto, con historial (mismo esquema de vigencia que precios).
+CREATE TABLE costos (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  productoId    TEXT NOT NULL REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  costo         REAL NOT NULL CHECK (costo >= 0),
+  moneda        TEXT NOT NULL,
+  proveedorId   TEXT REFERENCES proveedores (id) DEFERRABLE INITIALLY DEFERRED,
+  usuarioId     TEXT REFERENCES usuarios (id) DEFERRABLE INITIALLY DEFERRED,
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE INDEX idx_costos_producto ON costos (productoId, fechaCreacion);
+-- Un único costo vigente por producto.
+CREATE UNIQUE INDEX idx_costos_activo ON costos (productoId) WHERE activo = 1;
+
+-- Precios calculados a partir de un margen sobre el costo.
+ALTER TABLE precios ADD COLUMN costoId TEXT REFERENCES costos (id) DEFERRABLE INITIALLY DEFERRED;
+ALTER TABLE precios ADD COLUMN margenObjetivo REAL CHECK (margenObjetivo IS NULL OR (margenObjetivo >= 0 AND margenObjetivo < 100));
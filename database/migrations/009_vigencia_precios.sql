@@ -0,0 +1,8 @@
+-- Vigencia de los precios: un producto puede tener varios precios activos (el base,
+-- los anteriores ya cerrados y ofertas programadas); el que rige se resuelve por fecha.
+DROP INDEX idx_precios_activo;
+
+ALTER TABLE precios ADD COLUMN vigenciaDesde TEXT;
+ALTER TABLE precios ADD COLUMN vigenciaHasta TEXT CHECK (vigenciaHasta IS NULL OR vigenciaHasta > vigenciaDesde);
+
+CREATE INDEX idx_precios_vigencia ON precios (productoId, vigenciaDesde);
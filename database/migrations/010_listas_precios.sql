@@ -0,0 +1,20 @@
+-- Listas de precios (mayorista, revendedor...). Los precios sin lista forman la lista minorista.
+CREATE TABLE listas_precios (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  nombre        TEXT NOT NULL,
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+-- Nombre único entre las listas activas.
+CREATE UNIQUE INDEX idx_listas_precios_nombre ON listas_precios (lower(nombre)) WHERE activo = 1;
+
+ALTER TABLE precios ADD COLUMN listaPrecioId TEXT REFERENCES listas_precios (id) DEFERRABLE INITIALLY DEFERRED;
+CREATE INDEX idx_precios_lista ON precios (productoId, listaPrecioId, vigenciaDesde);
+
+-- Lista con la que se cotizó cada pedido y cada línea (NULL: minorista).
+ALTER TABLE pedidos ADD COLUMN listaPrecioId TEXT REFERENCES listas_precios (id) DEFERRABLE INITIALLY DEFERRED;
+ALTER TABLE pedido_items ADD COLUMN listaPrecioId TEXT REFERENCES listas_precios (id) DEFERRABLE INITIALLY DEFERRED;
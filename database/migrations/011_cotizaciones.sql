@@ -0,0 +1,19 @@
+-- Cotizaciones de monedas extranjeras expresadas en pesos, con historial por fecha de vigencia.
+CREATE TABLE cotizaciones (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  moneda        TEXT NOT NULL CHECK (moneda IN ('USD', 'EUR')),
+  valor         REAL NOT NULL CHECK (valor > 0),
+  fecha         TEXT NOT NULL,
+  usuarioId     TEXT REFERENCES usuarios (id) DEFERRABLE INITIALLY DEFERRED,
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE INDEX idx_cotizaciones_moneda ON cotizaciones (moneda, fecha);
+
+-- Líneas de pedido convertidas desde otra moneda: precio y moneda de origen y tasa aplicada.
+ALTER TABLE pedido_items ADD COLUMN precioUnitarioOriginal REAL CHECK (precioUnitarioOriginal IS NULL OR precioUnitarioOriginal >= 0);
+ALTER TABLE pedido_items ADD COLUMN monedaOriginal TEXT;
+ALTER TABLE pedido_items ADD COLUMN tasaCambio REAL CHECK (tasaCambio IS NULL OR tasaCambio > 0);
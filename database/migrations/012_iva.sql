@@ -0,0 +1,13 @@
+-- Alícuota de IVA (en %, 0 = exento) por producto y por categoría; NULL: se hereda (categoría) o se usa la general.
+ALTER TABLE categorias ADD COLUMN alicuotaIva REAL CHECK (alicuotaIva IS NULL OR alicuotaIva IN (21, 10.5, 0));
+ALTER TABLE productos ADD COLUMN alicuotaIva REAL CHECK (alicuotaIva IS NULL OR alicuotaIva IN (21, 10.5, 0));
+
+-- Precios finales (con IVA) o netos. Los existentes son finales: el campo se agrega también
+-- a 'datos', porque cada escritura vuelve a copiar las columnas desde el documento.
+ALTER TABLE precios ADD COLUMN incluyeIva INTEGER NOT NULL DEFAULT 1 CHECK (incluyeIva IN (0, 1));
+UPDATE precios SET datos = json_set(datos, '$.incluyeIva', json('true'));
+
+-- Desglose de IVA de cada línea de pedido.
+ALTER TABLE pedido_items ADD COLUMN alicuotaIva REAL;
+ALTER TABLE pedido_items ADD COLUMN neto REAL;
+ALTER TABLE pedido_items ADD COLUMN iva REAL;
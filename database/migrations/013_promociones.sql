@@ -0,0 +1,21 @@
+-- Promociones: reglas de descuento que se aplican al cotizar los pedidos.
+CREATE TABLE promociones (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  nombre        TEXT NOT NULL,
+  tipo          TEXT NOT NULL CHECK (tipo IN ('porcentaje', 'monto', 'nxm', 'umbral')),
+  alcance       TEXT NOT NULL CHECK (alcance IN ('producto', 'categoria', 'pedido')),
+  productoId    TEXT REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  categoriaId   TEXT REFERENCES categorias (id) DEFERRABLE INITIALLY DEFERRED,
+  vigenciaDesde TEXT NOT NULL,
+  vigenciaHasta TEXT,
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE INDEX idx_promociones_activo ON promociones (activo, vigenciaDesde);
+
+-- Descuento total de cada línea de pedido (el detalle por promoción queda en el pedido).
+ALTER TABLE pedido_items ADD COLUMN descuento REAL CHECK (descuento IS NULL OR descuento >= 0);
@@ -0,0 +1,33 @@
+-- Cupones de descuento: código, límites de uso y canjes registrados con cada pedido.
+CREATE TABLE cupones (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  codigo        TEXT NOT NULL,
+  tipo          TEXT NOT NULL CHECK (tipo IN ('porcentaje', 'monto')),
+  vence         TEXT,
+  usos          INTEGER NOT NULL DEFAULT 0 CHECK (usos >= 0),
+  usosMaximos   INTEGER CHECK (usosMaximos IS NULL OR (usosMaximos > 0 AND usos <= usosMaximos)),
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_cupones_codigo ON cupones (codigo) WHERE activo = 1;
+
+-- Canjes: un registro por pedido que usó un cupón ('anulado' si el pedido se canceló).
+CREATE TABLE canjes_cupones (
+  doc_id    TEXT PRIMARY KEY,
+  id        TEXT NOT NULL UNIQUE,
+  cuponId   TEXT NOT NULL REFERENCES cupones (id) DEFERRABLE INITIALLY DEFERRED,
+  pedidoId  TEXT NOT NULL REFERENCES pedidos (id) DEFERRABLE INITIALLY DEFERRED,
+  email     TEXT,
+  descuento REAL NOT NULL CHECK (descuento >= 0),
+  estado    TEXT NOT NULL CHECK (estado IN ('aplicado', 'anulado')),
+  fecha     TEXT NOT NULL,
+  datos     TEXT NOT NULL,
+  version   INTEGER NOT NULL
+);
+
+CREATE INDEX idx_canjes_cupones_cupon ON canjes_cupones (cuponId, email);
+CREATE UNIQUE INDEX idx_canjes_cupones_pedido ON canjes_cupones (pedidoId) WHERE estado = 'aplicado';
@@ -0,0 +1,23 @@
+-- Clientes: datos de contacto y direcciones de envío; los pedidos los referencian con clienteId.
+CREATE TABLE clientes (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  nombre        TEXT NOT NULL,
+  email         TEXT,
+  dni           TEXT,
+  cuit          TEXT,
+  activo        INTEGER NOT NULL DEFAULT 1 CHECK (activo IN (0, 1)),
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+-- Un mismo email, DNI o CUIT no puede pertenecer a dos clientes activos.
+CREATE UNIQUE INDEX idx_clientes_email ON clientes (email) WHERE activo = 1 AND email IS NOT NULL;
+CREATE UNIQUE INDEX idx_clientes_dni ON clientes (dni) WHERE activo = 1 AND dni IS NOT NULL;
+CREATE UNIQUE INDEX idx_clientes_cuit ON clientes (cuit) WHERE activo = 1 AND cuit IS NOT NULL;
+
+-- Cliente de cada pedido (los pedidos anteriores y los de clientes sin registrar no lo tienen).
+ALTER TABLE pedidos ADD COLUMN clienteId TEXT REFERENCES clientes (id) DEFERRABLE INITIALLY DEFERRED;
+
+CREATE INDEX idx_pedidos_cliente ON pedidos (clienteId, fechaCreacion);
@@ -0,0 +1,22 @@
+-- Pagos de pedidos (totales o parciales) y estado de cobro de cada pedido.
+CREATE TABLE pagos (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  pedidoId      TEXT NOT NULL REFERENCES pedidos (id) DEFERRABLE INITIALLY DEFERRED,
+  clienteId     TEXT REFERENCES clientes (id) DEFERRABLE INITIALLY DEFERRED,
+  monto         REAL NOT NULL CHECK (monto > 0),
+  moneda        TEXT NOT NULL,
+  medio         TEXT NOT NULL CHECK (medio IN ('efectivo', 'transferencia', 'tarjeta', 'mercadopago')),
+  referencia    TEXT,
+  fecha         TEXT NOT NULL,
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+CREATE INDEX idx_pagos_pedido ON pagos (pedidoId);
+CREATE INDEX idx_pagos_cliente ON pagos (clienteId, fecha);
+
+-- Estado de cobro de los pedidos (los anteriores a los pagos no lo tienen: están impagos).
+ALTER TABLE pedidos ADD COLUMN estadoPago TEXT CHECK (estadoPago IS NULL OR estadoPago IN ('impago', 'parcial', 'pagado'));
+ALTER TABLE pedidos ADD COLUMN totalPagado REAL CHECK (totalPagado IS NULL OR totalPagado >= 0);
@@ -0,0 +1,70 @@
+-- Devoluciones de pedidos: solicitud, aprobación, recepción de la mercadería y nota de crédito.
+CREATE TABLE devoluciones (
+  doc_id         TEXT PRIMARY KEY,
+  id             TEXT NOT NULL UNIQUE,
+  pedidoId       TEXT NOT NULL REFERENCES pedidos (id) DEFERRABLE INITIALLY DEFERRED,
+  clienteId      TEXT REFERENCES clientes (id) DEFERRABLE INITIALLY DEFERRED,
+  pedidoCambioId TEXT REFERENCES pedidos (id) DEFERRABLE INITIALLY DEFERRED,
+  estado         TEXT NOT NULL CHECK (estado IN ('solicitada', 'aprobada', 'rechazada', 'recibida', 'resuelta', 'cancelada')),
+  resolucion     TEXT CHECK (resolucion IS NULL OR resolucion IN ('reintegro', 'credito', 'cambio')),
+  importe        REAL NOT NULL CHECK (importe >= 0),
+  moneda         TEXT NOT NULL,
+  usuarioId      TEXT REFERENCES usuarios (id) DEFERRABLE INITIALLY DEFERRED,
+  fechaCreacion  TEXT NOT NULL,
+  datos          TEXT NOT NULL,
+  version        INTEGER NOT NULL,
+  CHECK ((estado = 'resuelta') = (resolucion IS NOT NULL))
+);
+
+CREATE INDEX idx_devoluciones_pedido ON devoluciones (pedidoId);
+CREATE INDEX idx_devoluciones_pedido_cambio ON devoluciones (pedidoCambioId);
+CREATE INDEX idx_devoluciones_cliente ON devoluciones (clienteId, estado);
+CREATE INDEX idx_devoluciones_estado ON devoluciones (estado, fechaCreacion);
+
+-- Líneas de devolución: tabla de detalle derivada del array 'productos' de la devolución.
+CREATE TABLE devolucion_items (
+  devolucion_doc_id TEXT NOT NULL REFERENCES devoluciones (doc_id) ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED,
+  posicion          INTEGER NOT NULL,
+  productoId        TEXT NOT NULL REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  cantidad          INTEGER NOT NULL CHECK (cantidad > 0),
+  importeUnitario   REAL NOT NULL CHECK (importeUnitario >= 0),
+  importe           REAL NOT NULL CHECK (importe >= 0),
+  PRIMARY KEY (devolucion_doc_id, posicion),
+  UNIQUE (devolucion_doc_id, productoId)
+);
+
+CREATE INDEX idx_devolucion_items_producto ON devolucion_items (productoId);
+
+-- Depósitos de cuarentena (mercadería dañada o en revisión); el principal no puede serlo.
+-- Los existentes no lo son: el campo se agrega también a 'datos', porque cada escritura
+-- vuelve a copiar las columnas desde el documento.
+ALTER TABLE depositos ADD COLUMN cuarentena INTEGER NOT NULL DEFAULT 0 CHECK (cuarentena IN (0, 1) AND NOT (cuarentena = 1 AND principal = 1));
+UPDATE depositos SET datos = json_set(datos, '$.cuarentena', json('false'));
+
+-- Nuevos medios de pago: 'credito' (saldo a favor del cliente) y 'nota_credito' (devoluciones).
+-- SQLite no permite modificar una restricción CHECK: se reconstruye la tabla de pagos.
+CREATE TABLE pagos_nueva (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  pedidoId      TEXT NOT NULL REFERENCES pedidos (id) DEFERRABLE INITIALLY DEFERRED,
+  clienteId     TEXT REFERENCES clientes (id) DEFERRABLE INITIALLY DEFERRED,
+  monto         REAL NOT NULL CHECK (monto > 0),
+  moneda        TEXT NOT NULL,
+  medio         TEXT NOT NULL CHECK (medio IN ('efectivo', 'transferencia', 'tarjeta', 'mercadopago', 'credito', 'nota_credito')),
+  referencia    TEXT,
+  fecha         TEXT NOT NULL,
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL
+);
+
+INSERT INTO pagos_nueva
+  (doc_id, id, pedidoId, clienteId, monto, moneda, medio, referencia, fecha, fechaCreacion, datos, version)
+SELECT doc_id, id, pedidoId, clienteId, monto, moneda, medio, referencia, fecha, fechaCreacion, datos, version
+FROM pagos;
+
+DROP TABLE pagos;
+ALTER TABLE pagos_nueva RENAME TO pagos;
+
+CREATE INDEX idx_pagos_pedido ON pagos (pedidoId);
+CREATE INDEX idx_pagos_cliente ON pagos (clienteId, fecha);
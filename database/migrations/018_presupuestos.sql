@@ -0,0 +1,39 @@
+-- Presupuestos: cotizaciones con vencimiento que no tocan el stock y se convierten en pedidos.
+CREATE TABLE presupuestos (
+  doc_id        TEXT PRIMARY KEY,
+  id            TEXT NOT NULL UNIQUE,
+  clienteId     TEXT REFERENCES clientes (id) DEFERRABLE INITIALLY DEFERRED,
+  estado        TEXT NOT NULL CHECK (estado IN ('borrador', 'enviado', 'aceptado', 'vencido')),
+  total         REAL NOT NULL CHECK (total >= 0),
+  moneda        TEXT NOT NULL,
+  vence         TEXT NOT NULL,
+  pedidoId      TEXT REFERENCES pedidos (id) DEFERRABLE INITIALLY DEFERRED,
+  usuarioId     TEXT REFERENCES usuarios (id) DEFERRABLE INITIALLY DEFERRED,
+  fechaCreacion TEXT NOT NULL,
+  datos         TEXT NOT NULL,
+  version       INTEGER NOT NULL,
+  CHECK (pedidoId IS NULL OR estado = 'aceptado')
+);
+
+CREATE INDEX idx_presupuestos_usuario ON presupuestos (usuarioId, fechaCreacion);
+CREATE INDEX idx_presupuestos_cliente ON presupuestos (clienteId, fechaCreacion);
+CREATE INDEX idx_presupuestos_estado ON presupuestos (estado, vence);
+CREATE UNIQUE INDEX idx_presupuestos_pedido ON presupuestos (pedidoId) WHERE pedidoId IS NOT NULL;
+
+-- Líneas de presupuesto: tabla de detalle derivada del array 'productos' del presupuesto.
+CREATE TABLE presupuesto_items (
+  presupuesto_doc_id TEXT NOT NULL REFERENCES presupuestos (doc_id) ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED,
+  posicion           INTEGER NOT NULL,
+  productoId         TEXT NOT NULL REFERENCES productos (id) DEFERRABLE INITIALLY DEFERRED,
+  cantidad           INTEGER NOT NULL CHECK (cantidad > 0),
+  precioUnitario     REAL NOT NULL CHECK (precioUnitario >= 0),
+  moneda             TEXT NOT NULL,
+  subtotal           REAL NOT NULL CHECK (subtotal >= 0),
+  PRIMARY KEY (presupuesto_doc_id, posicion)
+);
+
+CREATE INDEX idx_presupuesto_items_producto ON presupuesto_items (productoId);
+
+-- Pedido creado a partir de un presupuesto (un presupuesto genera a lo sumo un pedido).
+ALTER TABLE pedidos ADD COLUMN presupuestoId TEXT REFERENCES presupuestos (id) DEFERRABLE INITIALLY DEFERRED;
+CREATE UNIQUE INDEX idx_pedidos_presupuesto ON pedidos (presupuestoId) WHERE presupuestoId IS NOT NULL;
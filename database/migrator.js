@@ -0,0 +1,57 @@
+// Módulos de Node para leer los archivos de migración.
+const fs = require('fs');
+const path = require('path');
+
+// Directorio con las migraciones SQL, aplicadas en orden alfabético (001_, 002_, ...).
+const DIRECTORIO_MIGRACIONES = path.join(__dirname, 'migrations');
+
+/**
+ * Aplica sobre una conexión de better-sqlite3 todas las migraciones pendientes.
+ * Cada migración se ejecuta en su propia transacción y se registra en la tabla
+ * 'migraciones', por lo que ejecutar el migrador varias veces es seguro.
+ * @param {object} sqlite - Conexión abierta de better-sqlite3.
+ * @returns {string[]} Versiones aplicadas en esta ejecución.
+ */
+const migrar = (sqlite) => {
+  sqlite.exec(`
+    CREATE TABLE IF NOT EXISTS migraciones (
+      version         TEXT PRIMARY KEY,
+      fechaAplicacion TEXT NOT NULL
+    )
+  `);
+
+  const aplicadas = new Set(sqlite.prepare('SELECT version FROM migraciones').all().map(m => m.version));
+  const pendientes = fs.readdirSync(DIRECTORIO_MIGRACIONES)
+    .filter(archivo => archivo.endsWith('.sql'))
+    .sort()
+    .map(archivo => ({ version: path.basename(archivo, '.sql'), archivo }))
+    .filter(({ version }) => !aplicadas.has(version));
+
+  const registrar = sqlite.prepare('INSERT INTO migraciones (version, fechaAplicacion) VALUES (?, ?)');
+
+  // Las claves foráneas se desactivan durante las migraciones (procedimiento recomendado
+  // por SQLite para poder reconstruir tablas) y se verifican al terminar cada una.
+  sqlite.pragma('foreign_keys = OFF');
+  try {
+    for (const { version, archivo } of pendientes) {
+      const sql = fs.readFileSync(path.join(DIRECTORIO_MIGRACIONES, archivo), 'utf8');
+
+      sqlite.transaction(() => {
+        sqlite.exec(sql);
+        const violaciones = sqlite.pragma('foreign_key_check');
+        if (violaciones.length > 0) {
+          throw new Error(`La migración ${version} deja ${violaciones.length} claves foráneas inválidas`);
+        }
+        registrar.run(version, new Date().toISOString());
+      })();
+
+      console.log(`✅ Migración aplicada: ${version}`);
+    }
+  } finally {
+    sqlite.pragma('foreign_keys = ON');
+  }
+
+  return pendientes.map(m => m.version);
+};
+
+module.exports = { migrar };
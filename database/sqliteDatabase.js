@@ -0,0 +1,248 @@
+// Módulos de Node para preparar la ruta del archivo de base de datos.
+const fs = require('fs');
+const path = require('path');
+// Importa la base común que implementa la API tipo Firestore.
+const { DocumentDatabase, crearError } = require('./documentDatabase');
+// Importa el migrador de esquema.
+const { migrar } = require('./migrator');
+
+// =============================================================================
+// Base de datos SQLITE con la misma API que Firestore.
+// Pensada para comercios que corren Magnum en una sola máquina, sin cuenta de Firebase.
+// Cada colección es una tabla creada por las migraciones de 'database/migrations':
+// el documento completo se guarda en la columna 'datos' (JSON) y los campos que
+// además existen como columnas se copian en ellas para que SQLite aplique claves
+// foráneas, restricciones CHECK e índices reales.
+// =============================================================================
+
+// Columnas reservadas presentes en todas las tablas de documentos.
+const COLUMNAS_RESERVADAS = ['doc_id', 'datos', 'version'];
+
+// Tablas de detalle derivadas de un array del documento (ej: líneas de pedido).
+// Se reescriben completas cada vez que se guarda el documento padre.
+const DETALLES = {
+  pedidos: { campo: 'productos', tabla: 'pedido_items', clave: 'pedido_doc_id' },
+  ordenes_compra: { campo: 'productos', tabla: 'orden_compra_items', clave: 'orden_doc_id' },
+  devoluciones: { campo: 'productos', tabla: 'devolucion_items', clave: 'devolucion_doc_id' },
+  presupuestos: { campo: 'productos', tabla: 'presupuesto_items', clave: 'presupuesto_doc_id' }
+};
+
+// Nombres de campo admitidos en consultas (evita inyección en rutas JSON).
+const CAMPO_VALIDO = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+// Fechas ISO completas: al leer el JSON se convierten de nuevo en objetos Date.
+const FECHA_ISO = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// Convierte un valor de JavaScript al tipo que almacena/compara SQLite.
+const aSql = (valor) => {
+  if (valor === undefined || valor === null) return null;
+  if (valor instanceof Date) return valor.toISOString();
+  if (typeof valor === 'boolean') return valor ? 1 : 0;
+  if (typeof valor === 'object') return JSON.stringify(valor);
+  return valor;
+};
+
+// Deserializa la columna 'datos' restaurando las fechas.
+const leerJson = (texto) =>
+  JSON.parse(texto, (clave, valor) => (typeof valor === 'string' && FECHA_ISO.test(valor) ? new Date(valor) : valor));
+
+class SqliteDatabase extends DocumentDatabase {
+  /**
+   * Abre (o crea) el archivo de base de datos y aplica las migraciones pendientes.
+   * @param {string} ruta - Ruta del archivo SQLite (':memory:' para una base temporal).
+   */
+  constructor(ruta) {
+    super();
+    // Carga diferida: el módulo nativo solo es necesario si se elige este backend.
+    const BetterSqlite3 = require('better-sqlite3');
+
+    if (ruta !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(ruta)), { recursive: true });
+    }
+
+    this.ruta = ruta;
+    this._sqlite = new BetterSqlite3(ruta);
+    this._sqlite.pragma('journal_mode = WAL');
+    migrar(this._sqlite);
+    this._sqlite.pragma('foreign_keys = ON');
+
+    // Caché de metadatos por tabla (columnas y sentencias preparadas).
+    this._tablas = new Map();
+  }
+
+  // Devuelve los metadatos de la tabla asociada a una colección.
+  _tabla(coleccion) {
+    if (this._tablas.has(coleccion)) return this._tablas.get(coleccion);
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(coleccion)) {
+      throw crearError('invalid-argument', `Nombre de colección inválido: ${coleccion}`);
+    }
+
+    const columnas = this._sqlite.pragma(`table_info("${coleccion}")`).map(c => c.name);
+    if (columnas.length === 0) {
+      throw crearError('failed-precondition', `La colección "${coleccion}" no tiene tabla en SQLite. Crea una migración en database/migrations.`);
+    }
+
+    const propias = columnas.filter(c => !COLUMNAS_RESERVADAS.includes(c));
+    const todas = [...COLUMNAS_RESERVADAS, ...propias];
+    const tabla = {
+      nombre: coleccion,
+      columnas: new Set(propias),
+      leer: this._sqlite.prepare(`SELECT doc_id, datos, version FROM "${coleccion}" WHERE doc_id = ?`),
+      borrar: this._sqlite.prepare(`DELETE FROM "${coleccion}" WHERE doc_id = ?`),
+      guardar: this._sqlite.prepare(`
+        INSERT INTO "${coleccion}" (${todas.map(c => `"${c}"`).join(', ')})
+        VALUES (${todas.map(() => '?').join(', ')})
+        ON CONFLICT (doc_id) DO UPDATE SET ${todas.slice(1).map(c => `"${c}" = excluded."${c}"`).join(', ')}
+      `),
+      propias
+    };
+
+    const detalle = DETALLES[coleccion];
+    if (detalle) {
+      const columnasDetalle = this._sqlite.pragma(`table_info("${detalle.tabla}")`)
+        .map(c => c.name)
+        .filter(c => c !== detalle.clave && c !== 'posicion');
+      tabla.detalle = {
+        ...detalle,
+        columnas: columnasDetalle,
+        borrar: this._sqlite.prepare(`DELETE FROM "${detalle.tabla}" WHERE "${detalle.clave}" = ?`),
+        insertar: this._sqlite.prepare(`
+          INSERT INTO "${detalle.tabla}" ("${detalle.clave}", posicion, ${columnasDetalle.map(c => `"${c}"`).join(', ')})
+          VALUES (?, ?, ${columnasDetalle.map(() => '?').join(', ')})
+        `)
+      };
+    }
+
+    this._tablas.set(coleccion, tabla);
+    return tabla;
+  }
+
+  // Expresión SQL para acceder a un campo: la columna si existe, o el JSON de 'datos'.
+  _expresion(tabla, campo) {
+    if (!CAMPO_VALIDO.test(campo)) {
+      throw crearError('invalid-argument', `Nombre de campo inválido: ${campo}`);
+    }
+    return tabla.columnas.has(campo) ? `"${campo}"` : `json_extract(datos, '$.${campo}')`;
+  }
+
+  _leerDocumento(coleccion, id) {
+    const fila = this._tabla(coleccion).leer.get(id);
+    return fila ? { datos: leerJson(fila.datos), version: fila.version } : undefined;
+  }
+
+  // Traduce los filtros/órdenes de Firestore a SQL respetando su semántica
+  // (por ejemplo, '!=' y 'orderBy' excluyen documentos sin el campo).
+  _consultar(coleccion, filtros, ordenes, limite) {
+    const tabla = this._tabla(coleccion);
+    const condiciones = [];
+    const parametros = [];
+
+    for (const { campo, operador, valor } of filtros) {
+      const expr = this._expresion(tabla, campo);
+
+      switch (operador) {
+        case '==':
+          if (valor === null) {
+            condiciones.push(`${expr} IS NULL`);
+          } else {
+            condiciones.push(`${expr} = ?`);
+            parametros.push(aSql(valor));
+          }
+          break;
+        case '!=':
+          condiciones.push(`(${expr} IS NOT NULL AND ${expr} <> ?)`);
+          parametros.push(aSql(valor));
+          break;
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+          condiciones.push(`${expr} ${operador} ?`);
+          parametros.push(aSql(valor));
+          break;
+        case 'in':
+        case 'not-in': {
+          const lista = valor.map(() => '?').join(', ') || 'NULL';
+          condiciones.push(operador === 'in'
+            ? `${expr} IN (${lista})`
+            : `(${expr} IS NOT NULL AND ${expr} NOT IN (${lista}))`);
+          parametros.push(...valor.map(aSql));
+          break;
+        }
+        case 'array-contains':
+        case 'array-contains-any': {
+          const valores = operador === 'array-contains' ? [valor] : valor;
+          condiciones.push(`EXISTS (SELECT 1 FROM json_each(datos, '$.${campo}') WHERE value IN (${valores.map(() => '?').join(', ') || 'NULL'}))`);
+          parametros.push(...valores.map(aSql));
+          break;
+        }
+        default:
+          throw crearError('invalid-argument', `Operador no soportado: ${operador}`);
+      }
+    }
+
+    const orden = ordenes.map(({ campo, direccion }) => {
+      const expr = this._expresion(tabla, campo);
+      condiciones.push(`${expr} IS NOT NULL`);
+      return `${expr} ${direccion === 'desc' ? 'DESC' : 'ASC'}`;
+    });
+    // Desempate por ID de documento, igual que Firestore.
+    orden.push('doc_id ASC');
+
+    let sql = `SELECT doc_id, datos, version FROM "${tabla.nombre}"`;
+    if (condiciones.length > 0) sql += ` WHERE ${condiciones.join(' AND ')}`;
+    sql += ` ORDER BY ${orden.join(', ')}`;
+    if (limite !== null) {
+      sql += ' LIMIT ?';
+      parametros.push(limite);
+    }
+
+    return this._sqlite.prepare(sql).all(...parametros)
+      .map(fila => ({ id: fila.doc_id, datos: leerJson(fila.datos), version: fila.version }));
+  }
+
+  _guardarDocumento(coleccion, id, datos) {
+    const tabla = this._tabla(coleccion);
+
+    if (datos === null) {
+      tabla.borrar.run(id);
+      return;
+    }
+
+    const actual = tabla.leer.get(id);
+    const version = actual ? actual.version + 1 : 1;
+    tabla.guardar.run(id, JSON.stringify(datos), version, ...tabla.propias.map(c => aSql(datos[c])));
+
+    if (tabla.detalle) {
+      const { campo, columnas, borrar, insertar } = tabla.detalle;
+      borrar.run(id);
+      (Array.isArray(datos[campo]) ? datos[campo] : []).forEach((linea, posicion) => {
+        insertar.run(id, posicion, ...columnas.map(c => aSql(linea[c])));
+      });
+    }
+  }
+
+  // Ejecuta 'fn' dentro de una transacción SQLite (BEGIN IMMEDIATE): todo o nada.
+  _atomico(fn) {
+    return this._sqlite.transaction(fn).immediate();
+  }
+
+  _nombresColecciones() {
+    const detalles = Object.values(DETALLES).map(d => d.tabla);
+    return this._sqlite.prepare(`
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name <> 'migraciones'
+    `).all()
+      .map(t => t.name)
+      .filter(nombre => !detalles.includes(nombre))
+      .filter(nombre => this._sqlite.prepare(`SELECT 1 FROM "${nombre}" LIMIT 1`).get());
+  }
+
+  // Cierra la conexión (útil en scripts y pruebas).
+  close() {
+    this._sqlite.close();
+  }
+}
+
+module.exports = SqliteDatabase;
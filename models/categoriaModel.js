@@ -1,6 +1,6 @@
-// Importa la instancia de la base de datos de Firebase,
-// la cual se asume que está configurada en la ruta '../config/firebase'.
-const { db } = require('../config/firebase');
+// Importa la instancia de la base de datos, la cual se obtiene del selector
+// de backend en '../database' (Firestore por defecto).
+const { db } = require('../database');
 
 // Importa una utilidad que se encarga de generar IDs autoincrementables.
 // Esto es crucial porque Firestore no tiene autoincremento nativo como las DB SQL.
@@ -15,6 +15,8 @@ class Categoria {
         this.nombre = data.nombre;
         this.descripcion = data.descripcion;
         this.imagen = data.imagen;
+        // Alícuota de IVA de los productos de la categoría (en %); null para usar la general.
+        this.alicuotaIva = data.alicuotaIva !== undefined ? data.alicuotaIva : null;
         
         // Establece 'activo' como 'true' por defecto si no se proporciona en 'data'.
         // Esto es una buena práctica para el 'soft delete' (eliminación lógica).
@@ -47,6 +49,7 @@ class Categoria {
                 nombre: this.nombre,
                 descripcion: this.descripcion,
                 imagen: this.imagen,
+                alicuotaIva: this.alicuotaIva,
                 activo: this.activo,
                 fechaCreacion: this.fechaCreacion
             };
@@ -0,0 +1,240 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+// Importa la utilidad para leer fechas guardadas (Date o Timestamp de Firestore).
+const { aFecha } = require('../utils/fechas');
+
+// --- Definición de la Clase Modelo 'Cliente' ---
+// Un cliente es quien nos compra; los pedidos lo referencian con 'clienteId' y copian sus
+// datos de contacto al crearse. El email, el DNI y el CUIT identifican al cliente: no puede
+// haber dos clientes activos con el mismo. 'direcciones' son sus direcciones de envío
+// ({ id, alias, direccion, localidad, provincia, codigoPostal, principal }); una es la principal.
+// 'saldoAFavor' es el crédito del cliente por moneda (ej: { ARS: 1500 }), generado por
+// devoluciones y consumido con pagos de medio 'credito'.
+class Cliente {
+    // Campos que identifican a un cliente (no se repiten entre los activos).
+    static IDENTIFICADORES = ['email', 'dni', 'cuit'];
+
+    // El constructor inicializa una nueva instancia de Cliente.
+    constructor(data) {
+        this.nombre = data.nombre;
+        this.email = Cliente.normalizarEmail(data.email);
+        this.dni = Cliente.normalizarNumero(data.dni);
+        this.cuit = Cliente.normalizarNumero(data.cuit);
+        this.telefono = data.telefono || null;
+        this.direcciones = Cliente.numerarDirecciones(data.direcciones || []);
+        this.observaciones = data.observaciones || '';
+        // Eliminación lógica: 'activo' en false.
+        this.activo = data.activo !== undefined ? data.activo : true;
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Métodos Estáticos: Normalizar Identificadores ---
+    // El email no distingue mayúsculas; el DNI y el CUIT se guardan sólo con sus dígitos
+    // (ej: '20-12345678-3' → '20123456783'). Vacío: null.
+    static normalizarEmail(email) {
+        const valor = String(email || '').trim().toLowerCase();
+        return valor || null;
+    }
+
+    static normalizarNumero(numero) {
+        const valor = String(numero || '').replace(/\D/g, '');
+        return valor || null;
+    }
+
+    // --- Método Estático: Numerar las Direcciones de Envío ---
+    // Las direcciones nuevas reciben un ID (DIR-1, DIR-2...) que los pedidos usan para elegirlas;
+    // las existentes conservan el suyo. Si ninguna está marcada como principal, lo es la primera.
+    static numerarDirecciones(direcciones) {
+        let ultimo = direcciones
+            .map(direccion => Number(String(direccion.id || '').replace('DIR-', '')) || 0)
+            .reduce((max, numero) => Math.max(max, numero), 0);
+        const principal = Math.max(direcciones.findIndex(direccion => direccion.principal === true), 0);
+
+        return direcciones.map((direccion, i) => ({
+            id: direccion.id || `DIR-${++ultimo}`,
+            alias: direccion.alias || null,
+            direccion: direccion.direccion,
+            localidad: direccion.localidad || null,
+            provincia: direccion.provincia || null,
+            codigoPostal: direccion.codigoPostal || null,
+            principal: i === principal
+        }));
+    }
+
+    // --- Método Estático: Texto de una Dirección ---
+    // Formato con el que la dirección se copia al pedido (ej: 'Av. Siempreviva 742, Springfield (1234)').
+    static formatearDireccion(direccion) {
+        const partes = [direccion.direccion, direccion.localidad, direccion.provincia].filter(Boolean).join(', ');
+        return direccion.codigoPostal ? `${partes} (${direccion.codigoPostal})` : partes;
+    }
+
+    // --- Método de Instancia: Guardar (Crear) un Nuevo Cliente ---
+    async save() {
+        try {
+            const clienteId = await AutoIncrement.generateId('clientes');
+            const clienteRef = db.collection('clientes').doc();
+
+            const clienteData = {
+                id: clienteId, // ID numérico de la aplicación (ej: CLI-00001).
+                firestoreId: clienteRef.id, // ID único del documento.
+                nombre: this.nombre,
+                email: this.email,
+                dni: this.dni,
+                cuit: this.cuit,
+                telefono: this.telefono,
+                direcciones: this.direcciones,
+                observaciones: this.observaciones,
+                saldoAFavor: {},
+                activo: this.activo,
+                fechaCreacion: this.fechaCreacion
+            };
+
+            await clienteRef.set(clienteData);
+
+            console.log(`✅ Cliente creado: ${clienteId} - ${this.nombre}`);
+            return clienteData;
+        } catch (error) {
+            console.error('❌ Error creando cliente:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('clientes')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando cliente:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Leer un Cliente Dentro de una Transacción ---
+    // Devuelve el documento (con 'ref' para escribirlo) o null si no existe.
+    static async leerEnTransaccion(transaction, id) {
+        const snapshot = await transaction.get(db.collection('clientes')
+            .where('id', '==', id)
+            .limit(1));
+
+        return snapshot.empty ? null : snapshot.docs[0];
+    }
+
+    // --- Método Estático: Mover el Saldo a Favor Dentro de una Transacción ---
+    // Suma 'importe' (negativo para consumirlo) al saldo a favor del cliente en 'moneda' (fase de
+    // escrituras). Lanza un error con code 'credito-insuficiente' (incluye 'disponible') si el
+    // saldo quedaría negativo. Devuelve el nuevo saldo a favor en esa moneda.
+    static moverSaldoAFavorEnTransaccion(transaction, clienteDoc, moneda, importe) {
+        const saldoAFavor = { ...(clienteDoc.data().saldoAFavor || {}) };
+        const disponible = saldoAFavor[moneda] || 0;
+        const nuevo = Math.round((disponible + importe) * 100) / 100;
+        if (nuevo < 0) {
+            const error = new Error(`El cliente no tiene saldo a favor suficiente (${moneda} ${disponible})`);
+            error.code = 'credito-insuficiente';
+            error.disponible = disponible;
+            throw error;
+        }
+
+        saldoAFavor[moneda] = nuevo;
+        transaction.update(clienteDoc.ref, {
+            saldoAFavor,
+            fechaActualizacion: new Date()
+        });
+        return nuevo;
+    }
+
+    // --- Método Estático: Obtener Todos los Clientes Activos ---
+    // Ordenados por nombre.
+    static async findAll() {
+        try {
+            const snapshot = await db.collection('clientes')
+                .where('activo', '==', true)
+                .get();
+
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .sort((a, b) => String(a.nombre).localeCompare(String(b.nombre)) || (aFecha(a.fechaCreacion) - aFecha(b.fechaCreacion)));
+        } catch (error) {
+            console.error('❌ Error obteniendo clientes:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar un Cliente Activo con los Mismos Identificadores ---
+    // Devuelve { cliente, campo } con el primer cliente activo (distinto de 'exceptoId') que tiene
+    // el mismo email, DNI o CUIT, o null si no hay duplicados. Los valores ya deben estar normalizados.
+    static async findDuplicado(datos, exceptoId = null) {
+        try {
+            for (const campo of Cliente.IDENTIFICADORES) {
+                if (!datos[campo]) continue;
+
+                const snapshot = await db.collection('clientes')
+                    .where(campo, '==', datos[campo])
+                    .where('activo', '==', true)
+                    .get();
+                const doc = snapshot.docs.find(d => d.data().id !== exceptoId);
+                if (doc) {
+                    return { cliente: { firestoreId: doc.id, ...doc.data() }, campo };
+                }
+            }
+            return null;
+        } catch (error) {
+            console.error('❌ Error buscando cliente duplicado:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Actualizar un Cliente ---
+    static async update(id, data) {
+        try {
+            const cliente = await this.findById(id);
+            if (!cliente) {
+                throw new Error('Cliente no encontrado');
+            }
+
+            await db.collection('clientes').doc(cliente.firestoreId).update({
+                ...data,
+                fechaActualizacion: new Date()
+            });
+            console.log(`✅ Cliente actualizado: ${id}`);
+        } catch (error) {
+            console.error('❌ Error actualizando cliente:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Eliminación Lógica (Soft Delete) ---
+    // Los pedidos del cliente se conservan (con los datos copiados al crearlos).
+    static async delete(id) {
+        try {
+            const cliente = await this.findById(id);
+            if (!cliente) {
+                throw new Error('Cliente no encontrado');
+            }
+
+            await db.collection('clientes').doc(cliente.firestoreId).update({
+                activo: false,
+                fechaEliminacion: new Date()
+            });
+            console.log(`✅ Cliente marcado como inactivo: ${id}`);
+        } catch (error) {
+            console.error('❌ Error eliminando cliente:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Cliente;
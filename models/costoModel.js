@@ -0,0 +1,109 @@
+// Importa la instancia de la base de datos (Firestore, memoria, etc. según DB_BACKEND).
+const { db } = require('../database');
+// Importa la utilidad personalizada para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+
+// --- Definición de la Clase Modelo 'Costo' ---
+// Costo de reposición de un producto (lo que se paga por cada unidad).
+// Funciona igual que Precio: un único registro vigente por producto y el resto queda como historial.
+class Costo {
+  // El constructor se llama al crear una nueva instancia de Costo.
+  constructor(data) {
+    // Producto al que pertenece este costo (relación uno a muchos: producto 1 -> N costos).
+    this.productoId = data.productoId;
+    // Costo unitario del producto.
+    this.costo = data.costo;
+    // Moneda del costo, por defecto 'ARS' (Peso Argentino).
+    this.moneda = data.moneda || 'ARS';
+    // Proveedor que cotizó este costo (opcional).
+    this.proveedorId = data.proveedorId || null;
+    // Usuario que registró el costo (auditoría).
+    this.usuarioId = data.usuarioId || null;
+    // Indica si este es el costo vigente. Si no se define, es true.
+    this.activo = data.activo !== undefined ? data.activo : true;
+    // Momento en que se registra el costo.
+    this.fechaCreacion = new Date();
+  }
+
+  // --- Método de Instancia: Guardar (Crear) un Nuevo Registro de Costo ---
+  // Desactiva el costo vigente antes de guardar el nuevo para conservar el historial.
+  async save() {
+    try {
+      // Desactiva el registro de costo anterior.
+      const snapshot = await db.collection('costos')
+        .where('productoId', '==', this.productoId)
+        .where('activo', '==', true)
+        .get();
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => {
+        batch.update(doc.ref, { activo: false });
+      });
+      await batch.commit();
+
+      // Genera el ID numérico autoincrementable para el campo 'id'.
+      const costoId = await AutoIncrement.generateId('costos');
+      const costoRef = db.collection('costos').doc();
+
+      const costoData = {
+        id: costoId, // ID numérico de la aplicación (ej: COSTO-00001).
+        firestoreId: costoRef.id, // ID único del documento.
+        productoId: this.productoId,
+        costo: this.costo,
+        moneda: this.moneda,
+        proveedorId: this.proveedorId,
+        usuarioId: this.usuarioId,
+        activo: this.activo,
+        fechaCreacion: this.fechaCreacion
+      };
+
+      await costoRef.set(costoData);
+      console.log(`✅ Costo creado: ${costoId} para producto: ${this.productoId}`);
+      return costoData;
+    } catch (error) {
+      console.error('❌ Error creando costo:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Buscar Costo Vigente de un Producto ---
+  static async findByProductoId(productoId) {
+    try {
+      const snapshot = await db.collection('costos')
+        .where('productoId', '==', productoId)
+        .where('activo', '==', true) // Solo el registro vigente.
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        return null;
+      }
+
+      const doc = snapshot.docs[0];
+      return { firestoreId: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('❌ Error buscando costo:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Obtener Historial de Costos ---
+  static async findHistorialByProductoId(productoId) {
+    try {
+      const snapshot = await db.collection('costos')
+        .where('productoId', '==', productoId) // Vigente e históricos.
+        .orderBy('fechaCreacion', 'desc') // Del más nuevo al más antiguo.
+        .get();
+
+      return snapshot.docs.map(doc => ({
+        firestoreId: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      console.error('❌ Error obteniendo historial de costos:', error);
+      throw error;
+    }
+  }
+}
+
+// Exporta la clase para su uso.
+module.exports = Costo;
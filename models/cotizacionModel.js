@@ -0,0 +1,118 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+// Importa la utilidad para leer fechas guardadas (Date o Timestamp de Firestore).
+const { aFecha } = require('../utils/fechas');
+
+// --- Definición de la Clase Modelo 'Cotizacion' ---
+// Tipo de cambio de una moneda expresado en la moneda base (ARS): 'valor' es cuántos
+// pesos vale una unidad de 'moneda'. Cada carga es un registro nuevo con la fecha desde
+// la que rige, así se conserva el historial y se puede convertir con la cotización de cualquier día.
+class Cotizacion {
+    // Moneda en la que se expresan las cotizaciones (y la de los precios por defecto).
+    static MONEDA_BASE = 'ARS';
+    // Monedas admitidas en precios, costos y conversiones.
+    static MONEDAS = ['ARS', 'USD', 'EUR'];
+
+    // El constructor inicializa una nueva instancia de Cotizacion.
+    constructor(data) {
+        this.moneda = data.moneda;
+        this.valor = data.valor; // Pesos por unidad de 'moneda'.
+        // Desde cuándo rige (por defecto, ahora).
+        this.fecha = data.fecha || new Date();
+        this.usuarioId = data.usuarioId || null; // Quién la cargó (auditoría).
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Método de Instancia: Guardar (Crear) una Nueva Cotización ---
+    async save() {
+        try {
+            const cotizacionId = await AutoIncrement.generateId('cotizaciones');
+            const cotizacionRef = db.collection('cotizaciones').doc();
+
+            const cotizacionData = {
+                id: cotizacionId, // ID numérico de la aplicación (ej: COT-00001).
+                firestoreId: cotizacionRef.id, // ID único del documento.
+                moneda: this.moneda,
+                valor: this.valor,
+                fecha: this.fecha,
+                usuarioId: this.usuarioId,
+                fechaCreacion: this.fechaCreacion
+            };
+
+            await cotizacionRef.set(cotizacionData);
+
+            console.log(`✅ Cotización creada: ${cotizacionId} - ${this.moneda} ${this.valor}`);
+            return cotizacionData;
+        } catch (error) {
+            console.error('❌ Error creando cotización:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Historial de Cotizaciones ---
+    // Filtros opcionales: moneda y rango de fechas ('desde'/'hasta' sobre la fecha de vigencia).
+    // Ordenado de la más reciente a la más antigua.
+    static async findHistorial({ moneda, desde, hasta } = {}) {
+        try {
+            let query = db.collection('cotizaciones');
+            if (moneda) query = query.where('moneda', '==', moneda);
+
+            const snapshot = await query.get();
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .filter(cotizacion => !desde || aFecha(cotizacion.fecha) >= desde)
+                .filter(cotizacion => !hasta || aFecha(cotizacion.fecha) <= hasta)
+                .sort((a, b) => (aFecha(b.fecha) - aFecha(a.fecha)) || (aFecha(b.fechaCreacion) - aFecha(a.fechaCreacion)));
+        } catch (error) {
+            console.error('❌ Error obteniendo historial de cotizaciones:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Cotización Vigente de una Moneda ---
+    // La última cargada con fecha anterior o igual a 'fecha'; null si no hay ninguna.
+    static async findVigente(moneda, fecha = new Date()) {
+        const historial = await this.findHistorial({ moneda, hasta: fecha });
+        return historial[0] || null;
+    }
+
+    // --- Método Estático: Tasa de Conversión entre dos Monedas ---
+    // Devuelve { tasa, cotizaciones } donde 'tasa' multiplica un monto en 'origen' para
+    // expresarlo en 'destino' y 'cotizaciones' son los registros usados (para auditoría).
+    // Entre dos monedas extranjeras se pasa por la moneda base. Devuelve null si falta alguna cotización.
+    static async obtenerTasa(origen, destino, fecha = new Date()) {
+        if (origen === destino) return { tasa: 1, cotizaciones: [] };
+
+        const cotizaciones = [];
+        let tasa = 1;
+        if (origen !== this.MONEDA_BASE) {
+            const cotizacion = await this.findVigente(origen, fecha);
+            if (!cotizacion) return null;
+            tasa *= cotizacion.valor;
+            cotizaciones.push(cotizacion);
+        }
+        if (destino !== this.MONEDA_BASE) {
+            const cotizacion = await this.findVigente(destino, fecha);
+            if (!cotizacion) return null;
+            tasa /= cotizacion.valor;
+            cotizaciones.push(cotizacion);
+        }
+
+        return {
+            tasa,
+            cotizaciones: cotizaciones.map(({ id, moneda, valor, fecha: vigenteDesde }) => ({ id, moneda, valor, fecha: vigenteDesde }))
+        };
+    }
+
+    // --- Método Estático: Convertir un Monto ---
+    // Aplica la tasa y redondea a centavos.
+    static convertir(monto, tasa) {
+        return Math.round(monto * tasa * 100) / 100;
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Cotizacion;
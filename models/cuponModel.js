@@ -0,0 +1,276 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+// Importa la utilidad para leer fechas guardadas (Date o Timestamp de Firestore).
+const { aFecha } = require('../utils/fechas');
+
+// --- Definición de la Clase Modelo 'Cupon' ---
+// Código de descuento que el cliente informa al hacer el pedido (ej: campañas de Instagram).
+// El descuento ('porcentaje' o 'monto' fijo) se aplica sobre lo que queda a pagar después de
+// las promociones. Cada uso queda registrado en 'canjes_cupones' (pedido, email del cliente y
+// descuento); 'usos' cuenta los canjes vigentes (cancelar el pedido anula su canje).
+class Cupon {
+    // Tipos de descuento admitidos.
+    static TIPOS = ['porcentaje', 'monto'];
+
+    // El constructor inicializa una nueva instancia de Cupon.
+    constructor(data) {
+        this.codigo = Cupon.normalizarCodigo(data.codigo);
+        this.descripcion = data.descripcion || null;
+        this.tipo = data.tipo;
+        this.porcentaje = data.porcentaje !== undefined ? data.porcentaje : null;
+        this.monto = data.monto !== undefined ? data.monto : null;
+        this.moneda = data.moneda || 'ARS'; // Moneda del monto y de la compra mínima.
+        this.montoMinimo = data.montoMinimo !== undefined ? data.montoMinimo : null;
+        this.vence = data.vence || null; // null: no vence.
+        // Límites de uso (null: sin límite).
+        this.usosMaximos = data.usosMaximos !== undefined ? data.usosMaximos : null;
+        this.usosPorCliente = data.usosPorCliente !== undefined ? data.usosPorCliente : null;
+        this.usos = 0;
+        // Eliminación lógica: 'activo' en false.
+        this.activo = data.activo !== undefined ? data.activo : true;
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Método Estático: Normalizar un Código ---
+    // Los códigos no distinguen mayúsculas ni espacios alrededor.
+    static normalizarCodigo(codigo) {
+        return String(codigo || '').trim().toUpperCase();
+    }
+
+    // --- Método de Instancia: Guardar (Crear) un Nuevo Cupón ---
+    async save() {
+        try {
+            const cuponId = await AutoIncrement.generateId('cupones');
+            const cuponRef = db.collection('cupones').doc();
+
+            const cuponData = {
+                id: cuponId, // ID numérico de la aplicación (ej: CUP-0001).
+                firestoreId: cuponRef.id, // ID único del documento.
+                codigo: this.codigo,
+                descripcion: this.descripcion,
+                tipo: this.tipo,
+                porcentaje: this.porcentaje,
+                monto: this.monto,
+                moneda: this.moneda,
+                montoMinimo: this.montoMinimo,
+                vence: this.vence,
+                usosMaximos: this.usosMaximos,
+                usosPorCliente: this.usosPorCliente,
+                usos: this.usos,
+                activo: this.activo,
+                fechaCreacion: this.fechaCreacion
+            };
+
+            await cuponRef.set(cuponData);
+
+            console.log(`✅ Cupón creado: ${cuponId} - ${this.codigo}`);
+            return cuponData;
+        } catch (error) {
+            console.error('❌ Error creando cupón:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('cupones')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando cupón:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar un Cupón Activo por Código ---
+    static async findByCodigo(codigo) {
+        try {
+            const snapshot = await db.collection('cupones')
+                .where('codigo', '==', Cupon.normalizarCodigo(codigo))
+                .where('activo', '==', true)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando cupón por código:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Obtener Todos los Cupones Activos ---
+    static async findAll() {
+        try {
+            const snapshot = await db.collection('cupones')
+                .where('activo', '==', true)
+                .get();
+
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .sort((a, b) => aFecha(b.fechaCreacion) - aFecha(a.fechaCreacion));
+        } catch (error) {
+            console.error('❌ Error obteniendo cupones:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Canjes de un Cupón ---
+    // Con 'email' sólo los de ese cliente. Ordenados del más reciente al más antiguo.
+    static async findCanjes(cuponId, { email } = {}) {
+        try {
+            let query = db.collection('canjes_cupones').where('cuponId', '==', cuponId);
+            if (email) query = query.where('email', '==', String(email).trim().toLowerCase());
+
+            const snapshot = await query.get();
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .sort((a, b) => aFecha(b.fecha) - aFecha(a.fecha));
+        } catch (error) {
+            console.error('❌ Error obteniendo canjes de cupón:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: ¿Se Puede Usar el Cupón? ---
+    // 'usosCliente' son los canjes vigentes del cliente. Devuelve el motivo por el que no
+    // se puede usar, o null si está disponible.
+    static verificarDisponible(cupon, { email = null, usosCliente = 0, fecha = new Date() } = {}) {
+        if (!cupon || !cupon.activo) return 'Cupón inválido o inactivo.';
+        if (cupon.vence && aFecha(cupon.vence) <= fecha) return 'El cupón está vencido.';
+        if (cupon.usosMaximos !== null && cupon.usos >= cupon.usosMaximos) return 'El cupón alcanzó su límite de usos.';
+        if (cupon.usosPorCliente !== null) {
+            if (!email) return 'El cupón requiere el email del cliente.';
+            if (usosCliente >= cupon.usosPorCliente) return 'El cliente ya usó este cupón la cantidad de veces permitida.';
+        }
+        return null;
+    }
+
+    // --- Método Estático: Leer un Cupón Dentro de una Transacción ---
+    // Lee el cupón y los canjes vigentes del cliente (fase de lecturas) para verificarlo
+    // y canjearlo en la misma transacción que crea el pedido.
+    static async leerEnTransaccion(transaction, cuponId, email) {
+        const snapshot = await transaction.get(db.collection('cupones')
+            .where('id', '==', cuponId)
+            .limit(1));
+        const doc = snapshot.empty ? null : snapshot.docs[0];
+
+        let usosCliente = 0;
+        if (doc && email) {
+            const canjes = await transaction.get(db.collection('canjes_cupones')
+                .where('cuponId', '==', cuponId)
+                .where('email', '==', String(email).trim().toLowerCase()));
+            usosCliente = canjes.docs.filter(canje => canje.data().estado === 'aplicado').length;
+        }
+        return { doc, usosCliente };
+    }
+
+    // --- Método Estático: Registrar un Canje Dentro de una Transacción ---
+    // Escribe (fase de escrituras) el canje con el ID 'canjeId' y suma un uso al cupón.
+    static canjearEnTransaccion(transaction, cuponDoc, { canjeId, pedido, descuento }) {
+        const cupon = cuponDoc.data();
+        const canjeRef = db.collection('canjes_cupones').doc();
+        const canjeData = {
+            id: canjeId,
+            firestoreId: canjeRef.id,
+            cuponId: cupon.id,
+            codigo: cupon.codigo,
+            pedidoId: pedido.id,
+            email: pedido.email ? String(pedido.email).trim().toLowerCase() : null,
+            descuento,
+            moneda: pedido.moneda,
+            estado: 'aplicado', // 'anulado' si se cancela el pedido.
+            fecha: new Date()
+        };
+
+        transaction.set(canjeRef, canjeData);
+        transaction.update(cuponDoc.ref, { usos: (cupon.usos || 0) + 1 });
+        return canjeData;
+    }
+
+    // --- Método Estático: Leer el Canje de un Pedido Dentro de una Transacción ---
+    // Devuelve { canjeDoc, cuponDoc } si el pedido tiene un canje vigente, o null.
+    static async leerCanjeDePedido(transaction, pedidoId) {
+        const canjes = await transaction.get(db.collection('canjes_cupones')
+            .where('pedidoId', '==', pedidoId));
+        const canjeDoc = canjes.docs.find(canje => canje.data().estado === 'aplicado');
+        if (!canjeDoc) return null;
+
+        const cupones = await transaction.get(db.collection('cupones')
+            .where('id', '==', canjeDoc.data().cuponId)
+            .limit(1));
+        return cupones.empty ? null : { canjeDoc, cuponDoc: cupones.docs[0] };
+    }
+
+    // --- Método Estático: Anular un Canje Dentro de una Transacción ---
+    // Al cancelar el pedido, el canje queda 'anulado' y el cupón recupera el uso.
+    static anularEnTransaccion(transaction, { canjeDoc, cuponDoc }) {
+        const fecha = new Date();
+        transaction.update(canjeDoc.ref, { estado: 'anulado', fechaAnulacion: fecha });
+        transaction.update(cuponDoc.ref, { usos: Math.max((cuponDoc.data().usos || 0) - 1, 0) });
+    }
+
+    // --- Método Estático: Actualizar el Descuento de un Canje Dentro de una Transacción ---
+    // Al modificar las líneas de un pedido pendiente cambia el descuento que le aplicó el cupón.
+    static actualizarDescuentoEnTransaccion(transaction, canjeDoc, descuento) {
+        transaction.update(canjeDoc.ref, { descuento, fechaActualizacion: new Date() });
+    }
+
+    // --- Método Estático: Actualizar un Cupón ---
+    static async update(id, data) {
+        try {
+            const cupon = await this.findById(id);
+            if (!cupon) {
+                throw new Error('Cupón no encontrado');
+            }
+
+            await db.collection('cupones').doc(cupon.firestoreId).update({
+                ...data,
+                fechaActualizacion: new Date()
+            });
+            console.log(`✅ Cupón actualizado: ${id}`);
+        } catch (error) {
+            console.error('❌ Error actualizando cupón:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Eliminación Lógica (Soft Delete) ---
+    // El historial de canjes se conserva.
+    static async delete(id) {
+        try {
+            const cupon = await this.findById(id);
+            if (!cupon) {
+                throw new Error('Cupón no encontrado');
+            }
+
+            await db.collection('cupones').doc(cupon.firestoreId).update({
+                activo: false,
+                fechaEliminacion: new Date()
+            });
+            console.log(`✅ Cupón marcado como inactivo: ${id}`);
+        } catch (error) {
+            console.error('❌ Error eliminando cupón:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Cupon;
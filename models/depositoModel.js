@@ -0,0 +1,204 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+
+// --- Definición de la Clase Modelo 'Deposito' ---
+// Un depósito es un lugar físico donde se guarda mercadería (salón de ventas,
+// depósito trasero, otra sucursal...). Cada registro de stock pertenece a un
+// depósito, por lo que un mismo producto puede tener stock en varios lugares.
+// Siempre existe exactamente un depósito 'principal': es el que se usa cuando
+// una operación no indica depósito. Los depósitos de 'cuarentena' guardan mercadería
+// dañada o en revisión (ej: devoluciones): sus unidades no se venden.
+class Deposito {
+    // Nombre del depósito principal que se crea automáticamente si no existe.
+    static NOMBRE_PRINCIPAL = 'Depósito Principal';
+
+    // El constructor inicializa una nueva instancia de Deposito.
+    constructor(data) {
+        this.nombre = data.nombre;
+        this.descripcion = data.descripcion || null;
+        // Dirección física (útil para sucursales).
+        this.direccion = data.direccion || null;
+        // Solo el depósito principal se crea con 'principal: true' (ver obtenerPrincipal).
+        this.principal = false;
+        this.cuarentena = data.cuarentena === true;
+        // Eliminación lógica: 'activo' en false.
+        this.activo = data.activo !== undefined ? data.activo : true;
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Método de Instancia: Datos del Documento ---
+    aDocumento(id, ref) {
+        return {
+            id, // ID numérico de la aplicación (ej: DEP-001).
+            firestoreId: ref.id, // ID único del documento.
+            nombre: this.nombre,
+            descripcion: this.descripcion,
+            direccion: this.direccion,
+            principal: this.principal,
+            cuarentena: this.cuarentena,
+            activo: this.activo,
+            fechaCreacion: this.fechaCreacion
+        };
+    }
+
+    // --- Método de Instancia: Guardar (Crear) un Nuevo Depósito ---
+    async save() {
+        try {
+            const depositoId = await AutoIncrement.generateId('depositos');
+            const depositoRef = db.collection('depositos').doc();
+            const depositoData = this.aDocumento(depositoId, depositoRef);
+
+            await depositoRef.set(depositoData);
+
+            console.log(`✅ Depósito creado: ${depositoId} - ${this.nombre}`);
+            return depositoData;
+        } catch (error) {
+            console.error('❌ Error creando depósito:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Obtener (o Crear) el Depósito Principal ---
+    // Si todavía no existe, lo crea en una transacción y asigna a él todos los
+    // registros de stock anteriores a los depósitos (los que no tienen 'depositoId').
+    static async obtenerPrincipal() {
+        try {
+            const existente = await db.collection('depositos')
+                .where('principal', '==', true)
+                .limit(1)
+                .get();
+
+            if (!existente.empty) {
+                const doc = existente.docs[0];
+                return { firestoreId: doc.id, ...doc.data() };
+            }
+
+            const principal = await db.runTransaction(async (transaction) => {
+                // Se vuelve a consultar dentro de la transacción: otra petición pudo crearlo.
+                const snapshot = await transaction.get(db.collection('depositos')
+                    .where('principal', '==', true)
+                    .limit(1));
+                if (!snapshot.empty) {
+                    const doc = snapshot.docs[0];
+                    return { firestoreId: doc.id, ...doc.data() };
+                }
+
+                const contador = await AutoIncrement.leerContador(transaction, 'depositos');
+                const stocks = await transaction.get(db.collection('stocks'));
+
+                const deposito = new Deposito({ nombre: Deposito.NOMBRE_PRINCIPAL });
+                deposito.principal = true;
+                const depositoRef = db.collection('depositos').doc();
+                const depositoData = deposito.aDocumento(AutoIncrement.formatId('depositos', contador.siguiente()), depositoRef);
+
+                transaction.set(depositoRef, depositoData);
+                // Filtro en la aplicación: Firestore no permite consultar campos inexistentes.
+                stocks.docs
+                    .filter(doc => !doc.data().depositoId)
+                    .forEach(doc => transaction.update(doc.ref, { depositoId: depositoData.id }));
+                contador.confirmar();
+
+                return depositoData;
+            });
+
+            console.log(`✅ Depósito principal: ${principal.id}`);
+            return principal;
+        } catch (error) {
+            console.error('❌ Error obteniendo depósito principal:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Resolver el Depósito de una Operación ---
+    // Devuelve el depósito activo indicado o, si no se indica ninguno, el principal.
+    // Devuelve null si el depósito indicado no existe o está inactivo.
+    static async resolver(depositoId) {
+        // Siempre se asegura el principal: así el stock anterior a los depósitos ya tiene 'depositoId'.
+        const principal = await this.obtenerPrincipal();
+        if (!depositoId) return principal;
+
+        const deposito = await this.findById(depositoId);
+        return deposito && deposito.activo ? deposito : null;
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('depositos')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando depósito:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Obtener Todos los Depósitos Activos ---
+    static async findAll() {
+        try {
+            const snapshot = await db.collection('depositos')
+                .where('activo', '==', true)
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('❌ Error obteniendo depósitos:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Actualizar un Depósito ---
+    static async update(id, data) {
+        try {
+            const deposito = await this.findById(id);
+            if (!deposito) {
+                throw new Error('Depósito no encontrado');
+            }
+
+            await db.collection('depositos').doc(deposito.firestoreId).update({
+                ...data,
+                fechaActualizacion: new Date()
+            });
+            console.log(`✅ Depósito actualizado: ${id}`);
+        } catch (error) {
+            console.error('❌ Error actualizando depósito:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Eliminación Lógica (Soft Delete) ---
+    static async delete(id) {
+        try {
+            const deposito = await this.findById(id);
+            if (!deposito) {
+                throw new Error('Depósito no encontrado');
+            }
+
+            await db.collection('depositos').doc(deposito.firestoreId).update({
+                activo: false,
+                fechaEliminacion: new Date()
+            });
+            console.log(`✅ Depósito marcado como inactivo: ${id}`);
+        } catch (error) {
+            console.error('❌ Error eliminando depósito:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Deposito;
@@ -0,0 +1,588 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+// Importa el modelo de stock para reingresar la mercadería devuelta.
+const Stock = require('./stockModel');
+// Importa el modelo de pagos (las notas de crédito se aplican al saldo de los pedidos).
+const Pago = require('./pagoModel');
+// Importa el modelo de clientes (el crédito no aplicado queda como saldo a favor).
+const Cliente = require('./clienteModel');
+// Importa la utilidad para leer fechas guardadas (Date o Timestamp de Firestore).
+const { aFecha } = require('../utils/fechas');
+
+// Redondea a dos decimales.
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+// --- Definición de la Clase Modelo 'Devolucion' ---
+// Una devolución es mercadería de un pedido que el cliente nos devuelve. Circuito:
+// se solicita (validando contra lo vendido), se aprueba, se recibe (las unidades vuelven al
+// stock, o a un depósito de cuarentena si están dañadas) y se resuelve con una nota de crédito
+// por el importe de lo devuelto: primero cancela el saldo pendiente del pedido y el resto se
+// reintegra, queda como saldo a favor del cliente o paga un pedido de cambio.
+class Devolucion {
+    // Estados posibles de una devolución.
+    static ESTADOS = ['solicitada', 'aprobada', 'rechazada', 'recibida', 'resuelta', 'cancelada'];
+
+    // Cambios de estado manuales permitidos desde cada estado. 'recibida' y 'resuelta'
+    // los asignan la recepción de la mercadería y la resolución.
+    static TRANSICIONES = {
+        solicitada: ['aprobada', 'rechazada', 'cancelada'],
+        aprobada: ['cancelada'],
+        recibida: [],
+        resuelta: [],
+        rechazada: [],
+        cancelada: []
+    };
+
+    // Estados de pedido con la venta registrada (solo esos pedidos admiten devoluciones).
+    static ESTADOS_PEDIDO = ['confirmado', 'en_proceso', 'enviado', 'entregado'];
+
+    // Estados que no cuentan como devueltos (las unidades se pueden volver a solicitar).
+    static ESTADOS_INACTIVOS = ['rechazada', 'cancelada'];
+
+    // Formas de resolver una devolución:
+    //   - 'reintegro': se devuelve el dinero (efectivo, transferencia...).
+    //   - 'credito': queda como saldo a favor del cliente.
+    //   - 'cambio': paga otro pedido (el producto que se lleva a cambio).
+    static RESOLUCIONES = ['reintegro', 'credito', 'cambio'];
+
+    // El constructor inicializa una nueva devolución.
+    constructor(data) {
+        this.pedidoId = data.pedidoId;
+        // Productos devueltos: array de { productoId, cantidad } (se valoran al guardar).
+        this.productos = data.productos;
+        this.motivo = data.motivo || '';
+        // Usuario que registró la solicitud.
+        this.usuarioId = data.usuarioId || null;
+        // Toda devolución nace solicitada (se aprueba antes de recibir la mercadería).
+        this.estado = 'solicitada';
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Método Estático: Valorar las Líneas de una Devolución ---
+    // Compara lo solicitado con lo vendido en el pedido menos lo ya devuelto por otras
+    // devoluciones activas, y valora cada producto a lo que efectivamente se cobró
+    // (proporcional al importe final de sus líneas, con descuentos e IVA).
+    // 'devoluciones' son las otras devoluciones del pedido. Devuelve { lineas, importe, invalidos };
+    // 'invalidos' lista los productos que no están en el pedido o superan lo disponible.
+    static valorarLineas(pedido, devoluciones, items) {
+        // Lo vendido por producto (un producto puede estar en varias líneas).
+        const vendidos = new Map();
+        for (const linea of pedido.productos || []) {
+            const vendido = vendidos.get(linea.productoId) || { nombre: linea.nombre, cantidad: 0, importe: 0 };
+            const importe = linea.bruto !== undefined
+                ? linea.bruto
+                : (linea.subtotal !== undefined ? linea.subtotal : linea.precioUnitario * linea.cantidad) - (linea.descuento || 0);
+            vendido.cantidad += linea.cantidad;
+            vendido.importe = redondear(vendido.importe + importe);
+            vendidos.set(linea.productoId, vendido);
+        }
+
+        const devueltos = new Map();
+        devoluciones
+            .filter(devolucion => !Devolucion.ESTADOS_INACTIVOS.includes(devolucion.estado))
+            .forEach(devolucion => devolucion.productos.forEach(({ productoId, cantidad }) => {
+                devueltos.set(productoId, (devueltos.get(productoId) || 0) + cantidad);
+            }));
+
+        const solicitados = new Map();
+        for (const { productoId, cantidad } of items) {
+            solicitados.set(productoId, (solicitados.get(productoId) || 0) + cantidad);
+        }
+
+        const lineas = [];
+        const invalidos = [];
+        for (const [productoId, cantidad] of solicitados) {
+            const vendido = vendidos.get(productoId);
+            if (!vendido) {
+                invalidos.push({ productoId, error: 'El producto no está en el pedido' });
+                continue;
+            }
+            const devuelto = devueltos.get(productoId) || 0;
+            const disponible = vendido.cantidad - devuelto;
+            if (cantidad > disponible) {
+                invalidos.push({ productoId, error: 'La cantidad supera lo vendido sin devolver', vendido: vendido.cantidad, devuelto, disponible, solicitado: cantidad });
+                continue;
+            }
+
+            // Si se devuelve todo lo que quedaba, se toma el resto exacto (sin diferencias de redondeo).
+            const importeDevuelto = redondear(vendido.importe * devuelto / vendido.cantidad);
+            const importe = cantidad === disponible
+                ? redondear(vendido.importe - importeDevuelto)
+                : redondear(vendido.importe * cantidad / vendido.cantidad);
+            lineas.push({
+                productoId,
+                nombre: vendido.nombre,
+                cantidad,
+                importeUnitario: redondear(vendido.importe / vendido.cantidad),
+                importe
+            });
+        }
+
+        const importe = redondear(lineas.reduce((sum, linea) => sum + linea.importe, 0));
+        return { lineas, importe, invalidos };
+    }
+
+    // --- Método de Instancia: Guardar (Crear) una Nueva Devolución ---
+    // En una única transacción lee el pedido y sus otras devoluciones, verifica que lo
+    // solicitado no supere lo vendido sin devolver y escribe la devolución (así dos
+    // solicitudes simultáneas no pueden devolver más de lo vendido).
+    // Lanza errores con code 'not-found' (el pedido no existe), 'estado-invalido' (el pedido
+    // no tiene la venta registrada; incluye 'estadoActual') o 'devolucion-invalida' (incluye
+    // la lista 'productos').
+    async save() {
+        try {
+            const devolucionData = await db.runTransaction(async (transaction) => {
+                // 1. Lecturas: el pedido, sus devoluciones y el contador.
+                const pedidoDoc = await Pago.leerPedido(transaction, this.pedidoId);
+                const pedido = pedidoDoc.data();
+                const devoluciones = await Devolucion.leerDelPedido(transaction, this.pedidoId);
+                const contador = await AutoIncrement.leerContador(transaction, 'devoluciones');
+
+                // 2. Validaciones.
+                if (!Devolucion.ESTADOS_PEDIDO.includes(pedido.estado)) {
+                    const error = new Error(`El pedido está '${pedido.estado}' y no admite devoluciones`);
+                    error.code = 'estado-invalido';
+                    error.estadoActual = pedido.estado;
+                    throw error;
+                }
+                const { lineas, importe, invalidos } = Devolucion.valorarLineas(pedido, devoluciones, this.productos);
+                if (invalidos.length > 0) {
+                    const error = new Error(`Devolución inválida para el pedido ${this.pedidoId}`);
+                    error.code = 'devolucion-invalida';
+                    error.productos = invalidos;
+                    throw error;
+                }
+
+                // 3. Escritura.
+                const devolucionRef = db.collection('devoluciones').doc();
+                const data = {
+                    id: AutoIncrement.formatId('devoluciones', contador.siguiente()), // ej: DEV-00001
+                    firestoreId: devolucionRef.id,
+                    pedidoId: this.pedidoId,
+                    clienteId: pedido.clienteId || null,
+                    // Depósito del pedido: donde se reingresa la mercadería por defecto.
+                    depositoId: pedido.depositoId || null,
+                    productos: lineas,
+                    importe,
+                    moneda: pedido.moneda || 'ARS',
+                    motivo: this.motivo,
+                    usuarioId: this.usuarioId,
+                    estado: this.estado,
+                    resolucion: null,
+                    // Línea de tiempo de estados, igual que en los pedidos.
+                    historialEstados: [{
+                        estado: this.estado,
+                        estadoAnterior: null,
+                        usuarioId: this.usuarioId,
+                        comentario: this.motivo || 'Devolución solicitada',
+                        fecha: this.fechaCreacion
+                    }],
+                    fechaCreacion: this.fechaCreacion
+                };
+                transaction.set(devolucionRef, data);
+                contador.confirmar();
+
+                return data;
+            });
+
+            console.log(`✅ Devolución creada: ${devolucionData.id} - pedido ${this.pedidoId} (${devolucionData.moneda} ${devolucionData.importe})`);
+            return devolucionData;
+        } catch (error) {
+            console.error('❌ Error creando devolución:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático Auxiliar: Devoluciones de un Pedido Dentro de una Transacción ---
+    static async leerDelPedido(transaction, pedidoId) {
+        const snapshot = await transaction.get(db.collection('devoluciones')
+            .where('pedidoId', '==', pedidoId));
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    // --- Método Estático Auxiliar: Devoluciones Vigentes que Involucran a un Pedido ---
+    // Las no rechazadas ni canceladas del pedido o que lo usaron como pedido de cambio
+    // (un pedido así no se puede cancelar: la mercadería y la nota de crédito dependen de él).
+    static async leerVigentesDePedido(transaction, pedidoId) {
+        const porPedido = await Devolucion.leerDelPedido(transaction, pedidoId);
+        const snapshot = await transaction.get(db.collection('devoluciones')
+            .where('pedidoCambioId', '==', pedidoId));
+
+        return [...porPedido, ...snapshot.docs.map(doc => doc.data())]
+            .filter(devolucion => !Devolucion.ESTADOS_INACTIVOS.includes(devolucion.estado));
+    }
+
+    // --- Método Estático Auxiliar: Leer una Devolución Dentro de una Transacción ---
+    // Lanza un error con code 'not-found' si no existe.
+    static async leerEnTransaccion(transaction, id) {
+        const snapshot = await transaction.get(db.collection('devoluciones')
+            .where('id', '==', id)
+            .limit(1));
+
+        if (snapshot.empty) {
+            const error = new Error('Devolución no encontrada');
+            error.code = 'not-found';
+            throw error;
+        }
+        return snapshot.docs[0];
+    }
+
+    // --- Método Estático Auxiliar: Verificar el Estado de una Devolución ---
+    // Lanza un error con code 'estado-invalido' si la devolución no está en 'estado'.
+    static verificarEstado(devolucion, estado, accion) {
+        if (devolucion.estado !== estado) {
+            const error = new Error(`La devolución está '${devolucion.estado}' y no admite ${accion}`);
+            error.code = 'estado-invalido';
+            error.estadoActual = devolucion.estado;
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('devoluciones')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando devolución:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Obtener Devoluciones ---
+    // Filtros opcionales por pedido y por estado. De la más nueva a la más antigua.
+    static async findAll({ pedidoId = null, estado = null } = {}) {
+        try {
+            let query = db.collection('devoluciones');
+            if (pedidoId) query = query.where('pedidoId', '==', pedidoId);
+            if (estado) query = query.where('estado', '==', estado);
+            const snapshot = await query.get();
+
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .sort((a, b) => aFecha(b.fechaCreacion) - aFecha(a.fechaCreacion));
+        } catch (error) {
+            console.error('❌ Error obteniendo devoluciones:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Devoluciones Resueltas de un Cliente ---
+    // Para la cuenta corriente: cada una es una nota de crédito (y, si corresponde, un reintegro).
+    static async findResueltasByCliente(clienteId) {
+        try {
+            const snapshot = await db.collection('devoluciones')
+                .where('clienteId', '==', clienteId)
+                .where('estado', '==', 'resuelta')
+                .get();
+
+            return snapshot.docs.map(doc => ({ firestoreId: doc.id, ...doc.data() }));
+        } catch (error) {
+            console.error('❌ Error obteniendo devoluciones del cliente:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Estados Alcanzables Manualmente ---
+    static estadosSiguientes(estado) {
+        return Devolucion.TRANSICIONES[estado] || [];
+    }
+
+    // --- Método Estático: Cambiar el Estado de una Devolución ---
+    // Aplica un cambio manual (aprobar, rechazar o cancelar) respetando Devolucion.TRANSICIONES
+    // y lo agrega a 'historialEstados'. Lanza errores con code 'not-found' o
+    // 'transicion-invalida'. Devuelve la devolución actualizada.
+    static async updateEstado(id, nuevoEstado, { usuarioId = null, comentario = null } = {}) {
+        try {
+            const devolucion = await db.runTransaction(async (transaction) => {
+                const doc = await Devolucion.leerEnTransaccion(transaction, id);
+                const actual = doc.data();
+
+                const permitidos = Devolucion.estadosSiguientes(actual.estado);
+                if (!permitidos.includes(nuevoEstado)) {
+                    const error = new Error(`No se puede pasar una devolución de '${actual.estado}' a '${nuevoEstado}'`);
+                    error.code = 'transicion-invalida';
+                    error.estadoActual = actual.estado;
+                    error.estadosPermitidos = permitidos;
+                    throw error;
+                }
+
+                const fecha = new Date();
+                const cambios = {
+                    estado: nuevoEstado,
+                    historialEstados: [
+                        ...(actual.historialEstados || []),
+                        { estado: nuevoEstado, estadoAnterior: actual.estado, usuarioId, comentario, fecha }
+                    ],
+                    fechaActualizacion: fecha
+                };
+                transaction.update(doc.ref, cambios);
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
+            });
+
+            console.log(`✅ Estado de devolución actualizado: ${id} -> ${nuevoEstado}`);
+            return devolucion;
+        } catch (error) {
+            console.error('❌ Error actualizando estado de devolución:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Recibir la Mercadería Devuelta ---
+    // En una única transacción: reingresa cada producto al stock con un movimiento 'devolucion'
+    // en el kardex (creando el registro de stock si no existía) y pasa la devolución a 'recibida'.
+    // Las unidades marcadas con 'cuarentena' (dañadas o a revisar) van al depósito de cuarentena
+    // y no quedan disponibles para la venta.
+    // 'items' es un array de { productoId, cantidad, cuarentena } que debe cubrir exactamente lo
+    // aprobado; si no se indica, todo vuelve a 'depositoId'. Los depósitos ya deben estar validados.
+    // Lanza errores con code 'not-found', 'estado-invalido' (la devolución no está aprobada) o
+    // 'recepcion-invalida' (las cantidades no coinciden con lo aprobado; incluye 'productos').
+    // Devuelve la devolución actualizada.
+    static async recibir(id, { depositoId, depositoCuarentenaId = null, items = null, usuarioId = null, comentario = null }) {
+        try {
+            const devolucion = await db.runTransaction(async (transaction) => {
+                // 1. Lecturas: la devolución, los contadores y el stock de cada producto en su destino.
+                const doc = await Devolucion.leerEnTransaccion(transaction, id);
+                const actual = doc.data();
+                Devolucion.verificarEstado(actual, 'aprobada', 'recepciones');
+
+                // 2. Validar que lo recibido coincida con lo aprobado.
+                const recibidos = items || actual.productos.map(({ productoId, cantidad }) => ({ productoId, cantidad, cuarentena: false }));
+                const totales = new Map();
+                recibidos.forEach(({ productoId, cantidad }) => totales.set(productoId, (totales.get(productoId) || 0) + cantidad));
+                const invalidos = [];
+                for (const [productoId, cantidad] of totales) {
+                    const linea = actual.productos.find(l => l.productoId === productoId);
+                    if (!linea) {
+                        invalidos.push({ productoId, error: 'El producto no está en la devolución' });
+                    } else if (cantidad !== linea.cantidad) {
+                        invalidos.push({ productoId, error: 'La cantidad no coincide con lo aprobado', aprobado: linea.cantidad, recibido: cantidad });
+                    }
+                }
+                actual.productos
+                    .filter(linea => !totales.has(linea.productoId))
+                    .forEach(linea => invalidos.push({ productoId: linea.productoId, error: 'Falta recibir el producto', aprobado: linea.cantidad, recibido: 0 }));
+                if (invalidos.length > 0) {
+                    const error = new Error(`Recepción inválida para la devolución ${id}`);
+                    error.code = 'recepcion-invalida';
+                    error.productos = invalidos;
+                    throw error;
+                }
+
+                // Destinos agrupados por producto y depósito (un producto puede repartirse entre ambos).
+                const destinos = new Map();
+                for (const { productoId, cantidad, cuarentena } of recibidos) {
+                    const destino = cuarentena ? depositoCuarentenaId : depositoId;
+                    const clave = `${productoId}|${destino}`;
+                    const actualDestino = destinos.get(clave) || { productoId, depositoId: destino, cuarentena: Boolean(cuarentena), cantidad: 0 };
+                    actualDestino.cantidad += cantidad;
+                    destinos.set(clave, actualDestino);
+                }
+
+                const contadorMovimientos = await AutoIncrement.leerContador(transaction, 'movimientos_stock');
+                const contadorStocks = await AutoIncrement.leerContador(transaction, 'stocks');
+                const stockDocs = new Map();
+                for (const [clave, destino] of destinos) {
+                    stockDocs.set(clave, await Stock.leerEnTransaccion(transaction, destino.productoId, destino.depositoId));
+                }
+
+                // 3. Escrituras: reingreso al stock con su movimiento 'devolucion'.
+                const detalle = [];
+                for (const [clave, destino] of destinos) {
+                    const stockDoc = stockDocs.get(clave);
+                    const movimientoId = AutoIncrement.formatId('movimientos_stock', contadorMovimientos.siguiente());
+                    const movimiento = {
+                        tipo: 'devolucion',
+                        usuarioId,
+                        motivo: comentario || `Devolución ${id} del pedido ${actual.pedidoId}${destino.cuarentena ? ' (cuarentena)' : ''}`,
+                        referenciaTipo: 'devolucion',
+                        referenciaId: id
+                    };
+                    if (stockDoc) {
+                        Stock.registrarEnTransaccion(transaction, stockDoc, stockDoc.data().cantidad + destino.cantidad, movimiento, movimientoId);
+                    } else {
+                        // En cuarentena no tiene sentido alertar por stock bajo: mínimo 0.
+                        Stock.crearEnTransaccion(
+                            transaction,
+                            { productoId: destino.productoId, depositoId: destino.depositoId, cantidad: destino.cantidad, minimo: destino.cuarentena ? 0 : undefined },
+                            movimiento,
+                            AutoIncrement.formatId('stocks', contadorStocks.siguiente()),
+                            movimientoId
+                        );
+                    }
+                    detalle.push({ ...destino, movimientoId });
+                }
+
+                const fecha = new Date();
+                const cambios = {
+                    estado: 'recibida',
+                    recepcion: { productos: detalle, usuarioId, comentario, fecha },
+                    historialEstados: [
+                        ...(actual.historialEstados || []),
+                        { estado: 'recibida', estadoAnterior: actual.estado, usuarioId, comentario, fecha }
+                    ],
+                    fechaActualizacion: fecha
+                };
+                transaction.update(doc.ref, cambios);
+                contadorMovimientos.confirmar();
+                contadorStocks.confirmar();
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
+            });
+
+            console.log(`✅ Devolución recibida: ${id}`);
+            return devolucion;
+        } catch (error) {
+            console.error('❌ Error registrando recepción de devolución:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Resolver una Devolución ---
+    // Emite la nota de crédito por el importe de la devolución, en una única transacción:
+    //   1. Cancela el saldo pendiente del pedido original (pago con medio 'nota_credito').
+    //   2. Con 'cambio', paga el pedido de cambio ('pedidoCambioId', ya creado) de la misma forma.
+    //   3. El resto se reintegra ('reintegro', con 'medio') o queda como saldo a favor del cliente
+    //      ('credito'; en un cambio, si el pedido tiene cliente; si no, se reintegra).
+    // 'datos' contiene: resolucion, medio y referencia (del reintegro), pedidoCambioId, usuarioId y comentario.
+    // Lanza errores con code 'not-found', 'estado-invalido' (no está recibida), 'sin-cliente'
+    // (crédito sin cliente), 'medio-requerido' (hay que reintegrar y no se indicó el medio) o
+    // 'cambio-invalido' (el pedido de cambio no existe, está cancelado o es de otro cliente o moneda).
+    // Devuelve la devolución actualizada.
+    static async resolver(id, { resolucion, medio = null, referencia = null, pedidoCambioId = null, usuarioId = null, comentario = null }) {
+        try {
+            const devolucion = await db.runTransaction(async (transaction) => {
+                // 1. Lecturas: la devolución, los pedidos, el cliente y el contador de pagos.
+                const doc = await Devolucion.leerEnTransaccion(transaction, id);
+                const actual = doc.data();
+                Devolucion.verificarEstado(actual, 'recibida', 'resoluciones');
+
+                const pedidoDoc = await Pago.leerPedido(transaction, actual.pedidoId);
+                let cambioDoc = null;
+                if (resolucion === 'cambio') {
+                    cambioDoc = await Devolucion.leerPedidoCambio(transaction, actual, pedidoCambioId);
+                }
+                const clienteDoc = actual.clienteId ? await Cliente.leerEnTransaccion(transaction, actual.clienteId) : null;
+                if (resolucion === 'credito' && !clienteDoc) {
+                    const error = new Error('El pedido no tiene cliente: la devolución no puede quedar como saldo a favor');
+                    error.code = 'sin-cliente';
+                    throw error;
+                }
+                const contador = await AutoIncrement.leerContador(transaction, 'pagos');
+
+                // 2. Repartir la nota de crédito.
+                const saldoDe = (pedido) => Math.max(redondear(pedido.total - (pedido.totalPagado || 0)), 0);
+                let restante = actual.importe;
+                const aplicadoPedido = Math.min(restante, saldoDe(pedidoDoc.data()));
+                restante = redondear(restante - aplicadoPedido);
+                const aplicadoCambio = cambioDoc ? Math.min(restante, saldoDe(cambioDoc.data())) : 0;
+                restante = redondear(restante - aplicadoCambio);
+                const destinoResto = resolucion === 'reintegro' || !clienteDoc ? 'reintegro' : 'credito';
+                const credito = destinoResto === 'credito' ? restante : 0;
+                const reintegro = destinoResto === 'reintegro' ? restante : 0;
+                if (reintegro > 0 && !medio) {
+                    const error = new Error(`Hay que reintegrar ${actual.moneda} ${reintegro}: indique el medio`);
+                    error.code = 'medio-requerido';
+                    error.reintegro = reintegro;
+                    throw error;
+                }
+
+                // 3. Escrituras: los pagos con la nota de crédito, el saldo a favor y la devolución.
+                const datosPago = { medio: Pago.MEDIO_NOTA_CREDITO, referencia: id, observaciones: `Nota de crédito por la devolución ${id}`, usuarioId };
+                const pagos = [];
+                if (aplicadoPedido > 0) {
+                    const pagoId = AutoIncrement.formatId('pagos', contador.siguiente());
+                    pagos.push(Pago.aplicarEnTransaccion(transaction, pedidoDoc, { ...datosPago, monto: aplicadoPedido }, pagoId).pago.id);
+                }
+                if (aplicadoCambio > 0) {
+                    const pagoId = AutoIncrement.formatId('pagos', contador.siguiente());
+                    pagos.push(Pago.aplicarEnTransaccion(transaction, cambioDoc, { ...datosPago, monto: aplicadoCambio }, pagoId).pago.id);
+                }
+                if (credito > 0) {
+                    Cliente.moverSaldoAFavorEnTransaccion(transaction, clienteDoc, actual.moneda, credito);
+                }
+                contador.confirmar();
+
+                const fecha = new Date();
+                const cambios = {
+                    estado: 'resuelta',
+                    resolucion,
+                    pedidoCambioId: cambioDoc ? cambioDoc.data().id : null,
+                    notaCredito: {
+                        importe: actual.importe,
+                        aplicadoPedido,
+                        aplicadoCambio,
+                        credito,
+                        reintegro,
+                        medioReintegro: reintegro > 0 ? medio : null,
+                        referenciaReintegro: reintegro > 0 ? referencia : null,
+                        pagos,
+                        fecha
+                    },
+                    historialEstados: [
+                        ...(actual.historialEstados || []),
+                        { estado: 'resuelta', estadoAnterior: actual.estado, usuarioId, comentario: comentario || `Resuelta: ${resolucion}`, fecha }
+                    ],
+                    fechaActualizacion: fecha
+                };
+                transaction.update(doc.ref, cambios);
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
+            });
+
+            console.log(`✅ Devolución resuelta: ${id} (${devolucion.resolucion})`);
+            return devolucion;
+        } catch (error) {
+            console.error('❌ Error resolviendo devolución:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático Auxiliar: Leer el Pedido de Cambio Dentro de una Transacción ---
+    // El pedido de cambio tiene que estar vigente, ser del mismo cliente y estar en la misma moneda.
+    static async leerPedidoCambio(transaction, devolucion, pedidoCambioId) {
+        const invalido = (mensaje) => {
+            const error = new Error(mensaje);
+            error.code = 'cambio-invalido';
+            return error;
+        };
+        if (!pedidoCambioId || pedidoCambioId === devolucion.pedidoId) {
+            throw invalido('Indique el pedido con los productos que se entregan a cambio');
+        }
+
+        let cambioDoc;
+        try {
+            cambioDoc = await Pago.leerPedido(transaction, pedidoCambioId);
+        } catch (error) {
+            if (error.code === 'not-found') throw invalido('Pedido de cambio no encontrado');
+            throw error;
+        }
+        const cambio = cambioDoc.data();
+        if (cambio.estado === 'cancelado') {
+            throw invalido('El pedido de cambio está cancelado');
+        }
+        if ((cambio.clienteId || null) !== (devolucion.clienteId || null)) {
+            throw invalido('El pedido de cambio es de otro cliente');
+        }
+        if ((cambio.moneda || 'ARS') !== devolucion.moneda) {
+            throw invalido(`El pedido de cambio tiene que estar en ${devolucion.moneda}`);
+        }
+        return cambioDoc;
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Devolucion;
@@ -0,0 +1,331 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+// Importa el modelo de stock para comparar lo contado y registrar los ajustes.
+const Stock = require('./stockModel');
+
+// --- Definición de la Clase Modelo 'Inventario' (Conteo Físico) ---
+// Un inventario es una sesión de conteo físico de un depósito (opcionalmente
+// acotada a una categoría). Mientras está 'abierto', los empleados cargan las
+// cantidades contadas; al cerrarlo se comparan con el stock del sistema y las
+// diferencias se registran como movimientos de 'ajuste' en el kardex.
+class Inventario {
+    // Estados posibles: 'abierto' → 'cerrado' (con ajustes) o 'cancelado' (sin ajustes).
+    static ESTADOS = ['abierto', 'cerrado', 'cancelado'];
+
+    // El constructor inicializa una nueva sesión de conteo.
+    constructor(data) {
+        // Depósito que se cuenta y, opcionalmente, la categoría a la que se limita el conteo.
+        this.depositoId = data.depositoId;
+        this.categoriaId = data.categoriaId || null;
+        // Productos que se esperan contar: { productoId, nombre } (planilla de conteo).
+        this.productos = data.productos || [];
+        this.observaciones = data.observaciones || '';
+        // Usuario que abrió el conteo.
+        this.usuarioId = data.usuarioId || null;
+        this.estado = 'abierto';
+        // Cantidades contadas: una entrada por producto (la última carga reemplaza a la anterior).
+        this.conteos = [];
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Método de Instancia: Guardar (Abrir) un Nuevo Conteo ---
+    // Solo puede haber un conteo abierto por depósito: si ya existe uno, lanza un
+    // error con code 'inventario-abierto' (e 'inventarioId' con el conteo existente).
+    async save() {
+        try {
+            const inventarioData = await db.runTransaction(async (transaction) => {
+                const abiertos = await transaction.get(db.collection('inventarios')
+                    .where('depositoId', '==', this.depositoId)
+                    .where('estado', '==', 'abierto')
+                    .limit(1));
+
+                if (!abiertos.empty) {
+                    const error = new Error(`Ya hay un conteo abierto para el depósito ${this.depositoId}`);
+                    error.code = 'inventario-abierto';
+                    error.inventarioId = abiertos.docs[0].data().id;
+                    throw error;
+                }
+
+                const contador = await AutoIncrement.leerContador(transaction, 'inventarios');
+                const inventarioRef = db.collection('inventarios').doc();
+                const data = {
+                    id: AutoIncrement.formatId('inventarios', contador.siguiente()), // ID numérico de la aplicación (ej: INV-00001).
+                    firestoreId: inventarioRef.id, // ID único del documento.
+                    depositoId: this.depositoId,
+                    categoriaId: this.categoriaId,
+                    productos: this.productos,
+                    observaciones: this.observaciones,
+                    usuarioId: this.usuarioId,
+                    estado: this.estado,
+                    conteos: this.conteos,
+                    fechaCreacion: this.fechaCreacion
+                };
+
+                transaction.set(inventarioRef, data);
+                contador.confirmar();
+                return data;
+            });
+
+            console.log(`✅ Conteo de inventario abierto: ${inventarioData.id} en ${this.depositoId}`);
+            return inventarioData;
+        } catch (error) {
+            console.error('❌ Error abriendo conteo de inventario:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('inventarios')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando conteo de inventario:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Obtener Todos los Conteos ---
+    static async findAll() {
+        try {
+            const snapshot = await db.collection('inventarios').get();
+
+            return snapshot.docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('❌ Error obteniendo conteos de inventario:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático Auxiliar: Leer un Conteo Abierto Dentro de una Transacción ---
+    // Lanza errores con code 'not-found' o 'inventario-cerrado' (ya cerrado o cancelado).
+    static async leerAbierto(transaction, id) {
+        const snapshot = await transaction.get(db.collection('inventarios')
+            .where('id', '==', id)
+            .limit(1));
+
+        if (snapshot.empty) {
+            const error = new Error('Conteo de inventario no encontrado');
+            error.code = 'not-found';
+            throw error;
+        }
+
+        const doc = snapshot.docs[0];
+        if (doc.data().estado !== 'abierto') {
+            const error = new Error(`El conteo ${id} está ${doc.data().estado}`);
+            error.code = 'inventario-cerrado';
+            error.estadoActual = doc.data().estado;
+            throw error;
+        }
+        return doc;
+    }
+
+    // --- Método Estático: Registrar Cantidades Contadas ---
+    // 'conteos' es un array de { productoId, nombre, cantidad }. Si un producto ya tenía
+    // una cantidad cargada, se reemplaza (recuento). Devuelve el conteo actualizado.
+    static async registrarConteos(id, conteos, usuarioId = null) {
+        try {
+            const inventario = await db.runTransaction(async (transaction) => {
+                const doc = await Inventario.leerAbierto(transaction, id);
+                const actual = doc.data();
+
+                const fecha = new Date();
+                const porProducto = new Map((actual.conteos || []).map(conteo => [conteo.productoId, conteo]));
+                for (const { productoId, nombre, cantidad } of conteos) {
+                    porProducto.set(productoId, { productoId, nombre: nombre || null, cantidad, usuarioId, fecha });
+                }
+
+                const cambios = {
+                    conteos: [...porProducto.values()],
+                    fechaActualizacion: fecha
+                };
+                transaction.update(doc.ref, cambios);
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
+            });
+
+            console.log(`✅ Conteo ${id}: ${conteos.length} productos registrados`);
+            return inventario;
+        } catch (error) {
+            console.error('❌ Error registrando conteo de inventario:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Comparar lo Contado con el Stock ---
+    // Arma el informe de diferencias de un conteo. 'stocks' es un Map de
+    // productoId → datos del stock en el depósito (o null si no tiene registro).
+    // Cada línea indica: cantidadSistema, cantidadContada, diferencia
+    // (contada - sistema; negativa si faltan unidades) y reservado.
+    // 'sinContar' lista los productos esperados que nadie contó (no se ajustan).
+    static compararConStock(inventario, stocks) {
+        const conteos = inventario.conteos || [];
+        const contados = new Set(conteos.map(conteo => conteo.productoId));
+        const nombres = new Map((inventario.productos || []).map(producto => [producto.productoId, producto.nombre]));
+
+        const lineas = conteos.map(({ productoId, nombre, cantidad }) => {
+            const stock = stocks.get(productoId);
+            const cantidadSistema = stock ? stock.cantidad : 0;
+            return {
+                productoId,
+                nombre: nombre || nombres.get(productoId) || null,
+                cantidadSistema,
+                cantidadContada: cantidad,
+                diferencia: cantidad - cantidadSistema,
+                reservado: stock ? stock.reservado || 0 : 0
+            };
+        });
+
+        const sinContar = (inventario.productos || []).filter(producto => !contados.has(producto.productoId));
+        const conDiferencia = lineas.filter(linea => linea.diferencia !== 0);
+
+        return {
+            lineas,
+            sinContar,
+            resumen: {
+                productosContados: lineas.length,
+                productosConDiferencia: conDiferencia.length,
+                productosSinContar: sinContar.length,
+                unidadesSobrantes: conDiferencia.filter(l => l.diferencia > 0).reduce((total, l) => total + l.diferencia, 0),
+                unidadesFaltantes: conDiferencia.filter(l => l.diferencia < 0).reduce((total, l) => total - l.diferencia, 0)
+            }
+        };
+    }
+
+    // --- Método Estático: Informe de Diferencias (Vista Previa) ---
+    // Compara lo contado hasta ahora con el stock actual, sin ajustar nada.
+    static async calcularDiferencias(inventario) {
+        const stocks = new Map();
+        for (const { productoId } of inventario.conteos || []) {
+            stocks.set(productoId, await Stock.findByProductoYDeposito(productoId, inventario.depositoId));
+        }
+        return Inventario.compararConStock(inventario, stocks);
+    }
+
+    // --- Método Estático: Cerrar un Conteo y Ajustar el Stock ---
+    // En una única transacción (todo o nada): compara lo contado con el stock del
+    // depósito, registra un movimiento de 'ajuste' por cada diferencia (igual que un
+    // ajuste manual, con referencia al conteo), crea el stock de los productos
+    // contados que no tenían registro en el depósito y guarda el informe en
+    // 'resultado'. Los productos sin contar no se modifican.
+    // Lanza errores con code 'not-found', 'inventario-cerrado' o 'stock-insuficiente'
+    // (si lo contado es menor que lo reservado por pedidos pendientes; incluye 'productos').
+    // Devuelve el conteo cerrado.
+    static async cerrar(id, { usuarioId = null, comentario = null } = {}) {
+        try {
+            const inventario = await db.runTransaction(async (transaction) => {
+                // 1. Lecturas: el conteo, los contadores y el stock de cada producto contado.
+                const doc = await Inventario.leerAbierto(transaction, id);
+                const actual = doc.data();
+                const contadorMovimientos = await AutoIncrement.leerContador(transaction, 'movimientos_stock');
+                const contadorStocks = await AutoIncrement.leerContador(transaction, 'stocks');
+
+                const stockDocs = new Map();
+                for (const { productoId } of actual.conteos || []) {
+                    stockDocs.set(productoId, await Stock.leerEnTransaccion(transaction, productoId, actual.depositoId));
+                }
+
+                const informe = Inventario.compararConStock(actual, new Map(
+                    [...stockDocs].map(([productoId, stockDoc]) => [productoId, stockDoc ? stockDoc.data() : null])
+                ));
+
+                // 2. No se puede dejar el stock por debajo de lo reservado por pedidos pendientes.
+                const conflictos = informe.lineas.filter(linea => linea.cantidadContada < linea.reservado);
+                if (conflictos.length > 0) {
+                    const error = new Error(`Hay productos contados por debajo de lo reservado: ${conflictos.map(c => c.productoId).join(', ')}`);
+                    error.code = 'stock-insuficiente';
+                    error.productos = conflictos.map(({ productoId, cantidadContada, reservado }) => ({ productoId, cantidadContada, reservado }));
+                    throw error;
+                }
+
+                // 3. Escrituras: un ajuste por cada diferencia.
+                const movimiento = {
+                    tipo: 'ajuste',
+                    usuarioId,
+                    motivo: comentario || `Conteo de inventario ${id}`,
+                    referenciaTipo: 'inventario',
+                    referenciaId: id
+                };
+                const siguienteMovimiento = () => AutoIncrement.formatId('movimientos_stock', contadorMovimientos.siguiente());
+
+                for (const linea of informe.lineas) {
+                    if (linea.diferencia === 0) continue;
+
+                    const stockDoc = stockDocs.get(linea.productoId);
+                    linea.movimientoId = stockDoc
+                        ? Stock.registrarEnTransaccion(transaction, stockDoc, linea.cantidadContada, movimiento, siguienteMovimiento()).id
+                        : Stock.crearEnTransaccion(
+                            transaction,
+                            { productoId: linea.productoId, depositoId: actual.depositoId, cantidad: linea.cantidadContada },
+                            movimiento,
+                            AutoIncrement.formatId('stocks', contadorStocks.siguiente()),
+                            siguienteMovimiento()
+                        ).movimiento.id;
+                }
+
+                const fecha = new Date();
+                const cambios = {
+                    estado: 'cerrado',
+                    resultado: informe,
+                    cerradoPor: usuarioId,
+                    fechaCierre: fecha,
+                    fechaActualizacion: fecha
+                };
+                transaction.update(doc.ref, cambios);
+                contadorMovimientos.confirmar();
+                contadorStocks.confirmar();
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
+            });
+
+            console.log(`✅ Conteo de inventario cerrado: ${id} (${inventario.resultado.resumen.productosConDiferencia} ajustes)`);
+            return inventario;
+        } catch (error) {
+            console.error('❌ Error cerrando conteo de inventario:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Cancelar un Conteo ---
+    // Descarta un conteo abierto sin modificar el stock.
+    static async cancelar(id, { usuarioId = null } = {}) {
+        try {
+            const inventario = await db.runTransaction(async (transaction) => {
+                const doc = await Inventario.leerAbierto(transaction, id);
+                const fecha = new Date();
+                const cambios = {
+                    estado: 'cancelado',
+                    canceladoPor: usuarioId,
+                    fechaCierre: fecha,
+                    fechaActualizacion: fecha
+                };
+                transaction.update(doc.ref, cambios);
+                return { firestoreId: doc.id, ...doc.data(), ...cambios };
+            });
+
+            console.log(`✅ Conteo de inventario cancelado: ${id}`);
+            return inventario;
+        } catch (error) {
+            console.error('❌ Error cancelando conteo de inventario:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Inventario;
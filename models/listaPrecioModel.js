@@ -0,0 +1,144 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+
+// --- Definición de la Clase Modelo 'ListaPrecio' ---
+// Una lista de precios agrupa precios especiales para un tipo de comprador (mayorista,
+// revendedor...). Los precios sin 'listaPrecioId' forman la lista minorista, que es la
+// que se usa por defecto y la que reemplaza a cualquier lista que no tenga precio para un producto.
+class ListaPrecio {
+    // Nombre con el que se informa la lista minorista (no es un documento: es la ausencia de lista).
+    static NOMBRE_MINORISTA = 'Minorista';
+
+    // El constructor inicializa una nueva instancia de ListaPrecio.
+    constructor(data) {
+        this.nombre = data.nombre;
+        this.descripcion = data.descripcion || null;
+        // Eliminación lógica: 'activo' en false.
+        this.activo = data.activo !== undefined ? data.activo : true;
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Método de Instancia: Guardar (Crear) una Nueva Lista ---
+    async save() {
+        try {
+            const listaId = await AutoIncrement.generateId('listas_precios');
+            const listaRef = db.collection('listas_precios').doc();
+
+            const listaData = {
+                id: listaId, // ID numérico de la aplicación (ej: LP-001).
+                firestoreId: listaRef.id, // ID único del documento.
+                nombre: this.nombre,
+                descripcion: this.descripcion,
+                activo: this.activo,
+                fechaCreacion: this.fechaCreacion
+            };
+
+            await listaRef.set(listaData);
+
+            console.log(`✅ Lista de precios creada: ${listaId} - ${this.nombre}`);
+            return listaData;
+        } catch (error) {
+            console.error('❌ Error creando lista de precios:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('listas_precios')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando lista de precios:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar una Lista Activa por Nombre (sin distinguir mayúsculas) ---
+    static async findByNombre(nombre) {
+        const buscado = String(nombre).trim().toLowerCase();
+        const listas = await this.findAll();
+        return listas.find(lista => lista.nombre.trim().toLowerCase() === buscado) || null;
+    }
+
+    // --- Método Estático: Obtener Todas las Listas Activas ---
+    static async findAll() {
+        try {
+            const snapshot = await db.collection('listas_precios')
+                .where('activo', '==', true)
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('❌ Error obteniendo listas de precios:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Resolver la Lista de una Operación ---
+    // Sin lista indicada devuelve { lista: null } (minorista). Si la lista indicada no existe
+    // o está inactiva devuelve { error }; si no, { lista }.
+    static async resolver(listaPrecioId) {
+        if (!listaPrecioId) return { lista: null };
+
+        const lista = await this.findById(listaPrecioId);
+        return lista && lista.activo ? { lista } : { error: 'Lista de precios no encontrada o inactiva.' };
+    }
+
+    // --- Método Estático: Actualizar una Lista ---
+    static async update(id, data) {
+        try {
+            const lista = await this.findById(id);
+            if (!lista) {
+                throw new Error('Lista de precios no encontrada');
+            }
+
+            await db.collection('listas_precios').doc(lista.firestoreId).update({
+                ...data,
+                fechaActualizacion: new Date()
+            });
+            console.log(`✅ Lista de precios actualizada: ${id}`);
+        } catch (error) {
+            console.error('❌ Error actualizando lista de precios:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Eliminación Lógica (Soft Delete) ---
+    // Sus precios quedan en el historial; las operaciones ya no pueden elegir la lista.
+    static async delete(id) {
+        try {
+            const lista = await this.findById(id);
+            if (!lista) {
+                throw new Error('Lista de precios no encontrada');
+            }
+
+            await db.collection('listas_precios').doc(lista.firestoreId).update({
+                activo: false,
+                fechaEliminacion: new Date()
+            });
+            console.log(`✅ Lista de precios marcada como inactiva: ${id}`);
+        } catch (error) {
+            console.error('❌ Error eliminando lista de precios:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = ListaPrecio;
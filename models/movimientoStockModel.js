@@ -0,0 +1,112 @@
+// Importa la instancia de la base de datos configurada (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+
+// --- Definición de la Clase Modelo 'MovimientoStock' (Kardex) ---
+// Cada documento registra un cambio de cantidad en un registro de stock:
+// cuánto había, cuánto quedó, quién lo hizo, por qué y qué documento lo originó.
+// Los movimientos nunca se modifican ni se eliminan.
+class MovimientoStock {
+  // Tipos de movimiento admitidos.
+  static TIPOS = ['venta', 'ajuste', 'carga_inicial', 'devolucion', 'transferencia', 'compra'];
+
+  // El constructor inicializa un nuevo movimiento con los datos recibidos.
+  constructor(data) {
+    // Producto, registro de stock y depósito afectados.
+    this.productoId = data.productoId;
+    this.stockId = data.stockId;
+    this.depositoId = data.depositoId || null;
+    // Tipo de movimiento (ver MovimientoStock.TIPOS); por defecto 'ajuste'.
+    this.tipo = data.tipo || 'ajuste';
+    // Cantidades antes y después del cambio; 'cantidad' es la diferencia (positiva o negativa).
+    this.cantidadAnterior = data.cantidadAnterior;
+    this.cantidadNueva = data.cantidadNueva;
+    this.cantidad = data.cantidadNueva - data.cantidadAnterior;
+    // Usuario que originó el cambio (null para procesos automáticos o scripts).
+    this.usuarioId = data.usuarioId || null;
+    // Motivo libre del cambio.
+    this.motivo = data.motivo || null;
+    // Documento que originó el movimiento (ej: referenciaTipo 'pedido', referenciaId 'PED-02001').
+    this.referenciaTipo = data.referenciaTipo || null;
+    this.referenciaId = data.referenciaId || null;
+    // Marca de tiempo del movimiento.
+    this.fechaCreacion = data.fechaCreacion || new Date();
+  }
+
+  // --- Método Estático: Reservar ID y Referencia ---
+  // Genera el ID secuencial y la referencia del documento por adelantado, para
+  // que el movimiento pueda escribirse luego dentro de una transacción.
+  static async reservar() {
+    const id = await AutoIncrement.generateId('movimientos_stock');
+    return { id, ref: db.collection('movimientos_stock').doc() };
+  }
+
+  // --- Método de Instancia: Datos del Documento ---
+  // Arma el objeto a persistir usando una reserva obtenida con 'reservar()'.
+  aDocumento({ id, ref }) {
+    return {
+      id, // ID numérico de la aplicación.
+      firestoreId: ref.id, // ID único del documento.
+      productoId: this.productoId,
+      stockId: this.stockId,
+      depositoId: this.depositoId,
+      tipo: this.tipo,
+      cantidad: this.cantidad,
+      cantidadAnterior: this.cantidadAnterior,
+      cantidadNueva: this.cantidadNueva,
+      usuarioId: this.usuarioId,
+      motivo: this.motivo,
+      referenciaTipo: this.referenciaTipo,
+      referenciaId: this.referenciaId,
+      fechaCreacion: this.fechaCreacion
+    };
+  }
+
+  // --- Método de Instancia: Preparar los Datos a Persistir ---
+  // Devuelve la referencia y los datos del documento para escribirlos en un lote propio del llamador.
+  async preparar() {
+    const reserva = await MovimientoStock.reservar();
+    return { ref: reserva.ref, data: this.aDocumento(reserva) };
+  }
+
+  // --- Método de Instancia: Guardar (Crear) un Movimiento Suelto ---
+  async save() {
+    try {
+      const { ref, data } = await this.preparar();
+      await ref.set(data);
+      console.log(`📝 Movimiento de stock: ${data.id} - ${data.productoId} ${data.tipo} ${data.cantidad}`);
+      return data;
+    } catch (error) {
+      console.error('❌ Error registrando movimiento de stock:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Movimientos de un Producto ---
+  // Devuelve los movimientos de un producto del más nuevo al más antiguo,
+  // opcionalmente acotados por fecha ('desde' y 'hasta' son objetos Date).
+  // NOTA: En Firestore requiere un índice compuesto (productoId, fechaCreacion desc).
+  static async findByProductoId(productoId, { desde, hasta } = {}) {
+    try {
+      let query = db.collection('movimientos_stock')
+        .where('productoId', '==', productoId);
+
+      if (desde) query = query.where('fechaCreacion', '>=', desde);
+      if (hasta) query = query.where('fechaCreacion', '<=', hasta);
+
+      const snapshot = await query.orderBy('fechaCreacion', 'desc').get();
+
+      return snapshot.docs.map(doc => ({
+        firestoreId: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      console.error('❌ Error obteniendo movimientos de stock:', error);
+      throw error;
+    }
+  }
+}
+
+// Exporta la clase para su uso.
+module.exports = MovimientoStock;
@@ -0,0 +1,401 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+// Importa el modelo de stock para ingresar la mercadería recibida.
+const Stock = require('./stockModel');
+// Importa el modelo de depósitos (la mercadería se recibe en el depósito de la orden).
+const Deposito = require('./depositoModel');
+// Importa el modelo de productos para armar las líneas de la orden.
+const Producto = require('./productoModel');
+
+// --- Definición de la Clase Modelo 'OrdenCompra' ---
+// Una orden de compra es lo que se le pide a un proveedor: productos, cantidades
+// y costo unitario acordado. La mercadería puede llegar en varias recepciones;
+// cada una ingresa las unidades al stock con un movimiento 'compra' en el kardex.
+class OrdenCompra {
+    // Estados posibles de una orden de compra.
+    static ESTADOS = ['borrador', 'enviada', 'recibida_parcial', 'recibida', 'cancelada'];
+
+    // Cambios de estado manuales permitidos desde cada estado. Los estados
+    // 'recibida_parcial' y 'recibida' los asigna la recepción de mercadería.
+    // Cancelar una orden parcialmente recibida anula solo lo pendiente.
+    static TRANSICIONES = {
+        borrador: ['enviada', 'cancelada'],
+        enviada: ['cancelada'],
+        recibida_parcial: ['cancelada'],
+        recibida: [],
+        cancelada: []
+    };
+
+    // Estados en los que la orden admite recepciones.
+    static ESTADOS_RECEPCION = ['enviada', 'recibida_parcial'];
+
+    // El constructor inicializa una nueva orden de compra.
+    constructor(data) {
+        this.proveedorId = data.proveedorId;
+        // Depósito donde se recibe la mercadería (si no se indica, el principal al guardar).
+        this.depositoId = data.depositoId || null;
+        // Líneas armadas con OrdenCompra.armarLineas(): productoId, nombre, cantidad,
+        // costoUnitario, subtotal y cantidadRecibida.
+        this.productos = data.productos;
+        this.total = data.total;
+        this.moneda = data.moneda || 'ARS';
+        this.observaciones = data.observaciones || '';
+        // Usuario que creó la orden.
+        this.usuarioId = data.usuarioId || null;
+        // Toda orden nace como borrador (se puede editar hasta enviarla).
+        this.estado = 'borrador';
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Método Estático: Armar las Líneas de una Orden ---
+    // 'items' es un array de { productoId, cantidad, costoUnitario }.
+    // Devuelve { lineas, total, errores }; 'errores' lista las líneas inválidas
+    // ({ productoId, error }): productos inexistentes, inactivos o repetidos.
+    static async armarLineas(items) {
+        const lineas = [];
+        const errores = [];
+        const vistos = new Set();
+
+        for (const item of items) {
+            if (vistos.has(item.productoId)) {
+                errores.push({ productoId: item.productoId, error: 'Producto repetido en la orden' });
+                continue;
+            }
+            vistos.add(item.productoId);
+
+            const producto = await Producto.findById(item.productoId);
+            if (!producto) {
+                errores.push({ productoId: item.productoId, error: 'Producto no encontrado' });
+                continue;
+            }
+            if (!producto.activo) {
+                errores.push({ productoId: item.productoId, error: 'Producto inactivo' });
+                continue;
+            }
+
+            lineas.push({
+                productoId: item.productoId,
+                nombre: producto.nombre,
+                cantidad: item.cantidad,
+                costoUnitario: item.costoUnitario,
+                subtotal: Math.round(item.costoUnitario * item.cantidad * 100) / 100,
+                cantidadRecibida: 0
+            });
+        }
+
+        const total = Math.round(lineas.reduce((sum, linea) => sum + linea.subtotal, 0) * 100) / 100;
+        return { lineas, total, errores };
+    }
+
+    // --- Método de Instancia: Guardar (Crear) una Nueva Orden ---
+    async save() {
+        try {
+            if (!this.depositoId) {
+                this.depositoId = (await Deposito.obtenerPrincipal()).id;
+            }
+
+            // Genera el ID de la serie de órdenes de compra (ej: OC-00001).
+            const ordenId = await AutoIncrement.generateId('ordenes_compra');
+            const ordenRef = db.collection('ordenes_compra').doc();
+
+            const ordenData = {
+                id: ordenId,
+                firestoreId: ordenRef.id,
+                proveedorId: this.proveedorId,
+                depositoId: this.depositoId,
+                productos: this.productos,
+                total: this.total,
+                moneda: this.moneda,
+                observaciones: this.observaciones,
+                usuarioId: this.usuarioId,
+                estado: this.estado,
+                // Recepciones de mercadería (se agregan con OrdenCompra.recibir).
+                recepciones: [],
+                // Línea de tiempo de estados, igual que en los pedidos.
+                historialEstados: [{
+                    estado: this.estado,
+                    estadoAnterior: null,
+                    usuarioId: this.usuarioId,
+                    comentario: 'Orden de compra creada',
+                    fecha: this.fechaCreacion
+                }],
+                fechaCreacion: this.fechaCreacion
+            };
+
+            await ordenRef.set(ordenData);
+
+            console.log(`✅ Orden de compra creada: ${ordenId} para proveedor: ${this.proveedorId}`);
+            return ordenData;
+        } catch (error) {
+            console.error('❌ Error creando orden de compra:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('ordenes_compra')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando orden de compra:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Obtener Todas las Órdenes de Compra ---
+    // Recupera todas las órdenes, de la más nueva a la más antigua.
+    static async findAll() {
+        try {
+            const snapshot = await db.collection('ordenes_compra')
+                .orderBy('fechaCreacion', 'desc')
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('❌ Error obteniendo órdenes de compra:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Órdenes de un Proveedor ---
+    static async findByProveedor(proveedorId) {
+        try {
+            const snapshot = await db.collection('ordenes_compra')
+                .where('proveedorId', '==', proveedorId)
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('❌ Error obteniendo órdenes de compra del proveedor:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático Auxiliar: Leer una Orden Dentro de una Transacción ---
+    // Lanza un error con code 'not-found' si no existe.
+    static async leerEnTransaccion(transaction, id) {
+        const snapshot = await transaction.get(db.collection('ordenes_compra')
+            .where('id', '==', id)
+            .limit(1));
+
+        if (snapshot.empty) {
+            const error = new Error('Orden de compra no encontrada');
+            error.code = 'not-found';
+            throw error;
+        }
+        return snapshot.docs[0];
+    }
+
+    // --- Método Estático: Actualizar una Orden en Borrador ---
+    // Solo los borradores se pueden editar ('data' puede incluir proveedorId,
+    // depositoId, productos, total y observaciones). Lanza errores con code
+    // 'not-found' o 'estado-invalido'.
+    static async update(id, data) {
+        try {
+            await db.runTransaction(async (transaction) => {
+                const doc = await OrdenCompra.leerEnTransaccion(transaction, id);
+                if (doc.data().estado !== 'borrador') {
+                    const error = new Error(`Solo se pueden editar órdenes en borrador (la orden está '${doc.data().estado}')`);
+                    error.code = 'estado-invalido';
+                    error.estadoActual = doc.data().estado;
+                    throw error;
+                }
+
+                transaction.update(doc.ref, {
+                    ...data,
+                    fechaActualizacion: new Date()
+                });
+            });
+            console.log(`✅ Orden de compra actualizada: ${id}`);
+        } catch (error) {
+            console.error('❌ Error actualizando orden de compra:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Estados Alcanzables Manualmente ---
+    static estadosSiguientes(estado) {
+        return OrdenCompra.TRANSICIONES[estado] || [];
+    }
+
+    // --- Método Estático: Cambiar el Estado de una Orden ---
+    // Aplica un cambio manual (enviar o cancelar) respetando OrdenCompra.TRANSICIONES
+    // y lo agrega a 'historialEstados'. Lanza errores con code 'not-found' o
+    // 'transicion-invalida'. Devuelve la orden actualizada.
+    static async updateEstado(id, nuevoEstado, { usuarioId = null, comentario = null } = {}) {
+        try {
+            const orden = await db.runTransaction(async (transaction) => {
+                const doc = await OrdenCompra.leerEnTransaccion(transaction, id);
+                const actual = doc.data();
+
+                const permitidos = OrdenCompra.estadosSiguientes(actual.estado);
+                if (!permitidos.includes(nuevoEstado)) {
+                    const error = new Error(`No se puede pasar una orden de compra de '${actual.estado}' a '${nuevoEstado}'`);
+                    error.code = 'transicion-invalida';
+                    error.estadoActual = actual.estado;
+                    error.estadosPermitidos = permitidos;
+                    throw error;
+                }
+
+                const fecha = new Date();
+                const cambios = {
+                    estado: nuevoEstado,
+                    historialEstados: [
+                        ...(actual.historialEstados || []),
+                        { estado: nuevoEstado, estadoAnterior: actual.estado, usuarioId, comentario, fecha }
+                    ],
+                    fechaActualizacion: fecha
+                };
+                transaction.update(doc.ref, cambios);
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
+            });
+
+            console.log(`✅ Estado de orden de compra actualizado: ${id} -> ${nuevoEstado}`);
+            return orden;
+        } catch (error) {
+            console.error('❌ Error actualizando estado de orden de compra:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Registrar una Recepción de Mercadería ---
+    // En una única transacción: suma las unidades recibidas al stock del depósito
+    // de la orden (movimiento 'compra' en el kardex por cada producto, creando el
+    // registro de stock si no existía), actualiza 'cantidadRecibida' de cada línea,
+    // agrega la recepción a 'recepciones' y pasa la orden a 'recibida_parcial' o,
+    // si ya no queda nada pendiente, a 'recibida'.
+    // 'items' es un array de { productoId, cantidad }.
+    // Lanza errores con code 'not-found', 'estado-invalido' (la orden no está enviada)
+    // o 'recepcion-invalida' (productos que no están en la orden o cantidades
+    // mayores a lo pendiente; incluye la lista 'productos').
+    // Devuelve la orden actualizada.
+    static async recibir(id, items, { usuarioId = null, comentario = null } = {}) {
+        try {
+            const orden = await db.runTransaction(async (transaction) => {
+                // 1. Lecturas: la orden, los contadores y el stock de cada producto recibido.
+                const doc = await OrdenCompra.leerEnTransaccion(transaction, id);
+                const actual = doc.data();
+
+                if (!OrdenCompra.ESTADOS_RECEPCION.includes(actual.estado)) {
+                    const error = new Error(`La orden de compra está '${actual.estado}' y no admite recepciones`);
+                    error.code = 'estado-invalido';
+                    error.estadoActual = actual.estado;
+                    throw error;
+                }
+
+                const contadorMovimientos = await AutoIncrement.leerContador(transaction, 'movimientos_stock');
+                const contadorStocks = await AutoIncrement.leerContador(transaction, 'stocks');
+
+                // 2. Validar contra lo pendiente de cada línea.
+                const lineas = actual.productos.map(linea => ({ ...linea }));
+                const recibidos = new Map();
+                for (const { productoId, cantidad } of items) {
+                    recibidos.set(productoId, (recibidos.get(productoId) || 0) + cantidad);
+                }
+
+                const invalidos = [];
+                for (const [productoId, cantidad] of recibidos) {
+                    const linea = lineas.find(l => l.productoId === productoId);
+                    if (!linea) {
+                        invalidos.push({ productoId, error: 'El producto no está en la orden de compra' });
+                    } else if (cantidad > linea.cantidad - linea.cantidadRecibida) {
+                        invalidos.push({ productoId, error: 'La cantidad supera lo pendiente', pendiente: linea.cantidad - linea.cantidadRecibida, recibido: cantidad });
+                    }
+                }
+                if (invalidos.length > 0) {
+                    const error = new Error(`Recepción inválida para la orden ${id}`);
+                    error.code = 'recepcion-invalida';
+                    error.productos = invalidos;
+                    throw error;
+                }
+
+                const stockDocs = new Map();
+                for (const productoId of recibidos.keys()) {
+                    stockDocs.set(productoId, await Stock.leerEnTransaccion(transaction, productoId, actual.depositoId));
+                }
+
+                // 3. Escrituras: ingreso al stock con su movimiento 'compra'.
+                const movimiento = {
+                    tipo: 'compra',
+                    usuarioId,
+                    motivo: comentario || `Recepción de la orden de compra ${id}`,
+                    referenciaTipo: 'orden_compra',
+                    referenciaId: id
+                };
+                const detalle = [];
+                for (const [productoId, cantidad] of recibidos) {
+                    const stockDoc = stockDocs.get(productoId);
+                    const movimientoId = AutoIncrement.formatId('movimientos_stock', contadorMovimientos.siguiente());
+                    if (stockDoc) {
+                        Stock.registrarEnTransaccion(transaction, stockDoc, stockDoc.data().cantidad + cantidad, movimiento, movimientoId);
+                    } else {
+                        Stock.crearEnTransaccion(
+                            transaction,
+                            { productoId, depositoId: actual.depositoId, cantidad },
+                            movimiento,
+                            AutoIncrement.formatId('stocks', contadorStocks.siguiente()),
+                            movimientoId
+                        );
+                    }
+
+                    lineas.find(l => l.productoId === productoId).cantidadRecibida += cantidad;
+                    detalle.push({ productoId, cantidad, movimientoId });
+                }
+
+                // 4. Estado resultante: 'recibida' si ya no queda nada pendiente.
+                const fecha = new Date();
+                const completa = lineas.every(linea => linea.cantidadRecibida >= linea.cantidad);
+                const nuevoEstado = completa ? 'recibida' : 'recibida_parcial';
+                const cambios = {
+                    productos: lineas,
+                    recepciones: [
+                        ...(actual.recepciones || []),
+                        { numero: (actual.recepciones || []).length + 1, productos: detalle, usuarioId, comentario, fecha }
+                    ],
+                    fechaActualizacion: fecha
+                };
+                if (nuevoEstado !== actual.estado) {
+                    cambios.estado = nuevoEstado;
+                    cambios.historialEstados = [
+                        ...(actual.historialEstados || []),
+                        { estado: nuevoEstado, estadoAnterior: actual.estado, usuarioId, comentario: `Recepción ${cambios.recepciones.length}`, fecha }
+                    ];
+                }
+                transaction.update(doc.ref, cambios);
+                contadorMovimientos.confirmar();
+                contadorStocks.confirmar();
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
+            });
+
+            console.log(`✅ Recepción registrada en orden de compra: ${id} (${orden.estado})`);
+            return orden;
+        } catch (error) {
+            console.error('❌ Error registrando recepción de orden de compra:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = OrdenCompra;
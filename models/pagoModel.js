@@ -0,0 +1,182 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+// Importa la utilidad para leer fechas guardadas (Date o Timestamp de Firestore).
+const { aFecha } = require('../utils/fechas');
+// Importa el modelo de clientes (los pagos con 'credito' consumen su saldo a favor).
+const Cliente = require('./clienteModel');
+
+// Redondea a dos decimales.
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+// --- Definición de la Clase Modelo 'Pago' ---
+// Cobro registrado contra un pedido (se admiten pagos parciales). Cada pago actualiza en el
+// pedido lo cobrado ('totalPagado'), lo pendiente ('saldo') y el 'estadoPago', que es
+// independiente del estado de preparación y entrega del pedido. Los pagos están en la
+// moneda del pedido.
+class Pago {
+    // Medios de pago admitidos ('mercadopago' requiere la referencia de la operación;
+    // 'credito' consume el saldo a favor del cliente del pedido).
+    static MEDIOS = ['efectivo', 'transferencia', 'tarjeta', 'mercadopago', 'credito'];
+    // Medios con los que se puede reintegrar dinero al cliente (el saldo a favor no se reintegra).
+    static MEDIOS_REINTEGRO = Pago.MEDIOS.filter(medio => medio !== 'credito');
+    // Medio con el que se aplican las notas de crédito de las devoluciones (no se registra por la API).
+    static MEDIO_NOTA_CREDITO = 'nota_credito';
+    // Estados de cobro de un pedido.
+    static ESTADOS_PAGO = ['impago', 'parcial', 'pagado'];
+
+    // --- Método Estático: Estado de Cobro ---
+    // 'pagado' cuando lo cobrado cubre el total (un pedido sin importe está pagado).
+    static estadoPago(total, totalPagado) {
+        if (totalPagado >= total) return 'pagado';
+        return totalPagado > 0 ? 'parcial' : 'impago';
+    }
+
+    // --- Método Estático: Registrar un Pago ---
+    // En una única transacción: verifica el pedido, guarda el pago y actualiza 'totalPagado',
+    // 'saldo' y 'estadoPago' del pedido (los pedidos anteriores a los pagos no tienen cobros).
+    // Con medio 'credito' descuenta además el monto del saldo a favor del cliente.
+    // 'datos' contiene: monto, medio, referencia, observaciones, usuarioId y fecha (opcional).
+    // Lanza errores con code 'not-found', 'pedido-cancelado', 'monto-excedido' (el monto supera
+    // el saldo; incluye 'saldo'), 'sin-cliente' (pago con crédito de un pedido sin cliente) o
+    // 'credito-insuficiente' (incluye 'disponible'). Devuelve { pago, pedido } con el pedido actualizado.
+    static async registrar(pedidoId, datos) {
+        try {
+            const resultado = await db.runTransaction(async (transaction) => {
+                // 1. Lecturas: el pedido, el contador de pagos y, si se paga con crédito, el cliente.
+                const doc = await Pago.leerPedido(transaction, pedidoId);
+                const contador = await AutoIncrement.leerContador(transaction, 'pagos');
+                let clienteDoc = null;
+                if (datos.medio === 'credito') {
+                    const { clienteId } = doc.data();
+                    clienteDoc = clienteId ? await Cliente.leerEnTransaccion(transaction, clienteId) : null;
+                    if (!clienteDoc) {
+                        const error = new Error('El pedido no tiene un cliente con saldo a favor');
+                        error.code = 'sin-cliente';
+                        throw error;
+                    }
+                }
+
+                // 2. Escrituras: el pago, el estado de cobro del pedido y el saldo a favor consumido.
+                const pagoId = AutoIncrement.formatId('pagos', contador.siguiente()); // ej: PAGO-000001
+                const aplicado = Pago.aplicarEnTransaccion(transaction, doc, datos, pagoId);
+                if (clienteDoc) {
+                    Cliente.moverSaldoAFavorEnTransaccion(transaction, clienteDoc, aplicado.pago.moneda, -datos.monto);
+                }
+                contador.confirmar();
+
+                return aplicado;
+            });
+
+            console.log(`✅ Pago registrado: ${resultado.pago.id} - ${pedidoId} (${resultado.pago.moneda} ${datos.monto})`);
+            return resultado;
+        } catch (error) {
+            console.error('❌ Error registrando pago:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Leer un Pedido para Cobrarlo Dentro de una Transacción ---
+    // Devuelve el documento del pedido. Lanza un error con code 'not-found' si no existe.
+    static async leerPedido(transaction, pedidoId) {
+        const snapshot = await transaction.get(db.collection('pedidos')
+            .where('id', '==', pedidoId)
+            .limit(1));
+        if (snapshot.empty) {
+            const error = new Error('Pedido no encontrado');
+            error.code = 'not-found';
+            throw error;
+        }
+        return snapshot.docs[0];
+    }
+
+    // --- Método Estático: Aplicar un Pago Dentro de una Transacción ---
+    // Verifica que el pedido leído admita el monto y escribe (fase de escrituras) el pago con el
+    // ID 'pagoId' y el nuevo estado de cobro del pedido. Lanza errores con code 'pedido-cancelado'
+    // o 'monto-excedido'. Devuelve { pago, pedido } con el pedido actualizado.
+    static aplicarEnTransaccion(transaction, pedidoDoc, { monto, medio, referencia = null, observaciones = '', usuarioId = null, fecha = null }, pagoId) {
+        // 1. Verificar que el pedido admita el pago.
+        const pedido = pedidoDoc.data();
+        if (pedido.estado === 'cancelado') {
+            const error = new Error('El pedido está cancelado y no admite pagos');
+            error.code = 'pedido-cancelado';
+            throw error;
+        }
+        const pagadoAnterior = pedido.totalPagado || 0;
+        const saldo = redondear(pedido.total - pagadoAnterior);
+        if (monto > saldo) {
+            const error = new Error(`El monto supera el saldo del pedido (${pedido.moneda || 'ARS'} ${saldo})`);
+            error.code = 'monto-excedido';
+            error.saldo = saldo;
+            throw error;
+        }
+
+        // 2. Escrituras: el pago y el estado de cobro del pedido.
+        const pagoRef = db.collection('pagos').doc();
+        const pago = {
+            id: pagoId,
+            firestoreId: pagoRef.id,
+            pedidoId: pedido.id,
+            clienteId: pedido.clienteId || null,
+            monto,
+            moneda: pedido.moneda || 'ARS',
+            medio,
+            referencia,
+            observaciones,
+            usuarioId,
+            fecha: fecha || new Date(),
+            fechaCreacion: new Date()
+        };
+        transaction.set(pagoRef, pago);
+
+        const totalPagado = redondear(pagadoAnterior + monto);
+        const cambios = {
+            totalPagado,
+            saldo: redondear(pedido.total - totalPagado),
+            estadoPago: Pago.estadoPago(pedido.total, totalPagado),
+            fechaActualizacion: new Date()
+        };
+        transaction.update(pedidoDoc.ref, cambios);
+
+        return { pago, pedido: { firestoreId: pedidoDoc.id, ...pedido, ...cambios } };
+    }
+
+    // --- Método Estático: Pagos de un Pedido ---
+    // Ordenados por fecha de cobro.
+    static async findByPedido(pedidoId) {
+        try {
+            const snapshot = await db.collection('pagos')
+                .where('pedidoId', '==', pedidoId)
+                .get();
+
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .sort((a, b) => aFecha(a.fecha) - aFecha(b.fecha));
+        } catch (error) {
+            console.error('❌ Error obteniendo pagos del pedido:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Pagos de un Cliente ---
+    // Ordenados por fecha de cobro.
+    static async findByCliente(clienteId) {
+        try {
+            const snapshot = await db.collection('pagos')
+                .where('clienteId', '==', clienteId)
+                .get();
+
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .sort((a, b) => aFecha(a.fecha) - aFecha(b.fecha));
+        } catch (error) {
+            console.error('❌ Error obteniendo pagos del cliente:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Pago;
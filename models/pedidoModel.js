@@ -1,105 +1,467 @@
-// Importa la instancia de la base de datos de Firebase.
-const { db } = require('../config/firebase');
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
 
 // Importa la utilidad para generar IDs numéricos secuenciales.
 // (Necesario porque Firestore no tiene autoincremento nativo).
 const AutoIncrement = require('../utils/autoIncrement');
+// Importa el modelo de stock para descontar las unidades vendidas en la misma transacción.
+const Stock = require('./stockModel');
+// Importa el modelo de depósitos (el stock se reserva y descuenta del depósito del pedido).
+const Deposito = require('./depositoModel');
+// Importa los modelos de producto y precio para cotizar las líneas en el servidor.
+const Producto = require('./productoModel');
+const Precio = require('./precioModel');
+// Importa el modelo de cotizaciones para expresar el pedido en otra moneda.
+const Cotizacion = require('./cotizacionModel');
+// Importa el modelo de categorías (alícuota de IVA de los productos que no tienen una propia).
+const Categoria = require('./categoriaModel');
+// Importa las utilidades para discriminar el IVA de las líneas y del total.
+const { alicuotaDeProducto, desglosarIva, resumirIva } = require('../utils/iva');
+// Importa el modelo y el cálculo de promociones (descuentos automáticos al cotizar).
+const Promocion = require('./promocionModel');
+const { aplicarPromociones, descuentoDeCupon } = require('../utils/promociones');
+// Importa el modelo de cupones (se canjean en la misma transacción que crea el pedido).
+const Cupon = require('./cuponModel');
+// Importa el modelo de pagos (estado de cobro del pedido).
+const Pago = require('./pagoModel');
+// Importa el modelo de clientes (lo cobrado de un pedido cancelado pasa a su saldo a favor).
+const Cliente = require('./clienteModel');
+// Importa el modelo de devoluciones (un pedido con devoluciones vigentes no se cancela).
+const Devolucion = require('./devolucionModel');
+// Importa el modelo de presupuestos (un pedido puede salir de un presupuesto aceptado).
+const Presupuesto = require('./presupuestoModel');
+// Importa la utilidad para leer fechas guardadas (Date o Timestamp de Firestore).
+const { aFecha } = require('../utils/fechas');
 
 // --- Definición de la Clase Modelo 'Pedido' ---
 class Pedido {
+    // Estados posibles de un pedido.
+    static ESTADOS = ['pendiente', 'confirmado', 'en_proceso', 'enviado', 'entregado', 'cancelado'];
+
+    // Transiciones permitidas desde cada estado. El circuito normal es
+    // pendiente → confirmado → en_proceso → enviado → entregado; un pedido solo
+    // puede cancelarse antes de ser enviado. 'entregado' y 'cancelado' son finales.
+    static TRANSICIONES = {
+        pendiente: ['confirmado', 'cancelado'],
+        confirmado: ['en_proceso', 'cancelado'],
+        en_proceso: ['enviado', 'cancelado'],
+        enviado: ['entregado'],
+        entregado: [],
+        cancelado: []
+    };
+
+    // Estados en los que la venta ya está registrada (se confirmó y no se canceló).
+    static ESTADOS_VENDIDOS = ['confirmado', 'en_proceso', 'enviado', 'entregado'];
+
+    // Horas que un pedido pendiente mantiene reservadas sus unidades antes de liberarlas.
+    static HORAS_RESERVA = Number(process.env.RESERVA_STOCK_HORAS) || 48;
+
     // El constructor inicializa una nueva instancia de Pedido con los datos proporcionados.
     constructor(data) {
-        // Asigna las propiedades básicas del cliente y la orden.
+        // Asigna las propiedades básicas del cliente y la orden. Con 'clienteId' los datos de
+        // contacto se copian del cliente registrado (y 'direccionId' indica su dirección de envío).
+        this.clienteId = data.clienteId || null;
         this.cliente = data.cliente;
         this.email = data.email;
-        this.telefono = data.telefono;
-        this.direccion = data.direccion;
-        this.productos = data.productos; // Asume que es un array de objetos (productos, cantidad, precio).
+        this.telefono = data.telefono || null;
+        this.direccion = data.direccion || null;
+        this.direccionId = data.direccionId || null;
+        // Array de líneas cotizadas con Pedido.cotizar(): productoId, nombre, cantidad,
+        // precioUnitario, moneda, precioId, listaPrecioId, subtotal, los descuentos de las
+        // promociones y del cupón (descuentos, descuento) y el desglose de IVA (incluyeIva,
+        // alicuotaIva, neto, iva y bruto).
+        this.productos = data.productos;
+        // Total a cobrar (bruto, con IVA).
         this.total = data.total;
+        // Desglose del total para facturación: neto, IVA por alícuota y bruto.
+        this.impuestos = data.impuestos || null;
+        // Promociones y cupón aplicados, con el descuento total de cada uno.
+        this.descuentos = data.descuentos || [];
+        // Cupón informado por el cliente ({ id, codigo }); se canjea al guardar el pedido.
+        this.cupon = data.cupon || null;
+        // Moneda del total (la de los precios de las líneas).
+        this.moneda = data.moneda || 'ARS';
+        // Lista de precios con la que se cotizó (null: minorista).
+        this.listaPrecioId = data.listaPrecioId || null;
+        // Tipos de cambio aplicados al convertir las líneas a la moneda del pedido
+        // (vacío si no hubo conversión); quedan registrados para contabilidad.
+        this.tiposCambio = data.tiposCambio || [];
         
         // Asigna el estado. Si no se provee, el valor por defecto es 'pendiente'.
         this.estado = data.estado || 'pendiente';
         
         // Propiedad para vincular el pedido a un usuario/vendedor específico.
         this.vendedorId = data.vendedorId;
+
+        // Depósito del que sale la mercadería (los pedidos anteriores a los depósitos no lo
+        // tienen: su stock corresponde al depósito principal).
+        this.depositoId = data.depositoId;
         
         // Observaciones con valor por defecto vacío.
         this.observaciones = data.observaciones || '';
+
+        // Presupuesto del que sale el pedido (se marca como convertido al guardar).
+        this.presupuestoId = data.presupuestoId || null;
         
         // Registra la marca de tiempo de la creación del objeto.
         this.fechaCreacion = new Date();
     }
 
+    // --- Método Estático: Cotizar Líneas de Pedido ---
+    // Arma las líneas del pedido con los precios vigentes del servidor (nunca con
+    // precios enviados por el cliente). Usa el precio de oferta cuando existe y
+    // congela en cada línea el precio unitario, la moneda, el nombre del producto
+    // y el ID del registro de precio usado.
+    // 'items' es un array de { productoId, cantidad }. Con 'listaPrecioId' se cotiza con esa
+    // lista; los productos sin precio en la lista usan el precio minorista.
+    // Con 'moneda' cada línea se convierte a esa moneda con la cotización vigente (y conserva
+    // su precio y moneda originales); sin ella, todas las líneas deben estar en la misma moneda.
+    // Las promociones vigentes se aplican sobre el subtotal de cada línea y quedan detalladas
+    // en ella ('descuentos'); las de pedido se reparten entre las líneas. Con 'cupon' (documento
+    // del cupón ya verificado) su descuento se aplica después, sobre lo que quedó a pagar.
+    // Cada línea discrimina el IVA con la alícuota del producto (o de su categoría) según
+    // el precio sea final o neto; el total es el bruto y 'impuestos' su desglose.
+    // Devuelve { lineas, total, impuestos, descuentos, moneda, tiposCambio, errores }; 'errores'
+    // lista las líneas que no se pueden vender ({ productoId, error }).
+    static async cotizar(items, { listaPrecioId = null, moneda = null, cupon = null } = {}) {
+        const lineas = [];
+        const errores = [];
+        // Tasas ya consultadas por moneda de origen (se usa la misma para todas las líneas).
+        const tasas = new Map();
+        // Categorías ya leídas (para la alícuota de IVA de los productos que no tienen una propia).
+        const categorias = new Map();
+        // Categoría de cada línea (para las promociones por categoría).
+        const categoriasDeLinea = [];
+
+        for (const item of items) {
+            const producto = await Producto.findById(item.productoId);
+            if (!producto) {
+                errores.push({ productoId: item.productoId, error: 'Producto no encontrado' });
+                continue;
+            }
+            if (!producto.activo) {
+                errores.push({ productoId: item.productoId, error: 'Producto inactivo' });
+                continue;
+            }
+
+            const precio = await Precio.findParaLista(item.productoId, listaPrecioId);
+            if (!precio) {
+                errores.push({ productoId: item.productoId, error: 'Producto sin precio activo' });
+                continue;
+            }
+
+            // El precio de oferta, si está cargado, reemplaza al precio de lista.
+            let precioUnitario = precio.precioOferta !== null && precio.precioOferta !== undefined
+                ? precio.precioOferta
+                : precio.precio;
+
+            // Conversión a la moneda pedida con la cotización vigente.
+            let conversion = null;
+            if (moneda && precio.moneda !== moneda) {
+                if (!tasas.has(precio.moneda)) {
+                    tasas.set(precio.moneda, await Cotizacion.obtenerTasa(precio.moneda, moneda));
+                }
+                const tasa = tasas.get(precio.moneda);
+                if (!tasa) {
+                    errores.push({ productoId: item.productoId, error: `No hay cotización cargada para convertir ${precio.moneda} a ${moneda}` });
+                    continue;
+                }
+                conversion = { precioUnitarioOriginal: precioUnitario, monedaOriginal: precio.moneda, tasaCambio: tasa.tasa };
+                precioUnitario = Cotizacion.convertir(precioUnitario, tasa.tasa);
+            }
+
+            // IVA de la línea: alícuota del producto (o de su categoría) sobre el precio final o neto.
+            if (!categorias.has(producto.categoriaId)) {
+                categorias.set(producto.categoriaId, await Categoria.findById(producto.categoriaId));
+            }
+            const alicuotaIva = alicuotaDeProducto(producto, categorias.get(producto.categoriaId));
+            const incluyeIva = precio.incluyeIva !== false; // Los precios anteriores al IVA son finales.
+            const subtotal = Math.round(precioUnitario * item.cantidad * 100) / 100;
+
+            lineas.push({
+                productoId: item.productoId,
+                nombre: producto.nombre,
+                cantidad: item.cantidad,
+                precioUnitario,
+                moneda: moneda || precio.moneda,
+                ...conversion,
+                precioId: precio.id,
+                listaPrecioId: precio.listaPrecioId || null,
+                subtotal,
+                incluyeIva,
+                alicuotaIva
+            });
+            categoriasDeLinea.push(producto.categoriaId);
+        }
+
+        // Promociones vigentes: el IVA se calcula sobre el subtotal menos los descuentos de la línea.
+        const descuentosPorLinea = aplicarPromociones(
+            lineas.map((linea, i) => ({ ...linea, categoriaId: categoriasDeLinea[i], importe: linea.subtotal })),
+            await Promocion.findVigentes()
+        );
+        if (cupon) {
+            const restantes = lineas.map((linea, i) => linea.subtotal - descuentosPorLinea[i].reduce((sum, d) => sum + d.importe, 0));
+            const importes = descuentoDeCupon(cupon, lineas, restantes);
+            if (!importes) {
+                errores.push({ productoId: null, error: `El pedido no alcanza la compra mínima del cupón (${cupon.moneda} ${cupon.montoMinimo})` });
+            } else {
+                importes.forEach((importe, i) => {
+                    if (importe > 0) descuentosPorLinea[i].push({ cuponId: cupon.id, codigo: cupon.codigo, importe });
+                });
+            }
+        }
+
+        const descuentos = new Map();
+        lineas.forEach((linea, i) => {
+            const descuentosLinea = descuentosPorLinea[i];
+            const descuento = Math.round(descuentosLinea.reduce((sum, d) => sum + d.importe, 0) * 100) / 100;
+            for (const d of descuentosLinea) {
+                const clave = d.promocionId || d.cuponId;
+                const acumulado = descuentos.get(clave) || { ...d, importe: 0 };
+                acumulado.importe = Math.round((acumulado.importe + d.importe) * 100) / 100;
+                descuentos.set(clave, acumulado);
+            }
+            Object.assign(linea, {
+                descuentos: descuentosLinea,
+                descuento,
+                ...desglosarIva(linea.subtotal - descuento, linea.alicuotaIva, linea.incluyeIva)
+            });
+        });
+
+        // El total solo tiene sentido si todas las líneas están en la misma moneda.
+        const monedas = [...new Set(lineas.map(linea => linea.moneda))];
+        if (monedas.length > 1) {
+            errores.push({ productoId: null, error: `Los productos tienen precios en distintas monedas (${monedas.join(', ')}); indique 'moneda' para convertirlos` });
+        }
+
+        const impuestos = resumirIva(lineas);
+
+        // Tipos de cambio usados, con las cotizaciones de origen (para contabilidad).
+        const tiposCambio = [...tasas]
+            .filter(([, tasa]) => tasa)
+            .map(([monedaOrigen, tasa]) => ({ monedaOrigen, monedaDestino: moneda, tasa: tasa.tasa, cotizaciones: tasa.cotizaciones }));
+
+        return {
+            lineas,
+            total: impuestos.bruto,
+            impuestos,
+            descuentos: [...descuentos.values()],
+            moneda: moneda || monedas[0] || 'ARS',
+            tiposCambio,
+            errores
+        };
+    }
+
     // --- Método de Instancia: Guardar (Crear) un Nuevo Pedido ---
-    // Guarda el objeto actual como un documento en la colección 'pedidos' de Firestore.
+    // Crea el pedido como una única unidad atómica: en la misma transacción se
+    // verifica el stock disponible de cada producto, se reservan las unidades
+    // (el pedido pendiente no las consume: la venta se registra al confirmarlo),
+    // se incrementan los contadores y se escribe el pedido.
+    // Si algún producto no alcanza, no se escribe nada y se lanza un error con
+    // code 'stock-insuficiente' y la lista 'productos' de conflictos
+    // ({ productoId, solicitado, disponible }).
+    // Si el pedido tiene cupón, se verifica y se canjea en la misma transacción; si ya no
+    // está disponible (ej: otro pedido usó el último canje) se lanza un error con code 'cupon-no-disponible'.
+    // Si sale de un presupuesto, el presupuesto se marca como convertido en la misma transacción; si
+    // ya no se puede convertir (ej: se convirtió en otro pedido) se lanza un error con code
+    // 'presupuesto-no-convertible'.
     async save() {
         try {
-            // 1. Generar ID Autoincrementable:
-            // Obtiene el siguiente ID secuencial para el campo 'id' numérico del documento.
-            const pedidoId = await AutoIncrement.generateId('pedidos');
-            
-            // 2. Obtener Referencia del Documento:
-            // Crea una referencia con un ID de Firestore único (firestoreId).
-            const pedidoRef = db.collection('pedidos').doc();
-            
-            // 3. Generar el Número de Pedido Único de Negocio:
-            // Llama a un método interno para generar el número de pedido con formato (e.g., PED-202510-0001).
-            const numeroPedido = await this.generarNumeroPedido();
-
-            // 4. Preparar los Datos a Guardar:
-            const pedidoData = {
-                id: pedidoId, // El ID numérico secuencial.
-                firestoreId: pedidoRef.id, // El ID de documento de Firestore.
-                numero: numeroPedido, // El número de pedido con formato especial.
-                // ... el resto de las propiedades del objeto Pedido
-                cliente: this.cliente,
-                email: this.email,
-                //... (resto de campos)
-                productos: this.productos,
-                total: this.total,
-                estado: this.estado,
-                vendedorId: this.vendedorId,
-                observaciones: this.observaciones,
-                fechaCreacion: this.fechaCreacion
-            };
-            
-            // 5. Escribir en Firestore:
-            await pedidoRef.set(pedidoData);
-            
-            // 6. Retroalimentación y Retorno:
-            console.log(`✅ Pedido creado: ${pedidoId} - ${pedidoData.numero}`);
-            return { id: pedidoId, ...pedidoData };
-            
+            // Sin depósito indicado, la mercadería sale del depósito principal.
+            if (!this.depositoId) {
+                this.depositoId = (await Deposito.obtenerPrincipal()).id;
+            }
+
+            // Cantidad total pedida por producto (un producto puede repetirse en varias líneas).
+            const solicitados = Pedido.cantidadesPorProducto(this.productos);
+
+            const pedidoData = await db.runTransaction(async (transaction) => {
+                // 1. Lecturas (Firestore exige leer todo antes de la primera escritura):
+                // contadores y stock activo de cada producto.
+                const contadorPedidos = await AutoIncrement.leerContador(transaction, 'pedidos');
+                const numerador = await Pedido.leerNumerador(transaction, this.fechaCreacion);
+                const stocks = await Pedido.leerStocks(transaction, solicitados, this.depositoId);
+                const lecturaCupon = this.cupon ? await Cupon.leerEnTransaccion(transaction, this.cupon.id, this.email) : null;
+                const contadorCanjes = this.cupon ? await AutoIncrement.leerContador(transaction, 'canjes_cupones') : null;
+                const presupuestoDoc = this.presupuestoId ? await Presupuesto.leerEnTransaccion(transaction, this.presupuestoId) : null;
+
+                // 2. Verificar el Stock Disponible con los datos leídos en la transacción:
+                Pedido.verificarDisponible(solicitados, stocks);
+                if (lecturaCupon) {
+                    const motivo = Cupon.verificarDisponible(lecturaCupon.doc && lecturaCupon.doc.data(), {
+                        email: this.email,
+                        usosCliente: lecturaCupon.usosCliente
+                    });
+                    if (motivo) {
+                        const error = new Error(motivo);
+                        error.code = 'cupon-no-disponible';
+                        throw error;
+                    }
+                }
+                if (presupuestoDoc) {
+                    const motivo = Presupuesto.verificarConvertible(presupuestoDoc.data(), this.fechaCreacion);
+                    if (motivo) {
+                        const error = new Error(motivo);
+                        error.code = 'presupuesto-no-convertible';
+                        throw error;
+                    }
+                }
+
+                // 3. Escrituras: pedido, reservas de stock y contadores.
+                const pedidoId = AutoIncrement.formatId('pedidos', contadorPedidos.siguiente());
+                const pedidoRef = db.collection('pedidos').doc();
+                const numeroPedido = numerador.formatear(numerador.siguiente());
+
+                const data = {
+                    id: pedidoId, // El ID numérico secuencial.
+                    firestoreId: pedidoRef.id, // El ID de documento de Firestore.
+                    numero: numeroPedido, // El número de pedido con formato especial.
+                    // ... el resto de las propiedades del objeto Pedido
+                    clienteId: this.clienteId,
+                    cliente: this.cliente,
+                    email: this.email,
+                    telefono: this.telefono,
+                    direccion: this.direccion,
+                    direccionId: this.direccionId,
+                    productos: this.productos,
+                    total: this.total,
+                    impuestos: this.impuestos,
+                    descuentos: this.descuentos,
+                    cupon: this.cupon,
+                    moneda: this.moneda,
+                    listaPrecioId: this.listaPrecioId,
+                    tiposCambio: this.tiposCambio,
+                    estado: this.estado,
+                    // Cobro: independiente del estado; se actualiza al registrar pagos (ver Pago.registrar).
+                    estadoPago: Pago.estadoPago(this.total, 0),
+                    totalPagado: 0,
+                    saldo: this.total,
+                    vendedorId: this.vendedorId,
+                    depositoId: this.depositoId,
+                    observaciones: this.observaciones,
+                    presupuestoId: this.presupuestoId,
+                    // Reserva de las unidades: 'activa' hasta que el pedido se confirma
+                    // ('consumida'), se cancela ('liberada') o pasa la fecha 'vence' ('vencida').
+                    reservaStock: {
+                        estado: 'activa',
+                        vence: new Date(this.fechaCreacion.getTime() + Pedido.HORAS_RESERVA * 60 * 60 * 1000)
+                    },
+                    // Línea de tiempo de estados: quién, cuándo y con qué comentario.
+                    historialEstados: [{
+                        estado: this.estado,
+                        estadoAnterior: null,
+                        usuarioId: this.vendedorId,
+                        comentario: 'Pedido creado',
+                        fecha: this.fechaCreacion
+                    }],
+                    fechaCreacion: this.fechaCreacion
+                };
+                transaction.set(pedidoRef, data);
+
+                for (const [productoId, solicitado] of solicitados) {
+                    Stock.reservarEnTransaccion(transaction, stocks.get(productoId), solicitado);
+                }
+
+                if (lecturaCupon) {
+                    const descuentoCupon = this.descuentos.find(d => d.cuponId === this.cupon.id);
+                    Cupon.canjearEnTransaccion(transaction, lecturaCupon.doc, {
+                        canjeId: AutoIncrement.formatId('canjes_cupones', contadorCanjes.siguiente()),
+                        pedido: data,
+                        descuento: descuentoCupon ? descuentoCupon.importe : 0
+                    });
+                    contadorCanjes.confirmar();
+                }
+
+                if (presupuestoDoc) {
+                    Presupuesto.convertirEnTransaccion(transaction, presupuestoDoc, {
+                        pedidoId,
+                        usuarioId: this.vendedorId,
+                        fecha: this.fechaCreacion
+                    });
+                }
+
+                contadorPedidos.confirmar();
+                numerador.confirmar();
+
+                return data;
+            });
+
+            // 4. Retroalimentación y Retorno:
+            console.log(`✅ Pedido creado: ${pedidoData.id} - ${pedidoData.numero}`);
+            return pedidoData;
+
         } catch (error) {
             console.error('❌ Error creando pedido:', error);
             throw error;
         }
     }
 
-    // --- Método de Instancia Privado/Auxiliar: Generar Número de Pedido ---
-    // Genera un número de pedido con un formato basado en la fecha y un consecutivo mensual.
-    async generarNumeroPedido() {
-        const today = new Date();
-        const year = today.getFullYear();
+    // --- Método Estático Auxiliar: Cantidad Pedida por Producto ---
+    // Agrupa las líneas por producto: Map productoId -> cantidad total.
+    static cantidadesPorProducto(productos) {
+        const cantidades = new Map();
+        for (const item of productos || []) {
+            cantidades.set(item.productoId, (cantidades.get(item.productoId) || 0) + item.cantidad);
+        }
+        return cantidades;
+    }
+
+    // --- Método Estático Auxiliar: Leer el Stock de Varios Productos ---
+    // Lee dentro de la transacción el stock activo en 'depositoId' de cada producto de 'cantidades'.
+    // Devuelve un Map productoId -> documento de stock (o null si no tiene).
+    static async leerStocks(transaction, cantidades, depositoId) {
+        const stocks = new Map();
+        for (const productoId of cantidades.keys()) {
+            stocks.set(productoId, await Stock.leerEnTransaccion(transaction, productoId, depositoId));
+        }
+        return stocks;
+    }
+
+    // --- Método Estático Auxiliar: Verificar Unidades Disponibles ---
+    // Lanza un error con code 'stock-insuficiente' y la lista 'productos' de
+    // conflictos si alguna cantidad supera lo disponible (cantidad - reservado).
+    static verificarDisponible(cantidades, stocks) {
+        const conflictos = [];
+        for (const [productoId, solicitado] of cantidades) {
+            const stockDoc = stocks.get(productoId);
+            const disponible = stockDoc ? Stock.conDisponible(stockDoc.data()).disponible : 0;
+            if (disponible < solicitado) {
+                conflictos.push({ productoId, solicitado, disponible });
+            }
+        }
+
+        if (conflictos.length > 0) {
+            const error = new Error(`Stock insuficiente para: ${conflictos.map(c => c.productoId).join(', ')}`);
+            error.code = 'stock-insuficiente';
+            error.productos = conflictos;
+            throw error;
+        }
+    }
+
+    // --- Método Estático Auxiliar: Numerador Mensual de Pedidos ---
+    // Lee (dentro de la transacción) el contador mensual que genera el número de
+    // pedido con formato 'PED-AAAAMM-NNNN' (ej: PED-202510-0001).
+    // El contador se guarda en 'contadores/pedidos-AAAAMM'; si aún no existe
+    // (primer pedido del mes, o datos anteriores a este contador), se inicializa
+    // contando los pedidos ya creados en el mes.
+    static async leerNumerador(transaction, fecha) {
+        const year = fecha.getFullYear();
         // Obtiene el mes y le añade un '0' al principio si es necesario (ej: 01, 10).
-        const month = String(today.getMonth() + 1).padStart(2, '0');
-        
-        // Determina el inicio del mes actual para la consulta.
-        const firstDay = new Date(today.getFullYear(), today.getMonth(), 1);
-        
-        // 1. Contar Pedidos del Mes:
-        // Consulta todos los pedidos creados a partir del primer día del mes actual.
+        const month = String(fecha.getMonth() + 1).padStart(2, '0');
+        const nombreContador = `pedidos-${year}${month}`;
+
         // NOTA: Para que esto funcione, 'fechaCreacion' debe estar indexado en Firestore.
-        const snapshot = await db.collection('pedidos')
-            .where('fechaCreacion', '>=', firstDay)
-            .get();
-        
-        // El consecutivo será el número de documentos encontrados + 1.
-        const consecutivo = snapshot.size + 1;
-        
-        // 2. Formatear y Retornar:
-        // Crea el formato 'PED-AAAA-MM-NNNN' (ej: PED-202510-0001).
-        return `PED-${year}${month}-${String(consecutivo).padStart(4, '0')}`;
+        const contador = await AutoIncrement.leerContador(transaction, nombreContador, async () => {
+            const firstDay = new Date(year, fecha.getMonth(), 1);
+            const snapshot = await transaction.get(db.collection('pedidos')
+                .where('fechaCreacion', '>=', firstDay));
+            return snapshot.size + 1;
+        });
+
+        return {
+            ...contador,
+            formatear: (consecutivo) => `PED-${year}${month}-${String(consecutivo).padStart(4, '0')}`
+        };
     }
 
     // --- Método Estático: Buscar por ID Autoincrementable ---
@@ -161,35 +523,470 @@ class Pedido {
         }
     }
 
-    // --- Método Estático: Actualizar Estado del Pedido ---
-    // Actualiza únicamente el campo 'estado' de un pedido.
-    static async updateEstado(id, nuevoEstado) {
+    // --- Método Estático: Obtener Pedidos de un Cliente ---
+    // Historial de compras del cliente, del más reciente al más antiguo.
+    static async findByCliente(clienteId) {
         try {
-            // 1. Buscar el documento por el 'id' numérico para obtener el 'firestoreId'.
             const snapshot = await db.collection('pedidos')
-                .where('id', '==', id)
-                .limit(1)
+                .where('clienteId', '==', clienteId)
                 .get();
-            
-            if (snapshot.empty) {
-                throw new Error('Pedido no encontrado');
-            }
-            
-            const doc = snapshot.docs[0];
-            
-            // 2. Aplicar la actualización:
-            // Usa el 'firestoreId' (doc.id) para la operación 'update'.
-            await db.collection('pedidos').doc(doc.id).update({
-                estado: nuevoEstado,
-                fechaActualizacion: new Date() // Registra la fecha de modificación.
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .sort((a, b) => aFecha(b.fechaCreacion) - aFecha(a.fechaCreacion));
+        } catch (error) {
+            console.error('❌ Error obteniendo pedidos por cliente:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Unidades Vendidas por Producto ---
+    // Suma las unidades de cada producto en los pedidos creados desde 'desde' que
+    // ya se vendieron (ver Pedido.ESTADOS_VENDIDOS: los pendientes solo reservan stock y
+    // pueden vencer sin venderse). Si se indica 'depositoId', solo cuenta los
+    // pedidos de ese depósito ('depositoPrincipalId' identifica al principal, del
+    // que salen los pedidos anteriores a los depósitos).
+    // Devuelve un Map de productoId → unidades.
+    static async ventasPorProducto(desde, { depositoId = null, depositoPrincipalId = null } = {}) {
+        try {
+            const snapshot = await db.collection('pedidos')
+                .where('fechaCreacion', '>=', desde)
+                .get();
+
+            const ventas = new Map();
+            snapshot.docs
+                .map(doc => doc.data())
+                .filter(pedido => Pedido.ESTADOS_VENDIDOS.includes(pedido.estado))
+                .filter(pedido => !depositoId || (pedido.depositoId || depositoPrincipalId) === depositoId)
+                .forEach(pedido => {
+                    for (const [productoId, cantidad] of Pedido.cantidadesPorProducto(pedido.productos)) {
+                        ventas.set(productoId, (ventas.get(productoId) || 0) + cantidad);
+                    }
+                });
+            return ventas;
+        } catch (error) {
+            console.error('❌ Error calculando ventas por producto:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Modificar las Líneas de un Pedido Pendiente ---
+    // Reemplaza las líneas del pedido por las de 'cotizacion' (resultado de Pedido.cotizar con
+    // las líneas nuevas) y recalcula el total, los impuestos, los descuentos, el saldo y el estado
+    // de cobro, todo en una transacción. Solo se editan pedidos 'pendiente': al confirmarlos la
+    // venta queda registrada.
+    // El stock se ajusta por la diferencia de unidades de cada producto: con la reserva activa se
+    // reservan o liberan las unidades de diferencia; con la reserva vencida no hay nada reservado
+    // (al confirmar se verifica lo disponible); los pedidos anteriores a las reservas descontaron
+    // el stock al crearse, así que la diferencia se registra en el kardex ('venta' o 'devolucion').
+    // Las unidades que se agregan tienen que estar disponibles.
+    // Si el pedido tiene cupón, se actualiza el descuento registrado en su canje.
+    // El cambio queda en 'historialEstados' (sin cambio de estado) con el detalle en 'edicion'.
+    // 'opciones' contiene: usuarioId (quién hace el cambio) y comentario.
+    // Lanza errores con code 'not-found', 'estado-invalido' (incluye 'estadoActual'),
+    // 'stock-insuficiente' o 'total-menor-que-pagado' (el total nuevo no cubre lo ya cobrado;
+    // incluye 'totalPagado'). Devuelve el pedido actualizado.
+    static async updateProductos(id, cotizacion, { usuarioId = null, comentario = null } = {}) {
+        try {
+            // Depósito de los pedidos que no indican uno (se resuelve antes de la transacción).
+            const principal = await Deposito.obtenerPrincipal();
+
+            const pedido = await db.runTransaction(async (transaction) => {
+                // 1. Buscar el pedido y verificar que todavía se pueda editar.
+                const snapshot = await transaction.get(db.collection('pedidos')
+                    .where('id', '==', id)
+                    .limit(1));
+
+                if (snapshot.empty) {
+                    const error = new Error('Pedido no encontrado');
+                    error.code = 'not-found';
+                    throw error;
+                }
+
+                const doc = snapshot.docs[0];
+                const actual = doc.data();
+
+                if (actual.estado !== 'pendiente') {
+                    const error = new Error(`Solo se pueden editar pedidos pendientes (el pedido está '${actual.estado}')`);
+                    error.code = 'estado-invalido';
+                    error.estadoActual = actual.estado;
+                    throw error;
+                }
+
+                const totalPagado = actual.totalPagado || 0;
+                if (cotizacion.total < totalPagado) {
+                    const error = new Error(`El total del pedido no puede quedar por debajo de lo ya cobrado (${actual.moneda} ${totalPagado})`);
+                    error.code = 'total-menor-que-pagado';
+                    error.totalPagado = totalPagado;
+                    throw error;
+                }
+
+                // 2. Diferencia de unidades por producto (positiva: se agregan; negativa: se quitan).
+                const anteriores = Pedido.cantidadesPorProducto(actual.productos);
+                const nuevas = Pedido.cantidadesPorProducto(cotizacion.lineas);
+                const diferencias = new Map();
+                for (const productoId of new Set([...anteriores.keys(), ...nuevas.keys()])) {
+                    const diferencia = (nuevas.get(productoId) || 0) - (anteriores.get(productoId) || 0);
+                    if (diferencia !== 0) diferencias.set(productoId, diferencia);
+                }
+
+                // 3. Lecturas del stock afectado (solo si el pedido tiene unidades tomadas) y del canje.
+                const reserva = actual.reservaStock ? actual.reservaStock.estado : null;
+                const modo = reserva === 'activa' ? 'reserva' : (!reserva ? 'kardex' : null);
+                const stocks = modo && diferencias.size > 0
+                    ? await Pedido.leerStocks(transaction, diferencias, actual.depositoId || principal.id)
+                    : new Map();
+                const contador = modo === 'kardex' && diferencias.size > 0
+                    ? await AutoIncrement.leerContador(transaction, 'movimientos_stock')
+                    : null;
+                const canje = actual.cupon ? await Cupon.leerCanjeDePedido(transaction, actual.id) : null;
+
+                if (modo) {
+                    Pedido.verificarDisponible(new Map([...diferencias].filter(([, diferencia]) => diferencia > 0)), stocks);
+                }
+
+                // 4. Escrituras: stock, canje del cupón y pedido.
+                const fecha = new Date();
+                const ajusteStock = [];
+                for (const [productoId, diferencia] of diferencias) {
+                    const stockDoc = stocks.get(productoId);
+                    if (!modo || !stockDoc) continue;
+
+                    if (modo === 'reserva') {
+                        Stock.reservarEnTransaccion(transaction, stockDoc, diferencia);
+                        ajusteStock.push({ productoId, diferencia });
+                        continue;
+                    }
+
+                    const movimientoId = AutoIncrement.formatId('movimientos_stock', contador.siguiente());
+                    Stock.registrarEnTransaccion(transaction, stockDoc, stockDoc.data().cantidad - diferencia, {
+                        tipo: diferencia > 0 ? 'venta' : 'devolucion',
+                        usuarioId,
+                        motivo: `Modificación - pedido ${actual.numero}`,
+                        referenciaTipo: 'pedido',
+                        referenciaId: actual.id
+                    }, movimientoId);
+                    ajusteStock.push({ productoId, diferencia, movimientoId });
+                }
+                if (contador) contador.confirmar();
+
+                if (canje) {
+                    const descuentoCupon = cotizacion.descuentos.find(d => d.cuponId === actual.cupon.id);
+                    Cupon.actualizarDescuentoEnTransaccion(transaction, canje.canjeDoc, descuentoCupon ? descuentoCupon.importe : 0);
+                }
+
+                const cambios = {
+                    productos: cotizacion.lineas,
+                    total: cotizacion.total,
+                    impuestos: cotizacion.impuestos,
+                    descuentos: cotizacion.descuentos,
+                    tiposCambio: cotizacion.tiposCambio,
+                    estadoPago: Pago.estadoPago(cotizacion.total, totalPagado),
+                    totalPagado,
+                    saldo: Math.round((cotizacion.total - totalPagado) * 100) / 100,
+                    historialEstados: [
+                        ...(actual.historialEstados || []),
+                        {
+                            estado: actual.estado,
+                            estadoAnterior: actual.estado,
+                            usuarioId,
+                            comentario: comentario || 'Pedido modificado',
+                            edicion: {
+                                productos: [...diferencias].map(([productoId, diferencia]) => ({
+                                    productoId,
+                                    cantidadAnterior: anteriores.get(productoId) || 0,
+                                    cantidad: nuevas.get(productoId) || 0,
+                                    diferencia
+                                })),
+                                totalAnterior: actual.total,
+                                total: cotizacion.total,
+                                ajusteStock
+                            },
+                            fecha
+                        }
+                    ],
+                    fechaActualizacion: fecha
+                };
+                transaction.update(doc.ref, cambios);
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
+            });
+
+            console.log(`✅ Pedido modificado: ${id} - total ${pedido.total}`);
+            return pedido;
+        } catch (error) {
+            console.error('❌ Error modificando pedido:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Actualizar Estado del Pedido ---
+    // Cambia el estado respetando Pedido.TRANSICIONES y agrega la entrada
+    // correspondiente a 'historialEstados', todo en una transacción.
+    // En la misma transacción se aplica el efecto sobre el stock (ver operacionDeStock):
+    // confirmar convierte la reserva en venta; cancelar libera la reserva o, si la venta
+    // ya se había registrado, devuelve las unidades (una sola vez: el detalle queda en
+    // 'stockRestaurado' y repetir la cancelación no repone de nuevo). Cancelar anula además el
+    // canje del cupón del pedido, que recupera ese uso.
+    // Lo ya cobrado de un pedido cancelado no queda en él: con 'medioReintegro' se registra que se
+    // devolvió el dinero; si no, pasa al saldo a favor del cliente. El detalle queda en
+    // 'cancelacionPagos' ({ importe, credito, reintegro, medioReintegro, referenciaReintegro, fecha }).
+    // 'opciones' contiene: usuarioId (quién hace el cambio), comentario y, para reintegrar lo
+    // cobrado, medioReintegro y referenciaReintegro.
+    // Lanza errores con code 'not-found', 'transicion-invalida', 'stock-insuficiente'
+    // (al confirmar un pedido cuya reserva venció y ya no hay unidades disponibles),
+    // 'devoluciones-vigentes' (al cancelar un pedido con devoluciones; incluye 'devoluciones') o
+    // 'medio-requerido' (al cancelar un pedido cobrado sin cliente y sin medio de reintegro;
+    // incluye 'reintegro'). Devuelve el pedido actualizado.
+    static async updateEstado(id, nuevoEstado, { usuarioId = null, comentario = null, medioReintegro = null, referenciaReintegro = null } = {}) {
+        try {
+            // Depósito de los pedidos que no indican uno (se resuelve antes de la transacción).
+            const principal = await Deposito.obtenerPrincipal();
+
+            const pedido = await db.runTransaction(async (transaction) => {
+                // 1. Buscar el documento por el 'id' numérico para obtener el 'firestoreId'.
+                const snapshot = await transaction.get(db.collection('pedidos')
+                    .where('id', '==', id)
+                    .limit(1));
+
+                if (snapshot.empty) {
+                    const error = new Error('Pedido no encontrado');
+                    error.code = 'not-found';
+                    throw error;
+                }
+
+                const doc = snapshot.docs[0];
+                const actual = doc.data();
+
+                // Reintento de una cancelación ya aplicada: no se hace nada (el stock ya se devolvió o liberó).
+                if (actual.estado === 'cancelado' && nuevoEstado === 'cancelado') {
+                    return { firestoreId: doc.id, ...actual };
+                }
+
+                // 2. Validar la transición desde el estado actual.
+                const permitidos = Pedido.estadosSiguientes(actual.estado);
+                if (!permitidos.includes(nuevoEstado)) {
+                    const error = new Error(`No se puede pasar un pedido de '${actual.estado}' a '${nuevoEstado}'`);
+                    error.code = 'transicion-invalida';
+                    error.estadoActual = actual.estado;
+                    error.estadosPermitidos = permitidos;
+                    throw error;
+                }
+
+                // 3. Si el cambio afecta al stock, leerlo ahora (lecturas antes que escrituras).
+                const operacion = Pedido.operacionDeStock(actual, nuevoEstado);
+                const lectura = operacion ? await Pedido.leerStockDelPedido(transaction, actual, principal.id) : null;
+                const canje = nuevoEstado === 'cancelado' && actual.cupon
+                    ? await Cupon.leerCanjeDePedido(transaction, actual.id)
+                    : null;
+                if (nuevoEstado === 'cancelado') {
+                    const devoluciones = await Devolucion.leerVigentesDePedido(transaction, actual.id);
+                    if (devoluciones.length > 0) {
+                        const error = new Error(`El pedido tiene devoluciones vigentes (${devoluciones.map(d => d.id).join(', ')}) y no se puede cancelar`);
+                        error.code = 'devoluciones-vigentes';
+                        error.devoluciones = devoluciones.map(d => d.id);
+                        throw error;
+                    }
+                }
+                // Lo cobrado se reintegra (con el medio indicado) o queda como saldo a favor del cliente.
+                const cobrado = nuevoEstado === 'cancelado' ? (actual.totalPagado || 0) : 0;
+                const clienteDoc = cobrado > 0 && !medioReintegro && actual.clienteId
+                    ? await Cliente.leerEnTransaccion(transaction, actual.clienteId)
+                    : null;
+                if (cobrado > 0 && !medioReintegro && !clienteDoc) {
+                    const error = new Error(`El pedido tiene ${actual.moneda} ${cobrado} cobrados y no tiene cliente: indique el medio de reintegro`);
+                    error.code = 'medio-requerido';
+                    error.reintegro = cobrado;
+                    throw error;
+                }
+
+                // 4. Aplicar la actualización agregando la entrada al historial.
+                const fecha = new Date();
+                const cambios = {
+                    estado: nuevoEstado,
+                    historialEstados: [
+                        ...(actual.historialEstados || []),
+                        { estado: nuevoEstado, estadoAnterior: actual.estado, usuarioId, comentario, fecha }
+                    ],
+                    fechaActualizacion: fecha // Registra la fecha de modificación.
+                };
+                if (operacion) {
+                    // Queda registrado qué se hizo con el stock (marca además que no debe repetirse).
+                    Object.assign(cambios, Pedido.aplicarOperacionStock(transaction, operacion, lectura, actual, { usuarioId, comentario }));
+                }
+                if (canje) {
+                    Cupon.anularEnTransaccion(transaction, canje);
+                }
+                if (cobrado > 0) {
+                    if (clienteDoc) {
+                        Cliente.moverSaldoAFavorEnTransaccion(transaction, clienteDoc, actual.moneda || 'ARS', cobrado);
+                    }
+                    cambios.cancelacionPagos = {
+                        importe: cobrado,
+                        credito: clienteDoc ? cobrado : 0,
+                        reintegro: clienteDoc ? 0 : cobrado,
+                        medioReintegro: clienteDoc ? null : medioReintegro,
+                        referenciaReintegro: clienteDoc ? null : referenciaReintegro,
+                        fecha
+                    };
+                }
+                transaction.update(doc.ref, cambios);
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
             });
+
             console.log(`✅ Estado de pedido actualizado: ${id} -> ${nuevoEstado}`);
+            return pedido;
         } catch (error) {
             console.error('❌ Error actualizando estado de pedido:', error);
             throw error;
         }
     }
 
+    // --- Método Estático Auxiliar: Efecto de un Cambio de Estado sobre el Stock ---
+    // Devuelve la operación de stock que corresponde al pasar 'pedido' a 'nuevoEstado':
+    //   - 'consumir': al confirmar, la reserva se convierte en venta (descuenta unidades).
+    //   - 'liberar': al cancelar un pedido con la reserva activa, se liberan las unidades.
+    //   - 'devolver': al cancelar un pedido cuya venta ya descontó stock, se reponen.
+    //   - null: el cambio no afecta al stock.
+    // Los pedidos anteriores a las reservas (sin 'reservaStock') descontaron el stock al crearse.
+    static operacionDeStock(pedido, nuevoEstado) {
+        const reserva = pedido.reservaStock ? pedido.reservaStock.estado : null;
+
+        if (nuevoEstado === 'confirmado' && reserva && reserva !== 'consumida') {
+            return 'consumir';
+        }
+        if (nuevoEstado === 'cancelado') {
+            if (reserva === 'activa') return 'liberar';
+            if ((!reserva || reserva === 'consumida') && !pedido.stockRestaurado) return 'devolver';
+        }
+        return null;
+    }
+
+    // --- Método Estático Auxiliar: Leer el Stock de un Pedido ---
+    // Lee dentro de la transacción el contador de movimientos y el stock activo de
+    // cada producto del pedido en su depósito ('depositoPrincipalId' si el pedido no
+    // indica uno), para usarlos luego con 'aplicarOperacionStock'.
+    static async leerStockDelPedido(transaction, pedido, depositoPrincipalId) {
+        const cantidades = Pedido.cantidadesPorProducto(pedido.productos);
+        const contador = await AutoIncrement.leerContador(transaction, 'movimientos_stock');
+        const stocks = await Pedido.leerStocks(transaction, cantidades, pedido.depositoId || depositoPrincipalId);
+        return { cantidades, stocks, contador };
+    }
+
+    // --- Método Estático Auxiliar: Aplicar una Operación de Stock de un Pedido ---
+    // Escribe (fase de escrituras) la operación de 'operacionDeStock' con los datos
+    // leídos por 'leerStockDelPedido'. Las ventas y devoluciones generan movimientos
+    // 'venta' y 'devolucion' en el kardex; liberar una reserva no cambia la cantidad física.
+    // Devuelve los campos a actualizar en el pedido. Los productos sin registro de
+    // stock activo se informan con cantidad 0.
+    static aplicarOperacionStock(transaction, operacion, { cantidades, stocks, contador }, pedido, { usuarioId = null, comentario = null } = {}) {
+        const fecha = new Date();
+        const reservaActiva = Boolean(pedido.reservaStock && pedido.reservaStock.estado === 'activa');
+
+        // Sin reserva vigente (venció), la venta solo es posible si todavía hay unidades disponibles.
+        if (operacion === 'consumir' && !reservaActiva) {
+            Pedido.verificarDisponible(cantidades, stocks);
+        }
+
+        const detalle = [];
+        for (const [productoId, cantidad] of cantidades) {
+            const stockDoc = stocks.get(productoId);
+            if (!stockDoc) {
+                detalle.push({ productoId, cantidad: 0, movimientoId: null, error: 'Sin registro de stock activo' });
+                continue;
+            }
+
+            if (operacion === 'liberar') {
+                Stock.reservarEnTransaccion(transaction, stockDoc, -cantidad);
+                detalle.push({ productoId, cantidad });
+                continue;
+            }
+
+            const stock = stockDoc.data();
+            const movimientoId = AutoIncrement.formatId('movimientos_stock', contador.siguiente());
+            const referencia = { usuarioId, referenciaTipo: 'pedido', referenciaId: pedido.id };
+
+            if (operacion === 'consumir') {
+                Stock.registrarEnTransaccion(transaction, stockDoc, stock.cantidad - cantidad, {
+                    ...referencia,
+                    tipo: 'venta',
+                    motivo: `Venta - pedido ${pedido.numero}`
+                }, movimientoId, reservaActiva ? { reservado: Math.max((stock.reservado || 0) - cantidad, 0) } : {});
+            } else {
+                Stock.registrarEnTransaccion(transaction, stockDoc, stock.cantidad + cantidad, {
+                    ...referencia,
+                    tipo: 'devolucion',
+                    motivo: comentario || `Cancelación - pedido ${pedido.numero}`
+                }, movimientoId);
+            }
+            detalle.push({ productoId, cantidad, movimientoId });
+        }
+        contador.confirmar();
+
+        if (operacion === 'consumir') {
+            return { reservaStock: { ...pedido.reservaStock, estado: 'consumida', fechaCierre: fecha } };
+        }
+        if (operacion === 'liberar') {
+            return { reservaStock: { ...pedido.reservaStock, estado: 'liberada', fechaCierre: fecha }, stockLiberado: detalle };
+        }
+        return { stockRestaurado: detalle };
+    }
+
+    // --- Método Estático: Liberar Reservas Vencidas ---
+    // Libera las unidades reservadas por pedidos pendientes cuya reserva pasó su
+    // fecha 'vence'. El pedido sigue pendiente; si luego se confirma, la venta se
+    // hace con el stock que esté disponible en ese momento.
+    // Se ejecuta periódicamente desde server.js. Devuelve la cantidad de reservas liberadas.
+    static async liberarReservasVencidas(ahora = new Date()) {
+        try {
+            const principal = await Deposito.obtenerPrincipal();
+            const snapshot = await db.collection('pedidos')
+                .where('estado', '==', 'pendiente')
+                .get();
+
+            // Filtro en la aplicación para no requerir un índice compuesto en Firestore.
+            const vencidos = snapshot.docs.filter(doc => {
+                const reserva = doc.data().reservaStock;
+                return reserva && reserva.estado === 'activa' && aFecha(reserva.vence) <= ahora;
+            });
+
+            let liberadas = 0;
+            for (const doc of vencidos) {
+                const liberada = await db.runTransaction(async (transaction) => {
+                    const pedido = (await transaction.get(doc.ref)).data();
+
+                    // Otra operación pudo confirmar o cancelar el pedido mientras tanto.
+                    if (pedido.estado !== 'pendiente' || !pedido.reservaStock || pedido.reservaStock.estado !== 'activa') {
+                        return false;
+                    }
+
+                    const lectura = await Pedido.leerStockDelPedido(transaction, pedido, principal.id);
+                    const { stockLiberado } = Pedido.aplicarOperacionStock(transaction, 'liberar', lectura, pedido);
+                    transaction.update(doc.ref, {
+                        reservaStock: { ...pedido.reservaStock, estado: 'vencida', fechaCierre: ahora },
+                        stockLiberado,
+                        fechaActualizacion: ahora
+                    });
+                    return true;
+                });
+                if (liberada) liberadas++;
+            }
+
+            if (liberadas > 0) {
+                console.log(`⏰ Reservas de stock vencidas liberadas: ${liberadas}`);
+            }
+            return liberadas;
+        } catch (error) {
+            console.error('❌ Error liberando reservas vencidas:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Estados a los que Puede Pasar un Pedido ---
+    static estadosSiguientes(estado) {
+        return Pedido.TRANSICIONES[estado] || [];
+    }
+
     // --- Método Estático: Obtener Pedidos por Estado ---
     // Filtra y ordena los pedidos por su 'estado' actual.
     static async findByEstado(estado) {
@@ -1,7 +1,13 @@
-// Importa la instancia de la base de datos de Firebase, esencial para cualquier operación de DB.
-const { db } = require('../config/firebase'); 
+// Importa la instancia de la base de datos (Firestore, memoria, etc. según DB_BACKEND), esencial para cualquier operación de DB.
+const { db } = require('../database'); 
 // Importa la utilidad personalizada para generar IDs numéricos secuenciales.
 const AutoIncrement = require('../utils/autoIncrement');
+// Utilidad para leer fechas guardadas (Date, Timestamp de Firestore o string ISO).
+const { aFecha } = require('../utils/fechas');
+
+// Cantidad de precios por transacción en las actualizaciones masivas (cada precio puede
+// sumar la escritura que cierra el base anterior; Firestore admite hasta 500 por transacción).
+const TAMANIO_LOTE = 200;
 
 // --- Definición de la Clase Modelo 'Precio' ---
 class Precio {
@@ -15,78 +21,194 @@ class Precio {
     this.precioOferta = data.precioOferta || null; 
     // Moneda utilizada, por defecto 'ARS' (Peso Argentino).
     this.moneda = data.moneda || 'ARS'; 
-    // Booleano para indicar si este es el precio actual (vigente). Si no se define, es true.
+    // Si el importe incluye el IVA (precio final) o es neto; por defecto lo incluye.
+    this.incluyeIva = data.incluyeIva !== undefined ? data.incluyeIva : true;
+    // Lista de precios a la que pertenece (ej: mayorista); null para la lista minorista.
+    this.listaPrecioId = data.listaPrecioId || null;
+    // Si el precio se calculó a partir del costo: costo usado y margen buscado (en %).
+    this.costoId = data.costoId || null;
+    this.margenObjetivo = data.margenObjetivo !== undefined ? data.margenObjetivo : null;
+    // Ventana de vigencia: desde cuándo rige el precio (por defecto, ahora) y hasta cuándo.
+    // Sin 'vigenciaHasta' es el precio base del producto; con 'vigenciaHasta' es un precio
+    // temporal (ej: la oferta de Black Friday) que se superpone al base durante su ventana.
+    this.vigenciaDesde = data.vigenciaDesde || new Date();
+    this.vigenciaHasta = data.vigenciaHasta || null;
+    // Los precios temporales se distinguen de los base ya cerrados, que también tienen 'vigenciaHasta'.
+    this.temporal = Boolean(this.vigenciaHasta);
+    // En false cuando el registro fue reemplazado por otro antes de empezar a regir. Si no se define, es true.
     this.activo = data.activo !== undefined ? data.activo : true; 
     // Registra el momento exacto en que se crea este registro de precio.
     this.fechaCreacion = new Date(); 
   }
 
   // --- Método de Instancia: Guardar (Crear) un Nuevo Registro de Precio ---
-  // Este método maneja la lógica clave del historial: desactiva el precio antiguo antes de guardar el nuevo.
-  async save() {
-    try {
-      // Comentario: Desactiva el registro de precio anterior para mantener el historial.
-      await db.collection('precios') // Accede a la colección 'precios'.
-        .where('productoId', '==', this.productoId) // Filtra para encontrar solo los precios de este producto.
-        .where('activo', '==', true) // Filtra para encontrar el único precio activo (el actual).
-        .get() // Ejecuta la consulta para obtener el documento.
-        .then(snapshot => { // Maneja los resultados de la consulta.
-          const batch = db.batch(); // Inicia un batch para ejecutar múltiples escrituras atómicamente.
-          snapshot.docs.forEach(doc => { // Itera sobre los documentos encontrados (debería ser solo 1).
-            batch.update(doc.ref, { activo: false }); // Prepara la actualización para marcarlo como inactivo.
-          });
-          return batch.commit(); // Ejecuta las operaciones del batch.
-        });
-
-      // Genera el ID numérico autoincrementable para el campo 'id'.
-      const priceId = await AutoIncrement.generateId('precios'); 
-      // Obtiene una referencia a un nuevo documento en Firestore, generando un 'firestoreId'.
-      const precioRef = db.collection('precios').doc(); 
-      
-      // Objeto que contiene todos los datos a guardar en Firestore.
-      const precioData = {
-        id: priceId, // ID numérico de la aplicación.
-        firestoreId: precioRef.id, // ID único de Firestore.
-        productoId: this.productoId,
-        precio: this.precio,
-        precioOferta: this.precioOferta,
-        moneda: this.moneda,
-        activo: this.activo, // Este nuevo registro se guarda como activo: true.
-        fechaCreacion: this.fechaCreacion
-      };
-      
-      await precioRef.set(precioData); // Guarda el nuevo documento en Firestore.
-      // Mensaje de éxito en la consola.
-      console.log(`✅ Precio creado: ${priceId} para producto: ${this.productoId}`); 
-      // Devuelve los datos completos del nuevo registro.
-      return { id: priceId, ...precioData }; 
-    } catch (error) {
-      console.error('❌ Error creando precio:', error); // Manejo de error.
-      throw error; // Lanza el error para ser manejado por el llamador.
-    }
-  }
+  // Mantiene el historial: un precio base nuevo cierra la vigencia del base anterior en lugar de borrarlo,
+  // así se puede consultar qué precio regía en cualquier momento. Los precios temporales no reemplazan a nadie.
+  async save() {
+    try {
+      if (!this.temporal) {
+        const snapshot = await db.collection('precios')
+          .where('productoId', '==', this.productoId)
+          .where('activo', '==', true)
+          .get();
 
-  // --- Método Estático: Buscar Precio Actual de un Producto ---
-  static async findByProductoId(productoId) {
-    try {
-      const snapshot = await db.collection('precios') // Accede a la colección.
-        .where('productoId', '==', productoId) // Filtra por el producto.
-        .where('activo', '==', true) // Filtra SOLAMENTE por el registro activo (el vigente).
-        .limit(1) // Optimiza la consulta limitando a un solo resultado.
-        .get();
-      
-      if (snapshot.empty) { // Si no hay documentos activos, devuelve null.
-        return null;
-      }
-      
-      const doc = snapshot.docs[0]; // Obtiene el único documento encontrado.
-      // Retorna los datos incluyendo el ID de Firestore.
-      return { firestoreId: doc.id, ...doc.data() }; 
-    } catch (error) {
-      console.error('❌ Error buscando precio:', error);
-      throw error;
-    }
-  }
+        const batch = db.batch();
+        Precio.cierresDeBase(snapshot.docs, this)
+          .forEach(({ ref, cambios }) => batch.update(ref, cambios));
+        await batch.commit();
+      }
+
+      // Genera el ID numérico autoincrementable para el campo 'id'.
+      const priceId = await AutoIncrement.generateId('precios');
+      // Obtiene una referencia a un nuevo documento, generando un 'firestoreId'.
+      const precioRef = db.collection('precios').doc();
+      const precioData = this.aDocumento(priceId, precioRef.id);
+
+      await precioRef.set(precioData); // Guarda el nuevo documento.
+      // Mensaje de éxito en la consola.
+      console.log(`✅ Precio creado: ${priceId} para producto: ${this.productoId}`);
+      // Devuelve los datos completos del nuevo registro.
+      return { id: priceId, ...precioData };
+    } catch (error) {
+      console.error('❌ Error creando precio:', error); // Manejo de error.
+      throw error; // Lanza el error para ser manejado por el llamador.
+    }
+  }
+
+  // --- Método de Instancia: Datos a Guardar del Registro de Precio ---
+  aDocumento(id, firestoreId) {
+    return {
+      id, // ID numérico de la aplicación.
+      firestoreId, // ID único del documento.
+      productoId: this.productoId,
+      precio: this.precio,
+      precioOferta: this.precioOferta,
+      moneda: this.moneda,
+      incluyeIva: this.incluyeIva,
+      listaPrecioId: this.listaPrecioId,
+      costoId: this.costoId,
+      margenObjetivo: this.margenObjetivo,
+      vigenciaDesde: this.vigenciaDesde,
+      vigenciaHasta: this.vigenciaHasta,
+      temporal: this.temporal,
+      activo: this.activo, // Este nuevo registro se guarda como activo: true.
+      fechaCreacion: this.fechaCreacion
+    };
+  }
+
+  // --- Método Estático: Cambios sobre los Precios Base al Cargar un Base Nuevo ---
+  // Recibe los documentos activos del producto y el precio nuevo, y devuelve las actualizaciones a aplicar
+  // ({ ref, cambios }) sobre los base de la misma lista: el vigente se cierra cuando empieza el nuevo
+  // y los cambios programados posteriores quedan reemplazados.
+  static cierresDeBase(docs, { vigenciaDesde, listaPrecioId }) {
+    return docs
+      .filter(doc => !doc.data().temporal && !doc.data().vigenciaHasta) // Temporales y bases ya cerrados no cambian.
+      .filter(doc => (doc.data().listaPrecioId || null) === listaPrecioId)
+      .map(doc => ({
+        ref: doc.ref,
+        cambios: Precio.inicioVigencia(doc.data()) < vigenciaDesde
+          ? { vigenciaHasta: vigenciaDesde } // El base anterior rige hasta que empieza el nuevo.
+          : { activo: false } // Cambio programado que todavía no empezó: el nuevo lo reemplaza.
+      }));
+  }
+
+  // --- Método Estático: Guardar Muchos Precios en Lotes ---
+  // Usado por la actualización masiva. Cada lote es una transacción: se leen el contador y los precios
+  // activos de sus productos, y se escriben los precios nuevos junto con el cierre de los base anteriores.
+  // Si un lote falla, los anteriores ya quedaron guardados: el error indica cuántos se escribieron ('guardados').
+  static async guardarLote(precios) {
+    const guardados = [];
+    try {
+      for (let inicio = 0; inicio < precios.length; inicio += TAMANIO_LOTE) {
+        const lote = precios.slice(inicio, inicio + TAMANIO_LOTE);
+
+        const creados = await db.runTransaction(async (transaction) => {
+          // Fase de lecturas: contador y precios activos de cada producto.
+          const contador = await AutoIncrement.leerContador(transaction, 'precios');
+          const activos = [];
+          for (const precio of lote) {
+            activos.push(precio.temporal ? null : await transaction.get(db.collection('precios')
+              .where('productoId', '==', precio.productoId)
+              .where('activo', '==', true)));
+          }
+
+          // Fase de escrituras.
+          const nuevos = lote.map((precio, i) => {
+            if (activos[i]) {
+              Precio.cierresDeBase(activos[i].docs, precio)
+                .forEach(({ ref, cambios }) => transaction.update(ref, cambios));
+            }
+
+            const precioRef = db.collection('precios').doc();
+            const precioData = precio.aDocumento(AutoIncrement.formatId('precios', contador.siguiente()), precioRef.id);
+            transaction.set(precioRef, precioData);
+            return precioData;
+          });
+          contador.confirmar();
+          return nuevos;
+        });
+
+        guardados.push(...creados);
+        console.log(`✅ Lote de precios guardado: ${guardados.length}/${precios.length}`);
+      }
+      return guardados;
+    } catch (error) {
+      console.error(`❌ Error guardando lote de precios (guardados: ${guardados.length}):`, error);
+      error.guardados = guardados.length;
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Buscar el Precio Vigente de un Producto en un Instante ---
+  // Por defecto resuelve el precio de ahora; con 'fecha' permite consultar precios pasados o futuros.
+  // Si más de un precio rige en ese instante (ej: el base y una oferta temporal), gana el que empezó
+  // más tarde; a igual inicio, el cargado más recientemente. Con 'soloBase' se ignoran los precios temporales.
+  // Busca en la lista 'listaPrecioId' (por defecto, la minorista), sin reemplazo: ver findParaLista.
+  static async findByProductoId(productoId, fecha = new Date(), { soloBase = false, listaPrecioId = null } = {}) {
+    try {
+      const snapshot = await db.collection('precios')
+        .where('productoId', '==', productoId)
+        .get();
+
+      const vigentes = snapshot.docs
+        .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+        .filter(precio => (precio.listaPrecioId || null) === listaPrecioId)
+        .filter(precio => Precio.estaVigente(precio, fecha) && !(soloBase && precio.temporal))
+        .sort((a, b) => (Precio.inicioVigencia(b) - Precio.inicioVigencia(a))
+          || (aFecha(b.fechaCreacion) - aFecha(a.fechaCreacion)));
+
+      return vigentes.length > 0 ? vigentes[0] : null;
+    } catch (error) {
+      console.error('❌ Error buscando precio:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Buscar el Precio de un Producto para una Lista ---
+  // Usa el precio vigente de la lista indicada y, si la lista no tiene precio para el producto,
+  // el de la lista minorista. Sin lista, es el precio minorista.
+  static async findParaLista(productoId, listaPrecioId, fecha = new Date()) {
+    if (listaPrecioId) {
+      const precioLista = await this.findByProductoId(productoId, fecha, { listaPrecioId });
+      if (precioLista) return precioLista;
+    }
+    return this.findByProductoId(productoId, fecha);
+  }
+
+  // --- Método Estático: Inicio de Vigencia de un Precio ---
+  // Los precios cargados antes de las vigencias rigen desde su fecha de creación.
+  static inicioVigencia(precio) {
+    return aFecha(precio.vigenciaDesde || precio.fechaCreacion);
+  }
+
+  // --- Método Estático: ¿Rige el Precio en el Instante Indicado? ---
+  static estaVigente(precio, fecha) {
+    // Los reemplazados antes de empezar no rigen nunca. Los registros anteriores a las vigencias
+    // quedaban inactivos al cargar el siguiente: se resuelven por inicio (el siguiente empieza más tarde).
+    if (!precio.activo && precio.vigenciaDesde) return false;
+    if (Precio.inicioVigencia(precio) > fecha) return false;
+    return !precio.vigenciaHasta || fecha < aFecha(precio.vigenciaHasta);
+  }
 
   // --- Método Estático: Obtener Historial de Precios ---
   static async findHistorialByProductoId(productoId) {
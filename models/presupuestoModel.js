@@ -0,0 +1,340 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+// Importa la utilidad para leer fechas guardadas (Date o Timestamp de Firestore).
+const { aFecha } = require('../utils/fechas');
+
+// --- Definición de la Clase Modelo 'Presupuesto' ---
+// Un presupuesto es una cotización para un cliente (ej: regalos empresariales) con las líneas
+// cotizadas igual que un pedido (ver Pedido.cotizar) y una fecha de vencimiento. No reserva ni
+// descuenta stock. Si el cliente lo acepta, se convierte en un pedido por el circuito normal
+// (vuelve a verificar stock y precios); el pedido queda vinculado con 'presupuestoId'.
+class Presupuesto {
+    // Estados posibles de un presupuesto.
+    static ESTADOS = ['borrador', 'enviado', 'aceptado', 'vencido'];
+
+    // Cambios de estado manuales permitidos desde cada estado. 'vencido' lo asigna el
+    // vencimiento (ver marcarVencidos); convertir un presupuesto enviado lo acepta.
+    static TRANSICIONES = {
+        borrador: ['enviado'],
+        enviado: ['aceptado'],
+        aceptado: [],
+        vencido: []
+    };
+
+    // Estados que vencen al pasar la fecha 'vence' (un presupuesto aceptado ya no vence).
+    static ESTADOS_QUE_VENCEN = ['borrador', 'enviado'];
+
+    // Estados desde los que un presupuesto se puede convertir en pedido.
+    static ESTADOS_CONVERTIBLES = ['enviado', 'aceptado'];
+
+    // Días de validez de un presupuesto que no indica vencimiento.
+    static DIAS_VALIDEZ = Number(process.env.PRESUPUESTO_DIAS_VALIDEZ) || 15;
+
+    // El constructor inicializa un nuevo presupuesto.
+    constructor(data) {
+        // Cliente registrado (opcional) o nombre y email de quien pide el presupuesto.
+        this.clienteId = data.clienteId || null;
+        this.cliente = data.cliente;
+        this.email = data.email || null;
+        // Líneas cotizadas con Pedido.cotizar() (mismos campos que las de un pedido).
+        this.productos = data.productos;
+        this.total = data.total;
+        this.impuestos = data.impuestos || null;
+        this.descuentos = data.descuentos || [];
+        this.moneda = data.moneda || 'ARS';
+        this.listaPrecioId = data.listaPrecioId || null;
+        this.tiposCambio = data.tiposCambio || [];
+        this.observaciones = data.observaciones || '';
+        // Usuario (vendedor) que armó el presupuesto.
+        this.usuarioId = data.usuarioId || null;
+        // Todo presupuesto nace como borrador (se puede editar hasta enviarlo).
+        this.estado = 'borrador';
+        this.fechaCreacion = new Date();
+        // Vence al final del día (por defecto, a los DIAS_VALIDEZ días).
+        this.vence = data.vence || Presupuesto.vencimientoPorDefecto(this.fechaCreacion);
+    }
+
+    // --- Método Estático: Vencimiento por Defecto ---
+    static vencimientoPorDefecto(desde = new Date()) {
+        const vence = new Date(desde);
+        vence.setDate(vence.getDate() + Presupuesto.DIAS_VALIDEZ);
+        vence.setHours(23, 59, 59, 999);
+        return vence;
+    }
+
+    // --- Método Estático: Estado Vigente ---
+    // Un presupuesto cuya fecha 'vence' ya pasó se informa 'vencido' aunque la tarea
+    // periódica todavía no lo haya marcado.
+    static estadoVigente(presupuesto, ahora = new Date()) {
+        if (Presupuesto.ESTADOS_QUE_VENCEN.includes(presupuesto.estado) && aFecha(presupuesto.vence) < ahora) {
+            return 'vencido';
+        }
+        return presupuesto.estado;
+    }
+
+    // --- Método Estático: Verificar que se Pueda Convertir ---
+    // Devuelve el motivo por el que el presupuesto no se puede convertir en pedido, o null.
+    static verificarConvertible(presupuesto, ahora = new Date()) {
+        if (!presupuesto) {
+            return 'Presupuesto no encontrado.';
+        }
+        if (presupuesto.pedidoId) {
+            return `El presupuesto ya se convirtió en el pedido ${presupuesto.pedidoId}.`;
+        }
+        const estado = Presupuesto.estadoVigente(presupuesto, ahora);
+        if (!Presupuesto.ESTADOS_CONVERTIBLES.includes(estado)) {
+            return `El presupuesto está '${estado}' y no se puede convertir en pedido.`;
+        }
+        return null;
+    }
+
+    // --- Método de Instancia: Guardar (Crear) un Nuevo Presupuesto ---
+    async save() {
+        try {
+            const presupuestoId = await AutoIncrement.generateId('presupuestos');
+            const presupuestoRef = db.collection('presupuestos').doc();
+
+            const presupuestoData = {
+                id: presupuestoId, // ID numérico de la aplicación (ej: PRES-00001).
+                firestoreId: presupuestoRef.id, // ID único del documento.
+                clienteId: this.clienteId,
+                cliente: this.cliente,
+                email: this.email,
+                productos: this.productos,
+                total: this.total,
+                impuestos: this.impuestos,
+                descuentos: this.descuentos,
+                moneda: this.moneda,
+                listaPrecioId: this.listaPrecioId,
+                tiposCambio: this.tiposCambio,
+                observaciones: this.observaciones,
+                usuarioId: this.usuarioId,
+                estado: this.estado,
+                vence: this.vence,
+                // Pedido en el que se convirtió (ver convertirEnTransaccion).
+                pedidoId: null,
+                // Línea de tiempo de estados, igual que en los pedidos.
+                historialEstados: [{
+                    estado: this.estado,
+                    estadoAnterior: null,
+                    usuarioId: this.usuarioId,
+                    comentario: 'Presupuesto creado',
+                    fecha: this.fechaCreacion
+                }],
+                fechaCreacion: this.fechaCreacion
+            };
+
+            await presupuestoRef.set(presupuestoData);
+
+            console.log(`✅ Presupuesto creado: ${presupuestoId} para ${this.cliente}`);
+            return presupuestoData;
+        } catch (error) {
+            console.error('❌ Error creando presupuesto:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    // El 'estado' se informa con el vencimiento ya aplicado (ver estadoVigente).
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('presupuestos')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            const presupuesto = { firestoreId: doc.id, ...doc.data() };
+            return { ...presupuesto, estado: Presupuesto.estadoVigente(presupuesto) };
+        } catch (error) {
+            console.error('❌ Error buscando presupuesto:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Obtener Presupuestos ---
+    // Filtros opcionales por vendedor y por cliente. Del más nuevo al más antiguo, con el
+    // vencimiento ya aplicado al 'estado'.
+    static async findAll({ usuarioId = null, clienteId = null } = {}) {
+        try {
+            let query = db.collection('presupuestos');
+            if (usuarioId) query = query.where('usuarioId', '==', usuarioId);
+            if (clienteId) query = query.where('clienteId', '==', clienteId);
+            const snapshot = await query.get();
+
+            const ahora = new Date();
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .map(presupuesto => ({ ...presupuesto, estado: Presupuesto.estadoVigente(presupuesto, ahora) }))
+                .sort((a, b) => aFecha(b.fechaCreacion) - aFecha(a.fechaCreacion));
+        } catch (error) {
+            console.error('❌ Error obteniendo presupuestos:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático Auxiliar: Leer un Presupuesto Dentro de una Transacción ---
+    // Lanza un error con code 'not-found' si no existe.
+    static async leerEnTransaccion(transaction, id) {
+        const snapshot = await transaction.get(db.collection('presupuestos')
+            .where('id', '==', id)
+            .limit(1));
+
+        if (snapshot.empty) {
+            const error = new Error('Presupuesto no encontrado');
+            error.code = 'not-found';
+            throw error;
+        }
+        return snapshot.docs[0];
+    }
+
+    // --- Método Estático: Actualizar un Presupuesto en Borrador ---
+    // Solo los borradores se pueden editar ('data' puede incluir las líneas recotizadas,
+    // el vencimiento, el cliente y las observaciones). Lanza errores con code 'not-found'
+    // o 'estado-invalido'.
+    static async update(id, data) {
+        try {
+            await db.runTransaction(async (transaction) => {
+                const doc = await Presupuesto.leerEnTransaccion(transaction, id);
+                const estado = Presupuesto.estadoVigente(doc.data());
+                if (estado !== 'borrador') {
+                    const error = new Error(`Solo se pueden editar presupuestos en borrador (el presupuesto está '${estado}')`);
+                    error.code = 'estado-invalido';
+                    error.estadoActual = estado;
+                    throw error;
+                }
+
+                transaction.update(doc.ref, {
+                    ...data,
+                    fechaActualizacion: new Date()
+                });
+            });
+            console.log(`✅ Presupuesto actualizado: ${id}`);
+        } catch (error) {
+            console.error('❌ Error actualizando presupuesto:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Estados Alcanzables Manualmente ---
+    static estadosSiguientes(estado) {
+        return Presupuesto.TRANSICIONES[estado] || [];
+    }
+
+    // --- Método Estático: Cambiar el Estado de un Presupuesto ---
+    // Aplica un cambio manual (enviar o aceptar) respetando Presupuesto.TRANSICIONES y lo
+    // agrega a 'historialEstados'. Un presupuesto vencido ya no cambia de estado.
+    // Lanza errores con code 'not-found' o 'transicion-invalida'. Devuelve el presupuesto actualizado.
+    static async updateEstado(id, nuevoEstado, { usuarioId = null, comentario = null } = {}) {
+        try {
+            const presupuesto = await db.runTransaction(async (transaction) => {
+                const doc = await Presupuesto.leerEnTransaccion(transaction, id);
+                const actual = doc.data();
+                const estado = Presupuesto.estadoVigente(actual);
+
+                const permitidos = Presupuesto.estadosSiguientes(estado);
+                if (!permitidos.includes(nuevoEstado)) {
+                    const error = new Error(`No se puede pasar un presupuesto de '${estado}' a '${nuevoEstado}'`);
+                    error.code = 'transicion-invalida';
+                    error.estadoActual = estado;
+                    error.estadosPermitidos = permitidos;
+                    throw error;
+                }
+
+                const fecha = new Date();
+                const cambios = {
+                    estado: nuevoEstado,
+                    historialEstados: [
+                        ...(actual.historialEstados || []),
+                        { estado: nuevoEstado, estadoAnterior: actual.estado, usuarioId, comentario, fecha }
+                    ],
+                    fechaActualizacion: fecha
+                };
+                transaction.update(doc.ref, cambios);
+
+                return { firestoreId: doc.id, ...actual, ...cambios };
+            });
+
+            console.log(`✅ Estado de presupuesto actualizado: ${id} -> ${nuevoEstado}`);
+            return presupuesto;
+        } catch (error) {
+            console.error('❌ Error actualizando estado de presupuesto:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Marcar la Conversión Dentro de una Transacción ---
+    // Escribe (fase de escrituras) el pedido en el que se convirtió el presupuesto leído con
+    // 'leerEnTransaccion'; un presupuesto enviado queda además aceptado. Lo usa Pedido.save,
+    // que antes verifica con 'verificarConvertible' (así un presupuesto no genera dos pedidos).
+    static convertirEnTransaccion(transaction, doc, { pedidoId, usuarioId = null, fecha = new Date() }) {
+        const actual = doc.data();
+        const cambios = {
+            pedidoId,
+            fechaConversion: fecha,
+            fechaActualizacion: fecha
+        };
+        if (actual.estado !== 'aceptado') {
+            cambios.estado = 'aceptado';
+            cambios.historialEstados = [
+                ...(actual.historialEstados || []),
+                { estado: 'aceptado', estadoAnterior: actual.estado, usuarioId, comentario: `Convertido en el pedido ${pedidoId}`, fecha }
+            ];
+        }
+        transaction.update(doc.ref, cambios);
+    }
+
+    // --- Método Estático: Marcar Presupuestos Vencidos ---
+    // Pasa a 'vencido' los borradores y enviados cuya fecha 'vence' ya pasó.
+    // Se ejecuta periódicamente desde server.js. Devuelve la cantidad de presupuestos vencidos.
+    static async marcarVencidos(ahora = new Date()) {
+        try {
+            let vencidos = 0;
+            for (const estado of Presupuesto.ESTADOS_QUE_VENCEN) {
+                const snapshot = await db.collection('presupuestos')
+                    .where('estado', '==', estado)
+                    .get();
+
+                // Filtro en la aplicación para no requerir un índice compuesto en Firestore.
+                for (const doc of snapshot.docs.filter(d => aFecha(d.data().vence) < ahora)) {
+                    const vencido = await db.runTransaction(async (transaction) => {
+                        const presupuesto = (await transaction.get(doc.ref)).data();
+
+                        // Otra operación pudo enviarlo, aceptarlo o convertirlo mientras tanto.
+                        if (Presupuesto.estadoVigente(presupuesto, ahora) !== 'vencido' || presupuesto.estado === 'vencido') {
+                            return false;
+                        }
+                        transaction.update(doc.ref, {
+                            estado: 'vencido',
+                            historialEstados: [
+                                ...(presupuesto.historialEstados || []),
+                                { estado: 'vencido', estadoAnterior: presupuesto.estado, usuarioId: null, comentario: 'Vencimiento', fecha: ahora }
+                            ],
+                            fechaActualizacion: ahora
+                        });
+                        return true;
+                    });
+                    if (vencido) vencidos++;
+                }
+            }
+
+            if (vencidos > 0) {
+                console.log(`⏰ Presupuestos vencidos: ${vencidos}`);
+            }
+            return vencidos;
+        } catch (error) {
+            console.error('❌ Error marcando presupuestos vencidos:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Presupuesto;
@@ -1,5 +1,5 @@
-// Importa la instancia de la base de datos de Firebase configurada.
-const { db } = require('../config/firebase'); 
+// Importa la instancia de la base de datos configurada (backend elegido por DB_BACKEND).
+const { db } = require('../database'); 
 // Importa la utilidad para generar IDs numéricos secuenciales (Autoincremento).
 const AutoIncrement = require('../utils/autoIncrement'); 
 
@@ -13,6 +13,8 @@ class Producto {
     // Referencia al ID de la categoría a la que pertenece el producto.
     this.categoriaId = data.categoriaId; 
     this.material = data.material; 
+    // Alícuota de IVA propia (en %); null para usar la de su categoría.
+    this.alicuotaIva = data.alicuotaIva !== undefined ? data.alicuotaIva : null;
     this.color = data.color; 
     this.dimensiones = data.dimensiones; 
     this.imagen = data.imagen; 
@@ -39,6 +41,7 @@ class Producto {
         descripcion: this.descripcion,
         categoriaId: this.categoriaId,
         material: this.material,
+        alicuotaIva: this.alicuotaIva,
         color: this.color,
         dimensiones: this.dimensiones,
         imagen: this.imagen,
@@ -0,0 +1,182 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+// Importa la utilidad para leer fechas guardadas (Date o Timestamp de Firestore).
+const { aFecha } = require('../utils/fechas');
+
+// --- Definición de la Clase Modelo 'Promocion' ---
+// Regla de descuento que se aplica automáticamente al cotizar un pedido (ver utils/promociones.js).
+// - tipo: 'porcentaje' (porcentaje), 'monto' (monto fijo: por unidad en producto/categoría, por pedido
+//   en 'pedido'), 'nxm' (lleva 'lleva' y paga 'paga', ej: 2x1) o 'umbral' (porcentaje o monto sobre
+//   pedidos desde 'montoMinimo').
+// - alcance: 'producto' (productoId), 'categoria' (categoriaId) o 'pedido'.
+// - Vigencia: entre 'vigenciaDesde' y 'vigenciaHasta' y, si se indican, sólo los 'diasSemana' (0 = domingo).
+// - Acumulación: una promoción no acumulable sólo se aplica a líneas sin otros descuentos y después
+//   ninguna otra se suma sobre ellas; se evalúan por 'prioridad' (mayor primero).
+class Promocion {
+    // Tipos de regla y alcances admitidos.
+    static TIPOS = ['porcentaje', 'monto', 'nxm', 'umbral'];
+    static ALCANCES = ['producto', 'categoria', 'pedido'];
+
+    // El constructor inicializa una nueva instancia de Promocion.
+    constructor(data) {
+        this.nombre = data.nombre;
+        this.descripcion = data.descripcion || null;
+        this.tipo = data.tipo;
+        this.alcance = data.alcance;
+        this.productoId = data.productoId || null;
+        this.categoriaId = data.categoriaId || null;
+        // Parámetros de la regla (según el tipo).
+        this.porcentaje = data.porcentaje !== undefined ? data.porcentaje : null;
+        this.monto = data.monto !== undefined ? data.monto : null;
+        this.moneda = data.moneda || 'ARS'; // Moneda de 'monto' y 'montoMinimo'.
+        this.lleva = data.lleva !== undefined ? data.lleva : null;
+        this.paga = data.paga !== undefined ? data.paga : null;
+        this.montoMinimo = data.montoMinimo !== undefined ? data.montoMinimo : null;
+        // Vigencia.
+        this.vigenciaDesde = data.vigenciaDesde || new Date();
+        this.vigenciaHasta = data.vigenciaHasta || null;
+        this.diasSemana = data.diasSemana || null; // null: todos los días.
+        // Política de acumulación.
+        this.acumulable = data.acumulable !== undefined ? data.acumulable : false;
+        this.prioridad = data.prioridad !== undefined ? data.prioridad : 0;
+        // Eliminación lógica: 'activo' en false.
+        this.activo = data.activo !== undefined ? data.activo : true;
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Método de Instancia: Guardar (Crear) una Nueva Promoción ---
+    async save() {
+        try {
+            const promocionId = await AutoIncrement.generateId('promociones');
+            const promocionRef = db.collection('promociones').doc();
+
+            const promocionData = {
+                id: promocionId, // ID numérico de la aplicación (ej: PROMO-001).
+                firestoreId: promocionRef.id, // ID único del documento.
+                nombre: this.nombre,
+                descripcion: this.descripcion,
+                tipo: this.tipo,
+                alcance: this.alcance,
+                productoId: this.productoId,
+                categoriaId: this.categoriaId,
+                porcentaje: this.porcentaje,
+                monto: this.monto,
+                moneda: this.moneda,
+                lleva: this.lleva,
+                paga: this.paga,
+                montoMinimo: this.montoMinimo,
+                vigenciaDesde: this.vigenciaDesde,
+                vigenciaHasta: this.vigenciaHasta,
+                diasSemana: this.diasSemana,
+                acumulable: this.acumulable,
+                prioridad: this.prioridad,
+                activo: this.activo,
+                fechaCreacion: this.fechaCreacion
+            };
+
+            await promocionRef.set(promocionData);
+
+            console.log(`✅ Promoción creada: ${promocionId} - ${this.nombre}`);
+            return promocionData;
+        } catch (error) {
+            console.error('❌ Error creando promoción:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('promociones')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando promoción:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Obtener Todas las Promociones Activas ---
+    static async findAll() {
+        try {
+            const snapshot = await db.collection('promociones')
+                .where('activo', '==', true)
+                .get();
+
+            return snapshot.docs
+                .map(doc => ({ firestoreId: doc.id, ...doc.data() }))
+                .sort((a, b) => (b.prioridad - a.prioridad) || (aFecha(a.fechaCreacion) - aFecha(b.fechaCreacion)));
+        } catch (error) {
+            console.error('❌ Error obteniendo promociones:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Promociones que Rigen en una Fecha ---
+    // Ordenadas por prioridad (mayor primero) y, a igual prioridad, por antigüedad.
+    static async findVigentes(fecha = new Date()) {
+        const promociones = await this.findAll();
+        return promociones.filter(promocion => Promocion.estaVigente(promocion, fecha));
+    }
+
+    // --- Método Estático: ¿Rige la Promoción en la Fecha Indicada? ---
+    static estaVigente(promocion, fecha = new Date()) {
+        if (!promocion.activo) return false;
+        if (aFecha(promocion.vigenciaDesde) > fecha) return false;
+        if (promocion.vigenciaHasta && aFecha(promocion.vigenciaHasta) <= fecha) return false;
+        return !promocion.diasSemana || promocion.diasSemana.includes(fecha.getDay());
+    }
+
+    // --- Método Estático: Actualizar una Promoción ---
+    static async update(id, data) {
+        try {
+            const promocion = await this.findById(id);
+            if (!promocion) {
+                throw new Error('Promoción no encontrada');
+            }
+
+            await db.collection('promociones').doc(promocion.firestoreId).update({
+                ...data,
+                fechaActualizacion: new Date()
+            });
+            console.log(`✅ Promoción actualizada: ${id}`);
+        } catch (error) {
+            console.error('❌ Error actualizando promoción:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Eliminación Lógica (Soft Delete) ---
+    // Los pedidos ya creados conservan los descuentos aplicados.
+    static async delete(id) {
+        try {
+            const promocion = await this.findById(id);
+            if (!promocion) {
+                throw new Error('Promoción no encontrada');
+            }
+
+            await db.collection('promociones').doc(promocion.firestoreId).update({
+                activo: false,
+                fechaEliminacion: new Date()
+            });
+            console.log(`✅ Promoción marcada como inactiva: ${id}`);
+        } catch (error) {
+            console.error('❌ Error eliminando promoción:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Promocion;
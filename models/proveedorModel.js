@@ -0,0 +1,133 @@
+// Importa la instancia de la base de datos (backend elegido por DB_BACKEND).
+const { db } = require('../database');
+
+// Importa la utilidad para generar IDs numéricos secuenciales.
+const AutoIncrement = require('../utils/autoIncrement');
+
+// --- Definición de la Clase Modelo 'Proveedor' ---
+// Un proveedor es quien nos vende la mercadería; las órdenes de compra se emiten a un proveedor.
+class Proveedor {
+    // El constructor inicializa una nueva instancia de Proveedor.
+    constructor(data) {
+        this.nombre = data.nombre;
+        // CUIT u otro identificador fiscal (opcional).
+        this.cuit = data.cuit || null;
+        // Datos de contacto.
+        this.email = data.email || null;
+        this.telefono = data.telefono || null;
+        this.direccion = data.direccion || null;
+        this.contacto = data.contacto || null; // Persona de contacto.
+        this.observaciones = data.observaciones || '';
+        // Eliminación lógica: 'activo' en false.
+        this.activo = data.activo !== undefined ? data.activo : true;
+        this.fechaCreacion = new Date();
+    }
+
+    // --- Método de Instancia: Guardar (Crear) un Nuevo Proveedor ---
+    async save() {
+        try {
+            const proveedorId = await AutoIncrement.generateId('proveedores');
+            const proveedorRef = db.collection('proveedores').doc();
+
+            const proveedorData = {
+                id: proveedorId, // ID numérico de la aplicación (ej: PROV-001).
+                firestoreId: proveedorRef.id, // ID único del documento.
+                nombre: this.nombre,
+                cuit: this.cuit,
+                email: this.email,
+                telefono: this.telefono,
+                direccion: this.direccion,
+                contacto: this.contacto,
+                observaciones: this.observaciones,
+                activo: this.activo,
+                fechaCreacion: this.fechaCreacion
+            };
+
+            await proveedorRef.set(proveedorData);
+
+            console.log(`✅ Proveedor creado: ${proveedorId} - ${this.nombre}`);
+            return proveedorData;
+        } catch (error) {
+            console.error('❌ Error creando proveedor:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Buscar por ID Autoincrementable ---
+    static async findById(id) {
+        try {
+            const snapshot = await db.collection('proveedores')
+                .where('id', '==', id)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                return null;
+            }
+
+            const doc = snapshot.docs[0];
+            return { firestoreId: doc.id, ...doc.data() };
+        } catch (error) {
+            console.error('❌ Error buscando proveedor:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Obtener Todos los Proveedores Activos ---
+    static async findAll() {
+        try {
+            const snapshot = await db.collection('proveedores')
+                .where('activo', '==', true)
+                .get();
+
+            return snapshot.docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data()
+            }));
+        } catch (error) {
+            console.error('❌ Error obteniendo proveedores:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Actualizar un Proveedor ---
+    static async update(id, data) {
+        try {
+            const proveedor = await this.findById(id);
+            if (!proveedor) {
+                throw new Error('Proveedor no encontrado');
+            }
+
+            await db.collection('proveedores').doc(proveedor.firestoreId).update({
+                ...data,
+                fechaActualizacion: new Date()
+            });
+            console.log(`✅ Proveedor actualizado: ${id}`);
+        } catch (error) {
+            console.error('❌ Error actualizando proveedor:', error);
+            throw error;
+        }
+    }
+
+    // --- Método Estático: Eliminación Lógica (Soft Delete) ---
+    static async delete(id) {
+        try {
+            const proveedor = await this.findById(id);
+            if (!proveedor) {
+                throw new Error('Proveedor no encontrado');
+            }
+
+            await db.collection('proveedores').doc(proveedor.firestoreId).update({
+                activo: false,
+                fechaEliminacion: new Date()
+            });
+            console.log(`✅ Proveedor marcado como inactivo: ${id}`);
+        } catch (error) {
+            console.error('❌ Error eliminando proveedor:', error);
+            throw error;
+        }
+    }
+}
+
+// Exporta la clase para su uso.
+module.exports = Proveedor;
@@ -1,101 +1,475 @@
-// Importa la instancia de la base de datos de Firebase configurada.
-const { db } = require('../config/firebase'); 
+// Importa la instancia de la base de datos configurada (backend elegido por DB_BACKEND).
+const { db } = require('../database'); 
 // Importa la utilidad para generar IDs numéricos secuenciales.
 const AutoIncrement = require('../utils/autoIncrement'); 
+// Importa el modelo del kardex para registrar cada cambio de cantidad.
+const MovimientoStock = require('./movimientoStockModel');
+// Importa el modelo de depósitos (cada registro de stock pertenece a un depósito).
+const Deposito = require('./depositoModel');
 
 // --- Definición de la Clase Modelo 'Stock' ---
+// Cada registro guarda las unidades de un producto en un depósito: un producto
+// tiene un registro activo por cada depósito donde hay (o hubo) mercadería.
 class Stock {
   // El constructor inicializa una nueva instancia de Stock.
   constructor(data) {
-    // ID del producto al que se refiere este registro de inventario.
-    this.productoId = data.productoId; 
-    // Cantidad actual del producto en inventario.
-    this.cantidad = data.cantidad; 
+    // ID del producto al que se refiere este registro de inventario.
+    this.productoId = data.productoId; 
+    // Depósito donde están las unidades (si no se indica, se usa el depósito principal al guardar).
+    this.depositoId = data.depositoId || null;
+    // Cantidad actual del producto en inventario (unidades físicas).
+    this.cantidad = data.cantidad; 
+    // Unidades apartadas por pedidos pendientes; disponible = cantidad - reservado.
+    this.reservado = 0;
     // Nivel de stock mínimo o de alerta, por defecto 5.
     this.minimo = data.minimo || 5; 
-    // Ubicación física del stock, por defecto 'Depósito Principal'.
-    this.ubicacion = data.ubicacion || 'Depósito Principal'; 
+    // Posición dentro del depósito (estante, sector...), opcional.
+    this.ubicacion = data.ubicacion || null;
     // Indica si este registro de stock está activo/vigente.
     this.activo = data.activo !== undefined ? data.activo : true; 
     // Marca de tiempo de la creación del registro.
     this.fechaCreacion = new Date(); 
   }
 
-  // --- Método de Instancia: Guardar (Crear) un Nuevo Registro de Stock ---
-  // Persiste la instancia actual como un nuevo documento en Firestore.
-  async save() {
-    try {
-      // Genera el próximo ID numérico secuencial para el campo 'id'.
-      const stockId = await AutoIncrement.generateId('stocks'); 
-      // Obtiene una referencia a un nuevo documento, generando un 'firestoreId'.
-      const stockRef = db.collection('stocks').doc(); 
-      
-      // Objeto con todos los datos a persistir.
-      const stockData = {
-        id: stockId, // ID numérico de la aplicación.
-        firestoreId: stockRef.id, // ID único de Firestore.
-        productoId: this.productoId,
-        cantidad: this.cantidad,
-        minimo: this.minimo,
-        ubicacion: this.ubicacion,
-        activo: this.activo,
-        fechaCreacion: this.fechaCreacion
-      };
-      
-      await stockRef.set(stockData); // Escribe el documento en la colección 'stocks'.
-      console.log(`✅ Stock creado: ${stockId} para producto: ${this.productoId}`); // Log de éxito.
-      // Devuelve los datos guardados.
-      return { id: stockId, ...stockData }; 
-    } catch (error) {
-      console.error('❌ Error creando stock:', error); // Manejo de error.
-      throw error; 
-    }
-  }
+  // --- Método de Instancia: Guardar (Crear) un Nuevo Registro de Stock ---
+  // Persiste la instancia actual como un nuevo documento en Firestore.
+  // Si la cantidad inicial es mayor a cero, registra un movimiento 'carga_inicial'
+  // en el kardex dentro de la misma escritura atómica.
+  // 'movimiento' permite indicar el usuario y el motivo de la carga.
+  async save(movimiento = {}) {
+    try {
+      if (!this.depositoId) {
+        this.depositoId = (await Deposito.obtenerPrincipal()).id;
+      }
 
-  // --- Método Estático: Buscar Stock Activo por ID de Producto ---
-  // Este es el método clave para obtener la información de stock actual.
-  static async findByProductoId(productoId) {
-    try {
-      const snapshot = await db.collection('stocks')
-        .where('productoId', '==', productoId) // Filtra por el producto.
-        .where('activo', '==', true) // Filtra para obtener solo el registro de stock vigente.
-        .limit(1) // Optimiza la consulta (asume que solo hay un stock activo por producto).
-        .get(); 
-      
-      if (snapshot.empty) { // Si no encuentra un registro activo, devuelve null.
-        return null;
-      }
-      
-      const doc = snapshot.docs[0]; // Obtiene el documento.
-      // Retorna los datos con el firestoreId.
-      return { firestoreId: doc.id, ...doc.data() }; 
-    } catch (error) {
-      console.error('❌ Error buscando stock:', error);
-      throw error;
-    }
-  }
+      // Genera el próximo ID numérico secuencial para el campo 'id'.
+      const stockId = await AutoIncrement.generateId('stocks'); 
+      // Obtiene una referencia a un nuevo documento, generando un 'firestoreId'.
+      const stockRef = db.collection('stocks').doc(); 
+      
+      // Objeto con todos los datos a persistir.
+      const stockData = {
+        id: stockId, // ID numérico de la aplicación.
+        firestoreId: stockRef.id, // ID único de Firestore.
+        productoId: this.productoId,
+        depositoId: this.depositoId,
+        cantidad: this.cantidad,
+        reservado: this.reservado,
+        minimo: this.minimo,
+        ubicacion: this.ubicacion,
+        activo: this.activo,
+        fechaCreacion: this.fechaCreacion
+      };
+      
+      // Escribe el stock y, si corresponde, su movimiento inicial en un único lote.
+      const batch = db.batch();
+      batch.set(stockRef, stockData);
 
-  // --- Método Estático: Actualizar Cantidad de Stock ---
-  // Realiza una operación de actualización directa sobre la cantidad del stock activo.
-  static async updateCantidad(productoId, nuevaCantidad) {
-    try {
-      // Llama al método anterior para obtener el registro de stock activo.
-      const stock = await this.findByProductoId(productoId); 
-      if (!stock) { // Si el registro activo no existe, lanza un error.
-        throw new Error('Stock no encontrado');
-      }
-
-      // Actualiza el documento usando su firestoreId.
-      await db.collection('stocks').doc(stock.firestoreId).update({ 
-        cantidad: nuevaCantidad, // Establece la nueva cantidad.
-        fechaActualizacion: new Date() // Registra la marca de tiempo de la modificación.
-      });
-      console.log(`✅ Stock actualizado para producto: ${productoId}`);
-    } catch (error) {
-      console.error('❌ Error actualizando stock:', error);
-      throw error;
-    }
-  }
+      if (this.cantidad > 0) {
+        const { ref, data } = await new MovimientoStock({
+          ...movimiento,
+          tipo: 'carga_inicial',
+          productoId: this.productoId,
+          stockId,
+          depositoId: this.depositoId,
+          cantidadAnterior: 0,
+          cantidadNueva: this.cantidad
+        }).preparar();
+        batch.set(ref, data);
+      }
+
+      await batch.commit();
+      console.log(`✅ Stock creado: ${stockId} para producto: ${this.productoId} en ${this.depositoId}`); // Log de éxito.
+      // Devuelve los datos guardados.
+      return Stock.conDisponible({ id: stockId, ...stockData }); 
+    } catch (error) {
+      console.error('❌ Error creando stock:', error); // Manejo de error.
+      throw error; 
+    }
+  }
+
+  // --- Método Estático: Stock Total de un Producto ---
+  // Este es el método clave para obtener la información de stock actual.
+  // Suma los registros activos de todos los depósitos y devuelve los totales
+  // (cantidad, reservado, disponible, minimo) junto con el detalle por depósito
+  // en 'depositos'. Devuelve null si el producto no tiene stock en ningún depósito.
+  static async findByProductoId(productoId) {
+    try {
+      const snapshot = await db.collection('stocks')
+        .where('productoId', '==', productoId) // Filtra por el producto.
+        .where('activo', '==', true) // Solo los registros de stock vigentes (uno por depósito).
+        .get();
+
+      if (snapshot.empty) { // Si no encuentra registros activos, devuelve null.
+        return null;
+      }
+
+      // Retorna los totales y el detalle con el firestoreId y las unidades disponibles.
+      const depositos = snapshot.docs.map(doc => Stock.conDisponible({ firestoreId: doc.id, ...doc.data() }));
+      return Stock.totalesPorProducto(depositos).get(productoId);
+    } catch (error) {
+      console.error('❌ Error buscando stock:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Obtener Todos los Registros de Stock Activos ---
+  static async findAll() {
+    try {
+      const snapshot = await db.collection('stocks')
+        .where('activo', '==', true)
+        .get();
+
+      return snapshot.docs.map(doc => Stock.conDisponible({ firestoreId: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('❌ Error obteniendo stocks:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Sumar Registros por Producto ---
+  // Agrupa registros de stock (con 'disponible', ver conDisponible) y devuelve un Map
+  // productoId → { productoId, cantidad, reservado, disponible, minimo, depositos }.
+  static totalesPorProducto(registros) {
+    const totales = new Map();
+    for (const stock of registros) {
+      const total = totales.get(stock.productoId) || {
+        productoId: stock.productoId, cantidad: 0, reservado: 0, disponible: 0, minimo: 0, depositos: []
+      };
+      total.cantidad += stock.cantidad || 0;
+      total.reservado += stock.reservado || 0;
+      total.disponible += stock.disponible || 0;
+      total.minimo += stock.minimo || 0;
+      total.depositos.push(stock);
+      totales.set(stock.productoId, total);
+    }
+    return totales;
+  }
+
+  // --- Método Estático: Stock de un Producto en un Depósito ---
+  static async findByProductoYDeposito(productoId, depositoId) {
+    try {
+      const snapshot = await db.collection('stocks')
+        .where('productoId', '==', productoId)
+        .where('depositoId', '==', depositoId)
+        .where('activo', '==', true)
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        return null;
+      }
+
+      const doc = snapshot.docs[0];
+      return Stock.conDisponible({ firestoreId: doc.id, ...doc.data() });
+    } catch (error) {
+      console.error('❌ Error buscando stock del depósito:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Stock de un Depósito ---
+  // Todos los registros de stock activos de un depósito.
+  static async findByDeposito(depositoId) {
+    try {
+      const snapshot = await db.collection('stocks')
+        .where('depositoId', '==', depositoId)
+        .where('activo', '==', true)
+        .get();
+
+      return snapshot.docs.map(doc => Stock.conDisponible({ firestoreId: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('❌ Error obteniendo stock del depósito:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Agregar Reservado y Disponible ---
+  // 'disponible' es lo que se puede vender: la cantidad física menos lo reservado
+  // por pedidos pendientes. (Los registros anteriores a las reservas no tienen 'reservado').
+  static conDisponible(stock) {
+    const reservado = stock.reservado || 0;
+    return { ...stock, reservado, disponible: stock.cantidad - reservado };
+  }
+
+  // --- Método Estático: Leer el Stock Activo Dentro de una Transacción ---
+  // Lee el registro de un producto en un depósito. Debe llamarse en la fase de
+  // lecturas. Devuelve el documento (snapshot) o null.
+  static async leerEnTransaccion(transaction, productoId, depositoId) {
+    const snapshot = await transaction.get(db.collection('stocks')
+      .where('productoId', '==', productoId)
+      .where('depositoId', '==', depositoId)
+      .where('activo', '==', true)
+      .limit(1));
+
+    return snapshot.empty ? null : snapshot.docs[0];
+  }
+
+  // --- Método Estático: Escribir un Cambio de Cantidad Dentro de una Transacción ---
+  // Actualiza la cantidad del stock leído con 'leerEnTransaccion' y registra su
+  // movimiento del kardex con el ID 'movimientoId' (fase de escrituras).
+  // 'extras' permite actualizar otros campos en la misma escritura (ej: 'reservado').
+  // Devuelve los datos del movimiento escrito.
+  static registrarEnTransaccion(transaction, stockDoc, cantidadNueva, movimiento, movimientoId, extras = {}) {
+    const stock = stockDoc.data();
+    const movimientoRef = db.collection('movimientos_stock').doc();
+    const movimientoData = new MovimientoStock({
+      ...movimiento,
+      productoId: stock.productoId,
+      stockId: stock.id,
+      depositoId: stock.depositoId,
+      cantidadAnterior: stock.cantidad,
+      cantidadNueva
+    }).aDocumento({ id: movimientoId, ref: movimientoRef });
+
+    transaction.update(stockDoc.ref, {
+      ...extras,
+      cantidad: cantidadNueva,
+      fechaActualizacion: new Date()
+    });
+    transaction.set(movimientoRef, movimientoData);
+
+    return movimientoData;
+  }
+
+  // --- Método Estático: Crear un Registro de Stock Dentro de una Transacción ---
+  // Crea el stock de un producto en un depósito donde todavía no tiene registro,
+  // con su movimiento de entrada en el kardex (fase de escrituras). 'stockId' y
+  // 'movimientoId' salen de contadores leídos con AutoIncrement.leerContador.
+  // Devuelve { stock, movimiento } con los datos escritos.
+  static crearEnTransaccion(transaction, { productoId, depositoId, cantidad, minimo }, movimiento, stockId, movimientoId) {
+    const stockRef = db.collection('stocks').doc();
+    const stockData = {
+      id: stockId,
+      firestoreId: stockRef.id,
+      productoId,
+      depositoId,
+      cantidad,
+      reservado: 0,
+      minimo: minimo !== undefined ? minimo : 5,
+      ubicacion: null,
+      activo: true,
+      fechaCreacion: new Date()
+    };
+    transaction.set(stockRef, stockData);
+
+    const movimientoRef = db.collection('movimientos_stock').doc();
+    const movimientoData = new MovimientoStock({
+      ...movimiento,
+      productoId,
+      stockId,
+      depositoId,
+      cantidadAnterior: 0,
+      cantidadNueva: cantidad
+    }).aDocumento({ id: movimientoId, ref: movimientoRef });
+    transaction.set(movimientoRef, movimientoData);
+
+    return { stock: stockData, movimiento: movimientoData };
+  }
+
+  // --- Método Estático: Cambiar lo Reservado Dentro de una Transacción ---
+  // Suma (diferencia positiva) o libera (negativa) unidades reservadas del stock
+  // leído con 'leerEnTransaccion'. No cambia la cantidad física, por lo que no
+  // genera movimiento en el kardex. Devuelve el nuevo valor de 'reservado'.
+  static reservarEnTransaccion(transaction, stockDoc, diferencia) {
+    const reservado = Math.max((stockDoc.data().reservado || 0) + diferencia, 0);
+    transaction.update(stockDoc.ref, {
+      reservado,
+      fechaActualizacion: new Date()
+    });
+    return reservado;
+  }
+
+  // --- Método Estático: Aplicar un Cambio de Cantidad con su Movimiento ---
+  // Lee el stock del producto en el depósito, calcula la nueva cantidad con
+  // 'calcular(cantidadActual)' y escribe en una misma transacción la cantidad
+  // nueva, el movimiento del kardex y el contador de movimientos.
+  // 'movimiento' contiene: tipo, usuarioId, motivo, referenciaTipo, referenciaId.
+  // Devuelve { cantidadAnterior, cantidadNueva, movimiento }.
+  static async aplicarMovimiento(productoId, depositoId, calcular, movimiento = {}) {
+    return db.runTransaction(async (transaction) => {
+      const contador = await AutoIncrement.leerContador(transaction, 'movimientos_stock');
+      const doc = await this.leerEnTransaccion(transaction, productoId, depositoId);
+
+      if (!doc) {
+        throw new Error('Stock no encontrado');
+      }
+
+      const cantidadAnterior = doc.data().cantidad;
+      const reservado = doc.data().reservado || 0;
+      const cantidadNueva = calcular(cantidadAnterior);
+
+      // Nunca se permite dejar el stock en negativo ni por debajo de lo reservado por pedidos pendientes.
+      if (cantidadNueva < 0 || cantidadNueva < reservado) {
+        const error = new Error(reservado > 0
+          ? `Stock insuficiente para el producto ${productoId}: hay ${reservado} unidades reservadas`
+          : `Stock insuficiente para el producto ${productoId}`);
+        error.code = 'stock-insuficiente';
+        throw error;
+      }
+
+      // Sin cambio de cantidad no hay nada que registrar.
+      if (cantidadNueva === cantidadAnterior) {
+        return { cantidadAnterior, cantidadNueva, movimiento: null };
+      }
+
+      const movimientoId = AutoIncrement.formatId('movimientos_stock', contador.siguiente());
+      const movimientoData = this.registrarEnTransaccion(transaction, doc, cantidadNueva, movimiento, movimientoId);
+      contador.confirmar();
+
+      return { cantidadAnterior, cantidadNueva, movimiento: movimientoData };
+    });
+  }
+
+  // --- Método Estático: Actualizar Cantidad de Stock ---
+  // Establece una cantidad absoluta en el stock del depósito y registra el movimiento.
+  static async updateCantidad(productoId, depositoId, nuevaCantidad, movimiento = {}) {
+    try {
+      const resultado = await this.aplicarMovimiento(productoId, depositoId, () => nuevaCantidad, movimiento);
+      console.log(`✅ Stock actualizado para producto: ${productoId} en ${depositoId}`);
+      return resultado;
+    } catch (error) {
+      console.error('❌ Error actualizando stock:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Ajustar Cantidad de Stock ---
+  // Suma (diferencia positiva) o resta (negativa) unidades de forma atómica y registra el movimiento.
+  // Lanza un error con code 'stock-insuficiente' si el resultado fuera negativo.
+  static async ajustarCantidad(productoId, depositoId, diferencia, movimiento = {}) {
+    try {
+      const resultado = await this.aplicarMovimiento(productoId, depositoId, (actual) => actual + diferencia, movimiento);
+      console.log(`✅ Stock ajustado para producto: ${productoId} en ${depositoId} (${diferencia > 0 ? '+' : ''}${diferencia})`);
+      return resultado;
+    } catch (error) {
+      console.error('❌ Error ajustando stock:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Transferir Unidades entre Depósitos ---
+  // Mueve las unidades de cada producto de 'origenId' a 'destinoId' en una única
+  // transacción (todo o nada). Si el producto no tiene stock en el destino, se crea
+  // el registro. Cada producto genera dos movimientos 'transferencia' en el kardex
+  // (salida del origen y entrada al destino) con la misma referencia TRF-.
+  // 'productos' es un array de { productoId, cantidad }.
+  // Lanza un error con code 'stock-insuficiente' y la lista 'productos' de conflictos
+  // si en el origen no hay unidades disponibles (sin contar las reservadas).
+  // Devuelve { id, origenId, destinoId, productos, movimientos }.
+  static async transferir({ origenId, destinoId, productos, usuarioId = null, motivo = null }) {
+    try {
+      // Cantidad total por producto (un producto puede repetirse en varias líneas).
+      const cantidades = new Map();
+      for (const item of productos) {
+        cantidades.set(item.productoId, (cantidades.get(item.productoId) || 0) + item.cantidad);
+      }
+
+      const transferencia = await db.runTransaction(async (transaction) => {
+        // 1. Lecturas: contadores y stock de cada producto en ambos depósitos.
+        const contadorTransferencias = await AutoIncrement.leerContador(transaction, 'transferencias');
+        const contadorMovimientos = await AutoIncrement.leerContador(transaction, 'movimientos_stock');
+        const contadorStocks = await AutoIncrement.leerContador(transaction, 'stocks');
+
+        const lecturas = [];
+        for (const [productoId, cantidad] of cantidades) {
+          lecturas.push({
+            productoId,
+            cantidad,
+            origen: await this.leerEnTransaccion(transaction, productoId, origenId),
+            destino: await this.leerEnTransaccion(transaction, productoId, destinoId)
+          });
+        }
+
+        // 2. Verificar que el origen tenga las unidades disponibles.
+        const conflictos = lecturas
+          .map(({ productoId, cantidad, origen }) => ({
+            productoId,
+            solicitado: cantidad,
+            disponible: origen ? Stock.conDisponible(origen.data()).disponible : 0
+          }))
+          .filter(conflicto => conflicto.disponible < conflicto.solicitado);
+
+        if (conflictos.length > 0) {
+          const error = new Error(`Stock insuficiente en ${origenId} para: ${conflictos.map(c => c.productoId).join(', ')}`);
+          error.code = 'stock-insuficiente';
+          error.productos = conflictos;
+          throw error;
+        }
+
+        // 3. Escrituras: salida del origen, entrada al destino y contadores.
+        const id = AutoIncrement.formatId('transferencias', contadorTransferencias.siguiente());
+        const referencia = {
+          tipo: 'transferencia',
+          usuarioId,
+          motivo: motivo || `Transferencia ${origenId} → ${destinoId}`,
+          referenciaTipo: 'transferencia',
+          referenciaId: id
+        };
+        const siguienteMovimiento = () => AutoIncrement.formatId('movimientos_stock', contadorMovimientos.siguiente());
+        const movimientos = [];
+
+        for (const { productoId, cantidad, origen, destino } of lecturas) {
+          movimientos.push(this.registrarEnTransaccion(transaction, origen, origen.data().cantidad - cantidad, referencia, siguienteMovimiento()));
+
+          if (destino) {
+            movimientos.push(this.registrarEnTransaccion(transaction, destino, destino.data().cantidad + cantidad, referencia, siguienteMovimiento()));
+            continue;
+          }
+
+          // El producto todavía no tiene stock en el destino: se crea el registro
+          // (con el mismo mínimo que en el origen) y se registra la entrada.
+          const creado = this.crearEnTransaccion(
+            transaction,
+            { productoId, depositoId: destinoId, cantidad, minimo: origen.data().minimo },
+            referencia,
+            AutoIncrement.formatId('stocks', contadorStocks.siguiente()),
+            siguienteMovimiento()
+          );
+          movimientos.push(creado.movimiento);
+        }
+
+        contadorTransferencias.confirmar();
+        contadorMovimientos.confirmar();
+        contadorStocks.confirmar();
+
+        return {
+          id,
+          origenId,
+          destinoId,
+          productos: lecturas.map(({ productoId, cantidad }) => ({ productoId, cantidad })),
+          movimientos
+        };
+      });
+
+      console.log(`✅ Transferencia ${transferencia.id}: ${origenId} → ${destinoId} (${transferencia.productos.length} productos)`);
+      return transferencia;
+    } catch (error) {
+      console.error('❌ Error transfiriendo stock:', error);
+      throw error;
+    }
+  }
+
+  // --- Método Estático: Actualizar Otros Campos del Stock ---
+  // Actualiza campos como 'minimo' o 'ubicacion' del registro de stock del depósito.
+  static async update(productoId, depositoId, data) {
+    try {
+      const stock = await this.findByProductoYDeposito(productoId, depositoId);
+      if (!stock) {
+        throw new Error('Stock no encontrado');
+      }
+
+      // Actualiza el documento usando su firestoreId.
+      await db.collection('stocks').doc(stock.firestoreId).update({
+        ...data,
+        fechaActualizacion: new Date()
+      });
+      console.log(`✅ Datos de stock actualizados para producto: ${productoId} en ${depositoId}`);
+    } catch (error) {
+      console.error('❌ Error actualizando datos de stock:', error);
+      throw error;
+    }
+  }
 
   // --- Método Estático: Encontrar Todos los Productos con Stock Bajo ---
   static async findAllBajoStock() {
@@ -106,7 +480,7 @@ class Stock {
       
       // Mapea los documentos de Firestore a objetos JavaScript.
       return snapshot.docs
-        .map(doc => ({ firestoreId: doc.id, ...doc.data() })) 
+        .map(doc => Stock.conDisponible({ firestoreId: doc.id, ...doc.data() })) 
         // Filtra en memoria: busca aquellos donde la cantidad es menor o igual al mínimo.
         // NOTA: Este filtro se hace en la aplicación (no en Firestore) porque la base de datos
         // no soporta consultas tipo "where cantidad <= minimo".
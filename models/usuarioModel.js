@@ -1,5 +1,5 @@
-// Importa la instancia de la base de datos de Firebase configurada.
-const { db } = require('../config/firebase'); 
+// Importa la instancia de la base de datos configurada (backend elegido por DB_BACKEND).
+const { db } = require('../database'); 
 // Importa la librería bcryptjs para hashear y comparar contraseñas de forma segura.
 const bcrypt = require('bcryptjs'); 
 // Importa la utilidad para generar IDs numéricos secuenciales personalizados (necesario en Firestore).
@@ -174,6 +174,28 @@ class Usuario {
         }
     }
 
+    // --- Método Estático: Actualizar Contraseña ---
+    // Recibe la contraseña YA hasheada; 'update' no permite modificarla por seguridad.
+    static async updatePassword(id, hashedPassword) {
+        try {
+            const usuario = await this.findById(id);
+            if (!usuario) {
+                throw new Error('Usuario no encontrado');
+            }
+
+            await db.collection('usuarios').doc(usuario.firestoreId).update({
+                password: hashedPassword,
+                fechaActualizacion: new Date()
+            });
+
+            console.log(`✅ Password actualizado: ${id}`);
+
+        } catch (error) {
+            console.error('❌ Error actualizando password:', error);
+            throw error;
+        }
+    }
+
     // --- Método Estático: Eliminación Lógica (Soft Delete) ---
     static async delete(id) {
         try {
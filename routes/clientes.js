@@ -0,0 +1,22 @@
+const express = require('express');
+const clienteController = require('../controllers/clienteController');
+const { verifyToken, isAdmin, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+router.use(isEmpleadoOrAdmin);
+
+// Públicas (admin y empleado): los empleados registran clientes al tomar pedidos
+router.get('/', clienteController.obtenerClientes);
+router.get('/:id', clienteController.obtenerCliente);
+router.get('/:id/pedidos', clienteController.obtenerPedidosCliente);
+router.post('/', clienteController.crearCliente);
+router.put('/:id', clienteController.actualizarCliente);
+
+// Solo admin
+router.get('/:id/cuenta-corriente', isAdmin, clienteController.obtenerCuentaCorriente);
+router.delete('/:id', isAdmin, clienteController.eliminarCliente);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const costoController = require('../controllers/costoController');
+const { verifyToken, isAdmin, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+router.use(isEmpleadoOrAdmin);
+
+// Públicas (admin y empleado)
+router.get('/producto/:productoId', costoController.obtenerCostoProducto);
+router.get('/historial/:productoId', costoController.obtenerHistorialCostos);
+
+// Solo admin
+router.post('/', isAdmin, costoController.crearCosto);
+
+module.exports = router;
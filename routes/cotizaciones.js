@@ -0,0 +1,18 @@
+const express = require('express');
+const cotizacionController = require('../controllers/cotizacionController');
+const { verifyToken, isAdmin, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+router.use(isEmpleadoOrAdmin);
+
+// Públicas (admin y empleado)
+router.get('/', cotizacionController.obtenerCotizaciones);
+router.get('/vigentes', cotizacionController.obtenerVigentes);
+
+// Solo admin
+router.post('/', isAdmin, cotizacionController.crearCotizacion);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const cuponController = require('../controllers/cuponController');
+const { verifyToken, isAdmin, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+router.use(isEmpleadoOrAdmin);
+
+// Públicas (admin y empleado)
+router.get('/', cuponController.obtenerCupones);
+router.get('/:id', cuponController.obtenerCupon);
+router.get('/:id/canjes', cuponController.obtenerCanjes);
+
+// Solo admin
+router.post('/', isAdmin, cuponController.crearCupon);
+router.put('/:id', isAdmin, cuponController.actualizarCupon);
+router.delete('/:id', isAdmin, cuponController.eliminarCupon);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const depositoController = require('../controllers/depositoController');
+const { verifyToken, isAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+
+// Públicas (admin y empleado)
+router.get('/', depositoController.obtenerDepositos);
+router.get('/:id', depositoController.obtenerDeposito);
+router.get('/:id/stock', depositoController.obtenerStockDeposito);
+
+// Solo admin
+router.post('/', isAdmin, depositoController.crearDeposito);
+router.put('/:id', isAdmin, depositoController.actualizarDeposito);
+router.delete('/:id', isAdmin, depositoController.eliminarDeposito);
+
+module.exports = router;
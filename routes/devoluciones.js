@@ -0,0 +1,20 @@
+const express = require('express');
+const devolucionController = require('../controllers/devolucionController');
+const { verifyToken, isAdmin, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+
+// Públicas (admin y empleado): consultar, solicitar y recibir mercadería
+router.get('/', isEmpleadoOrAdmin, devolucionController.obtenerDevoluciones);
+router.get('/:id', isEmpleadoOrAdmin, devolucionController.obtenerDevolucion);
+router.post('/', isEmpleadoOrAdmin, devolucionController.crearDevolucion);
+router.post('/:id/recepcion', isEmpleadoOrAdmin, devolucionController.registrarRecepcion);
+
+// Solo admin: aprobar, rechazar, cancelar y resolver (mueve dinero o saldo a favor)
+router.patch('/:id/estado', isAdmin, devolucionController.actualizarEstado);
+router.post('/:id/resolucion', isAdmin, devolucionController.resolverDevolucion);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const inventarioController = require('../controllers/inventarioController');
+const { verifyToken, isAdmin, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+
+// Públicas (admin y empleado): consultar y cargar cantidades contadas
+router.get('/', isEmpleadoOrAdmin, inventarioController.obtenerInventarios);
+router.get('/:id', isEmpleadoOrAdmin, inventarioController.obtenerInventario);
+router.get('/:id/diferencias', isEmpleadoOrAdmin, inventarioController.obtenerDiferencias);
+router.post('/:id/conteos', isEmpleadoOrAdmin, inventarioController.registrarConteo);
+
+// Solo admin: abrir, cerrar (ajusta el stock) y cancelar
+router.post('/', isAdmin, inventarioController.crearInventario);
+router.post('/:id/cerrar', isAdmin, inventarioController.cerrarInventario);
+router.post('/:id/cancelar', isAdmin, inventarioController.cancelarInventario);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const listaPrecioController = require('../controllers/listaPrecioController');
+const { verifyToken, isAdmin, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+router.use(isEmpleadoOrAdmin);
+
+// Públicas (admin y empleado)
+router.get('/', listaPrecioController.obtenerListas);
+router.get('/:id', listaPrecioController.obtenerLista);
+
+// Solo admin
+router.post('/', isAdmin, listaPrecioController.crearLista);
+router.put('/:id', isAdmin, listaPrecioController.actualizarLista);
+router.delete('/:id', isAdmin, listaPrecioController.eliminarLista);
+
+module.exports = router;
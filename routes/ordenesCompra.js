@@ -0,0 +1,20 @@
+const express = require('express');
+const ordenCompraController = require('../controllers/ordenCompraController');
+const { verifyToken, isAdmin, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+
+// Públicas (admin y empleado): consultar y recibir mercadería
+router.get('/', isEmpleadoOrAdmin, ordenCompraController.obtenerOrdenesCompra);
+router.get('/:id', isEmpleadoOrAdmin, ordenCompraController.obtenerOrdenCompra);
+router.post('/:id/recepciones', isEmpleadoOrAdmin, ordenCompraController.registrarRecepcion);
+
+// Solo admin: crear, editar borradores, enviar y cancelar
+router.post('/', isAdmin, ordenCompraController.crearOrdenCompra);
+router.put('/:id', isAdmin, ordenCompraController.actualizarOrdenCompra);
+router.patch('/:id/estado', isAdmin, ordenCompraController.actualizarEstado);
+
+module.exports = router;
@@ -11,6 +11,9 @@ router.use(isEmpleadoOrAdmin);
 router.post('/', pedidoController.crearPedido);
 router.get('/', pedidoController.obtenerPedidos);
 router.get('/:id', pedidoController.obtenerPedido);
+router.put('/:id', pedidoController.actualizarPedido);
 router.patch('/:id/estado', pedidoController.actualizarEstado);
+router.get('/:id/pagos', pedidoController.obtenerPagos);
+router.post('/:id/pagos', pedidoController.registrarPago);
 
 module.exports = router;
\ No newline at end of file
@@ -13,6 +13,7 @@ router.get('/historial/:productoId', precioController.obtenerHistorialPrecios);
 
 // Solo admin
 router.post('/', isAdmin, precioController.crearPrecio);
+router.post('/masivo', isAdmin, precioController.actualizarPreciosMasivo);
 router.put('/producto/:productoId', isAdmin, precioController.actualizarPrecio);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const presupuestoController = require('../controllers/presupuestoController');
+const { verifyToken, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación (los empleados gestionan solo sus presupuestos)
+router.use(verifyToken);
+router.use(isEmpleadoOrAdmin);
+
+router.post('/', presupuestoController.crearPresupuesto);
+router.get('/', presupuestoController.obtenerPresupuestos);
+router.get('/:id', presupuestoController.obtenerPresupuesto);
+router.put('/:id', presupuestoController.actualizarPresupuesto);
+router.patch('/:id/estado', presupuestoController.actualizarEstado);
+router.post('/:id/convertir', presupuestoController.convertirPresupuesto);
+
+module.exports = router;
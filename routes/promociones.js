@@ -0,0 +1,20 @@
+const express = require('express');
+const promocionController = require('../controllers/promocionController');
+const { verifyToken, isAdmin, isEmpleadoOrAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+router.use(isEmpleadoOrAdmin);
+
+// Públicas (admin y empleado)
+router.get('/', promocionController.obtenerPromociones);
+router.get('/:id', promocionController.obtenerPromocion);
+
+// Solo admin
+router.post('/', isAdmin, promocionController.crearPromocion);
+router.put('/:id', isAdmin, promocionController.actualizarPromocion);
+router.delete('/:id', isAdmin, promocionController.eliminarPromocion);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const proveedorController = require('../controllers/proveedorController');
+const { verifyToken, isAdmin } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Todas las rutas requieren autenticación
+router.use(verifyToken);
+
+// Públicas (admin y empleado)
+router.get('/', proveedorController.obtenerProveedores);
+router.get('/:id', proveedorController.obtenerProveedor);
+
+// Solo admin
+router.post('/', isAdmin, proveedorController.crearProveedor);
+router.put('/:id', isAdmin, proveedorController.actualizarProveedor);
+router.delete('/:id', isAdmin, proveedorController.eliminarProveedor);
+
+module.exports = router;
@@ -9,11 +9,14 @@ router.use(verifyToken);
 
 // Públicas (admin y empleado)
 router.get('/bajo', stockController.obtenerStockBajo);
+router.get('/reposicion', stockController.obtenerReposicion);
 router.get('/producto/:productoId', stockController.obtenerStockProducto);
+router.get('/movimientos/:productoId', stockController.obtenerMovimientos);
 
 // Solo admin
 router.post('/', isAdmin, stockController.crearStock);
 router.put('/producto/:productoId', isAdmin, stockController.actualizarStock);
 router.patch('/ajustar/:productoId', isAdmin, stockController.ajustarStock);
+router.post('/transferencias', isAdmin, stockController.crearTransferencia);
 
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,5 @@
 // scripts/create-counters.js
-const { db } = require('../config/firebase');
+const { db } = require('../database');
 
 async function createCounters() {
   console.log('🔢 Creando contadores para IDs autoincrementales...');
@@ -10,7 +10,23 @@ async function createCounters() {
     { id: 'categorias', secuencia: 10 },
     { id: 'precios', secuencia: 5000 },
     { id: 'stocks', secuencia: 2000 },
-    { id: 'pedidos', secuencia: 3000 }
+    { id: 'pedidos', secuencia: 3000 },
+    { id: 'movimientos_stock', secuencia: 0 },
+    { id: 'depositos', secuencia: 0 },
+    { id: 'transferencias', secuencia: 0 },
+    { id: 'inventarios', secuencia: 0 },
+    { id: 'proveedores', secuencia: 0 },
+    { id: 'ordenes_compra', secuencia: 0 },
+    { id: 'costos', secuencia: 0 },
+    { id: 'listas_precios', secuencia: 0 },
+    { id: 'cotizaciones', secuencia: 0 },
+    { id: 'promociones', secuencia: 0 },
+    { id: 'cupones', secuencia: 0 },
+    { id: 'canjes_cupones', secuencia: 0 },
+    { id: 'clientes', secuencia: 0 },
+    { id: 'pagos', secuencia: 0 },
+    { id: 'devoluciones', secuencia: 0 },
+    { id: 'presupuestos', secuencia: 0 }
   ];
 
   try {
@@ -27,6 +43,22 @@ async function createCounters() {
     console.log('   💰 Precios: PRICE-5000, PRICE-5001, PRICE-5002...');
     console.log('   📦 Stocks: STOCK-2000, STOCK-2001, STOCK-2002...');
     console.log('   📋 Pedidos: PED-03000, PED-03001, PED-03002...');
+    console.log('   📝 Movimientos de stock: MOV-000001, MOV-000002, MOV-000003...');
+    console.log('   🏬 Depósitos: DEP-001, DEP-002, DEP-003...');
+    console.log('   🚚 Transferencias: TRF-00001, TRF-00002, TRF-00003...');
+    console.log('   📋 Conteos de inventario: INV-00001, INV-00002, INV-00003...');
+    console.log('   🏭 Proveedores: PROV-001, PROV-002, PROV-003...');
+    console.log('   🧾 Órdenes de compra: OC-00001, OC-00002, OC-00003...');
+    console.log('   🧮 Costos: COSTO-00001, COSTO-00002, COSTO-00003...');
+    console.log('   🏷️ Listas de precios: LP-001, LP-002, LP-003...');
+    console.log('   💱 Cotizaciones: COT-00001, COT-00002, COT-00003...');
+    console.log('   🎁 Promociones: PROMO-001, PROMO-002, PROMO-003...');
+    console.log('   🎟️ Cupones: CUP-0001, CUP-0002, CUP-0003...');
+    console.log('   🔖 Canjes de cupones: CANJE-000001, CANJE-000002, CANJE-000003...');
+    console.log('   🤝 Clientes: CLI-00001, CLI-00002, CLI-00003...');
+    console.log('   💵 Pagos: PAGO-000001, PAGO-000002, PAGO-000003...');
+    console.log('   ↩️ Devoluciones: DEV-00001, DEV-00002, DEV-00003...');
+    console.log('   📝 Presupuestos: PRES-00001, PRES-00002, PRES-00003...');
     
     process.exit(0);
   } catch (error) {
@@ -1,4 +1,4 @@
-const { db } = require('../config/firebase');
+const { db } = require('../database');
 const bcrypt = require('bcryptjs');
 
 async function initDatabase() {
@@ -14,8 +14,11 @@ async function initDatabase() {
     // 2. Crear categorías
     const categorias = await createInitialCategories();
     
-    // 3. Crear productos
-    await createInitialProducts(categorias);
+    // 3. Crear el depósito principal
+    const deposito = await createInitialDeposit();
+    
+    // 4. Crear productos (con su stock en el depósito principal)
+    await createInitialProducts(categorias, deposito);
     
     console.log('✅ Base de datos inicializada exitosamente!');
     process.exit(0);
@@ -34,7 +37,23 @@ async function createOrResetCounters() {
     { id: 'categorias', secuencia: 10 },
     { id: 'precios', secuencia: 5000 },
     { id: 'stocks', secuencia: 2000 },
-    { id: 'pedidos', secuencia: 3000 }
+    { id: 'pedidos', secuencia: 3000 },
+    { id: 'movimientos_stock', secuencia: 0 },
+    { id: 'depositos', secuencia: 0 },
+    { id: 'transferencias', secuencia: 0 },
+    { id: 'inventarios', secuencia: 0 },
+    { id: 'proveedores', secuencia: 0 },
+    { id: 'ordenes_compra', secuencia: 0 },
+    { id: 'costos', secuencia: 0 },
+    { id: 'listas_precios', secuencia: 0 },
+    { id: 'cotizaciones', secuencia: 0 },
+    { id: 'promociones', secuencia: 0 },
+    { id: 'cupones', secuencia: 0 },
+    { id: 'canjes_cupones', secuencia: 0 },
+    { id: 'clientes', secuencia: 0 },
+    { id: 'pagos', secuencia: 0 },
+    { id: 'devoluciones', secuencia: 0 },
+    { id: 'presupuestos', secuencia: 0 }
   ];
 
   for (const counter of counters) {
@@ -69,7 +88,23 @@ function formatId(collectionName, sequence) {
     categorias: `CAT-${String(sequence).padStart(3, '0')}`,
     precios: `PRICE-${String(sequence).padStart(4, '0')}`,
     stocks: `STOCK-${String(sequence).padStart(4, '0')}`,
-    pedidos: `PED-${String(sequence).padStart(5, '0')}`
+    pedidos: `PED-${String(sequence).padStart(5, '0')}`,
+    movimientos_stock: `MOV-${String(sequence).padStart(6, '0')}`,
+    depositos: `DEP-${String(sequence).padStart(3, '0')}`,
+    transferencias: `TRF-${String(sequence).padStart(5, '0')}`,
+    inventarios: `INV-${String(sequence).padStart(5, '0')}`,
+    proveedores: `PROV-${String(sequence).padStart(3, '0')}`,
+    ordenes_compra: `OC-${String(sequence).padStart(5, '0')}`,
+    costos: `COSTO-${String(sequence).padStart(5, '0')}`,
+    listas_precios: `LP-${String(sequence).padStart(3, '0')}`,
+    cotizaciones: `COT-${String(sequence).padStart(5, '0')}`,
+    promociones: `PROMO-${String(sequence).padStart(3, '0')}`,
+    cupones: `CUP-${String(sequence).padStart(4, '0')}`,
+    canjes_cupones: `CANJE-${String(sequence).padStart(6, '0')}`,
+    clientes: `CLI-${String(sequence).padStart(5, '0')}`,
+    pagos: `PAGO-${String(sequence).padStart(6, '0')}`,
+    devoluciones: `DEV-${String(sequence).padStart(5, '0')}`,
+    presupuestos: `PRES-${String(sequence).padStart(5, '0')}`
   };
   
   return formats[collectionName] || `ID-${sequence}`;
@@ -182,7 +217,31 @@ async function createInitialCategories() {
   return categoriasCreadas;
 }
 
-async function createInitialProducts(categorias) {
+async function createInitialDeposit() {
+  console.log('🏬 Creando depósito principal...');
+
+  const depositoId = await getNextId('depositos');
+  const formattedId = formatId('depositos', depositoId);
+
+  const depositoRef = db.collection('depositos').doc();
+  const depositoData = {
+    id: formattedId, // ← ID autoincremental personalizado
+    firestoreId: depositoRef.id, // ← ID original de Firestore
+    nombre: "Depósito Principal",
+    descripcion: null,
+    direccion: null,
+    principal: true,
+    cuarentena: false,
+    activo: true,
+    fechaCreacion: new Date()
+  };
+  await depositoRef.set(depositoData);
+
+  console.log(`✅ Depósito creado: ${formattedId} - ${depositoData.nombre}`);
+  return depositoData;
+}
+
+async function createInitialProducts(categorias, deposito) {
   console.log('🛍️ Creando productos...');
   
   // Encontrar IDs de categorías (ahora son los IDs autoincrementales)
@@ -369,6 +428,9 @@ async function createInitialProducts(categorias) {
       precio: producto.precio,
       precioOferta: null,
       moneda: "ARS",
+      incluyeIva: true, // Precio final (con IVA)
+      vigenciaDesde: new Date(),
+      vigenciaHasta: null,
       activo: true,
       fechaCreacion: new Date()
     });
@@ -383,13 +445,35 @@ async function createInitialProducts(categorias) {
       id: formattedStockId, // ← ID autoincremental personalizado
       firestoreId: stockRef.id, // ← ID original de Firestore
       productoId: formattedProductId, // ← Relacionar con ID del producto
+      depositoId: deposito.id, // ← Depósito donde está la mercadería
       cantidad: producto.stock,
+      reservado: 0,
       minimo: 5,
-      ubicacion: "Depósito Principal",
+      ubicacion: null,
       activo: true,
       fechaCreacion: new Date()
     });
 
+    // Registrar la carga inicial en el kardex (movimientos_stock)
+    const movimientoId = await getNextId('movimientos_stock');
+    const movimientoRef = db.collection('movimientos_stock').doc();
+    await movimientoRef.set({
+      id: formatId('movimientos_stock', movimientoId),
+      firestoreId: movimientoRef.id,
+      productoId: formattedProductId,
+      stockId: formattedStockId,
+      depositoId: deposito.id,
+      tipo: 'carga_inicial',
+      cantidad: producto.stock,
+      cantidadAnterior: 0,
+      cantidadNueva: producto.stock,
+      usuarioId: null,
+      motivo: 'Inicialización de base de datos',
+      referenciaTipo: null,
+      referenciaId: null,
+      fechaCreacion: new Date()
+    });
+
     console.log(`✅ Producto creado: ${formattedProductId} - ${producto.nombre}`);
   }
 }
@@ -0,0 +1,9 @@
+// Aplica las migraciones pendientes del backend SQLite sin levantar el servidor.
+// Uso: npm run migrate  (respeta SQLITE_PATH; el servidor también migra al arrancar).
+process.env.DB_BACKEND = 'sqlite';
+
+const { db } = require('../database');
+
+console.log(`📁 Base de datos SQLite: ${db.ruta}`);
+console.log('✅ Esquema actualizado');
+db.close();
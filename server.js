@@ -15,16 +15,40 @@ try {
   const productoRoutes = require('./routes/productos');
   const categoriaRoutes = require('./routes/categorias');
   const precioRoutes = require('./routes/precios');
+  const costoRoutes = require('./routes/costos');
+  const listaPrecioRoutes = require('./routes/listasPrecios');
+  const cotizacionRoutes = require('./routes/cotizaciones');
+  const promocionRoutes = require('./routes/promociones');
+  const cuponRoutes = require('./routes/cupones');
+  const clienteRoutes = require('./routes/clientes');
+  const devolucionRoutes = require('./routes/devoluciones');
+  const presupuestoRoutes = require('./routes/presupuestos');
   const stockRoutes = require('./routes/stocks');
   const pedidoRoutes = require('./routes/pedidos');
+  const depositoRoutes = require('./routes/depositos');
+  const inventarioRoutes = require('./routes/inventarios');
+  const proveedorRoutes = require('./routes/proveedores');
+  const ordenCompraRoutes = require('./routes/ordenesCompra');
 
   app.use('/api/auth', authRoutes);
   app.use('/api/usuarios', usuarioRoutes);
   app.use('/api/productos', productoRoutes);
   app.use('/api/categorias', categoriaRoutes);
   app.use('/api/precios', precioRoutes);
+  app.use('/api/costos', costoRoutes);
+  app.use('/api/listas-precios', listaPrecioRoutes);
+  app.use('/api/cotizaciones', cotizacionRoutes);
+  app.use('/api/promociones', promocionRoutes);
+  app.use('/api/cupones', cuponRoutes);
+  app.use('/api/clientes', clienteRoutes);
+  app.use('/api/devoluciones', devolucionRoutes);
+  app.use('/api/presupuestos', presupuestoRoutes);
   app.use('/api/stocks', stockRoutes);
   app.use('/api/pedidos', pedidoRoutes);
+  app.use('/api/depositos', depositoRoutes);
+  app.use('/api/inventarios', inventarioRoutes);
+  app.use('/api/proveedores', proveedorRoutes);
+  app.use('/api/ordenes-compra', ordenCompraRoutes);
   
   console.log('✅ Todas las rutas cargadas');
 } catch (error) {
@@ -41,15 +65,16 @@ app.get('/', (req, res) => {
   });
 });
 
-// Ruta de salud para verificar Firebase
+// Ruta de salud para verificar la base de datos (Firestore o backend alternativo)
 app.get('/health', async (req, res) => {
   try {
-    const { db } = require('./config/firebase');
+    const { db, backend } = require('./database');
     if (db) {
       const collections = await db.listCollections();
       res.json({
         status: 'healthy',
-        firebase: 'connected',
+        backend,
+        firebase: backend === 'firestore' ? 'connected' : 'not used',
         collections: collections.length,
         timestamp: new Date().toISOString()
       });
@@ -71,6 +96,29 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Tarea periódica: libera las reservas de stock vencidas de pedidos pendientes
+// (duración de la reserva en RESERVA_STOCK_HORAS, por defecto 48 horas).
+const INTERVALO_RESERVAS_MS = 5 * 60 * 1000;
+try {
+  const Pedido = require('./models/pedidoModel');
+  setInterval(() => {
+    Pedido.liberarReservasVencidas().catch(() => {}); // El modelo ya registra el error.
+  }, INTERVALO_RESERVAS_MS).unref();
+} catch (error) {
+  console.log('⚠️  No se pudo programar la liberación de reservas:', error.message);
+}
+
+// Tarea periódica: marca como vencidos los presupuestos cuya fecha de vencimiento pasó
+// (validez por defecto en PRESUPUESTO_DIAS_VALIDEZ, 15 días).
+try {
+  const Presupuesto = require('./models/presupuestoModel');
+  setInterval(() => {
+    Presupuesto.marcarVencidos().catch(() => {}); // El modelo ya registra el error.
+  }, INTERVALO_RESERVAS_MS).unref();
+} catch (error) {
+  console.log('⚠️  No se pudo programar el vencimiento de presupuestos:', error.message);
+}
+
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
@@ -80,5 +128,17 @@ app.listen(PORT, () => {
   console.log(`   👥 Usuarios: http://localhost:${PORT}/api/usuarios`);
   console.log(`   🛍️ Productos: http://localhost:${PORT}/api/productos`);
   console.log(`   📂 Categorías: http://localhost:${PORT}/api/categorias`);
+  console.log(`   🧮 Costos: http://localhost:${PORT}/api/costos`);
+  console.log(`   🏷️ Listas de precios: http://localhost:${PORT}/api/listas-precios`);
+  console.log(`   💱 Cotizaciones: http://localhost:${PORT}/api/cotizaciones`);
+  console.log(`   🎁 Promociones: http://localhost:${PORT}/api/promociones`);
+  console.log(`   🎟️ Cupones: http://localhost:${PORT}/api/cupones`);
+  console.log(`   🤝 Clientes: http://localhost:${PORT}/api/clientes`);
+  console.log(`   ↩️ Devoluciones: http://localhost:${PORT}/api/devoluciones`);
+  console.log(`   📝 Presupuestos: http://localhost:${PORT}/api/presupuestos`);
+  console.log(`   🏬 Depósitos: http://localhost:${PORT}/api/depositos`);
+  console.log(`   📋 Inventarios: http://localhost:${PORT}/api/inventarios`);
+  console.log(`   🏭 Proveedores: http://localhost:${PORT}/api/proveedores`);
+  console.log(`   🧾 Órdenes de compra: http://localhost:${PORT}/api/ordenes-compra`);
   console.log(`   🏥 Health: http://localhost:${PORT}/health`);
 });
\ No newline at end of file
@@ -0,0 +1,71 @@
+// Pruebas del cálculo de precios de las actualizaciones masivas (aumentos y redondeo).
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validarRedondeo, redondearPrecio, ajustarPrecio } = require('../utils/ajustePrecios');
+
+describe('redondearPrecio', () => {
+  const terminaEn900 = { multiplo: 1000, terminacion: 900 };
+
+  test('sin regla redondea a centavos', () => {
+    assert.equal(redondearPrecio(1234.567), 1234.57);
+    assert.equal(redondearPrecio(1234.561, null), 1234.56);
+  });
+
+  test('lleva el precio al valor más próximo con la terminación indicada', () => {
+    assert.equal(redondearPrecio(25437, terminaEn900), 25900);
+    assert.equal(redondearPrecio(24120, terminaEn900), 23900);
+    assert.equal(redondearPrecio(25900, terminaEn900), 25900);
+    assert.equal(redondearPrecio(1234, { multiplo: 100 }), 1200);
+  });
+
+  test('los modos arriba y abajo fuerzan el sentido', () => {
+    assert.equal(redondearPrecio(24120, { ...terminaEn900, modo: 'arriba' }), 24900);
+    assert.equal(redondearPrecio(25437, { ...terminaEn900, modo: 'abajo' }), 24900);
+    assert.equal(redondearPrecio(24900, { ...terminaEn900, modo: 'arriba' }), 24900);
+  });
+
+  test('nunca devuelve un precio negativo', () => {
+    assert.equal(redondearPrecio(500, terminaEn900), 900);
+    assert.equal(redondearPrecio(500, { ...terminaEn900, modo: 'abajo' }), 900);
+    assert.equal(redondearPrecio(30, { multiplo: 100, modo: 'abajo' }), 0);
+  });
+
+  test('con múltiplos decimales el resultado queda en centavos exactos', () => {
+    assert.equal(redondearPrecio(1.26, { multiplo: 0.1 }), 1.3);
+    assert.equal(redondearPrecio(10.3, { multiplo: 0.5 }), 10.5);
+  });
+});
+
+describe('ajustarPrecio', () => {
+  test('aplica el porcentaje y después el redondeo', () => {
+    assert.equal(ajustarPrecio(20000, { porcentaje: 15 }), 23000);
+    assert.equal(ajustarPrecio(20000, { porcentaje: 15, redondeo: { multiplo: 1000, terminacion: 900 } }), 22900);
+    assert.equal(ajustarPrecio(999.99, { porcentaje: 10 }), 1099.99);
+  });
+
+  test('aplica montos fijos y rebajas', () => {
+    assert.equal(ajustarPrecio(20000, { monto: 1500 }), 21500);
+    assert.equal(ajustarPrecio(20000, { porcentaje: -10, redondeo: { multiplo: 100, modo: 'arriba' } }), 18000);
+  });
+
+  test('una rebaja mayor al precio se devuelve negativa y sin redondear', () => {
+    assert.equal(ajustarPrecio(20000, { monto: -25000, redondeo: { multiplo: 1000, terminacion: 900 } }), -5000);
+  });
+});
+
+describe('validarRedondeo', () => {
+  test('acepta reglas válidas o ausentes', () => {
+    assert.equal(validarRedondeo(undefined), null);
+    assert.equal(validarRedondeo(null), null);
+    assert.equal(validarRedondeo({ multiplo: 1000, terminacion: 900, modo: 'abajo' }), null);
+  });
+
+  test('rechaza múltiplos, terminaciones y modos inválidos', () => {
+    assert.match(validarRedondeo({ multiplo: 0 }), /multiplo mayor a 0/);
+    assert.match(validarRedondeo({ multiplo: '1000' }), /multiplo mayor a 0/);
+    assert.match(validarRedondeo({ multiplo: 1000, terminacion: 1000 }), /terminacion/);
+    assert.match(validarRedondeo({ multiplo: 1000, terminacion: -1 }), /terminacion/);
+    assert.match(validarRedondeo({ multiplo: 1000, modo: 'siempre' }), /Modo de redondeo inválido/);
+  });
+});
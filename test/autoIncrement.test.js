@@ -0,0 +1,43 @@
+// Pruebas de la asignación de IDs secuenciales (contadores).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db } = require('./helpers');
+const AutoIncrement = require('../utils/autoIncrement');
+
+test('el primer ID usa el valor inicial de la colección y los siguientes son consecutivos', async () => {
+  assert.equal(await AutoIncrement.generateId('productos'), 'PROD-1000');
+  assert.equal(await AutoIncrement.generateId('productos'), 'PROD-1001');
+  assert.equal(await AutoIncrement.generateId('movimientos_stock'), 'MOV-000001');
+});
+
+test('las solicitudes concurrentes reciben números distintos y sin huecos', async () => {
+  const ids = await Promise.all(Array.from({ length: 5 }, () => AutoIncrement.getNextSequence('clientes')));
+
+  assert.deepEqual([...ids].sort((a, b) => a - b), [1, 2, 3, 4, 5]);
+});
+
+test('formatId aplica el prefijo y el relleno de cada colección', () => {
+  assert.equal(AutoIncrement.formatId('pedidos', 2001), 'PED-02001');
+  assert.equal(AutoIncrement.formatId('devoluciones', 7), 'DEV-00007');
+  assert.equal(AutoIncrement.formatId('desconocida', 5), 'ID-5');
+});
+
+test('leerContador solo consume los números si la transacción se confirma', async () => {
+  await assert.rejects(db.runTransaction(async (transaction) => {
+    const contador = await AutoIncrement.leerContador(transaction, 'pagos');
+    assert.equal(contador.siguiente(), 1);
+    contador.confirmar();
+    throw new Error('falla posterior');
+  }), /falla posterior/);
+
+  const numeros = await db.runTransaction(async (transaction) => {
+    const contador = await AutoIncrement.leerContador(transaction, 'pagos');
+    const entregados = [contador.siguiente(), contador.siguiente()];
+    contador.confirmar();
+    return entregados;
+  });
+
+  assert.deepEqual(numeros, [1, 2]);
+  assert.equal(await AutoIncrement.getNextSequence('pagos'), 3);
+});
@@ -0,0 +1,135 @@
+// Pruebas de los límites de cantidad de las devoluciones: nunca más de lo vendido sin devolver.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crearProducto, crearPedido, stockDe } = require('./helpers');
+const Pedido = require('../models/pedidoModel');
+const Devolucion = require('../models/devolucionModel');
+
+// Pedido con 3 carteras en dos líneas (cobradas 100 en total) y una mochila.
+const pedido = {
+  productos: [
+    { productoId: 'P1', nombre: 'Cartera', cantidad: 2, bruto: 70 },
+    { productoId: 'P2', nombre: 'Mochila', cantidad: 1, bruto: 50 },
+    { productoId: 'P1', nombre: 'Cartera', cantidad: 1, bruto: 30 }
+  ]
+};
+
+// Crea un pedido confirmado (con la venta registrada) de 'cantidad' unidades de un producto nuevo.
+const venta = async (cantidad) => {
+  const producto = await crearProducto({ cantidad: 10 });
+  const creado = await crearPedido([{ productoId: producto.id, cantidad }]);
+  await Pedido.updateEstado(creado.id, 'confirmado');
+  return { producto, pedidoId: creado.id };
+};
+
+describe('Devolucion.valorarLineas', () => {
+  test('suma las líneas repetidas de un producto y valora a lo cobrado', () => {
+    const { lineas, importe, invalidos } = Devolucion.valorarLineas(pedido, [], [{ productoId: 'P1', cantidad: 1 }]);
+
+    assert.deepEqual(invalidos, []);
+    assert.deepEqual(lineas, [{ productoId: 'P1', nombre: 'Cartera', cantidad: 1, importeUnitario: 33.33, importe: 33.33 }]);
+    assert.equal(importe, 33.33);
+  });
+
+  test('descuenta lo devuelto por otras devoluciones activas', () => {
+    const devoluciones = [
+      { estado: 'aprobada', productos: [{ productoId: 'P1', cantidad: 2 }] },
+      { estado: 'rechazada', productos: [{ productoId: 'P1', cantidad: 3 }] }
+    ];
+
+    const { invalidos } = Devolucion.valorarLineas(pedido, devoluciones, [{ productoId: 'P1', cantidad: 2 }]);
+    assert.deepEqual(invalidos, [{
+      productoId: 'P1',
+      error: 'La cantidad supera lo vendido sin devolver',
+      vendido: 3,
+      devuelto: 2,
+      disponible: 1,
+      solicitado: 2
+    }]);
+
+    // La unidad que queda sí se puede devolver.
+    const { lineas } = Devolucion.valorarLineas(pedido, devoluciones, [{ productoId: 'P1', cantidad: 1 }]);
+    assert.equal(lineas[0].importe, 33.33);
+  });
+
+  test('suma las cantidades pedidas en varias líneas y rechaza productos que no se vendieron', () => {
+    const { lineas, invalidos } = Devolucion.valorarLineas(pedido, [], [
+      { productoId: 'P2', cantidad: 1 },
+      { productoId: 'P2', cantidad: 1 },
+      { productoId: 'P9', cantidad: 1 }
+    ]);
+
+    assert.deepEqual(lineas, []);
+    assert.deepEqual(invalidos.map(i => [i.productoId, i.error]), [
+      ['P2', 'La cantidad supera lo vendido sin devolver'],
+      ['P9', 'El producto no está en el pedido']
+    ]);
+  });
+});
+
+describe('Devolucion.save', () => {
+  test('sólo admite pedidos con la venta registrada', async () => {
+    const producto = await crearProducto();
+    const pendiente = await crearPedido([{ productoId: producto.id, cantidad: 1 }]);
+
+    await assert.rejects(
+      new Devolucion({ pedidoId: pendiente.id, productos: [{ productoId: producto.id, cantidad: 1 }] }).save(),
+      { code: 'estado-invalido', estadoActual: 'pendiente' }
+    );
+  });
+
+  test('no permite devolver más de lo vendido entre varias solicitudes', async () => {
+    const { producto, pedidoId } = await venta(3);
+
+    const primera = await new Devolucion({ pedidoId, productos: [{ productoId: producto.id, cantidad: 2 }] }).save();
+    assert.equal(primera.importe, 2000);
+
+    await assert.rejects(
+      new Devolucion({ pedidoId, productos: [{ productoId: producto.id, cantidad: 2 }] }).save(),
+      (error) => {
+        assert.equal(error.code, 'devolucion-invalida');
+        assert.equal(error.productos[0].disponible, 1);
+        return true;
+      }
+    );
+
+    // Una devolución cancelada libera sus unidades.
+    await Devolucion.updateEstado(primera.id, 'cancelada');
+    const completa = await new Devolucion({ pedidoId, productos: [{ productoId: producto.id, cantidad: 3 }] }).save();
+    assert.equal(completa.importe, 3000);
+  });
+
+  test('dos solicitudes simultáneas no pueden superar lo vendido', async () => {
+    const { producto, pedidoId } = await venta(3);
+    const solicitar = () => new Devolucion({ pedidoId, productos: [{ productoId: producto.id, cantidad: 2 }] }).save();
+
+    const resultados = await Promise.allSettled([solicitar(), solicitar()]);
+
+    assert.deepEqual(resultados.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(resultados.find(r => r.status === 'rejected').reason.code, 'devolucion-invalida');
+  });
+});
+
+describe('Devolucion.recibir', () => {
+  test('exige recibir exactamente lo aprobado y reingresa las unidades al stock', async () => {
+    const { producto, pedidoId } = await venta(3);
+    const devolucion = await new Devolucion({ pedidoId, productos: [{ productoId: producto.id, cantidad: 2 }] }).save();
+    await Devolucion.updateEstado(devolucion.id, 'aprobada');
+    const { depositoId } = await stockDe(producto.id);
+
+    await assert.rejects(
+      Devolucion.recibir(devolucion.id, { depositoId, items: [{ productoId: producto.id, cantidad: 3 }] }),
+      (error) => {
+        assert.equal(error.code, 'recepcion-invalida');
+        assert.deepEqual(error.productos, [{ productoId: producto.id, error: 'La cantidad no coincide con lo aprobado', aprobado: 2, recibido: 3 }]);
+        return true;
+      }
+    );
+    assert.equal((await stockDe(producto.id)).cantidad, 7);
+
+    const recibida = await Devolucion.recibir(devolucion.id, { depositoId });
+    assert.equal(recibida.estado, 'recibida');
+    assert.equal((await stockDe(producto.id)).cantidad, 9);
+  });
+});
@@ -0,0 +1,148 @@
+// Pruebas de la API tipo Firestore común a los motores (sobre la base en memoria).
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers');
+const MemoryDatabase = require('../database/memoryDatabase');
+
+let db;
+
+beforeEach(async () => {
+  db = new MemoryDatabase();
+  const productos = db.collection('productos');
+  await productos.doc('a').set({ nombre: 'Cartera', precio: 300, material: 'Cuero' });
+  await productos.doc('b').set({ nombre: 'Mochila', precio: 100, material: 'Lona' });
+  await productos.doc('c').set({ nombre: 'Billetera', precio: 200, material: 'Cuero' });
+  await productos.doc('d').set({ nombre: 'Sin precio', material: 'Cuero' });
+});
+
+describe('Consultas', () => {
+  test('where filtra por igualdad y se puede encadenar', async () => {
+    const snapshot = await db.collection('productos')
+      .where('material', '==', 'Cuero')
+      .where('precio', '>', 250)
+      .get();
+
+    assert.deepEqual(snapshot.docs.map(doc => doc.id), ['a']);
+  });
+
+  test('los filtros de rango solo coinciden con valores del mismo tipo', async () => {
+    const snapshot = await db.collection('productos').where('precio', '>=', 0).get();
+
+    assert.equal(snapshot.size, 3);
+  });
+
+  test('orderBy ordena, excluye los documentos sin el campo y limit recorta', async () => {
+    const ascendente = await db.collection('productos').orderBy('precio').get();
+    assert.deepEqual(ascendente.docs.map(doc => doc.id), ['b', 'c', 'a']);
+
+    const primero = await db.collection('productos').orderBy('precio', 'desc').limit(1).get();
+    assert.deepEqual(primero.docs.map(doc => doc.data().nombre), ['Cartera']);
+  });
+
+  test('in y array-contains', async () => {
+    await db.collection('productos').doc('a').update({ etiquetas: ['oferta', 'nuevo'] });
+
+    const enLista = await db.collection('productos').where('nombre', 'in', ['Mochila', 'Billetera']).get();
+    assert.deepEqual(enLista.docs.map(doc => doc.id), ['b', 'c']);
+
+    const conEtiqueta = await db.collection('productos').where('etiquetas', 'array-contains', 'oferta').get();
+    assert.deepEqual(conEtiqueta.docs.map(doc => doc.id), ['a']);
+  });
+
+  test('update de un documento inexistente lanza not-found', async () => {
+    await assert.rejects(db.collection('productos').doc('zzz').update({ precio: 1 }), { code: 'not-found' });
+  });
+});
+
+describe('Transacciones', () => {
+  test('aplica las escrituras al terminar y devuelve el resultado', async () => {
+    const ref = db.collection('productos').doc('a');
+
+    const resultado = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      transaction.update(ref, { precio: doc.data().precio + 50 });
+      return 'ok';
+    });
+
+    assert.equal(resultado, 'ok');
+    assert.equal((await ref.get()).data().precio, 350);
+  });
+
+  test('exige leer todo antes de la primera escritura', async () => {
+    const ref = db.collection('productos').doc('a');
+
+    await assert.rejects(db.runTransaction(async (transaction) => {
+      transaction.update(ref, { precio: 1 });
+      await transaction.get(db.collection('productos').doc('b'));
+    }), { code: 'failed-precondition' });
+
+    assert.equal((await ref.get()).data().precio, 300);
+  });
+
+  test('si la función lanza un error no se aplica ninguna escritura', async () => {
+    await assert.rejects(db.runTransaction(async (transaction) => {
+      await transaction.get(db.collection('productos').doc('a'));
+      transaction.update(db.collection('productos').doc('a'), { precio: 1 });
+      transaction.delete(db.collection('productos').doc('b'));
+      throw new Error('cancelada');
+    }), /cancelada/);
+
+    assert.equal((await db.collection('productos').doc('a').get()).data().precio, 300);
+    assert.equal((await db.collection('productos').doc('b').get()).exists, true);
+  });
+
+  test('reintenta si lo leído cambió antes de confirmar', async () => {
+    const ref = db.collection('productos').doc('a');
+    let intentos = 0;
+
+    await db.runTransaction(async (transaction) => {
+      intentos++;
+      const doc = await transaction.get(ref);
+      // En el primer intento otra escritura modifica el documento leído.
+      if (intentos === 1) await ref.update({ precio: 1000 });
+      transaction.update(ref, { precio: doc.data().precio + 1 });
+    });
+
+    assert.equal(intentos, 2);
+    assert.equal((await ref.get()).data().precio, 1001);
+  });
+
+  test('detecta cambios en el resultado de una consulta leída', async () => {
+    let intentos = 0;
+
+    const cantidad = await db.runTransaction(async (transaction) => {
+      intentos++;
+      const snapshot = await transaction.get(db.collection('productos').where('material', '==', 'Cuero'));
+      if (intentos === 1) await db.collection('productos').doc('e').set({ nombre: 'Cinturón', material: 'Cuero' });
+      transaction.set(db.collection('resumen').doc('cuero'), { cantidad: snapshot.size });
+      return snapshot.size;
+    });
+
+    assert.equal(intentos, 2);
+    assert.equal(cantidad, 4);
+  });
+
+  test('las escrituras concurrentes sobre el mismo documento no se pierden', async () => {
+    const ref = db.collection('contadores').doc('visitas');
+    await ref.set({ total: 0 });
+
+    await Promise.all(Array.from({ length: 3 }, () => db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      // Cede el turno para que las transacciones se intercalen.
+      await new Promise(resolve => setImmediate(resolve));
+      transaction.update(ref, { total: doc.data().total + 1 });
+    })));
+
+    assert.equal((await ref.get()).data().total, 3);
+  });
+
+  test('update de un documento inexistente aborta la transacción completa', async () => {
+    await assert.rejects(db.runTransaction(async (transaction) => {
+      transaction.set(db.collection('productos').doc('nuevo'), { nombre: 'Nuevo' });
+      transaction.update(db.collection('productos').doc('zzz'), { precio: 1 });
+    }), { code: 'not-found' });
+
+    assert.equal((await db.collection('productos').doc('nuevo').get()).exists, false);
+  });
+});
@@ -0,0 +1,57 @@
+// =============================================================================
+// Utilidades comunes de las pruebas.
+// Se importa ANTES que cualquier modelo: fija la base de datos en memoria (cada
+// archivo de pruebas corre en su propio proceso, con la base vacía).
+// =============================================================================
+process.env.DB_BACKEND = 'memory';
+
+// El runner de node:test recibe los resultados de cada archivo por su salida estándar:
+// los logs de los modelos se mandan a la salida de errores para no mezclarse con ellos.
+console.log = console.error;
+console.info = console.error;
+
+const { db } = require('../database');
+const Categoria = require('../models/categoriaModel');
+const Producto = require('../models/productoModel');
+const Precio = require('../models/precioModel');
+const Stock = require('../models/stockModel');
+const Deposito = require('../models/depositoModel');
+const Pedido = require('../models/pedidoModel');
+
+let categoria = null;
+
+// Crea un producto con su precio de venta (final, con IVA) y 'cantidad' unidades en el depósito principal.
+const crearProducto = async ({ nombre = 'Cartera', precio = 1000, cantidad = 10 } = {}) => {
+  if (!categoria) {
+    categoria = await new Categoria({ nombre: 'Carteras', descripcion: 'Carteras de cuero' }).save();
+  }
+  const producto = await new Producto({ nombre, categoriaId: categoria.id, material: 'Cuero' }).save();
+  await new Precio({ productoId: producto.id, precio }).save();
+  await new Stock({ productoId: producto.id, cantidad }).save();
+  return producto;
+};
+
+// Cotiza 'items' ({ productoId, cantidad }) con los precios vigentes y guarda el pedido.
+const crearPedido = async (items, datos = {}) => {
+  const cotizacion = await Pedido.cotizar(items);
+  return new Pedido({
+    cliente: 'Ana Gómez',
+    email: 'ana@example.com',
+    vendedorId: 'USER-010',
+    productos: cotizacion.lineas,
+    total: cotizacion.total,
+    impuestos: cotizacion.impuestos,
+    descuentos: cotizacion.descuentos,
+    moneda: cotizacion.moneda,
+    tiposCambio: cotizacion.tiposCambio,
+    ...datos
+  }).save();
+};
+
+// Stock del producto en el depósito principal.
+const stockDe = async (productoId) => {
+  const principal = await Deposito.obtenerPrincipal();
+  return Stock.findByProductoYDeposito(productoId, principal.id);
+};
+
+module.exports = { db, crearProducto, crearPedido, stockDe };
@@ -0,0 +1,135 @@
+// Pruebas de la acumulación de promociones y cupones al cotizar un pedido.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crearProducto } = require('./helpers');
+const Promocion = require('../models/promocionModel');
+const Pedido = require('../models/pedidoModel');
+const { aplicarPromociones, descuentoDeCupon } = require('../utils/promociones');
+
+// Dos carteras (categoría C1) y una mochila (categoría C2), en pesos.
+const lineas = () => [
+  { productoId: 'P1', categoriaId: 'C1', cantidad: 2, precioUnitario: 1000, moneda: 'ARS', importe: 2000 },
+  { productoId: 'P2', categoriaId: 'C1', cantidad: 1, precioUnitario: 500, moneda: 'ARS', importe: 500 },
+  { productoId: 'P3', categoriaId: 'C2', cantidad: 1, precioUnitario: 3000, moneda: 'ARS', importe: 3000 }
+];
+
+// Promoción con los valores por defecto del modelo.
+const promocion = (datos) => ({ moneda: 'ARS', acumulable: false, ...datos });
+
+// Descuentos de cada línea como pares [promocionId, importe].
+const importes = (descuentos) => descuentos.map(d => d.map(({ promocionId, importe }) => [promocionId, importe]));
+
+describe('aplicarPromociones', () => {
+  test('las acumulables se suman, cada una sobre lo que dejó la anterior', () => {
+    const resultado = aplicarPromociones(lineas(), [
+      promocion({ id: 'A', tipo: 'porcentaje', alcance: 'producto', productoId: 'P1', porcentaje: 10, acumulable: true }),
+      promocion({ id: 'B', tipo: 'porcentaje', alcance: 'categoria', categoriaId: 'C1', porcentaje: 10, acumulable: true })
+    ]);
+
+    assert.deepEqual(importes(resultado), [[['A', 200], ['B', 180]], [['B', 50]], []]);
+  });
+
+  test('una no acumulable sólo toma líneas sin descuentos y después ninguna otra se suma sobre ellas', () => {
+    const resultado = aplicarPromociones(lineas(), [
+      promocion({ id: 'A', tipo: 'porcentaje', alcance: 'producto', productoId: 'P1', porcentaje: 10, acumulable: true }),
+      promocion({ id: 'N', tipo: 'porcentaje', alcance: 'categoria', categoriaId: 'C1', porcentaje: 20 }),
+      promocion({ id: 'B', tipo: 'porcentaje', alcance: 'categoria', categoriaId: 'C1', porcentaje: 10, acumulable: true })
+    ]);
+
+    assert.deepEqual(importes(resultado), [[['A', 200], ['B', 180]], [['N', 100]], []]);
+  });
+
+  test('las de pedido se evalúan al final y reparten el monto sobre lo que quedó', () => {
+    const resultado = aplicarPromociones(lineas(), [
+      promocion({ id: 'P', tipo: 'monto', alcance: 'pedido', monto: 1000, acumulable: true }),
+      promocion({ id: 'A', tipo: 'porcentaje', alcance: 'producto', productoId: 'P1', porcentaje: 10, acumulable: true })
+    ]);
+
+    assert.deepEqual(importes(resultado), [[['A', 200], ['P', 339.62]], [['P', 94.34]], [['P', 566.04]]]);
+  });
+
+  test('una de pedido no acumulable no se aplica si alguna línea ya tiene descuento', () => {
+    const delPedido = promocion({ id: 'P', tipo: 'porcentaje', alcance: 'pedido', porcentaje: 5 });
+
+    const conOtra = aplicarPromociones(lineas(), [
+      promocion({ id: 'A', tipo: 'porcentaje', alcance: 'producto', productoId: 'P1', porcentaje: 10, acumulable: true }),
+      delPedido
+    ]);
+    assert.deepEqual(importes(conOtra), [[['A', 200]], [], []]);
+
+    const sola = aplicarPromociones(lineas(), [delPedido]);
+    assert.deepEqual(importes(sola), [[['P', 100]], [['P', 25]], [['P', 150]]]);
+  });
+
+  test('el umbral se compara con lo que queda a pagar después de las otras promociones', () => {
+    const umbral = promocion({ id: 'U', tipo: 'umbral', alcance: 'pedido', montoMinimo: 5500, porcentaje: 10, acumulable: true });
+
+    assert.equal(aplicarPromociones(lineas(), [umbral])[2][0].importe, 300);
+
+    const resultado = aplicarPromociones(lineas(), [
+      promocion({ id: 'A', tipo: 'porcentaje', alcance: 'producto', productoId: 'P1', porcentaje: 10, acumulable: true }),
+      umbral
+    ]);
+    assert.deepEqual(importes(resultado), [[['A', 200]], [], []]);
+  });
+
+  test('el NxM bonifica las unidades más baratas entre todas las líneas alcanzadas', () => {
+    const resultado = aplicarPromociones(lineas(), [
+      promocion({ id: 'X', tipo: 'nxm', alcance: 'categoria', categoriaId: 'C1', lleva: 2, paga: 1 })
+    ]);
+
+    assert.deepEqual(importes(resultado), [[], [['X', 500]], []]);
+  });
+
+  test('los montos no dejan líneas por debajo de 0 ni tocan líneas en otra moneda', () => {
+    const resultado = aplicarPromociones(lineas(), [
+      promocion({ id: 'M', tipo: 'monto', alcance: 'categoria', categoriaId: 'C1', monto: 800, acumulable: true }),
+      promocion({ id: 'D', tipo: 'monto', alcance: 'pedido', monto: 100, moneda: 'USD', acumulable: true })
+    ]);
+
+    assert.deepEqual(importes(resultado), [[['M', 1600]], [['M', 500]], []]);
+  });
+});
+
+describe('descuentoDeCupon', () => {
+  const cupon = (datos) => ({ moneda: 'ARS', montoMinimo: null, ...datos });
+
+  test('se calcula sobre lo que queda a pagar de cada línea', () => {
+    assert.deepEqual(descuentoDeCupon(cupon({ tipo: 'porcentaje', porcentaje: 10 }), lineas(), [1620, 450, 3000]), [162, 45, 300]);
+  });
+
+  test('el monto fijo se reparte y no supera lo que queda a pagar', () => {
+    assert.deepEqual(descuentoDeCupon(cupon({ tipo: 'monto', monto: 600 }), lineas(), [300, 0, 300]), [300, 0, 300]);
+    assert.deepEqual(descuentoDeCupon(cupon({ tipo: 'monto', monto: 1000 }), lineas(), [300, 0, 300]), [300, 0, 300]);
+  });
+
+  test('sólo cuentan las líneas en la moneda del cupón, también para la compra mínima', () => {
+    const enDolares = cupon({ tipo: 'porcentaje', porcentaje: 10, moneda: 'USD', montoMinimo: 10 });
+    const conUnaEnDolares = lineas().map((linea, i) => (i === 2 ? { ...linea, moneda: 'USD' } : linea));
+
+    assert.equal(descuentoDeCupon(enDolares, lineas(), [2000, 500, 3000]), null);
+    assert.deepEqual(descuentoDeCupon(enDolares, conUnaEnDolares, [2000, 500, 3000]), [0, 0, 300]);
+  });
+});
+
+test('al cotizar, el cupón se aplica después de las promociones vigentes', async () => {
+  const producto = await crearProducto({ precio: 10000 });
+  await new Promocion({
+    nombre: 'Carteras 10%',
+    tipo: 'porcentaje',
+    alcance: 'producto',
+    productoId: producto.id,
+    porcentaje: 10,
+    acumulable: true
+  }).save();
+  const cupon = { id: 'CUP-0001', codigo: 'INSTA10', tipo: 'porcentaje', porcentaje: 10, moneda: 'ARS', montoMinimo: null };
+
+  const cotizacion = await Pedido.cotizar([{ productoId: producto.id, cantidad: 1 }], { cupon });
+
+  assert.deepEqual(cotizacion.errores, []);
+  assert.deepEqual(cotizacion.lineas[0].descuentos.map(d => d.importe), [1000, 900]);
+  assert.equal(cotizacion.lineas[0].descuento, 1900);
+  assert.equal(cotizacion.total, 8100);
+  assert.deepEqual(cotizacion.descuentos.map(d => d.codigo || d.nombre), ['Carteras 10%', 'INSTA10']);
+});
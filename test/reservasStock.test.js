@@ -0,0 +1,102 @@
+// Pruebas del ciclo de stock de los pedidos: reserva al crear, venta al confirmar,
+// liberación o devolución al cancelar.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { db, crearProducto, crearPedido, stockDe } = require('./helpers');
+const Pedido = require('../models/pedidoModel');
+
+// Movimientos del kardex generados por un pedido.
+const movimientosDe = async (pedidoId) => {
+  const snapshot = await db.collection('movimientos_stock').where('referenciaId', '==', pedidoId).get();
+  return snapshot.docs.map(doc => doc.data());
+};
+
+test('crear un pedido reserva las unidades sin descontarlas', async () => {
+  const producto = await crearProducto({ cantidad: 10 });
+
+  const pedido = await crearPedido([{ productoId: producto.id, cantidad: 3 }]);
+
+  const stock = await stockDe(producto.id);
+  assert.equal(stock.cantidad, 10);
+  assert.equal(stock.reservado, 3);
+  assert.equal(pedido.reservaStock.estado, 'activa');
+  assert.deepEqual(await movimientosDe(pedido.id), []);
+});
+
+test('confirmar consume la reserva y cancelar después repone las unidades una sola vez', async () => {
+  const producto = await crearProducto({ cantidad: 10 });
+  const pedido = await crearPedido([{ productoId: producto.id, cantidad: 3 }]);
+
+  const confirmado = await Pedido.updateEstado(pedido.id, 'confirmado');
+  assert.equal(confirmado.reservaStock.estado, 'consumida');
+  let stock = await stockDe(producto.id);
+  assert.equal(stock.cantidad, 7);
+  assert.equal(stock.reservado, 0);
+
+  await Pedido.updateEstado(pedido.id, 'cancelado');
+  stock = await stockDe(producto.id);
+  assert.equal(stock.cantidad, 10);
+  assert.equal(stock.reservado, 0);
+
+  const tipos = (await movimientosDe(pedido.id)).map(m => m.tipo).sort();
+  assert.deepEqual(tipos, ['devolucion', 'venta']);
+
+  // Repetir la cancelación no vuelve a reponer las unidades.
+  await Pedido.updateEstado(pedido.id, 'cancelado');
+  assert.equal((await stockDe(producto.id)).cantidad, 10);
+  assert.equal((await movimientosDe(pedido.id)).length, 2);
+  await assert.rejects(Pedido.updateEstado(pedido.id, 'confirmado'), { code: 'transicion-invalida' });
+});
+
+test('cancelar un pedido pendiente libera la reserva sin tocar la cantidad física', async () => {
+  const producto = await crearProducto({ cantidad: 5 });
+  const pedido = await crearPedido([{ productoId: producto.id, cantidad: 2 }]);
+
+  const cancelado = await Pedido.updateEstado(pedido.id, 'cancelado');
+
+  assert.equal(cancelado.reservaStock.estado, 'liberada');
+  const stock = await stockDe(producto.id);
+  assert.equal(stock.cantidad, 5);
+  assert.equal(stock.reservado, 0);
+  assert.deepEqual(await movimientosDe(pedido.id), []);
+});
+
+test('no se puede reservar más de lo disponible (cantidad menos reservado)', async () => {
+  const producto = await crearProducto({ cantidad: 4 });
+  await crearPedido([{ productoId: producto.id, cantidad: 3 }]);
+
+  await assert.rejects(crearPedido([{ productoId: producto.id, cantidad: 2 }]), (error) => {
+    assert.equal(error.code, 'stock-insuficiente');
+    assert.deepEqual(error.productos, [{ productoId: producto.id, solicitado: 2, disponible: 1 }]);
+    return true;
+  });
+  assert.equal((await stockDe(producto.id)).reservado, 3);
+});
+
+test('las líneas repetidas de un producto se reservan juntas', async () => {
+  const producto = await crearProducto({ cantidad: 4 });
+
+  await assert.rejects(crearPedido([
+    { productoId: producto.id, cantidad: 3 },
+    { productoId: producto.id, cantidad: 2 }
+  ]), { code: 'stock-insuficiente' });
+  assert.equal((await stockDe(producto.id)).reservado, 0);
+});
+
+test('las reservas vencidas se liberan y el pedido sigue pendiente', async () => {
+  const producto = await crearProducto({ cantidad: 6 });
+  const pedido = await crearPedido([{ productoId: producto.id, cantidad: 4 }]);
+  const despuesDelVencimiento = new Date(Date.now() + (Pedido.HORAS_RESERVA + 1) * 60 * 60 * 1000);
+
+  assert.ok(await Pedido.liberarReservasVencidas(despuesDelVencimiento) >= 1);
+
+  const actualizado = await Pedido.findById(pedido.id);
+  assert.equal(actualizado.estado, 'pendiente');
+  assert.equal(actualizado.reservaStock.estado, 'vencida');
+  assert.equal((await stockDe(producto.id)).reservado, 0);
+
+  // Sin reserva, confirmarlo descuenta el stock que esté disponible en ese momento.
+  await Pedido.updateEstado(pedido.id, 'confirmado');
+  assert.equal((await stockDe(producto.id)).cantidad, 2);
+});
@@ -0,0 +1,66 @@
+// --- Utilidades de Ajuste de Precios ---
+// Cálculo de precios nuevos para las actualizaciones masivas: aumento porcentual o
+// monto fijo y reglas de redondeo (ej: al múltiplo de 1000 terminado en 900 -> 25.900).
+
+// Modos de redondeo admitidos.
+const MODOS_REDONDEO = ['cercano', 'arriba', 'abajo'];
+
+/**
+ * Valida una regla de redondeo recibida en el body.
+ * - multiplo: paso del redondeo (ej: 100, 1000).
+ * - terminacion: en qué termina el precio dentro de cada múltiplo (0 a multiplo - 1; por defecto 0).
+ * - modo: 'cercano' (por defecto), 'arriba' o 'abajo'.
+ * @param {object|undefined} redondeo - Regla a validar (opcional).
+ * @returns {string|null} El mensaje de error, o null si la regla es válida o no se envió.
+ */
+const validarRedondeo = (redondeo) => {
+  if (redondeo === undefined || redondeo === null) return null;
+
+  const { multiplo, terminacion = 0, modo = 'cercano' } = redondeo;
+  if (typeof multiplo !== 'number' || multiplo <= 0) {
+    return 'El redondeo requiere un multiplo mayor a 0.';
+  }
+  if (typeof terminacion !== 'number' || terminacion < 0 || terminacion >= multiplo) {
+    return 'La terminacion del redondeo debe estar entre 0 y el multiplo.';
+  }
+  if (!MODOS_REDONDEO.includes(modo)) {
+    return `Modo de redondeo inválido. Use: ${MODOS_REDONDEO.join(', ')}.`;
+  }
+  return null;
+};
+
+/**
+ * Redondea un precio al valor más próximo de la forma k * multiplo + terminacion.
+ * Ej: { multiplo: 1000, terminacion: 900 } lleva 25.437 a 25.900 y 24.120 a 23.900.
+ * Nunca devuelve un precio negativo: si el redondeo hacia abajo da menos de 0, sube al primer valor válido.
+ * @param {number} valor - Precio a redondear.
+ * @param {object|null} redondeo - Regla validada con validarRedondeo (sin regla, se redondea a centavos).
+ * @returns {number} El precio redondeado.
+ */
+const redondearPrecio = (valor, redondeo) => {
+  if (!redondeo) return Math.round(valor * 100) / 100;
+
+  const { multiplo, terminacion = 0, modo = 'cercano' } = redondeo;
+  const pasos = (valor - terminacion) / multiplo;
+  const redondeado = modo === 'arriba' ? Math.ceil(pasos)
+    : modo === 'abajo' ? Math.floor(pasos)
+      : Math.round(pasos);
+  const resultado = Math.max(redondeado, Math.ceil(-terminacion / multiplo)) * multiplo + terminacion;
+
+  return Math.round(resultado * 100) / 100;
+};
+
+/**
+ * Aplica un aumento (o rebaja, con valores negativos) y la regla de redondeo a un precio.
+ * @param {number} valor - Precio actual.
+ * @param {object} ajuste - { porcentaje } o { monto }, y opcionalmente { redondeo }.
+ * @returns {number} El precio nuevo (puede ser negativo si la rebaja supera al precio).
+ */
+const ajustarPrecio = (valor, { porcentaje, monto, redondeo }) => {
+  const bruto = porcentaje !== undefined
+    ? valor * (1 + porcentaje / 100)
+    : valor + monto;
+  return bruto < 0 ? bruto : redondearPrecio(bruto, redondeo);
+};
+
+module.exports = { MODOS_REDONDEO, validarRedondeo, redondearPrecio, ajustarPrecio };
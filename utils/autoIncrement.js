@@ -1,5 +1,5 @@
-// Importa la instancia de la base de datos de Firebase, necesaria para realizar transacciones.
-const { db } = require('../config/firebase'); 
+// Importa la instancia de la base de datos (según DB_BACKEND), necesaria para realizar transacciones.
+const { db } = require('../database'); 
 
 // --- Definición de la Clase de Utilidad 'AutoIncrement' ---
 class AutoIncrement {
@@ -48,33 +48,100 @@ class AutoIncrement {
       categorias: 100, // ...
       usuarios: 10,
       precios: 5000,
-      stocks: 3000
+      stocks: 3000,
+      movimientos_stock: 1, // Kardex: MOV-000001, MOV-000002...
+      depositos: 1,
+      transferencias: 1,
+      inventarios: 1,
+      proveedores: 1,
+      ordenes_compra: 1,
+      costos: 1,
+      listas_precios: 1,
+      cotizaciones: 1,
+      promociones: 1,
+      cupones: 1,
+      canjes_cupones: 1,
+      clientes: 1,
+      pagos: 1,
+      devoluciones: 1,
+      presupuestos: 1
     };
     // Retorna el valor específico o 1 si la colección no está mapeada.
     return initialValues[collectionName] || 1; 
   }
 
-  // --- Método Estático: Generar ID Final con Formato ---
-  // Combina la secuencia numérica con un prefijo y relleno de ceros.
-  static async generateId(collectionName) {
-    // Obtiene el siguiente número de secuencia de forma segura.
-    const nextId = await this.getNextSequence(collectionName); 
-    
-    // Objeto de mapeo para definir el formato (prefijo y longitud).
-    const formats = {
-      // Ejemplo: 'PROD-' + '1001' rellenado a 4 ceros = 'PROD-1001'.
-      productos: `PROD-${String(nextId).padStart(4, '0')}`, 
-      // Ejemplo: 'PED-' + '2001' rellenado a 5 ceros = 'PED-02001'.
-      pedidos: `PED-${String(nextId).padStart(5, '0')}`, 
-      categorias: `CAT-${String(nextId).padStart(3, '0')}`,
-      usuarios: `USER-${String(nextId).padStart(3, '0')}`,
-      precios: `PRICE-${String(nextId).padStart(4, '0')}`,
-      stocks: `STOCK-${String(nextId).padStart(4, '0')}`
-    };
-    
-    // Retorna el ID formateado o un formato genérico de fallback.
-    return formats[collectionName] || `ID-${nextId}`; 
-  }
+  // --- Método Estático: Generar ID Final con Formato ---
+  // Combina la secuencia numérica con un prefijo y relleno de ceros.
+  static async generateId(collectionName) {
+    // Obtiene el siguiente número de secuencia de forma segura.
+    const nextId = await this.getNextSequence(collectionName);
+    return this.formatId(collectionName, nextId);
+  }
+
+  // --- Método Estático: Formatear un Número de Secuencia ---
+  static formatId(collectionName, nextId) {
+    // Objeto de mapeo para definir el formato (prefijo y longitud).
+    const formats = {
+      // Ejemplo: 'PROD-' + '1001' rellenado a 4 ceros = 'PROD-1001'.
+      productos: `PROD-${String(nextId).padStart(4, '0')}`,
+      // Ejemplo: 'PED-' + '2001' rellenado a 5 ceros = 'PED-02001'.
+      pedidos: `PED-${String(nextId).padStart(5, '0')}`,
+      categorias: `CAT-${String(nextId).padStart(3, '0')}`,
+      usuarios: `USER-${String(nextId).padStart(3, '0')}`,
+      precios: `PRICE-${String(nextId).padStart(4, '0')}`,
+      stocks: `STOCK-${String(nextId).padStart(4, '0')}`,
+      movimientos_stock: `MOV-${String(nextId).padStart(6, '0')}`,
+      depositos: `DEP-${String(nextId).padStart(3, '0')}`,
+      transferencias: `TRF-${String(nextId).padStart(5, '0')}`,
+      inventarios: `INV-${String(nextId).padStart(5, '0')}`,
+      proveedores: `PROV-${String(nextId).padStart(3, '0')}`,
+      ordenes_compra: `OC-${String(nextId).padStart(5, '0')}`,
+      costos: `COSTO-${String(nextId).padStart(5, '0')}`,
+      listas_precios: `LP-${String(nextId).padStart(3, '0')}`,
+      cotizaciones: `COT-${String(nextId).padStart(5, '0')}`,
+      promociones: `PROMO-${String(nextId).padStart(3, '0')}`,
+      cupones: `CUP-${String(nextId).padStart(4, '0')}`,
+      canjes_cupones: `CANJE-${String(nextId).padStart(6, '0')}`,
+      clientes: `CLI-${String(nextId).padStart(5, '0')}`,
+      pagos: `PAGO-${String(nextId).padStart(6, '0')}`,
+      devoluciones: `DEV-${String(nextId).padStart(5, '0')}`,
+      presupuestos: `PRES-${String(nextId).padStart(5, '0')}`
+    };
+
+    // Retorna el ID formateado o un formato genérico de fallback.
+    return formats[collectionName] || `ID-${nextId}`;
+  }
+
+  // --- Método Estático: Leer un Contador Dentro de una Transacción Ajena ---
+  // Permite que el incremento del contador forme parte de la misma transacción
+  // que el documento que lo usa (si la transacción falla, no se consume el número).
+  // Debe llamarse en la fase de lecturas; devuelve un objeto con:
+  //   - siguiente(): número siguiente (se puede llamar varias veces).
+  //   - confirmar(): escribe el último número entregado (fase de escrituras).
+  // 'calcularInicial' (opcional, puede ser async) da el primer número cuando el
+  // contador todavía no existe; por defecto se usa getInitialValue.
+  static async leerContador(transaction, counterName, calcularInicial = null) {
+    const counterRef = db.collection('contadores').doc(counterName);
+    const counterDoc = await transaction.get(counterRef);
+
+    // 'secuencia' es el último número entregado; 'inicial' el primero si el contador es nuevo.
+    let secuencia = counterDoc.exists ? counterDoc.data().secuencia : null;
+    const inicial = secuencia === null
+      ? (calcularInicial ? await calcularInicial() : this.getInitialValue(counterName))
+      : null;
+    let usado = false;
+
+    return {
+      siguiente: () => {
+        secuencia = secuencia === null ? inicial : secuencia + 1;
+        usado = true;
+        return secuencia;
+      },
+      confirmar: () => {
+        if (usado) transaction.set(counterRef, { secuencia }, { merge: true });
+      }
+    };
+  }
 }
 
 // Exporta la clase de utilidad.
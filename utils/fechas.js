@@ -0,0 +1,46 @@
+// --- Utilidades de Fechas ---
+// Funciones auxiliares para trabajar con fechas que llegan por query string
+// o que se leen de la base de datos (Firestore devuelve objetos Timestamp).
+
+// Formato de fecha simple aceptado en filtros: 'AAAA-MM-DD'.
+const FECHA_SIMPLE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convierte un valor leído de la base de datos en un objeto Date.
+ * Acepta Date, Timestamp de Firestore (con método toDate), strings ISO y números.
+ * @param {*} valor - Valor a convertir.
+ * @returns {Date|null} La fecha, o null si el valor está vacío.
+ */
+const aFecha = (valor) => {
+  if (valor === undefined || valor === null) return null;
+  if (valor instanceof Date) return valor;
+  if (typeof valor.toDate === 'function') return valor.toDate(); // Timestamp de Firestore
+  return new Date(valor);
+};
+
+/**
+ * Interpreta una fecha recibida en un filtro (query string).
+ * Las fechas simples 'AAAA-MM-DD' se toman en hora local: al inicio del día,
+ * o al final del día si se pide 'finDelDia' (para que 'hasta' incluya ese día completo).
+ * @param {string} valor - Texto de la fecha.
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.finDelDia=false] - Ajustar al último milisegundo del día.
+ * @returns {Date|null|undefined} La fecha; null si no se envió; undefined si es inválida.
+ */
+const parsearFechaFiltro = (valor, { finDelDia = false } = {}) => {
+  if (valor === undefined || valor === null || valor === '') return null;
+
+  let fecha;
+  if (FECHA_SIMPLE.test(valor)) {
+    const [anio, mes, dia] = valor.split('-').map(Number);
+    fecha = finDelDia
+      ? new Date(anio, mes - 1, dia, 23, 59, 59, 999)
+      : new Date(anio, mes - 1, dia);
+  } else {
+    fecha = new Date(valor);
+  }
+
+  return isNaN(fecha.getTime()) ? undefined : fecha;
+};
+
+module.exports = { aFecha, parsearFechaFiltro };
@@ -0,0 +1,78 @@
+// --- Utilidades de IVA ---
+// Alícuotas por producto (o por categoría) y desglose de importes en neto, IVA y bruto.
+// Las alícuotas se expresan en % (ej: 21 = 21 %); 0 corresponde a productos exentos.
+
+// Alícuotas admitidas.
+const ALICUOTAS_IVA = [21, 10.5, 0];
+// Alícuota que se aplica cuando ni el producto ni su categoría indican una.
+const ALICUOTA_IVA_GENERAL = 21;
+
+// Redondea a dos decimales.
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+/**
+ * Indica si un valor es una alícuota admitida (null y undefined no lo son).
+ * @param {*} alicuota - Valor recibido en la solicitud.
+ * @returns {boolean}
+ */
+const esAlicuotaValida = (alicuota) => ALICUOTAS_IVA.includes(alicuota);
+
+/**
+ * Alícuota que corresponde a un producto: la propia, la de su categoría o la general.
+ * @param {object} producto - Producto (alicuotaIva opcional).
+ * @param {object|null} categoria - Categoría del producto (alicuotaIva opcional).
+ * @returns {number} La alícuota en %.
+ */
+const alicuotaDeProducto = (producto, categoria) => {
+  if (producto.alicuotaIva !== undefined && producto.alicuotaIva !== null) return producto.alicuotaIva;
+  if (categoria && categoria.alicuotaIva !== undefined && categoria.alicuotaIva !== null) return categoria.alicuotaIva;
+  return ALICUOTA_IVA_GENERAL;
+};
+
+/**
+ * Separa un importe en neto, IVA y bruto.
+ * @param {number} importe - Importe tal como figura en el precio.
+ * @param {number} alicuota - Alícuota en %.
+ * @param {boolean} incluyeIva - Si el importe ya incluye el IVA (precio final) o es neto.
+ * @returns {object} { neto, iva, bruto } redondeados a dos decimales.
+ */
+const desglosarIva = (importe, alicuota, incluyeIva) => {
+  if (incluyeIva) {
+    const neto = redondear(importe / (1 + alicuota / 100));
+    return { neto, iva: redondear(importe - neto), bruto: redondear(importe) };
+  }
+  const iva = redondear(importe * alicuota / 100);
+  return { neto: redondear(importe), iva, bruto: redondear(importe + iva) };
+};
+
+/**
+ * Resume los importes de un comprobante: neto, IVA discriminado por alícuota y bruto.
+ * @param {Array<object>} lineas - Líneas con alicuotaIva, neto, iva y bruto.
+ * @returns {object} { neto, iva: [{ alicuota, neto, iva }], totalIva, bruto }.
+ */
+const resumirIva = (lineas) => {
+  const porAlicuota = new Map();
+  for (const linea of lineas) {
+    const acumulado = porAlicuota.get(linea.alicuotaIva) || { alicuota: linea.alicuotaIva, neto: 0, iva: 0 };
+    acumulado.neto = redondear(acumulado.neto + linea.neto);
+    acumulado.iva = redondear(acumulado.iva + linea.iva);
+    porAlicuota.set(linea.alicuotaIva, acumulado);
+  }
+
+  const iva = [...porAlicuota.values()].sort((a, b) => b.alicuota - a.alicuota);
+  return {
+    neto: redondear(lineas.reduce((sum, linea) => sum + linea.neto, 0)),
+    iva,
+    totalIva: redondear(iva.reduce((sum, item) => sum + item.iva, 0)),
+    bruto: redondear(lineas.reduce((sum, linea) => sum + linea.bruto, 0))
+  };
+};
+
+module.exports = {
+  ALICUOTAS_IVA,
+  ALICUOTA_IVA_GENERAL,
+  esAlicuotaValida,
+  alicuotaDeProducto,
+  desglosarIva,
+  resumirIva
+};
@@ -0,0 +1,57 @@
+// --- Utilidades de Margen ---
+// Relación entre el precio de venta y el costo de un producto.
+// - margen: ganancia sobre el precio de venta ((precio - costo) / precio).
+// - markup: recargo sobre el costo ((precio - costo) / costo).
+// Los porcentajes se expresan de 0 a 100 (ej: 40 = 40 %).
+
+// Redondea a dos decimales.
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+/**
+ * Calcula la ganancia bruta, el margen y el markup de un precio respecto de un costo.
+ * @param {number} precio - Precio de venta.
+ * @param {number} costo - Costo unitario.
+ * @returns {object} gananciaBruta, margen (%) y markup (%); markup es null si el costo es 0.
+ */
+const calcularMargen = (precio, costo) => {
+  const gananciaBruta = precio - costo;
+  return {
+    gananciaBruta: redondear(gananciaBruta),
+    margen: precio > 0 ? redondear((gananciaBruta / precio) * 100) : null,
+    markup: costo > 0 ? redondear((gananciaBruta / costo) * 100) : null
+  };
+};
+
+/**
+ * Resume el margen de un producto a partir de su precio y su costo vigentes.
+ * Devuelve null si falta alguno de los dos o si están en monedas distintas.
+ * @param {object|null} precio - Registro de precio vigente (precio, precioOferta, moneda).
+ * @param {object|null} costo - Registro de costo vigente (costo, moneda).
+ * @returns {object|null} El margen sobre el precio de lista y, si hay oferta, sobre el precio de oferta.
+ */
+const resumirMargen = (precio, costo) => {
+  if (!precio || !costo || precio.moneda !== costo.moneda) {
+    return null;
+  }
+
+  return {
+    moneda: precio.moneda,
+    precio: precio.precio,
+    costo: costo.costo,
+    ...calcularMargen(precio.precio, costo.costo),
+    oferta: precio.precioOferta ? {
+      precio: precio.precioOferta,
+      ...calcularMargen(precio.precioOferta, costo.costo)
+    } : null
+  };
+};
+
+/**
+ * Precio de venta que deja el margen indicado sobre el costo: costo / (1 - margen / 100).
+ * @param {number} costo - Costo unitario.
+ * @param {number} margen - Margen deseado sobre el precio de venta (0 a menos de 100).
+ * @returns {number} El precio redondeado a dos decimales.
+ */
+const precioParaMargen = (costo, margen) => redondear(costo / (1 - margen / 100));
+
+module.exports = { calcularMargen, resumirMargen, precioParaMargen };
@@ -0,0 +1,132 @@
+// --- Utilidades de Promociones ---
+// Cálculo de los descuentos que las promociones vigentes aplican a las líneas de un pedido
+// (las reglas se describen en models/promocionModel.js). Los importes se calculan sobre los
+// precios tal como están cargados (finales o netos) y nunca dejan una línea por debajo de 0.
+
+// Redondea a dos decimales.
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+// Indica si la regla trabaja con importes (y por lo tanto sólo con líneas en su moneda).
+const usaImportes = (promocion) => promocion.tipo === 'monto' || promocion.tipo === 'umbral';
+
+// Indica si una línea está dentro del alcance de la promoción.
+const alcanza = (promocion, linea) => {
+  if (usaImportes(promocion) && linea.moneda !== promocion.moneda) return false;
+  if (promocion.alcance === 'producto') return linea.productoId === promocion.productoId;
+  if (promocion.alcance === 'categoria') return linea.categoriaId === promocion.categoriaId;
+  return true;
+};
+
+// Reparte un monto entre varias bases en proporción a cada una; la última absorbe el redondeo.
+const prorratear = (monto, bases) => {
+  const total = bases.reduce((sum, base) => sum + base, 0);
+  if (total <= 0) return bases.map(() => 0);
+
+  const aplicado = Math.min(monto, total);
+  let repartido = 0;
+  return bases.map((base, i) => {
+    if (i === bases.length - 1) return redondear(aplicado - repartido);
+    const parte = redondear(aplicado * base / total);
+    repartido = redondear(repartido + parte);
+    return parte;
+  });
+};
+
+// Lleva X paga Y: se bonifican las unidades más baratas entre todas las líneas alcanzadas
+// (ej: 2x1 en carteras con dos carteras distintas bonifica la de menor precio).
+const descuentoNxM = (promocion, elegibles) => {
+  const unidades = elegibles
+    .flatMap((e, i) => Array.from({ length: e.linea.cantidad }, () => ({ i, precio: e.linea.precioUnitario })))
+    .sort((a, b) => a.precio - b.precio);
+  const bonificadas = Math.floor(unidades.length / promocion.lleva) * (promocion.lleva - promocion.paga);
+
+  const importes = elegibles.map(() => 0);
+  unidades.slice(0, bonificadas).forEach(({ i, precio }) => { importes[i] += precio; });
+  return importes.map((importe, i) => Math.min(redondear(importe), elegibles[i].restante));
+};
+
+// Descuento de una promoción sobre cada línea elegible (en el mismo orden).
+const calcularDescuentos = (promocion, elegibles) => {
+  if (promocion.tipo === 'nxm') {
+    return descuentoNxM(promocion, elegibles);
+  }
+  const porPorcentaje = promocion.tipo === 'porcentaje'
+    || (promocion.tipo === 'umbral' && promocion.porcentaje !== null && promocion.porcentaje !== undefined);
+  if (porPorcentaje) {
+    return elegibles.map(e => redondear(e.restante * promocion.porcentaje / 100));
+  }
+  if (promocion.alcance === 'pedido') {
+    return prorratear(promocion.monto, elegibles.map(e => e.restante));
+  }
+  // Monto fijo por unidad en promociones de producto o categoría.
+  return elegibles.map(e => Math.min(redondear(promocion.monto * e.linea.cantidad), e.restante));
+};
+
+/**
+ * Aplica las promociones vigentes a las líneas de un pedido.
+ * Primero se evalúan las de producto y categoría y después las de pedido (sobre lo que quedó);
+ * dentro de cada grupo, por prioridad. Una promoción no acumulable sólo toma líneas sin otros
+ * descuentos (si es de pedido, sólo se aplica si ninguna línea tiene descuento) y después ninguna
+ * otra se suma sobre esas líneas.
+ * @param {Array<object>} lineas - { productoId, categoriaId, cantidad, precioUnitario, moneda, importe }.
+ * @param {Array<object>} promociones - Promociones vigentes, ordenadas por prioridad.
+ * @returns {Array<Array<object>>} Los descuentos de cada línea: [{ promocionId, nombre, importe }].
+ */
+const aplicarPromociones = (lineas, promociones) => {
+  const estado = lineas.map(linea => ({ linea, restante: linea.importe, descuentos: [], exclusiva: false }));
+  const ordenadas = [
+    ...promociones.filter(promocion => promocion.alcance !== 'pedido'),
+    ...promociones.filter(promocion => promocion.alcance === 'pedido')
+  ];
+
+  for (const promocion of ordenadas) {
+    const alcanzadas = estado.filter(e => alcanza(promocion, e.linea));
+    if (alcanzadas.length === 0) continue;
+
+    // Umbral: el monto mínimo se compara con lo que queda a pagar de las líneas alcanzadas.
+    if (promocion.tipo === 'umbral'
+      && alcanzadas.reduce((sum, e) => sum + e.restante, 0) < promocion.montoMinimo) {
+      continue;
+    }
+
+    let elegibles = alcanzadas.filter(e => !e.exclusiva && e.restante > 0);
+    if (!promocion.acumulable) {
+      const sinDescuento = elegibles.filter(e => e.descuentos.length === 0);
+      if (promocion.alcance === 'pedido' && sinDescuento.length < alcanzadas.length) continue;
+      elegibles = sinDescuento;
+    }
+    if (elegibles.length === 0) continue;
+
+    calcularDescuentos(promocion, elegibles).forEach((importe, i) => {
+      if (importe <= 0) return;
+      const e = elegibles[i];
+      e.descuentos.push({ promocionId: promocion.id, nombre: promocion.nombre, importe });
+      e.restante = redondear(e.restante - importe);
+      if (!promocion.acumulable) e.exclusiva = true;
+    });
+  }
+
+  return estado.map(e => e.descuentos);
+};
+
+/**
+ * Calcula el descuento de un cupón sobre lo que queda a pagar de cada línea después de las promociones.
+ * Sólo cuentan las líneas en la moneda del cupón; el monto fijo se reparte entre ellas.
+ * @param {object} cupon - Cupón (tipo, porcentaje o monto, moneda y montoMinimo).
+ * @param {Array<object>} lineas - Líneas del pedido (moneda).
+ * @param {Array<number>} restantes - Importe a pagar de cada línea (mismo orden).
+ * @returns {Array<number>|null} El descuento de cada línea, o null si no se alcanza la compra mínima.
+ */
+const descuentoDeCupon = (cupon, lineas, restantes) => {
+  const bases = restantes.map((restante, i) => (lineas[i].moneda === cupon.moneda ? restante : 0));
+  const total = bases.reduce((sum, base) => sum + base, 0);
+  if (cupon.montoMinimo !== null && cupon.montoMinimo !== undefined && total < cupon.montoMinimo) {
+    return null;
+  }
+
+  return cupon.tipo === 'porcentaje'
+    ? bases.map(base => redondear(base * cupon.porcentaje / 100))
+    : prorratear(cupon.monto, bases);
+};
+
+module.exports = { aplicarPromociones, descuentoDeCupon };
@@ -0,0 +1,47 @@
+// --- Utilidades de Reposición ---
+// Cálculo de sugerencias de compra a partir de la velocidad de venta:
+// cuántos días alcanza el stock disponible y cuánto conviene pedir para cubrir
+// la demora del proveedor más el período de cobertura deseado.
+
+// Valores por defecto de los parámetros (en días).
+const PARAMETROS_POR_DEFECTO = {
+  dias: 30, // Ventana de ventas usada para calcular el promedio diario.
+  demora: 7, // Tiempo que tarda en llegar la mercadería una vez pedida.
+  cobertura: 30 // Días de venta que debe cubrir el stock después de recibir la compra.
+};
+
+/**
+ * Calcula la sugerencia de reposición de un producto.
+ * - promedioDiario: unidades vendidas en la ventana / días de la ventana.
+ * - diasCobertura: días que alcanza el disponible al ritmo actual (null si no hubo ventas).
+ * - puntoPedido: unidades que se venderán durante la demora más el mínimo (stock de seguridad);
+ *   si el disponible llega a este nivel, hay que pedir.
+ * - stockObjetivo: ventas esperadas durante la demora y la cobertura, más el mínimo.
+ * - cantidadSugerida: lo que falta para llegar al objetivo (0 si no hay que reponer).
+ * @param {object} stock - Totales del producto: cantidad, reservado, disponible y minimo.
+ * @param {number} unidadesVendidas - Unidades vendidas dentro de la ventana.
+ * @param {object} parametros - dias, demora y cobertura (ver PARAMETROS_POR_DEFECTO).
+ * @returns {object} La sugerencia con los valores anteriores y 'reponer' (true/false).
+ */
+const calcularReposicion = (stock, unidadesVendidas, { dias, demora, cobertura }) => {
+  const promedioDiario = unidadesVendidas / dias;
+  const disponible = stock.disponible;
+  const minimo = stock.minimo || 0;
+
+  const puntoPedido = Math.ceil(promedioDiario * demora) + minimo;
+  const stockObjetivo = Math.ceil(promedioDiario * (demora + cobertura)) + minimo;
+  const reponer = disponible <= puntoPedido;
+
+  return {
+    unidadesVendidas,
+    promedioDiario: Math.round(promedioDiario * 100) / 100,
+    disponible,
+    diasCobertura: promedioDiario > 0 ? Math.floor(Math.max(disponible, 0) / promedioDiario) : null,
+    puntoPedido,
+    stockObjetivo,
+    reponer,
+    cantidadSugerida: reponer ? Math.max(stockObjetivo - disponible, 0) : 0
+  };
+};
+
+module.exports = { PARAMETROS_POR_DEFECTO, calcularReposicion };